@@ -7,10 +7,35 @@
  */
 
 const bitcoin = require('bitcoinjs-lib');
-const { ECPairFactory } = require('ecpair');
-const tinysecp = require('tiny-secp256k1');
+const { signMessage } = require('./message-checker');
+const { assemble, formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { createDebuggerSession } = require('./script-debugger');
+const { labWallet, participantKey } = require('./wallet');
 
-const ECPair = ECPairFactory(tinysecp);
+const wallet = labWallet();
+
+// Example keys and signatures the scripts of options 2 and 3 are built from
+const key1 = participantKey(wallet, 'Alice');
+const key2 = participantKey(wallet, 'Bob');
+const multisigScript = bitcoin.payments.p2ms({ m: 2, pubkeys: [key1.publicKey, key2.publicKey] }).output;
+const values = {
+    sig1: signMessage(key1),
+    sig2: signMessage(key2),
+    publicKey1: key1.publicKey,
+    publicKey2: key2.publicKey,
+    publicKeyHash: bitcoin.crypto.hash160(key1.publicKey),
+    redeemScript: multisigScript,
+    redeemScriptHash: bitcoin.crypto.hash160(multisigScript),
+    witnessScriptHash: bitcoin.crypto.sha256(multisigScript)
+};
+const labels = labelsFor(values);
+
+// Print a script disassembled from its bytes, followed by the bytes
+function printScript(title, script) {
+    console.log(`${title}:`);
+    console.log(formatScript(script, { labels }));
+    console.log(`(hex: ${script.toString('hex')})`);
+}
 
 // Welcome message
 console.log('\n===========================================================');
@@ -26,15 +51,56 @@ function displayMenu() {
     console.log('3. Segwit Scripts (P2WPKH and P2WSH)');
     console.log('4. Visual Script Execution Simulation');
     console.log('5. Transaction Examples and Size Comparison');
-    console.log('6. Exit');
+    console.log('6. Consensus vs Policy (Script Verification Flags)');
+    console.log('7. Script Debugger (step through a spend)');
+    console.log('8. Contract Templates (HTLC, escrow, vault, atomic swap)');
+    console.log('9. Miniscript and Spending Policies');
+    console.log('10. Output Descriptors (derive scriptPubKeys and addresses)');
+    console.log('11. HD Wallet (mnemonic, accounts and xpubs)');
+    console.log('12. Decode a Raw Transaction');
+    console.log('13. PSBT Workflow (multi-party signing)');
+    console.log('14. Sighash Types (what a signature commits to)');
+    console.log('15. Transaction Malleability (legacy vs segwit txids)');
+    console.log('16. Exit');
     
-    process.stdout.write('\nEnter your choice (1-6): ');
+    process.stdout.write('\nEnter your choice (1-16): ');
+}
+
+// While an interactive session (the debugger, the descriptor, decoder or
+// PSBT prompt) runs, input lines go to it instead of the menu
+let session = null;
+let sessionName = null;
+
+function startSession(name, newSession) {
+    session = newSession;
+    sessionName = name;
+    session.intro();
+    process.stdout.write(`${session.prompt} `);
+}
+
+function handleSessionInput(line) {
+    if (!session.handleLine(line)) {
+        session = null;
+        console.log(`\nLeaving the ${sessionName}.`);
+        displayMenu();
+        return;
+    }
+    process.stdout.write(`${session.prompt} `);
 }
 
 // Handle user input
 process.stdin.setEncoding('utf8');
 
 process.stdin.on('data', (data) => {
+    if (session) {
+        // Pasted input may hold several lines
+        for (const line of data.split('\n').filter((line, index, lines) => index < lines.length - 1 || line !== '')) {
+            if (!session) break;
+            handleSessionInput(line);
+        }
+        return;
+    }
+    
     const choice = data.trim();
     
     switch (choice) {
@@ -62,10 +128,8 @@ process.stdin.on('data', (data) => {
             
             // P2PKH Example
             console.log('=== P2PKH (Pay to Public Key Hash) ===\n');
-            console.log('Locking Script (ScriptPubKey):');
-            console.log('OP_DUP OP_HASH160 <publicKeyHash> OP_EQUALVERIFY OP_CHECKSIG');
-            console.log('\nUnlocking Script (ScriptSig):');
-            console.log('<signature> <publicKey>');
+            printScript('Locking Script (ScriptPubKey)', bitcoin.payments.p2pkh({ pubkey: values.publicKey1 }).output);
+            printScript('\nUnlocking Script (ScriptSig)', assemble('<sig1> <publicKey1>', values));
             console.log('\nExecution Flow:');
             console.log('1. Push <signature> onto the stack');
             console.log('2. Push <publicKey> onto the stack');
@@ -77,10 +141,9 @@ process.stdin.on('data', (data) => {
             
             // P2SH Example
             console.log('\n=== P2SH (Pay to Script Hash) ===\n');
-            console.log('Locking Script (ScriptPubKey):');
-            console.log('OP_HASH160 <redeemScriptHash> OP_EQUAL');
-            console.log('\nUnlocking Script (ScriptSig):');
-            console.log('<sig1> <sig2> ... <redeemScript>');
+            printScript('Redeem Script (2-of-2 multisig)', values.redeemScript);
+            printScript('\nLocking Script (ScriptPubKey)', bitcoin.payments.p2sh({ redeem: { output: values.redeemScript } }).output);
+            printScript('\nUnlocking Script (ScriptSig)', assemble('OP_0 <sig1> <sig2> <redeemScript>', values));
             console.log('\nExecution Flow:');
             console.log('1. Push all signatures onto the stack');
             console.log('2. Push the redeem script onto the stack');
@@ -95,26 +158,26 @@ process.stdin.on('data', (data) => {
             
             // P2WPKH Example
             console.log('=== P2WPKH (Pay to Witness Public Key Hash) ===\n');
-            console.log('Locking Script (ScriptPubKey):');
-            console.log('OP_0 <publicKeyHash>');
+            printScript('Locking Script (ScriptPubKey)', bitcoin.payments.p2wpkh({ pubkey: values.publicKey1 }).output);
             console.log('\nWitness Data:');
-            console.log('<signature> <publicKey>');
+            console.log(formatWitness([values.sig1, values.publicKey1], labels));
             console.log('\nKey Differences from P2PKH:');
             console.log('1. Signature data is in the separate witness field, not in scriptSig');
-            console.log('2. The signature covers the previous output value (fixing transaction malleability)');
+            console.log('2. The txid leaves out the witness, so re-encoding a signature cannot change it (option 15)');
             console.log('3. Smaller transaction size and lower fees');
             
             // P2WSH Example
             console.log('\n=== P2WSH (Pay to Witness Script Hash) ===\n');
-            console.log('Locking Script (ScriptPubKey):');
-            console.log('OP_0 <witnessScriptHash>');
+            printScript('Witness Script (2-of-2 multisig)', values.redeemScript);
+            printScript('\nLocking Script (ScriptPubKey)', bitcoin.payments.p2wsh({ redeem: { output: values.redeemScript } }).output);
             console.log('\nWitness Data:');
-            console.log('<sig1> <sig2> ... <witnessScript>');
+            console.log(formatWitness([Buffer.alloc(0), values.sig1, values.sig2, values.redeemScript], { ...labels, [values.redeemScript.toString('hex')]: 'witnessScript' }));
             console.log('\nKey Differences from P2SH:');
             console.log('1. Uses SHA256 for hashing (not HASH160)');
             console.log('2. Signature data is in the witness field');
-            console.log('3. The signature covers the previous output value');
-            console.log('4. More secure due to 256-bit hash versus 160-bit hash');
+            console.log('3. The signature also covers the previous output value (BIP143), so a signer knows the fee');
+            console.log('4. The txid leaves out the witness, so the signatures cannot be malleated (option 15)');
+            console.log('5. More secure due to 256-bit hash versus 160-bit hash');
             break;
             
         case '4':
@@ -130,12 +193,77 @@ process.stdin.on('data', (data) => {
             break;
             
         case '6':
+            console.log('\nRunning spends that are valid in a block but not relayed...\n');
+            // Execute the consensus vs policy examples
+            require('./policy-examples.js');
+            break;
+            
+        case '7':
+            // The debugger takes over input until the user quits
+            startSession('script debugger', createDebuggerSession());
+            return;
+            
+        case '8':
+            console.log('\nBuilding, funding and spending the contract templates...\n');
+            // Execute the contract template examples
+            require('./contract-examples.js');
+            break;
+            
+        case '9':
+            console.log('\nType checking, compiling and satisfying Miniscript...\n');
+            // Execute the Miniscript examples
+            require('./miniscript-examples.js');
+            break;
+            
+        case '10': {
+            console.log('\nExpanding example descriptors...\n');
+            // The examples run once; the prompt then takes over input
+            const { createDescriptorSession } = require('./descriptor-examples.js');
+            startSession('descriptor prompt', createDescriptorSession());
+            return;
+        }
+            
+        case '11':
+            console.log('\nShowing the wallet the demo keys are derived from...\n');
+            // Execute the HD wallet examples
+            require('./wallet-examples.js');
+            break;
+            
+        case '12': {
+            console.log('\nDecoding example transactions...\n');
+            // The examples run once; the prompt then takes over input
+            const { createDecoderSession } = require('./decoder-examples.js');
+            startSession('decoder prompt', createDecoderSession());
+            return;
+        }
+            
+        case '13': {
+            console.log('\nPassing a multisig spend between signers as PSBT files...\n');
+            // The walkthrough runs once; the prompt then takes over input
+            const { createPsbtSession } = require('./psbt-examples.js');
+            startSession('PSBT prompt', createPsbtSession());
+            return;
+        }
+            
+        case '14':
+            console.log('\nSigning one input under every sighash type...\n');
+            // Execute the sighash type examples
+            require('./sighash-examples.js');
+            break;
+            
+        case '15':
+            console.log('\nMalleating signed legacy and segwit transactions...\n');
+            // Execute the malleability examples
+            require('./malleability-examples.js');
+            break;
+            
+        case '16':
             console.log('\nExiting Bitcoin Script Lab. Goodbye!\n');
             process.exit(0);
             break;
             
         default:
-            console.log('\nInvalid choice. Please enter a number between 1 and 6.');
+            console.log('\nInvalid choice. Please enter a number between 1 and 16.');
             break;
     }
     
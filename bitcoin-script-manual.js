@@ -1,78 +1,52 @@
 /**
  * Bitcoin Script Manual Implementation
  * 
- * This file demonstrates how Bitcoin Script works at a low level by manually
- * simulating the stack operations for both Legacy and Segwit transaction types
+ * This file demonstrates how Bitcoin Script works at a low level by stepping
+ * through real script bytes with the interpreter in script-interpreter.js and
+ * printing the stack after every operation, for both Legacy and Segwit
+ * transaction types
  */
 
-// Simple stack implementation for demonstration
-class Stack {
-    constructor() {
-        this.items = [];
-    }
-    
-    push(item) {
-        this.items.push(item);
-        return this.items.length;
-    }
-    
-    pop() {
-        if (this.items.length === 0) return null;
-        return this.items.pop();
-    }
-    
-    peek() {
-        if (this.items.length === 0) return null;
-        return this.items[this.items.length - 1];
-    }
-    
-    print() {
-        return '[' + this.items.join(', ') + ']';
-    }
-}
+const bitcoin = require('bitcoinjs-lib');
+const { ScriptInterpreter, castToBool } = require('./script-interpreter');
+const { MessageSignatureChecker, signMessage } = require('./message-checker');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { labWallet, participantKey } = require('./wallet');
 
-// Mock functions to simulate Bitcoin Script operations
-function OP_DUP(stack) {
-    const item = stack.peek();
-    if (item === null) return false;
-    stack.push(item);
-    return true;
-}
+const wallet = labWallet();
 
-function OP_HASH160(stack) {
-    const item = stack.pop();
-    if (item === null) return false;
-    // Simulate hashing by adding 'hash-' prefix
-    stack.push(`hash-${item}`);
-    return true;
+// Show long stack items as a shortened hex string
+function formatItem(item) {
+    const hex = item.toString('hex');
+    if (hex.length <= 16) return hex === '' ? "''" : hex;
+    return `${hex.slice(0, 8)}..${hex.slice(-4)}`;
 }
 
-function OP_EQUALVERIFY(stack) {
-    const b = stack.pop();
-    const a = stack.pop();
-    if (a === null || b === null) return false;
-    return a === b;
+function formatStack(stack) {
+    return '[' + stack.map(formatItem).join(', ') + ']';
 }
 
-function OP_CHECKSIG(stack, publicKey, signature) {
-    const pubKey = stack.pop();
-    const sig = stack.pop();
-    if (pubKey === null || sig === null) return false;
+// Execute a script one operation at a time, printing the stack after each step
+function runScript(script, stack, options) {
+    const interpreter = new ScriptInterpreter(script, stack, options);
+    
+    while (!interpreter.done) {
+        let op;
+        try {
+            op = interpreter.step();
+        } catch (error) {
+            console.log(`Execution failed: ${error.message}`);
+            return false;
+        }
+        const label = op.data ? `push ${formatItem(op.data)}` : op.name;
+        console.log(`After ${label}:`.padEnd(32), formatStack(stack));
+    }
     
-    // In a real implementation, this would verify the signature against the public key
-    // For our simulation, we'll just check that the values match our expected values
-    const isValid = (pubKey === publicKey && sig === signature);
-    stack.push(isValid ? 1 : 0);
     return true;
 }
 
-function OP_EQUAL(stack) {
-    const b = stack.pop();
-    const a = stack.pop();
-    if (a === null || b === null) return false;
-    stack.push(a === b ? 1 : 0);
-    return true;
-}
+// Signatures in this file sign a fixed message instead of a transaction
+const messageChecker = new MessageSignatureChecker();
 
 console.log('===== Manual Bitcoin Script Execution =====');
 
@@ -82,93 +56,92 @@ console.log('===== Manual Bitcoin Script Execution =====');
 console.log('\n1. Legacy P2PKH (Pay to Public Key Hash) Script\n');
 
 // Values for demonstration
-const signature = 'valid-signature';
-const publicKey = 'actual-public-key';
-const publicKeyHash = 'hash-actual-public-key';
-
-// Initialize stack and simulate execution
-let stack = new Stack();
-
-console.log('Initial stack:', stack.print());
-console.log('Executing: <signature> <publicKey> OP_DUP OP_HASH160 <publicKeyHash> OP_EQUALVERIFY OP_CHECKSIG');
-
-// Push initial values (unlocking script)
-stack.push(signature);
-stack.push(publicKey);
-console.log('After pushing signature and publicKey:', stack.print());
+const alice = participantKey(wallet, 'Alice');
+const signature = signMessage(alice);
+const publicKey = alice.publicKey;
+const publicKeyHash = bitcoin.crypto.hash160(publicKey);
 
-// OP_DUP
-OP_DUP(stack);
-console.log('After OP_DUP:', stack.print());
+const p2pkhScriptSig = bitcoin.script.compile([signature, publicKey]);
+const p2pkhScriptPubKey = bitcoin.payments.p2pkh({ pubkey: publicKey }).output;
+const p2pkhLabels = labelsFor({ signature, publicKey, publicKeyHash });
 
-// OP_HASH160
-OP_HASH160(stack);
-console.log('After OP_HASH160:', stack.print());
+console.log('ScriptSig:   ', formatScript(p2pkhScriptSig, { labels: p2pkhLabels }));
+console.log('ScriptPubKey:', formatScript(p2pkhScriptPubKey, { labels: p2pkhLabels }));
 
-// Push publicKeyHash
-stack.push(publicKeyHash);
-console.log('After pushing publicKeyHash:', stack.print());
+// The unlocking script runs first; its stack is handed to the locking script
+let stack = [];
+console.log('\nInitial stack:'.padEnd(33), formatStack(stack));
+// A failed scriptSig fails the spend; the locking script never runs
+let valid = runScript(p2pkhScriptSig, stack, { checker: messageChecker }) &&
+    runScript(p2pkhScriptPubKey, stack, { checker: messageChecker });
 
-// OP_EQUALVERIFY
-const equalResult = OP_EQUALVERIFY(stack);
-console.log('After OP_EQUALVERIFY:', stack.print(), equalResult ? '(values equal)' : '(values not equal)');
-
-// OP_CHECKSIG
-OP_CHECKSIG(stack, publicKey, signature);
-console.log('After OP_CHECKSIG:', stack.print());
-
-console.log('P2PKH validation result:', stack.peek() === 1 ? 'VALID' : 'INVALID');
+console.log('P2PKH validation result:', valid && stack.length > 0 && castToBool(stack[stack.length - 1]) ? 'VALID' : 'INVALID');
+console.log('(HASH160 of the public key:', publicKeyHash.toString('hex') + ')');
 
 // ---------------------
-// 2. Legacy P2SH (simplified)
+// 2. Legacy P2SH
 // ---------------------
 console.log('\n2. Legacy P2SH (Pay to Script Hash) Script\n');
 
-// Values for demonstration
-const sig1 = 'signature-1';
-const sig2 = 'signature-2';
-const redeemScript = 'redeem-script';
-const redeemScriptHash = 'hash-redeem-script';
-
-// Initialize new stack
-stack = new Stack();
-
-console.log('Initial stack:', stack.print());
-console.log('Executing: <sig1> <sig2> <redeemScript> OP_HASH160 <redeemScriptHash> OP_EQUAL');
-
-// Push unlocking script values
-stack.push(sig1);
-stack.push(sig2);
-stack.push(redeemScript);
-console.log('After pushing signatures and redeemScript:', stack.print());
-
-// OP_HASH160
-OP_HASH160(stack);
-console.log('After OP_HASH160:', stack.print());
-
-// Push redeemScriptHash
-stack.push(redeemScriptHash);
-console.log('After pushing redeemScriptHash:', stack.print());
-
-// OP_EQUAL
-OP_EQUAL(stack);
-console.log('After OP_EQUAL:', stack.print());
+// Values for demonstration: a 2-of-2 multisig redeem script
+const bob = participantKey(wallet, 'Bob');
+const sig1 = signMessage(alice);
+const sig2 = signMessage(bob);
+const redeemScript = bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey] }).output;
+const redeemScriptHash = bitcoin.crypto.hash160(redeemScript);
+
+// OP_0 is the dummy element OP_CHECKMULTISIG consumes
+const p2shScriptSig = bitcoin.script.compile([bitcoin.opcodes.OP_0, sig1, sig2, redeemScript]);
+const p2shScriptPubKey = bitcoin.payments.p2sh({ redeem: { output: redeemScript } }).output;
+const p2shLabels = labelsFor({
+    sig1,
+    sig2,
+    pubKeyAlice: alice.publicKey,
+    pubKeyBob: bob.publicKey,
+    redeemScript,
+    redeemScriptHash
+});
+
+console.log('ScriptSig:   ', formatScript(p2shScriptSig, { labels: p2shLabels }));
+console.log('ScriptPubKey:', formatScript(p2shScriptPubKey, { labels: p2shLabels }));
+console.log('RedeemScript:', formatScript(redeemScript, { labels: p2shLabels }));
+
+// Phase 1: the scriptPubKey only checks that the redeem script has the right hash
+stack = [];
+console.log('\nPhase 1: scriptSig + scriptPubKey');
+console.log('Initial stack:'.padEnd(32), formatStack(stack));
+valid = runScript(p2shScriptSig, stack, { checker: messageChecker });
+const stackCopy = [...stack];
+valid = valid && runScript(p2shScriptPubKey, stack, { checker: messageChecker });
+valid = valid && stack.length > 0 && castToBool(stack[stack.length - 1]);
+console.log('(HASH160 of the redeem script:', redeemScriptHash.toString('hex') + ')');
+
+// Phase 2: restore the stack left by the scriptSig, pop the redeem script and run it
+if (valid) {
+    stack = stackCopy;
+    const deserialized = stack.pop();
+    console.log('\nPhase 2: redeem script on the remaining scriptSig items');
+    console.log('Stack after popping redeemScript:', formatStack(stack));
+    valid = runScript(deserialized, stack, { checker: messageChecker });
+    valid = valid && stack.length > 0 && castToBool(stack[stack.length - 1]);
+}
 
-console.log('P2SH script validation result:', stack.peek() === 1 ? 'VALID' : 'INVALID');
-console.log('(In a real P2SH, the redeemScript would now be executed with the remaining stack items)');
+console.log('P2SH script validation result:', valid ? 'VALID' : 'INVALID');
 
 // ---------------------
 // 3. Segwit P2WPKH
 // ---------------------
 console.log('\n3. Segwit P2WPKH (Pay to Witness Public Key Hash)\n');
 
+const p2wpkhScriptPubKey = bitcoin.payments.p2wpkh({ pubkey: publicKey }).output;
+
 console.log('For P2WPKH, the script is:');
-console.log('Locking Script: OP_0 <publicKeyHash>');
-console.log('Witness Data (not in scriptSig): <signature> <publicKey>');
+console.log('Locking Script:', formatScript(p2wpkhScriptPubKey, { labels: p2pkhLabels }));
+console.log('Witness Data (not in scriptSig):', formatWitness([signature, publicKey], p2pkhLabels));
 
 console.log('\nExecution happens similarly to P2PKH, but with these differences:');
 console.log('1. Signature data is in the witness field, not in scriptSig');
-console.log('2. The signature covers the previous output value (fixing transaction malleability)');
+console.log('2. The txid leaves out the witness, so re-encoding a signature cannot change it');
 console.log('3. The actual executed script is basically the same as P2PKH');
 
 // ---------------------
@@ -176,9 +149,19 @@ console.log('3. The actual executed script is basically the same as P2PKH');
 // ---------------------
 console.log('\n4. Segwit P2WSH (Pay to Witness Script Hash)\n');
 
+// The same 2-of-2 multisig as a witness script
+const witnessScript = redeemScript;
+const p2wshScriptPubKey = bitcoin.payments.p2wsh({ redeem: { output: witnessScript } }).output;
+const p2wshLabels = labelsFor({
+    sig1,
+    sig2,
+    witnessScript,
+    witnessScriptHash: bitcoin.crypto.sha256(witnessScript)
+});
+
 console.log('For P2WSH, the script is:');
-console.log('Locking Script: OP_0 <witnessScriptHash>');
-console.log('Witness Data: <sig1> <sig2> ... <witnessScript>');
+console.log('Locking Script:', formatScript(p2wshScriptPubKey, { labels: p2wshLabels }));
+console.log('Witness Data:', formatWitness([Buffer.alloc(0), sig1, sig2, witnessScript], p2wshLabels));
 
 console.log('\nExecution happens similarly to P2SH, but with these differences:');
 console.log('1. Witness data is in a separate field');
@@ -0,0 +1,163 @@
+/**
+ * Byte Writer
+ *
+ * Little-endian serialization helpers shared by the modules that need to
+ * rebuild Bitcoin data structures byte by byte (signature hashes, taproot
+ * leaf hashes, PSBTs), using the same integer and CompactSize encodings as
+ * Core, and the matching reader.
+ */
+
+// Minimal little-endian serializer for the fields of a transaction
+class ByteWriter {
+    constructor() {
+        this.parts = [];
+        this.marks = [];
+    }
+
+    // Start a named field: the bytes written until the next mark
+    mark(name) {
+        this.marks.push({ name, part: this.parts.length });
+    }
+
+    writeUInt32(value) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32LE(value >>> 0);
+        this.parts.push(buffer);
+    }
+
+    writeInt32(value) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32LE(value | 0);
+        this.parts.push(buffer);
+    }
+
+    writeUInt64(value) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64LE(BigInt.asUintN(64, BigInt(value)));
+        this.parts.push(buffer);
+    }
+
+    writeVarInt(value) {
+        let buffer;
+        if (value < 0xfd) {
+            buffer = Buffer.from([value]);
+        } else if (value <= 0xffff) {
+            buffer = Buffer.alloc(3);
+            buffer[0] = 0xfd;
+            buffer.writeUInt16LE(value, 1);
+        } else if (value <= 0xffffffff) {
+            buffer = Buffer.alloc(5);
+            buffer[0] = 0xfe;
+            buffer.writeUInt32LE(value, 1);
+        } else {
+            buffer = Buffer.alloc(9);
+            buffer[0] = 0xff;
+            buffer.writeBigUInt64LE(BigInt(value), 1);
+        }
+        this.parts.push(buffer);
+    }
+
+    writeSlice(buffer) {
+        this.parts.push(buffer);
+    }
+
+    writeVarSlice(buffer) {
+        this.writeVarInt(buffer.length);
+        this.writeSlice(buffer);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.parts);
+    }
+
+    // The bytes written as [{ name, data }], one entry per mark
+    fields() {
+        return this.marks.map((mark, index) => {
+            const end = index + 1 < this.marks.length ? this.marks[index + 1].part : this.parts.length;
+            return { name: mark.name, data: Buffer.concat(this.parts.slice(mark.part, end)) };
+        });
+    }
+}
+
+// Reads the encodings ByteWriter writes, failing on data that ends early
+class ByteReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    check(size) {
+        if (size > this.remaining) {
+            throw new Error(`Unexpected end of data: ${size} bytes needed at byte ${this.offset}, ${this.remaining} left`);
+        }
+    }
+
+    readUInt8() {
+        this.check(1);
+        return this.buffer[this.offset++];
+    }
+
+    readUInt32() {
+        this.check(4);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readInt32() {
+        this.check(4);
+        const value = this.buffer.readInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    // As a Number: amounts and counts stay far below 2^53
+    readUInt64() {
+        this.check(8);
+        const value = this.buffer.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error(`64-bit value ${value} is too large`);
+        return Number(value);
+    }
+
+    readVarInt() {
+        const first = this.readUInt8();
+        if (first < 0xfd) return first;
+        const size = first === 0xfd ? 2 : first === 0xfe ? 4 : 8;
+        this.check(size);
+        const value = size === 8 ? Number(this.buffer.readBigUInt64LE(this.offset)) : this.buffer.readUIntLE(this.offset, size);
+        this.offset += size;
+        return value;
+    }
+
+    readSlice(size) {
+        this.check(size);
+        const slice = this.buffer.slice(this.offset, this.offset + size);
+        this.offset += size;
+        return slice;
+    }
+
+    readVarSlice() {
+        return this.readSlice(this.readVarInt());
+    }
+}
+
+// Serialize a witness stack the way a PSBT stores a final witness
+function serializeWitness(stack) {
+    const writer = new ByteWriter();
+    writer.writeVarInt(stack.length);
+    for (const item of stack) {
+        writer.writeVarSlice(item);
+    }
+    return writer.toBuffer();
+}
+
+module.exports = {
+    ByteReader,
+    ByteWriter,
+    serializeWitness
+};
@@ -0,0 +1,324 @@
+/**
+ * Bitcoin Core Conformance Tests
+ *
+ * Runs Bitcoin Core's test vectors (fixtures/bitcoin-core) through the
+ * interpreter, the flag engine and the sighash code:
+ *
+ *   script_tests.json   scriptSig/scriptPubKey/witness triples with the
+ *                       verification flags and the expected ScriptError
+ *   sighash.json        legacy signature hashes of random transactions
+ *   tx_valid.json       whole transactions whose inputs must all verify
+ *   tx_invalid.json     transactions that must fail, either a structural
+ *                       check (CheckTransaction) or one of their scripts
+ *
+ * Every vector is reported as PASS or FAIL, with the expected and actual
+ * result of failures. The process exits with status 1 when any vector
+ * fails, so `npm test` catches regressions offline.
+ *
+ *   node conformance.js [--failures] [--suite script|sighash|tx]
+ *
+ * --failures prints only the vectors that fail; --suite runs one file set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { parseFlags } = require('./policy');
+const { explicitPush } = require('./script-asm');
+const { verifyScript } = require('./script-interpreter');
+const { legacySignatureHash } = require('./sighash');
+const { TransactionSignatureChecker } = require('./signature-checker');
+
+const OPS = bitcoin.opcodes;
+const FIXTURES = path.join(__dirname, 'fixtures', 'bitcoin-core');
+
+const MAX_MONEY = 21000000 * 100000000;
+
+const args = process.argv.slice(2);
+const FAILURES_ONLY = args.includes('--failures');
+const suiteIndex = args.indexOf('--suite');
+const SUITE = suiteIndex === -1 ? null : args[suiteIndex + 1];
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// Vectors are arrays; a single string is a comment
+const isComment = (vector) => vector.length === 1 && typeof vector[0] === 'string';
+
+// -------------------------------------------------
+// Core's test script syntax
+// -------------------------------------------------
+
+// Parse a script as written in Core's test vectors (ParseScript in
+// core_read.cpp): decimal numbers are pushed as script numbers (OP_1NEGATE,
+// OP_0..OP_16 for -1..16), 0x.. is raw bytes inserted as they are, 'text'
+// is pushed as data, and opcodes may be named with or without OP_
+function parseCoreScript(text) {
+    const parts = [];
+    for (const token of text.split(/\s+/).filter(token => token !== '')) {
+        if (/^-?\d+$/.test(token)) {
+            const n = BigInt(token);
+            if (n === -1n) parts.push(Buffer.from([OPS.OP_1NEGATE]));
+            else if (n === 0n) parts.push(Buffer.from([OPS.OP_0]));
+            else if (n >= 1n && n <= 16n) parts.push(Buffer.from([OPS.OP_1 + Number(n) - 1]));
+            else parts.push(pushData(encodeNumber(n)));
+        } else if (/^0x([0-9a-fA-F]{2})+$/.test(token)) {
+            parts.push(Buffer.from(token.slice(2), 'hex'));
+        } else if (token.length >= 2 && token.startsWith("'") && token.endsWith("'")) {
+            parts.push(pushData(Buffer.from(token.slice(1, -1))));
+        } else if (token in OPS) {
+            parts.push(Buffer.from([OPS[token]]));
+        } else if (`OP_${token}` in OPS) {
+            parts.push(Buffer.from([OPS[`OP_${token}`]]));
+        } else {
+            throw new Error(`Cannot parse script token ${token}`);
+        }
+    }
+    return Buffer.concat(parts);
+}
+
+// CScriptNum serialization of a 64-bit number: little-endian magnitude
+// with the sign in the top bit (encodeScriptNum only covers safe integers)
+function encodeNumber(n) {
+    const bytes = [];
+    let magnitude = n < 0n ? -n : n;
+    while (magnitude > 0n) {
+        bytes.push(Number(magnitude & 0xffn));
+        magnitude >>= 8n;
+    }
+    if (bytes[bytes.length - 1] & 0x80) bytes.push(n < 0n ? 0x80 : 0x00);
+    else if (n < 0n) bytes[bytes.length - 1] |= 0x80;
+    return Buffer.from(bytes);
+}
+
+// CScript << data: the smallest push opcode for the size, never OP_1..OP_16
+function pushData(data) {
+    return explicitPush(data, data.length < OPS.OP_PUSHDATA1 ? data.length : null);
+}
+
+// Core's test names for ScriptErrors are the SCRIPT_ERR_* names, except NULLFAIL
+function errorName(error) {
+    if (!error) return 'OK';
+    if (!error.code || error.name !== 'ScriptError') return 'UNKNOWN_ERROR';
+    return error.code === 'SIG_NULLFAIL' ? 'NULLFAIL' : error.code;
+}
+
+// -------------------------------------------------
+// Reporting
+// -------------------------------------------------
+
+function createReport(name) {
+    return { name, passed: 0, failed: 0 };
+}
+
+function vectorNumber(report) {
+    return report.passed + report.failed;
+}
+
+function record(report, passed, description, expected, actual) {
+    if (passed) report.passed++;
+    else report.failed++;
+    if (passed && FAILURES_ONLY) return;
+    const line = `${passed ? 'PASS' : 'FAIL'} ${report.name} #${vectorNumber(report)}: ${description}`;
+    console.log(passed ? line : `${line}\n       expected ${expected}, got ${actual}`);
+}
+
+// Shorten long vector descriptions to one line
+function describe(text) {
+    return text.length <= 100 ? text : `${text.slice(0, 97)}...`;
+}
+
+// -------------------------------------------------
+// script_tests.json
+// -------------------------------------------------
+
+// The transaction crediting `scriptPubKey` with `amount` and the one
+// spending it, as in Core's script_tests: a coinbase-like input with
+// scriptSig OP_0 OP_0, and an output with an empty script
+function buildTestTransactions(scriptSig, scriptPubKey, witness, amount) {
+    const credit = new bitcoin.Transaction();
+    credit.version = 1;
+    credit.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from([OPS.OP_0, OPS.OP_0]));
+    credit.addOutput(scriptPubKey, amount);
+
+    const spend = new bitcoin.Transaction();
+    spend.version = 1;
+    spend.addInput(credit.getHash(), 0, 0xffffffff, scriptSig);
+    spend.ins[0].witness = witness;
+    spend.addOutput(Buffer.alloc(0), amount);
+    return spend;
+}
+
+function runScriptTests() {
+    const report = createReport('script_tests');
+
+    for (const vector of loadFixture('script_tests.json')) {
+        if (isComment(vector)) continue;
+
+        // [[wit..., amount]?, scriptSig, scriptPubKey, flags, expected_scripterror, comments...]
+        const fields = [...vector];
+        let witness = [];
+        let amount = 0;
+        if (Array.isArray(fields[0])) {
+            const witnessData = fields.shift();
+            amount = Math.round(witnessData.pop() * 100000000);
+            witness = witnessData.map(item => Buffer.from(item, 'hex'));
+        }
+        const [scriptSigText, scriptPubKeyText, flagsText, expected, comment = ''] = fields;
+        const description = describe(`[${scriptSigText}] [${scriptPubKeyText}] ${flagsText}${comment ? ` (${comment})` : ''}`);
+
+        const scriptSig = parseCoreScript(scriptSigText);
+        const scriptPubKey = parseCoreScript(scriptPubKeyText);
+        const flags = parseFlags(flagsText);
+        let actual;
+        try {
+            const tx = buildTestTransactions(scriptSig, scriptPubKey, witness, amount);
+            const checker = new TransactionSignatureChecker(tx, 0, amount);
+            verifyScript(scriptSig, scriptPubKey, { flags, witness, checker });
+            actual = 'OK';
+        } catch (error) {
+            actual = errorName(error);
+        }
+        record(report, actual === expected, description, expected, actual);
+    }
+    return report;
+}
+
+// -------------------------------------------------
+// sighash.json
+// -------------------------------------------------
+
+function runSighashTests() {
+    const report = createReport('sighash');
+
+    for (const vector of loadFixture('sighash.json')) {
+        if (isComment(vector)) continue;
+
+        // [raw_transaction, script, input_index, hashType, signature_hash]
+        const [rawTx, scriptHex, inputIndex, hashType, expected] = vector;
+        const description = `input ${inputIndex}, hashType ${hashType >>> 0 === hashType ? hashType : `${hashType} (0x${(hashType >>> 0).toString(16)})`}`;
+
+        let actual;
+        try {
+            const tx = bitcoin.Transaction.fromHex(rawTx);
+            // Digests are shown byte-reversed, like txids
+            actual = Buffer.from(legacySignatureHash(tx, inputIndex, Buffer.from(scriptHex, 'hex'), hashType)).reverse().toString('hex');
+        } catch (error) {
+            actual = `error: ${error.message}`;
+        }
+        record(report, actual === expected, description, expected, actual);
+    }
+    return report;
+}
+
+// -------------------------------------------------
+// tx_valid.json / tx_invalid.json
+// -------------------------------------------------
+
+// Context-free transaction checks (Core's CheckTransaction)
+function checkTransaction(tx) {
+    if (tx.ins.length === 0) return 'no inputs';
+    if (tx.outs.length === 0) return 'no outputs';
+
+    let total = 0;
+    for (const output of tx.outs) {
+        if (output.value < 0) return 'negative output value';
+        if (output.value > MAX_MONEY) return 'output value above MAX_MONEY';
+        total += output.value;
+        if (total > MAX_MONEY) return 'total output value above MAX_MONEY';
+    }
+
+    const outpoints = new Set();
+    for (const input of tx.ins) {
+        const outpoint = `${input.hash.toString('hex')}:${input.index}`;
+        if (outpoints.has(outpoint)) return 'duplicate inputs';
+        outpoints.add(outpoint);
+    }
+
+    const isNull = (input) => input.hash.equals(Buffer.alloc(32)) && input.index === 0xffffffff;
+    if (tx.ins.length === 1 && isNull(tx.ins[0])) {
+        const size = tx.ins[0].script.length;
+        if (size < 2 || size > 100) return `coinbase scriptSig of ${size} bytes`;
+    } else if (tx.ins.some(isNull)) {
+        return 'null prevout in a non-coinbase transaction';
+    }
+    return null;
+}
+
+// Check a whole transaction: the structural rules, then every input
+// against the output it spends. Returns null or the reason it is invalid.
+function verifyTestTransaction(prevouts, rawTx, flagsText) {
+    let tx;
+    try {
+        tx = bitcoin.Transaction.fromHex(rawTx);
+    } catch (error) {
+        return `cannot deserialize: ${error.message}`;
+    }
+
+    const structural = checkTransaction(tx);
+    if (structural) return structural;
+
+    // Prevout hashes are written byte-reversed, like txids
+    const spent = new Map();
+    for (const [hash, index, scriptText, amount = 0] of prevouts) {
+        spent.set(`${Buffer.from(hash, 'hex').reverse().toString('hex')}:${index >>> 0}`, {
+            script: parseCoreScript(scriptText),
+            value: amount
+        });
+    }
+
+    const flags = parseFlags(flagsText);
+    for (let i = 0; i < tx.ins.length; i++) {
+        const input = tx.ins[i];
+        const prevOutput = spent.get(`${input.hash.toString('hex')}:${input.index}`);
+        if (!prevOutput) return `input ${i}: unknown prevout`;
+
+        const checker = new TransactionSignatureChecker(tx, i, prevOutput.value);
+        try {
+            verifyScript(input.script, prevOutput.script, { flags, witness: input.witness, checker });
+        } catch (error) {
+            return `input ${i}: ${errorName(error)}`;
+        }
+    }
+    return null;
+}
+
+// Comments before a vector describe it; use the last one as its name
+function runTransactionTests(file, expectValid) {
+    const report = createReport(file.replace('.json', ''));
+    let lastComment = '';
+
+    for (const vector of loadFixture(file)) {
+        if (isComment(vector)) {
+            lastComment = vector[0];
+            continue;
+        }
+
+        // [[[prevout hash, prevout index, prevout scriptPubKey], ...], serializedTransaction, verifyFlags]
+        const [prevouts, rawTx, flagsText] = vector;
+        const failure = verifyTestTransaction(prevouts, rawTx, flagsText);
+        const description = describe(`${flagsText}${lastComment ? ` (${lastComment})` : ''}`);
+        const passed = expectValid ? failure === null : failure !== null;
+        record(report, passed, description, expectValid ? 'valid' : 'invalid', failure === null ? 'valid' : `invalid (${failure})`);
+    }
+    return report;
+}
+
+// -------------------------------------------------
+// Run
+// -------------------------------------------------
+
+const reports = [];
+if (!SUITE || SUITE === 'script') reports.push(runScriptTests());
+if (!SUITE || SUITE === 'sighash') reports.push(runSighashTests());
+if (!SUITE || SUITE === 'tx') {
+    reports.push(runTransactionTests('tx_valid.json', true));
+    reports.push(runTransactionTests('tx_invalid.json', false));
+}
+
+console.log('\n===== Conformance Summary =====');
+for (const report of reports) {
+    console.log(`${report.name.padEnd(14)} ${String(report.passed).padStart(5)} passed ${String(report.failed).padStart(5)} failed`);
+}
+if (reports.some(report => report.failed > 0)) process.exitCode = 1;
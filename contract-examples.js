@@ -0,0 +1,221 @@
+/**
+ * Contract Template Examples
+ *
+ * Builds each template of contracts.js for a set of example keys, funds it
+ * and spends it along every one of its paths, checking each spend with the
+ * script interpreter and, for the timelocked paths, against a simulated
+ * chain before and after the lock expires.
+ *
+ * Note: These are examples only and are not broadcast to the network.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { STANDARD_SCRIPT_VERIFY_FLAGS } = require('./policy');
+const { verifyTransactionInput } = require('./signature-checker');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const {
+    SimulatedChain,
+    checkFinality,
+    checkSequenceLocks,
+    describeLockTime,
+    describeSequence
+} = require('./timelocks');
+const {
+    atomicSwap,
+    escrow,
+    findPath,
+    findPreimage,
+    fundContract,
+    htlc,
+    spendContract,
+    vault
+} = require('./contracts');
+const { labWallet, participantKey } = require('./wallet');
+
+const wallet = labWallet();
+const network = bitcoin.networks.testnet;
+
+const alice = participantKey(wallet, 'Alice');
+const bob = participantKey(wallet, 'Bob');
+const charlie = participantKey(wallet, 'Charlie');
+const heir = participantKey(wallet, 'Heir');
+
+// Fixed secrets, so every run prints the same transactions
+const secret = bitcoin.crypto.sha256(Buffer.from('contract examples: the swap secret'));
+const secretHash = bitcoin.crypto.sha256(secret);
+const wrongSecret = bitcoin.crypto.sha256(Buffer.from('contract examples: a wrong guess'));
+
+const labels = labelsFor({
+    'Alice': alice.publicKey,
+    'Bob': bob.publicKey,
+    'Charlie': charlie.publicKey,
+    'Heir': heir.publicKey,
+    'hash160(Alice)': bitcoin.crypto.hash160(alice.publicKey),
+    'hash160(Bob)': bitcoin.crypto.hash160(bob.publicKey),
+    'secret': secret,
+    'sha256(secret)': secretHash,
+    'wrong-secret': wrongSecret
+});
+
+const addressOf = (keyPair) => bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+
+function printVerification(label, result) {
+    if (result.valid) {
+        console.log(label, 'VALID');
+    } else {
+        console.log(label, `INVALID (${result.error.fullCode}: ${result.error.message})`);
+    }
+}
+
+// Print the witness script and address, fund the contract and check the
+// funding transaction. The contract's coin confirms in the chain's tip block.
+function deployContract(contract, funder, value, chain) {
+    console.log(`\nWitness Script: ${formatScript(contract.witnessScript, { labels, numbers: true })}`);
+    console.log(`Address: ${contract.payment.address}`);
+    console.log(`Spending paths: ${contract.paths.map(path => path.name).join(', ')}`);
+
+    const funding = fundContract(contract, funder, value, { network });
+    console.log(`\nFunding transaction ${funding.outpoint.txid}`);
+    console.log(`  ${value} sats to the contract, confirmed in block ${chain.height}`);
+    printVerification('  Funding input:', verifyTransactionInput(funding.tx, 0, funding.spent, { flags: STANDARD_SCRIPT_VERIFY_FLAGS }));
+    return { ...funding, coinHeight: chain.height };
+}
+
+// Spend `deployment` along `pathName` and report whether the spend is valid
+// and could be mined in the next block of `chain`
+function trySpend(label, contract, pathName, deployment, keyPairs, chain, options = {}) {
+    const path = findPath(contract, pathName);
+    const tx = spendContract(contract, pathName, deployment.outpoint, keyPairs, options.to || addressOf(keyPairs[0]), { network, ...options });
+    const input = tx.ins[0];
+
+    console.log(`\n${label}`);
+    console.log(`  Path: ${path.name} (${path.description})`);
+    console.log(`  Witness: ${formatWitness(input.witness.slice(0, -1), labels)} <witnessScript>`);
+    console.log(`  nLockTime: ${describeLockTime(tx.locktime)}, nSequence: ${describeSequence(input.sequence)}`);
+
+    const verification = verifyTransactionInput(tx, 0, deployment.outpoint.output, { flags: STANDARD_SCRIPT_VERIFY_FLAGS });
+    const finality = checkFinality(tx, chain);
+    const sequenceLocks = checkSequenceLocks(tx, chain, [deployment.coinHeight]);
+    printVerification('  Script:', verification);
+    if (path.locktime !== undefined || options.locktime !== undefined) {
+        console.log(`  Final (nLockTime):    ${finality.final ? 'yes' : 'no'} - ${finality.reason}`);
+    }
+    if (path.sequence !== undefined || options.sequence !== undefined) {
+        console.log(`  BIP68 (nSequence):    ${sequenceLocks.satisfied ? 'yes' : 'no'} - ${sequenceLocks.reason}`);
+    }
+    const minable = verification.valid && finality.final && sequenceLocks.satisfied;
+    console.log(`  Can be mined in block ${chain.height + 1}: ${minable ? 'YES' : 'NO'}`);
+    return tx;
+}
+
+// -------------------------------------------------
+// Hash-time-locked contract
+// -------------------------------------------------
+
+function htlcExample() {
+    console.log('\n----- Hash-Time-Locked Contract (HTLC) -----');
+    console.log('Alice pays Bob if he reveals the secret; otherwise she refunds after 10 blocks.');
+
+    const chain = new SimulatedChain();
+    const contract = htlc({ sender: alice.publicKey, recipient: bob.publicKey, hash: secretHash, timeout: 10, network });
+    const deployment = deployContract(contract, alice, 100000, chain);
+
+    trySpend('Bob claims with the secret:', contract, 'claim', deployment, [bob], chain, { preimage: secret });
+    trySpend('Bob tries a different preimage:', contract, 'claim', deployment, [bob], chain, { preimage: wrongSecret });
+    trySpend('Alice refunds right away:', contract, 'refund', deployment, [alice], chain);
+    trySpend('Alice refunds with nSequence 0 to get around the delay:', contract, 'refund', deployment, [alice], chain, { sequence: 0 });
+    chain.mine(9);
+    trySpend(`Alice refunds at block ${chain.height + 1}:`, contract, 'refund', deployment, [alice], chain);
+}
+
+// -------------------------------------------------
+// 2-of-3 escrow with an arbiter timeout
+// -------------------------------------------------
+
+function escrowExample() {
+    console.log('\n----- 2-of-3 Escrow with a Timeout -----');
+    console.log('Alice (buyer) pays Bob (seller); Charlie arbitrates disputes until the deadline.');
+
+    const chain = new SimulatedChain();
+    const locktime = chain.height + 144;
+    const contract = escrow({ buyer: alice.publicKey, seller: bob.publicKey, arbiter: charlie.publicKey, locktime, network });
+    labels[bitcoin.script.number.encode(locktime).toString('hex')] = 'deadline';
+    const deployment = deployContract(contract, alice, 500000, chain);
+
+    trySpend('Buyer and seller release the payment:', contract, 'buyer-seller', deployment, [alice, bob], chain, { to: addressOf(bob) });
+    trySpend('The arbiter refunds the buyer:', contract, 'buyer-arbiter', deployment, [alice, charlie], chain);
+    trySpend('The arbiter pays the seller:', contract, 'seller-arbiter', deployment, [bob, charlie], chain, { to: addressOf(bob) });
+
+    trySpend('The buyer refunds before the deadline:', contract, 'timeout-refund', deployment, [alice], chain);
+    trySpend('The buyer sets an earlier nLockTime to get around the deadline:', contract, 'timeout-refund', deployment, [alice], chain,
+        { locktime: chain.height });
+    chain.mine(locktime - chain.height);
+    trySpend(`The buyer refunds at block ${chain.height + 1}:`, contract, 'timeout-refund', deployment, [alice], chain);
+}
+
+// -------------------------------------------------
+// Delayed-recovery (inheritance) vault
+// -------------------------------------------------
+
+function vaultExample() {
+    console.log('\n----- Delayed-Recovery Vault -----');
+    console.log('Alice spends at any time; her heir only once the coins have not moved for 144 blocks.');
+
+    const chain = new SimulatedChain();
+    const contract = vault({ owner: alice.publicKey, recovery: heir.publicKey, delay: 144, network });
+    const deployment = deployContract(contract, alice, 1000000, chain);
+
+    trySpend('Alice spends:', contract, 'owner', deployment, [alice], chain);
+    trySpend('The heir spends right away:', contract, 'recovery', deployment, [heir], chain);
+    chain.mine(143);
+    trySpend(`The heir spends at block ${chain.height + 1}:`, contract, 'recovery', deployment, [heir], chain);
+    console.log('\n(Alice keeps the vault alive by moving the coins to a new vault before the delay runs out)');
+}
+
+// -------------------------------------------------
+// Cross-chain atomic swap
+// -------------------------------------------------
+
+function atomicSwapExample() {
+    console.log('\n----- Cross-Chain Atomic Swap -----');
+    console.log('Alice trades coins on chain A for Bob\'s coins on chain B. Only Alice knows the secret.');
+
+    // Both chains are simulated with the same heights; each gets its own instance
+    const chainA = new SimulatedChain();
+    const chainB = new SimulatedChain();
+
+    // Alice locks first with the longer timeout: Bob must be able to redeem
+    // with the secret well before she can refund
+    console.log('\n1. Alice locks her coins on chain A for Bob (refund after 48 blocks)');
+    const contractA = atomicSwap({
+        initiator: alice.publicKey, participant: bob.publicKey, secretHash, locktime: chainA.height + 48, network
+    });
+    const deploymentA = deployContract(contractA, alice, 300000, chainA);
+
+    console.log('\n2. Bob checks contract A and locks his coins on chain B for Alice (refund after 24 blocks)');
+    const contractB = atomicSwap({
+        initiator: bob.publicKey, participant: alice.publicKey, secretHash, locktime: chainB.height + 24, network
+    });
+    const deploymentB = deployContract(contractB, bob, 200000, chainB);
+
+    console.log('\n3. Alice redeems on chain B, revealing the secret');
+    const redeemB = trySpend('Alice redeems contract B:', contractB, 'redeem', deploymentB, [alice], chainB, { preimage: secret });
+
+    console.log('\n4. Bob reads the secret from Alice\'s witness and redeems on chain A');
+    const revealed = findPreimage(redeemB.ins[0].witness, secretHash);
+    console.log(`Secret found in the witness: ${revealed ? revealed.toString('hex') : 'none'}`);
+    trySpend('Bob redeems contract A:', contractA, 'redeem', deploymentA, [bob], chainA, { preimage: revealed });
+
+    console.log('\nHad either side walked away, the refund paths take the coins back:');
+    trySpend('Bob tries to refund contract B before its locktime:', contractB, 'refund', deploymentB, [bob], chainB);
+    chainB.mine(24);
+    trySpend(`Bob refunds contract B at block ${chainB.height + 1}:`, contractB, 'refund', deploymentB, [bob], chainB);
+    chainA.mine(48);
+    trySpend(`Alice refunds contract A at block ${chainA.height + 1}:`, contractA, 'refund', deploymentA, [alice], chainA);
+}
+
+console.log('\n===== Contract Templates =====');
+htlcExample();
+escrowExample();
+vaultExample();
+atomicSwapExample();
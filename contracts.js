@@ -0,0 +1,279 @@
+/**
+ * Contract Templates
+ *
+ * Witness scripts for common contracts, parameterized by keys, hashes and
+ * timeouts, together with every way each one can be spent:
+ *
+ *   htlc()        hash-time-locked contract: the recipient claims with the
+ *                 preimage of a hash, the sender refunds after a delay
+ *   escrow()      2-of-3 between buyer, seller and arbiter, with a refund
+ *                 to the buyer once the arbiter's deadline has passed
+ *   vault()       the owner spends at any time; a recovery key (an heir,
+ *                 or a backup in a safe) only after a long delay
+ *   atomicSwap()  one side of a cross-chain swap: the participant redeems
+ *                 with the secret, the initiator refunds after a locktime
+ *
+ * A contract is { name, witnessScript, payment, paths }. Each path lists
+ * the keys that must sign, the nLockTime or nSequence it needs and how its
+ * witness is built from their signatures. fundContract() and
+ * spendContract() build the funding and spending transactions with Psbt,
+ * as transaction-examples.js does for the standard script types.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { serializeWitness } = require('./byte-writer');
+const { SEQUENCE_FINAL, encodeSequence } = require('./timelocks');
+
+const OPS = bitcoin.opcodes;
+const DEFAULT_NETWORK = bitcoin.networks.testnet;
+
+// Branch selectors for OP_IF: exactly 0x01 or empty, as MINIMALIF requires
+const TRUE = Buffer.from([1]);
+const FALSE = Buffer.alloc(0);
+
+// nSequence that enables nLockTime without a relative lock
+const SEQUENCE_ENABLE_LOCKTIME = 0xfffffffe;
+
+// Size a swap secret must have, so both chains accept the same preimage
+const SWAP_SECRET_SIZE = 32;
+
+const number = (value) => bitcoin.script.number.encode(value);
+
+function createContract(name, witnessScript, paths, network) {
+    return {
+        name,
+        witnessScript,
+        payment: bitcoin.payments.p2wsh({ redeem: { output: witnessScript, network }, network }),
+        paths
+    };
+}
+
+function findPath(contract, pathName) {
+    const path = contract.paths.find(candidate => candidate.name === pathName);
+    if (!path) throw new Error(`${contract.name} has no spending path ${pathName}`);
+    return path;
+}
+
+// -------------------------------------------------
+// Templates
+// -------------------------------------------------
+
+// Pay `recipient` if they reveal the preimage of `hash` (SHA256); after
+// `timeout` blocks the `sender` can take the coins back
+function htlc({ sender, recipient, hash, timeout, network = DEFAULT_NETWORK }) {
+    const sequence = encodeSequence({ blocks: timeout });
+    const witnessScript = bitcoin.script.compile([
+        OPS.OP_IF,
+            OPS.OP_SHA256, hash, OPS.OP_EQUALVERIFY,
+            recipient,
+        OPS.OP_ELSE,
+            number(sequence), OPS.OP_CHECKSEQUENCEVERIFY, OPS.OP_DROP,
+            sender,
+        OPS.OP_ENDIF,
+        OPS.OP_CHECKSIG
+    ]);
+
+    return createContract('HTLC', witnessScript, [
+        {
+            name: 'claim',
+            description: 'the recipient reveals the preimage',
+            signers: [recipient],
+            witness: (signatureFor, { preimage }) => [signatureFor(recipient), preimage, TRUE]
+        },
+        {
+            name: 'refund',
+            description: `the sender takes the coins back ${timeout} blocks after funding`,
+            signers: [sender],
+            sequence,
+            witness: (signatureFor) => [signatureFor(sender), FALSE]
+        }
+    ], network);
+}
+
+// Any two of buyer, seller and arbiter release the coins; if no two of them
+// have agreed by block `locktime`, the buyer alone gets a refund
+function escrow({ buyer, seller, arbiter, locktime, network = DEFAULT_NETWORK }) {
+    const witnessScript = bitcoin.script.compile([
+        OPS.OP_IF,
+            OPS.OP_2, buyer, seller, arbiter, OPS.OP_3, OPS.OP_CHECKMULTISIG,
+        OPS.OP_ELSE,
+            number(locktime), OPS.OP_CHECKLOCKTIMEVERIFY, OPS.OP_DROP,
+            buyer, OPS.OP_CHECKSIG,
+        OPS.OP_ENDIF
+    ]);
+
+    // OP_CHECKMULTISIG takes the signatures in the order of the keys, after
+    // the dummy item it pops by mistake
+    const twoOfThree = (name, description, signers) => ({
+        name,
+        description,
+        signers,
+        witness: (signatureFor) => [FALSE, ...signers.map(signatureFor), TRUE]
+    });
+
+    return createContract('Escrow', witnessScript, [
+        twoOfThree('buyer-seller', 'buyer and seller agree', [buyer, seller]),
+        twoOfThree('buyer-arbiter', 'the arbiter sides with the buyer', [buyer, arbiter]),
+        twoOfThree('seller-arbiter', 'the arbiter sides with the seller', [seller, arbiter]),
+        {
+            name: 'timeout-refund',
+            description: `nobody released the coins before block ${locktime}`,
+            signers: [buyer],
+            locktime,
+            witness: (signatureFor) => [signatureFor(buyer), FALSE]
+        }
+    ], network);
+}
+
+// The owner spends at any time; the recovery key `delay` blocks after the
+// coins were deposited, so the owner can move them first if it is stolen
+function vault({ owner, recovery, delay, network = DEFAULT_NETWORK }) {
+    const sequence = encodeSequence({ blocks: delay });
+    const witnessScript = bitcoin.script.compile([
+        OPS.OP_IF,
+            owner,
+        OPS.OP_ELSE,
+            number(sequence), OPS.OP_CHECKSEQUENCEVERIFY, OPS.OP_DROP,
+            recovery,
+        OPS.OP_ENDIF,
+        OPS.OP_CHECKSIG
+    ]);
+
+    return createContract('Vault', witnessScript, [
+        {
+            name: 'owner',
+            description: 'the owner spends',
+            signers: [owner],
+            witness: (signatureFor) => [signatureFor(owner), TRUE]
+        },
+        {
+            name: 'recovery',
+            description: `the recovery key spends ${delay} blocks after the deposit`,
+            signers: [recovery],
+            sequence,
+            witness: (signatureFor) => [signatureFor(recovery), FALSE]
+        }
+    ], network);
+}
+
+// One leg of a cross-chain atomic swap: the participant redeems with the
+// 32-byte secret whose SHA256 is `secretHash`, the initiator refunds from
+// block `locktime`. Both legs use the same hash; the leg the initiator
+// redeems must have the earlier locktime.
+function atomicSwap({ initiator, participant, secretHash, locktime, network = DEFAULT_NETWORK }) {
+    const witnessScript = bitcoin.script.compile([
+        OPS.OP_IF,
+            OPS.OP_SIZE, number(SWAP_SECRET_SIZE), OPS.OP_EQUALVERIFY,
+            OPS.OP_SHA256, secretHash, OPS.OP_EQUALVERIFY,
+            OPS.OP_DUP, OPS.OP_HASH160, bitcoin.crypto.hash160(participant),
+        OPS.OP_ELSE,
+            number(locktime), OPS.OP_CHECKLOCKTIMEVERIFY, OPS.OP_DROP,
+            OPS.OP_DUP, OPS.OP_HASH160, bitcoin.crypto.hash160(initiator),
+        OPS.OP_ENDIF,
+        OPS.OP_EQUALVERIFY,
+        OPS.OP_CHECKSIG
+    ]);
+
+    return createContract('Atomic Swap', witnessScript, [
+        {
+            name: 'redeem',
+            description: 'the participant reveals the secret',
+            signers: [participant],
+            witness: (signatureFor, { preimage }) => [signatureFor(participant), participant, preimage, TRUE]
+        },
+        {
+            name: 'refund',
+            description: `the initiator takes the coins back from block ${locktime}`,
+            signers: [initiator],
+            locktime,
+            witness: (signatureFor) => [signatureFor(initiator), initiator, FALSE]
+        }
+    ], network);
+}
+
+// The witness item that hashes (SHA256) to `hash`: how the other side of an
+// HTLC or swap learns the secret once it has been used on chain
+function findPreimage(witness, hash) {
+    return witness.find(item => bitcoin.crypto.sha256(item).equals(hash)) || null;
+}
+
+// -------------------------------------------------
+// Transactions
+// -------------------------------------------------
+
+// Pay `value` satoshis into the contract from a (simulated) P2WPKH coin of
+// `funder`. Returns the transaction and the contract's outpoint in it.
+function fundContract(contract, funder, value, { fee = 1000, network = DEFAULT_NETWORK } = {}) {
+    const funderOutput = bitcoin.payments.p2wpkh({ pubkey: funder.publicKey, network }).output;
+    const spent = { script: funderOutput, value: value + fee };
+
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.addInput({
+        hash: bitcoin.crypto.sha256(contract.witnessScript).toString('hex'),
+        index: 0,
+        witnessUtxo: spent
+    });
+    psbt.addOutput({ script: contract.payment.output, value });
+    psbt.signInput(0, funder);
+    psbt.finalizeInput(0);
+    const tx = psbt.extractTransaction();
+
+    return {
+        tx,
+        spent,
+        outpoint: { txid: tx.getId(), index: 0, output: tx.outs[0] }
+    };
+}
+
+// Spend the contract's coin at `outpoint` to `address` along `pathName`,
+// signed by `keyPairs`. The path sets nLockTime and nSequence unless
+// `locktime` or `sequence` override them (to show a spend that is too
+// early); `preimage` is the secret of the claim and redeem paths.
+function spendContract(contract, pathName, outpoint, keyPairs, address, options = {}) {
+    const { fee = 1000, preimage, network = DEFAULT_NETWORK } = options;
+    const path = findPath(contract, pathName);
+    const locktime = options.locktime !== undefined ? options.locktime : path.locktime || 0;
+    const defaultSequence = path.sequence !== undefined ? path.sequence
+        : path.locktime !== undefined ? SEQUENCE_ENABLE_LOCKTIME : SEQUENCE_FINAL;
+
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.setVersion(2);
+    psbt.setLocktime(locktime);
+    psbt.addInput({
+        hash: outpoint.txid,
+        index: outpoint.index,
+        sequence: options.sequence !== undefined ? options.sequence : defaultSequence,
+        witnessUtxo: outpoint.output,
+        witnessScript: contract.witnessScript
+    });
+    psbt.addOutput({ address, value: outpoint.output.value - fee });
+    for (const keyPair of keyPairs) {
+        psbt.signInput(0, keyPair);
+    }
+
+    // bitcoinjs only finalizes scripts it knows: the path builds the witness
+    psbt.finalizeInput(0, (inputIndex, input, script) => {
+        const signatureFor = (publicKey) => {
+            const partial = (input.partialSig || []).find(candidate => candidate.pubkey.equals(publicKey));
+            if (!partial) throw new Error(`${contract.name} ${path.name}: missing signature of ${publicKey.toString('hex')}`);
+            return partial.signature;
+        };
+        return {
+            finalScriptSig: undefined,
+            finalScriptWitness: serializeWitness([...path.witness(signatureFor, { preimage }), script])
+        };
+    });
+    return psbt.extractTransaction();
+}
+
+module.exports = {
+    SWAP_SECRET_SIZE,
+    atomicSwap,
+    escrow,
+    findPath,
+    findPreimage,
+    fundContract,
+    htlc,
+    spendContract,
+    vault
+};
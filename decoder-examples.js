@@ -0,0 +1,361 @@
+/**
+ * Raw Transaction Decoder Examples
+ *
+ * Builds transactions with the lab wallet's keys, serializes them and reads
+ * them back with the decoder (transaction-decoder.js): a spend of six kinds
+ * of inputs to every standard output type, a taproot script path spend, a
+ * segwit coinbase and a legacy transaction without witnesses.
+ *
+ * Run with raw transaction hex, or a file holding the hex or the raw bytes,
+ * to decode it instead:
+ *
+ *   node decoder-examples.js <hex or file> [--testnet | --regtest]
+ *
+ * createDecoderSession() does the same from lines of user input, for the
+ * lab's menu.
+ *
+ * Note: These transactions spend made-up outputs and are never broadcast.
+ */
+
+const fs = require('fs');
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { formatScript, formatWitness } = require('./script-asm');
+const { buildTapTree, computeTaprootOutput, findLeaf, toScriptTree } = require('./taptree');
+const { LEAF_VERSION_TAPSCRIPT } = require('./taproot');
+const { describeLockTime, describeSequence } = require('./timelocks');
+const { decodeTransaction, transactionBytes } = require('./transaction-decoder');
+const { labWallet, participantKey } = require('./wallet');
+
+// Taproot payments need the library's elliptic curve operations
+bitcoin.initEccLib(tinysecp);
+
+const NETWORKS = {
+    mainnet: bitcoin.networks.bitcoin,
+    testnet: bitcoin.networks.testnet,
+    regtest: bitcoin.networks.regtest
+};
+
+const formatBtc = (sats) => `${(sats / 1e8).toFixed(8)} BTC`;
+
+// Short description of a classified script, e.g. "multisig 2-of-3"
+function describeClassification(classification) {
+    switch (classification.type) {
+        case 'multisig':
+            return `multisig ${classification.m}-of-${classification.n}`;
+        case 'witness_unknown':
+            return `witness v${classification.version} (unknown version)`;
+        case 'nulldata': {
+            const text = classification.data.map(data => data.toString('utf8')).join(' ');
+            const printable = /^[\x20-\x7e]*$/.test(text);
+            return `OP_RETURN, ${classification.data.reduce((sum, data) => sum + data.length, 0)} bytes of data${printable && text ? ` ("${text}")` : ''}`;
+        }
+        default:
+            return classification.name;
+    }
+}
+
+// BIP68 relative locks only apply from version 2
+function describeSequenceNumber(sequence, version) {
+    const hex = `0x${sequence.toString(16).padStart(8, '0')}`;
+    if (sequence === 0xffffffff) return `${hex} (final)`;
+    const notes = [version >= 2 ? describeSequence(sequence) : 'no relative lock before version 2'];
+    // BIP125: any sequence below 0xfffffffe opts in to replacement
+    if (sequence < 0xfffffffe) notes.push('signals replaceability');
+    return `${hex} (${notes.join(', ')})`;
+}
+
+// Lines describing a decoded transaction: header, inputs with their labeled
+// items and revealed scripts, outputs with their types
+function describeTransaction(decoded) {
+    const { sizes } = decoded;
+    const lines = [
+        `txid      ${decoded.txid}`,
+        `wtxid     ${decoded.wtxid}${decoded.wtxid === decoded.txid ? ' (the same: no witnesses)' : ''}` +
+            `${decoded.inputs[0] && decoded.inputs[0].analysis.type === 'coinbase' ? ' (a coinbase\'s is zero by definition)' : ''}`,
+        `version   ${decoded.version}`,
+        decoded.marker === null
+            ? 'marker    none (legacy serialization)'
+            : `marker    ${decoded.marker.toString(16).padStart(2, '0')} flag ${decoded.flag.toString(16).padStart(2, '0')} (segwit serialization, BIP144)`,
+        `size      ${sizes.totalSize} bytes (${sizes.baseSize} base + ${sizes.witnessSize} witness), ${sizes.weight} WU, ${sizes.vsize} vbytes`
+    ];
+
+    lines.push(`\nInputs (${decoded.inputs.length}):`);
+    for (const input of decoded.inputs) {
+        const { analysis } = input;
+        const labels = {};
+        for (const item of analysis.items) {
+            if (item.label) labels[item.data.toString('hex')] = item.label;
+        }
+        lines.push(`  #${input.index} ${analysis.name}${analysis.type === 'coinbase' ? '' : ` spending ${input.txid}:${input.vout}`}`);
+        lines.push(`     sequence   ${describeSequenceNumber(input.sequence, decoded.version)}`);
+        lines.push(`     scriptSig  ${formatScript(input.scriptSig, { labels }) || '(empty)'}`);
+        lines.push(`     witness    ${input.witness.length > 0 ? formatWitness(input.witness, labels) : '(none)'}`);
+        for (const item of analysis.items) {
+            lines.push(`       ${`${item.location}[${item.index}]`.padEnd(13)} ${item.description}`);
+        }
+        for (const { role, script, classification } of analysis.scripts) {
+            const type = classification ? ` (${describeClassification(classification)})` : '';
+            lines.push(`     ${role}${type}: ${formatScript(script)}`);
+        }
+    }
+
+    lines.push(`\nOutputs (${decoded.outputs.length}):`);
+    for (const output of decoded.outputs) {
+        lines.push(`  #${output.index} ${formatBtc(output.value).padStart(16)}  ${describeClassification(output.classification)}` +
+            `${output.address ? ` ${output.address}` : ''}`);
+        lines.push(`     scriptPubKey ${formatScript(output.scriptPubKey) || '(empty)'}`);
+    }
+
+    const allFinal = decoded.inputs.every(input => input.sequence === 0xffffffff);
+    lines.push(`\nlocktime  ${decoded.locktime} (${describeLockTime(decoded.locktime)}${decoded.locktime !== 0 && allFinal ? ', ignored: every input is final' : ''})`);
+    return lines;
+}
+
+// Decode and describe `raw` (hex or bytes), reporting errors as a line of
+// output. Returns whether `raw` decoded.
+function printDecoded(raw, network, print = console.log) {
+    try {
+        describeTransaction(decodeTransaction(raw, { network })).forEach(line => print(line));
+        return true;
+    } catch (error) {
+        print(`Rejected: ${error.message}`);
+        return false;
+    }
+}
+
+// `text` itself if it is hex, else the transaction in the file it names:
+// hex text if the file reads as hex, raw bytes otherwise
+function readTransactionInput(text) {
+    if (/^[0-9a-fA-F\s]+$/.test(text)) return text;
+    let bytes;
+    try {
+        bytes = fs.readFileSync(text);
+    } catch (error) {
+        throw new Error(`Not hex, and no file ${text} could be read (${error.code || error.message})`);
+    }
+    const hex = bytes.toString('utf8').replace(/\s+/g, '');
+    return /^([0-9a-fA-F]{2})+$/.test(hex) ? hex : bytes;
+}
+
+// -------------------------------------------------
+// Interactive session
+// -------------------------------------------------
+
+// Reads lines of raw transaction hex (or file names) and decodes each one.
+// handleLine() returns false once the user leaves.
+function createDecoderSession(print = console.log) {
+    let network = NETWORKS.testnet;
+    return {
+        prompt: 'decode>',
+        intro() {
+            print('\n==== Raw Transaction Decoder ====\n');
+            print('Paste raw transaction hex, or enter the name of a file holding it.');
+            print(`Addresses are shown for testnet; enter ${Object.keys(NETWORKS).join(', ')} to switch.`);
+            print('An empty line returns to the menu.\n');
+        },
+        handleLine(line) {
+            const text = line.trim();
+            if (!text || text === 'quit' || text === 'exit') return false;
+            if (NETWORKS[text]) {
+                network = NETWORKS[text];
+                print(`Showing ${text} addresses.`);
+                return true;
+            }
+            try {
+                printDecoded(readTransactionInput(text), network, print);
+            } catch (error) {
+                print(`Rejected: ${error.message}`);
+            }
+            return true;
+        }
+    };
+}
+
+// -------------------------------------------------
+// Example transactions
+// -------------------------------------------------
+
+const wallet = labWallet();
+const { network } = wallet;
+
+// Alice's, Bob's and Charlie's keys on the standard path of each script
+// type: BIP44 for legacy outputs, BIP49 for nested segwit, BIP84 for native
+// segwit and BIP86 for taproot
+const keysOf = (scriptType) => ({
+    alice: participantKey(wallet, 'Alice', scriptType),
+    bob: participantKey(wallet, 'Bob', scriptType),
+    charlie: participantKey(wallet, 'Charlie', scriptType)
+});
+const legacy = keysOf('p2pkh');
+const nested = keysOf('p2sh-p2wpkh');
+const segwit = keysOf('p2wpkh');
+const taprootKeys = keysOf('p2tr');
+const toXOnly = (publicKey) => publicKey.slice(1, 33);
+
+// A transaction with one made-up input paying `value` to each of `scripts`
+function createFundingTx(scripts, value) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(Buffer.alloc(32), 0);
+    scripts.forEach(script => tx.addOutput(script, value));
+    return tx;
+}
+
+// Spends P2PKH, P2SH multisig, P2WPKH, P2SH-P2WPKH, P2WSH multisig and P2TR
+// outputs, paying to every standard output type
+function createShowcaseTransaction() {
+    const multisig = ({ alice, bob, charlie }) =>
+        bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey, charlie.publicKey], network });
+    const legacyP2ms = multisig(legacy);
+    const segwitP2ms = multisig(segwit);
+    const nestedRedeem = bitcoin.payments.p2wpkh({ pubkey: nested.charlie.publicKey, network });
+    const taproot = computeTaprootOutput(toXOnly(taprootKeys.alice.publicKey));
+    const spent = [
+        bitcoin.payments.p2pkh({ pubkey: legacy.alice.publicKey, network }).output,
+        bitcoin.payments.p2sh({ redeem: legacyP2ms, network }).output,
+        bitcoin.payments.p2wpkh({ pubkey: segwit.bob.publicKey, network }).output,
+        bitcoin.payments.p2sh({ redeem: nestedRedeem, network }).output,
+        bitcoin.payments.p2wsh({ redeem: segwitP2ms, network }).output,
+        taproot.output
+    ];
+    const fundingTx = createFundingTx(spent, 100000);
+
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.setLocktime(850000);
+    const input = (index, fields) => psbt.addInput({ hash: fundingTx.getId(), index, sequence: 0xfffffffd, ...fields });
+    const witnessUtxo = (index) => ({ witnessUtxo: { script: spent[index], value: 100000 } });
+    input(0, { nonWitnessUtxo: fundingTx.toBuffer() });
+    input(1, { nonWitnessUtxo: fundingTx.toBuffer(), redeemScript: legacyP2ms.output });
+    // Bob only commits to his own input, so others may add theirs
+    input(2, { ...witnessUtxo(2), sighashType: bitcoin.Transaction.SIGHASH_ALL | bitcoin.Transaction.SIGHASH_ANYONECANPAY });
+    input(3, { ...witnessUtxo(3), redeemScript: nestedRedeem.output });
+    input(4, { ...witnessUtxo(4), witnessScript: segwitP2ms.output });
+    input(5, { ...witnessUtxo(5), tapInternalKey: toXOnly(taprootKeys.alice.publicKey) });
+
+    const outputs = [
+        bitcoin.payments.p2pk({ pubkey: legacy.alice.publicKey, network }).output,
+        bitcoin.payments.p2pkh({ pubkey: legacy.bob.publicKey, network }).output,
+        bitcoin.payments.p2sh({ redeem: legacyP2ms, network }).output,
+        bitcoin.payments.p2wpkh({ pubkey: segwit.charlie.publicKey, network }).output,
+        bitcoin.payments.p2wsh({ redeem: segwitP2ms, network }).output,
+        bitcoin.payments.p2tr({ internalPubkey: toXOnly(taprootKeys.bob.publicKey), network }).output,
+        bitcoin.payments.p2ms({ m: 1, pubkeys: [legacy.alice.publicKey, legacy.bob.publicKey], network }).output,
+        bitcoin.payments.embed({ data: [Buffer.from('bitcoin script lab')] }).output,
+        // Anyone who can add two numbers to 5 can spend this one
+        bitcoin.script.compile([bitcoin.opcodes.OP_ADD, bitcoin.opcodes.OP_5, bitcoin.opcodes.OP_EQUAL])
+    ];
+    outputs.forEach(script => psbt.addOutput({ script, value: script[0] === bitcoin.opcodes.OP_RETURN ? 0 : 70000 }));
+
+    psbt.signInput(0, legacy.alice);
+    psbt.signInput(1, legacy.alice);
+    psbt.signInput(1, legacy.bob);
+    psbt.signInput(2, segwit.bob, [bitcoin.Transaction.SIGHASH_ALL | bitcoin.Transaction.SIGHASH_ANYONECANPAY]);
+    psbt.signInput(3, nested.charlie);
+    psbt.signInput(4, segwit.alice);
+    psbt.signInput(4, segwit.charlie);
+    // BIP86: the key of a key-path-only output is tweaked by the internal key alone
+    psbt.signInput(5, taprootKeys.alice.tweak(taproot.tweak));
+    psbt.finalizeAllInputs();
+    return psbt.extractTransaction();
+}
+
+// Spends a taproot output through a leaf that checks Bob's signature
+function createScriptPathTransaction() {
+    const { alice, bob, charlie } = taprootKeys;
+    const bobLeaf = bitcoin.script.compile([toXOnly(bob.publicKey), bitcoin.opcodes.OP_CHECKSIG]);
+    const charlieLeaf = bitcoin.script.compile([toXOnly(charlie.publicKey), bitcoin.opcodes.OP_CHECKSIG]);
+    const tree = buildTapTree([{ script: bobLeaf, name: 'bob' }, { script: charlieLeaf, name: 'charlie' }]);
+    const taproot = computeTaprootOutput(toXOnly(alice.publicKey), tree);
+    const p2tr = bitcoin.payments.p2tr({ internalPubkey: toXOnly(alice.publicKey), scriptTree: toScriptTree(tree), network });
+    const fundingTx = createFundingTx([p2tr.output], 100000);
+
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.addInput({
+        hash: fundingTx.getId(),
+        index: 0,
+        witnessUtxo: { script: p2tr.output, value: 100000 },
+        tapLeafScript: [{ leafVersion: LEAF_VERSION_TAPSCRIPT, script: bobLeaf, controlBlock: findLeaf(taproot, 'bob').controlBlock }]
+    });
+    psbt.addOutput({ address: bitcoin.payments.p2wpkh({ pubkey: bob.publicKey, network }).address, value: 99000 });
+    psbt.signInput(0, bob);
+    psbt.finalizeInput(0);
+    return psbt.extractTransaction();
+}
+
+// The first transaction of a segwit block: the BIP34 height in its
+// scriptSig, the witness reserved value, and the witness commitment
+function createCoinbaseTransaction() {
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    const scriptSig = bitcoin.script.compile([
+        bitcoin.script.number.encode(850000),
+        Buffer.from('mined by the bitcoin script lab')
+    ]);
+    tx.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, scriptSig);
+    tx.setWitness(0, [Buffer.alloc(32)]);
+    tx.addOutput(bitcoin.payments.p2wpkh({ pubkey: segwit.alice.publicKey, network }).output, 312500000);
+    // The commitment is made up here: it hashes the block's wtxids
+    const commitment = Buffer.concat([Buffer.from('aa21a9ed', 'hex'), bitcoin.crypto.sha256(Buffer.from('wtxids'))]);
+    tx.addOutput(bitcoin.payments.embed({ data: [commitment] }).output, 0);
+    return tx;
+}
+
+// A P2PKH spend: no witnesses, so no marker and flag
+function createLegacyTransaction() {
+    const { alice, bob } = legacy;
+    const script = bitcoin.payments.p2pkh({ pubkey: bob.publicKey, network }).output;
+    const fundingTx = createFundingTx([script], 50000);
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.setVersion(1);
+    psbt.addInput({ hash: fundingTx.getId(), index: 0, nonWitnessUtxo: fundingTx.toBuffer() });
+    psbt.addOutput({ address: bitcoin.payments.p2pkh({ pubkey: alice.publicKey, network }).address, value: 49000 });
+    psbt.signInput(0, bob);
+    psbt.finalizeAllInputs();
+    return psbt.extractTransaction();
+}
+
+function decodeExample(title, tx) {
+    console.log(`\n----- ${title} -----`);
+    const hex = tx.toHex();
+    console.log(`Raw (${hex.length / 2} bytes): ${hex.length > 120 ? `${hex.slice(0, 80)}...${hex.slice(-32)}` : hex}\n`);
+    printDecoded(hex, network);
+}
+
+function mistakeExamples() {
+    console.log('\n----- Input the Decoder Rejects -----');
+    const legacyHex = createLegacyTransaction().toHex();
+    const mistakes = [
+        ['Not hex', 'not a transaction'],
+        ['Cut off in the middle of an output', legacyHex.slice(0, -40)],
+        ['Extra bytes after the locktime', `${legacyHex}00`]
+    ];
+    for (const [title, raw] of mistakes) {
+        console.log(`\n${title}:`);
+        printDecoded(raw, network);
+    }
+    // Raw bytes decode the same as their hex
+    const bytes = transactionBytes(legacyHex);
+    console.log(`\nAs raw bytes, the same transaction decodes to txid ${decodeTransaction(bytes).txid}`);
+}
+
+if (require.main === module && process.argv[2] && !process.argv[2].startsWith('--')) {
+    const chosen = process.argv.includes('--testnet') ? NETWORKS.testnet
+        : process.argv.includes('--regtest') ? NETWORKS.regtest : NETWORKS.mainnet;
+    try {
+        if (!printDecoded(readTransactionInput(process.argv[2]), chosen)) process.exitCode = 1;
+    } catch (error) {
+        console.log(`Rejected: ${error.message}`);
+        process.exitCode = 1;
+    }
+} else {
+    console.log('\n===== Raw Transaction Decoder =====');
+    decodeExample('Six Input Types, Every Output Type', createShowcaseTransaction());
+    decodeExample('Taproot Script Path Spend', createScriptPathTransaction());
+    decodeExample('Segwit Coinbase', createCoinbaseTransaction());
+    decodeExample('Legacy Transaction (no witnesses)', createLegacyTransaction());
+    mistakeExamples();
+}
+
+module.exports = {
+    createDecoderSession
+};
@@ -0,0 +1,220 @@
+/**
+ * Output Descriptor Examples
+ *
+ * Describes wallets the way Bitcoin Core does: single-key BIP 44/49/84/86
+ * accounts, sorted multisig, taproot trees and Miniscript policies written
+ * as output descriptors (descriptors.js), each expanded to the
+ * scriptPubKeys and addresses of a range of indexes. Also shows the
+ * checksum catching a typo and the mistakes the parser rejects.
+ *
+ * Run with a descriptor to expand it instead:
+ *
+ *   node descriptor-examples.js "wpkh(xpub.../0/*)" [start] [end]
+ *
+ * Ranged descriptors show indexes 0-4 when no range is given.
+ *
+ * createDescriptorSession() does the same from lines of user input, for
+ * the lab's menu.
+ *
+ * Note: The keys are mainnet keys of the lab wallet (wallet.js), by default
+ * the public BIP 39 test mnemonic. Never send coins to these addresses.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { addChecksum, expandDescriptor, parseDescriptor } = require('./descriptors');
+const { createWallet, labWallet } = require('./wallet');
+
+// Descriptors are usually written with mainnet keys
+const { root } = createWallet({ seed: labWallet().seed, network: bitcoin.networks.bitcoin });
+
+// The account xpub at `path` with its origin, as a wallet exports it
+function accountKey(path) {
+    const origin = `${root.fingerprint.toString('hex')}${path.slice(1)}`;
+    return `[${origin}]${root.derivePath(path).neutered().toBase58()}`;
+}
+
+const cosigners = [0, 1, 2].map(account => accountKey(`m/48'/0'/${account}'/2'`));
+const internalKey = accountKey("m/86'/0'/1'");
+
+const EXAMPLES = {
+    bip44: `pkh(${accountKey("m/44'/0'/0'")}/0/*)`,
+    bip49: `sh(wpkh(${accountKey("m/49'/0'/0'")}/0/*))`,
+    bip84: `wpkh(${accountKey("m/84'/0'/0'")}/0/*)`,
+    bip86: `tr(${accountKey("m/86'/0'/0'")}/0/*)`,
+    multisig: `wsh(sortedmulti(2,${cosigners.map(key => `${key}/0/*`).join(',')}))`,
+    'nested-multisig': `sh(wsh(sortedmulti(2,${cosigners.map(key => `${key}/0/*`).join(',')})))`,
+    'taproot-tree': `tr(${internalKey}/0/*,{pk(${cosigners[0]}/0/*),and_v(v:pk(${cosigners[1]}/0/*),older(144))})`,
+    miniscript: `wsh(or_d(pk(${cosigners[0]}/0/*),and_v(v:pkh(${cosigners[1]}/0/*),older(1008))))`,
+    addr: 'addr(bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu)',
+    raw: `raw(${bitcoin.script.compile([bitcoin.opcodes.OP_RETURN, Buffer.from('descriptor')]).toString('hex')})`
+};
+
+const networkName = (network) => Object.keys(bitcoin.networks).find(name => bitcoin.networks[name] === network);
+
+// Lines listing the scriptPubKey, address and derived keys of each index
+// of `descriptor` from `start` to `end`
+function describeRange(descriptor, start, end) {
+    const lines = [
+        addChecksum(descriptor.text),
+        `${descriptor.isRange ? 'Ranged' : 'Not ranged'}, ${networkName(descriptor.network)} addresses`
+    ];
+    for (const derived of expandDescriptor(descriptor, start, end)) {
+        lines.push(`  ${String(derived.index).padStart(3)}  ${derived.address || '(no address for this script)'}`);
+        lines.push(`       scriptPubKey ${derived.scriptPubKey.toString('hex')}`);
+        if (descriptor.isRange) {
+            derived.keys.forEach(key => lines.push(`       key ${key.origin} ${key.pubkey.toString('hex')}`));
+        }
+    }
+    return lines;
+}
+
+// Parse and describe `text` (a descriptor, or the name of an example),
+// reporting errors as a line of output. Returns false if it was rejected
+function describeDescriptor(text, start, end, print = console.log) {
+    try {
+        const descriptor = parseDescriptor(EXAMPLES[text] || text);
+        const lines = descriptor.isRange ? describeRange(descriptor, start, end) : describeRange(descriptor, 0, 0);
+        lines.forEach(line => print(line));
+        return true;
+    } catch (error) {
+        print(`Rejected: ${error.message}`);
+        return false;
+    }
+}
+
+// The index range of optional `start` and `end` arguments: indexes 0-4 when
+// neither is given, only `start` when there is no `end`. Null if either is
+// not a whole number
+function parseRange(start, end) {
+    const first = start === undefined ? 0 : Number(start);
+    const last = end === undefined ? (start === undefined ? 4 : first) : Number(end);
+    if (!Number.isInteger(first) || !Number.isInteger(last)) return null;
+    return { first, last };
+}
+
+// -------------------------------------------------
+// Interactive session
+// -------------------------------------------------
+
+// Reads "DESCRIPTOR [start] [end]" lines and prints each expansion.
+// handleLine() returns false once the user leaves.
+function createDescriptorSession(print = console.log) {
+    return {
+        prompt: 'descriptor>',
+        intro() {
+            print('\n==== Output Descriptors ====\n');
+            print('Enter a descriptor and an optional index range, e.g.');
+            print('  wpkh(xpub.../0/*) 0 9');
+            print(`or the name of an example: ${Object.keys(EXAMPLES).join(', ')}`);
+            print('Ranged descriptors show indexes 0-4 by default. An empty line returns to the menu.\n');
+        },
+        handleLine(line) {
+            const [text, start, end] = line.trim().split(/\s+/);
+            if (!text || text === 'quit' || text === 'exit') return false;
+            const range = parseRange(start, end);
+            if (!range) {
+                print('Indexes must be whole numbers.');
+                return true;
+            }
+            describeDescriptor(text, range.first, range.last, print);
+            return true;
+        }
+    };
+}
+
+// -------------------------------------------------
+// Tour
+// -------------------------------------------------
+
+function checksumExamples() {
+    console.log('\n----- Checksums -----');
+    const text = EXAMPLES.bip84;
+    console.log(`Descriptor:    ${text}`);
+    console.log(`With checksum: ${addChecksum(text)}`);
+    // One wrong character in the xpub: the checksum no longer matches
+    const typo = addChecksum(text).replace('xpub6', 'xpub7');
+    console.log('\nThe same descriptor with a typo in the xpub:');
+    describeDescriptor(typo, 0, 0);
+}
+
+function walletExamples() {
+    console.log('\n----- Single-Key Wallets (BIP 44, 49, 84, 86) -----');
+    for (const name of ['bip44', 'bip49', 'bip84', 'bip86']) {
+        console.log(`\n${name}:`);
+        describeDescriptor(name, 0, 2);
+    }
+}
+
+function multisigExamples() {
+    console.log('\n----- Multisig -----');
+    console.log('2-of-3 with sortedmulti: the cosigners\' keys are sorted at each index,');
+    console.log('so every cosigner derives the same addresses whatever order they list the xpubs in.');
+    describeDescriptor('multisig', 0, 1);
+
+    const [a, b, c] = cosigners.map(key => `${key}/0/*`);
+    const address = (text) => expandDescriptor(parseDescriptor(text), 0)[0].address;
+    console.log('\nIndex 0 with the xpubs listed as A,B,C and as C,B,A:');
+    console.log(`  sortedmulti: ${address(`wsh(sortedmulti(2,${a},${b},${c}))`)}`);
+    console.log(`               ${address(`wsh(sortedmulti(2,${c},${b},${a}))`)}`);
+    console.log(`  multi:       ${address(`wsh(multi(2,${a},${b},${c}))`)}`);
+    console.log(`               ${address(`wsh(multi(2,${c},${b},${a}))`)}`);
+
+    console.log('\nThe same multisig nested in P2SH, for wallets that cannot pay to bech32:');
+    describeDescriptor('nested-multisig', 0, 1);
+}
+
+function scriptExamples() {
+    console.log('\n----- Taproot Trees, Miniscript and Fixed Scripts -----');
+    console.log('\nTaproot: key path for the internal key, a leaf for cosigner 0 and one for cosigner 1 after 144 blocks:');
+    describeDescriptor('taproot-tree', 0, 1);
+    console.log('\nMiniscript: cosigner 0 at any time, or cosigner 1 after 1008 blocks:');
+    describeDescriptor('miniscript', 0, 1);
+    console.log('\nA fixed address:');
+    describeDescriptor('addr');
+    console.log('\nA raw script (OP_RETURN has no address):');
+    describeDescriptor('raw');
+}
+
+function mistakeExamples() {
+    console.log('\n----- Mistakes the Parser Catches -----');
+    const [account] = cosigners;
+    const pubkey = root.derivePath("m/84'/0'/0'/0/0").publicKey.toString('hex');
+    const uncompressed = Buffer.from(tinysecp.pointCompress(Buffer.from(pubkey, 'hex'), false)).toString('hex');
+    const mistakes = [
+        // Hardened steps need the private key, which an xpub does not have
+        `wpkh(${account}/0'/*)`,
+        `wpkh(${uncompressed})`,
+        `sh(sh(pkh(${pubkey})))`,
+        `tr(${pubkey},multi(1,${pubkey}))`,
+        `multi(1,${[1, 2, 3, 4].map(() => pubkey).join(',')})`,
+        `wsh(and_v(pk(${pubkey}),older(144)))`,
+        'addr(bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyv)'
+    ];
+    for (const text of mistakes) {
+        console.log(`\n${text.length > 100 ? `${text.slice(0, 60)}...${text.slice(-30)}` : text}`);
+        describeDescriptor(text, 0, 0);
+    }
+}
+
+if (require.main === module && process.argv[2] && !process.argv[2].startsWith('--')) {
+    const [text, start, end] = process.argv.slice(2);
+    const range = parseRange(start, end);
+    if (!range) {
+        console.log('Indexes must be whole numbers.');
+        process.exitCode = 1;
+    } else if (!describeDescriptor(text, range.first, range.last)) {
+        process.exitCode = 1;
+    }
+} else {
+    console.log('\n===== Output Descriptors =====');
+    checksumExamples();
+    walletExamples();
+    multisigExamples();
+    scriptExamples();
+    mistakeExamples();
+}
+
+module.exports = {
+    createDescriptorSession
+};
@@ -0,0 +1,528 @@
+/**
+ * Output Descriptors
+ *
+ * Parses output script descriptors (BIP 380-386), the language Bitcoin Core
+ * uses to describe the scripts a wallet owns, and derives their
+ * scriptPubKeys and addresses:
+ *
+ *   pk(KEY), pkh(KEY), wpkh(KEY)       single-key scripts
+ *   sh(SCRIPT), wsh(SCRIPT)            P2SH and P2WSH wrappers
+ *   multi(k,KEY,...)                   k-of-n OP_CHECKMULTISIG; sortedmulti()
+ *                                      sorts the keys first (BIP 67)
+ *   tr(KEY), tr(KEY,TREE)              taproot, TREE being a leaf script or
+ *                                      a pair {TREE,TREE}
+ *   addr(ADDRESS), raw(HEX)            a fixed address or scriptPubKey
+ *
+ * Inside wsh() and in taproot leaves any Miniscript expression is accepted
+ * too (see miniscript.js), and leaves may use sortedmulti_a().
+ *
+ * KEY is a hex public key, a WIF private key or an extended key (xpub,
+ * xprv, tpub, tprv) with a derivation path, optionally preceded by the
+ * key's origin [fingerprint/path]. A path ending in /* (or /*' for hardened
+ * children) makes the descriptor ranged: every index derives a different
+ * script. A trailing #checksum is verified when present.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { BIP32Factory } = require('bip32');
+const { ECPairFactory } = require('ecpair');
+const tinysecp = require('tiny-secp256k1');
+const { buildTapTree, computeTaprootOutput } = require('./taptree');
+const { analyzeMiniscript, miniscriptToScript, parseMiniscript } = require('./miniscript');
+
+const bip32 = BIP32Factory(tinysecp);
+const ECPair = ECPairFactory(tinysecp);
+const OPS = bitcoin.opcodes;
+
+// Taproot addresses need the library's elliptic curve operations
+bitcoin.initEccLib(tinysecp);
+
+const HARDENED = 0x80000000;
+const NETWORKS = [bitcoin.networks.bitcoin, bitcoin.networks.testnet];
+const MAX_REDEEM_SCRIPT_SIZE = 520;
+
+// Indexes expandDescriptor() derives at once. Bitcoin Core's
+// deriveaddresses refuses ranges of a million or more; deriving here takes
+// a few milliseconds per index, so the lab stops much sooner
+const MAX_RANGE_SIZE = 1000;
+
+// Keys of a multi() per place: bare multisig is standard up to 3 keys,
+// OP_CHECKMULTISIG takes at most 20 (a P2SH redeem script is also limited
+// to 520 bytes, checked when it is built)
+const MAX_MULTI_KEYS = { top: 3, sh: 20, wsh: 20 };
+
+// Where an expression appears, for error messages
+const PLACES = {
+    top: 'at the top level',
+    sh: 'inside sh()',
+    wsh: 'inside wsh()',
+    leaf: 'in a taproot leaf'
+};
+
+// -------------------------------------------------
+// Checksums
+// -------------------------------------------------
+
+// Characters are grouped so that the ones most often mistyped for each
+// other differ in the low 5 bits the checksum covers most strongly
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}' +
+    'IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~' +
+    'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const CHECKSUM_GENERATORS = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+function polymod(c, value) {
+    const top = c >> 35n;
+    let result = ((c & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    CHECKSUM_GENERATORS.forEach((generator, i) => {
+        if ((top >> BigInt(i)) & 1n) result ^= generator;
+    });
+    return result;
+}
+
+// The 8-character checksum of a descriptor (without its #checksum)
+function descriptorChecksum(text) {
+    let c = 1n;
+    let group = 0;
+    let groupSize = 0;
+    for (const character of text) {
+        const position = INPUT_CHARSET.indexOf(character);
+        if (position === -1) throw new Error(`Invalid character ${JSON.stringify(character)} in descriptor`);
+        c = polymod(c, position & 31);
+        group = group * 3 + (position >> 5);
+        if (++groupSize === 3) {
+            c = polymod(c, group);
+            group = 0;
+            groupSize = 0;
+        }
+    }
+    if (groupSize > 0) c = polymod(c, group);
+    for (let i = 0; i < 8; i++) c = polymod(c, 0);
+    c ^= 1n;
+
+    let checksum = '';
+    for (let i = 0; i < 8; i++) {
+        checksum += CHECKSUM_CHARSET[Number((c >> BigInt(5 * (7 - i))) & 31n)];
+    }
+    return checksum;
+}
+
+// Split off and verify the #checksum, if there is one
+function splitChecksum(text) {
+    const [body, checksum, ...extra] = text.split('#');
+    if (extra.length > 0) throw new Error('Multiple # symbols in descriptor');
+    if (checksum === undefined) return { body, checksum: null };
+    if (checksum.length !== 8) throw new Error(`Checksum ${checksum} is not 8 characters`);
+    const expected = descriptorChecksum(body);
+    if (checksum !== expected) throw new Error(`Invalid checksum ${checksum}, expected ${expected}`);
+    return { body, checksum };
+}
+
+// The descriptor with its checksum appended (replacing any it had)
+function addChecksum(text) {
+    const body = text.split('#')[0];
+    return `${body}#${descriptorChecksum(body)}`;
+}
+
+// -------------------------------------------------
+// Key expressions
+// -------------------------------------------------
+
+function parsePathStep(step) {
+    const match = /^(\d+)(['h]?)$/.exec(step);
+    if (!match) throw new Error(`Invalid derivation step ${step || '(empty)'}`);
+    const value = Number(match[1]);
+    if (value >= HARDENED) throw new Error(`Derivation index ${match[1]} is out of range`);
+    return match[2] ? value + HARDENED : value;
+}
+
+function formatPath(steps) {
+    return steps.map(step => (step >= HARDENED ? `${step - HARDENED}'` : `${step}`)).join('/');
+}
+
+function parseExtendedKey(text) {
+    for (const network of NETWORKS) {
+        try {
+            return { node: bip32.fromBase58(text, network), network };
+        } catch (error) {
+            // Wrong version bytes for this network: try the next one
+        }
+    }
+    return null;
+}
+
+function parseWif(text) {
+    try {
+        const keyPair = ECPair.fromWIF(text, NETWORKS);
+        return { pubkey: keyPair.publicKey, network: keyPair.network };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse a KEY expression. `context` is 'legacy' (uncompressed keys allowed),
+// 'segwit' (compressed keys only) or 'tapscript' (x-only keys allowed too).
+function parseKeyExpression(text, context) {
+    let rest = text;
+    let origin = null;
+    const originMatch = /^\[([^\]]*)\](.*)$/.exec(text);
+    if (originMatch) {
+        const [fingerprint, ...steps] = originMatch[1].split('/');
+        if (!/^[0-9a-fA-F]{8}$/.test(fingerprint)) {
+            throw new Error(`Key origin fingerprint ${fingerprint} is not 8 hex characters`);
+        }
+        origin = { fingerprint: Buffer.from(fingerprint, 'hex'), path: steps.map(parsePathStep) };
+        rest = originMatch[2];
+    }
+    if (rest.includes('[') || rest.includes(']')) throw new Error(`Misplaced key origin in ${text}`);
+
+    const [keyText, ...steps] = rest.split('/');
+    let wildcard = null;
+    if (steps.length > 0 && /^\*['h]?$/.test(steps[steps.length - 1])) {
+        wildcard = steps.pop().length > 1 ? 'hardened' : 'unhardened';
+    }
+    const key = { text, origin, path: steps.map(parsePathStep), wildcard, extended: null, pubkey: null, network: null };
+
+    const extended = parseExtendedKey(keyText);
+    if (extended) {
+        key.extended = extended.node;
+        key.network = extended.network;
+        const hardened = key.path.some(step => step >= HARDENED) || wildcard === 'hardened';
+        if (hardened && extended.node.isNeutered()) {
+            throw new Error(`Hardened derivation from ${keyText.slice(0, 4)} needs the private key: ${text}`);
+        }
+        return key;
+    }
+
+    if (key.path.length > 0 || wildcard) throw new Error(`Only extended keys take a derivation path: ${text}`);
+    if (/^[0-9a-fA-F]+$/.test(keyText)) {
+        key.pubkey = Buffer.from(keyText, 'hex');
+        const xOnly = key.pubkey.length === 32 && context === 'tapscript';
+        if (xOnly ? !tinysecp.isXOnlyPoint(key.pubkey) : !tinysecp.isPoint(key.pubkey)) {
+            throw new Error(`${keyText} is not a valid public key ${context === 'tapscript' ? 'or x-only key' : ''}`.trim());
+        }
+    } else {
+        const wif = parseWif(keyText);
+        if (!wif) throw new Error(`${keyText} is not a public key, WIF key or extended key`);
+        key.pubkey = wif.pubkey;
+        key.network = wif.network;
+    }
+    if (key.pubkey.length === 65 && context !== 'legacy') {
+        throw new Error(`Uncompressed key ${keyText} is not allowed in segwit scripts`);
+    }
+    return key;
+}
+
+// The key's public key at `index` (ignored unless the key is ranged), with
+// the key's full origin: [fingerprint/path]
+function deriveKey(key, index) {
+    let pubkey = key.pubkey;
+    let steps = key.path;
+    if (key.extended) {
+        if (key.wildcard) steps = [...steps, key.wildcard === 'hardened' ? index + HARDENED : index];
+        pubkey = steps.reduce((node, step) => node.derive(step), key.extended).publicKey;
+    }
+
+    const fingerprint = key.origin ? key.origin.fingerprint
+        : key.extended ? key.extended.fingerprint
+        : bitcoin.crypto.hash160(pubkey).slice(0, 4);
+    const path = [...(key.origin ? key.origin.path : []), ...steps];
+    return {
+        pubkey,
+        origin: `[${[Buffer.from(fingerprint).toString('hex'), ...(path.length > 0 ? [formatPath(path)] : [])].join('/')}]`
+    };
+}
+
+// Public keys in tapscript and taproot outputs drop the parity byte
+const toXOnly = (pubkey) => (pubkey.length === 33 ? pubkey.slice(1, 33) : pubkey);
+
+// -------------------------------------------------
+// Script expressions
+// -------------------------------------------------
+
+// Split a comma-separated list at its top level: parentheses, brackets and
+// braces nest, so key origins and taproot trees stay whole
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if ('([{'.includes(text[i])) depth++;
+        if (')]}'.includes(text[i]) && --depth < 0) throw new Error(`Unbalanced ${text[i]} in ${text}`);
+        if (text[i] === ',' && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    if (depth !== 0) throw new Error(`Unbalanced brackets in ${text}`);
+    parts.push(text.slice(start));
+    return parts;
+}
+
+// `name(arg,...)` as { name, args }, or null for anything else
+function parseCall(text) {
+    const match = /^([a-z_]+)\((.*)\)$/.exec(text);
+    if (!match) return null;
+    return { name: match[1], args: splitTopLevel(match[2]) };
+}
+
+const keyContextOf = (place) => ({ top: 'legacy', sh: 'legacy', wsh: 'segwit', leaf: 'tapscript' })[place];
+
+function parseThreshold(name, text, count) {
+    if (!/^\d+$/.test(text)) throw new Error(`${name}() threshold ${text} is not a number`);
+    const k = Number(text);
+    if (k < 1 || k > count) throw new Error(`${name}() threshold ${k} must be between 1 and the ${count} keys`);
+    return k;
+}
+
+// A Miniscript expression inside wsh() or a taproot leaf. Its keys are key
+// expressions, so it is parsed again with the keys of every index.
+function parseMiniscriptExpression(text, place, keys) {
+    const context = place === 'leaf' ? 'tapscript' : 'segwit';
+    const found = [];
+    const node = parseMiniscript(text, {
+        context,
+        keys: (name) => {
+            const key = parseKeyExpression(name, context);
+            found.push(key);
+            return place === 'leaf' ? toXOnly(deriveKey(key, 0).pubkey) : deriveKey(key, 0).pubkey;
+        }
+    });
+    const type = analyzeMiniscript(node).type;
+    if (type[0] !== 'B') throw new Error(`Miniscript ${text} has type ${type}, ${PLACES[place]} it must be B`);
+    keys.push(...found);
+    return { type: 'miniscript', text, context };
+}
+
+// Parse a script expression appearing at `place`; every key expression
+// found is appended to `keys`
+function parseScript(text, place, keys, options) {
+    const call = parseCall(text);
+    const name = call ? call.name : null;
+    const args = call ? call.args : [];
+    const takes = (count) => {
+        if (args.length !== count) throw new Error(`${name}() takes ${count} argument${count === 1 ? '' : 's'}, got ${args.length}`);
+    };
+    const allowedIn = (...places) => {
+        if (!places.includes(place)) throw new Error(`${name}() is not allowed ${PLACES[place]}`);
+    };
+    const key = (argument, context = keyContextOf(place)) => {
+        const parsed = parseKeyExpression(argument, context);
+        keys.push(parsed);
+        return parsed;
+    };
+
+    switch (name) {
+        case 'pk':
+        case 'pkh':
+            takes(1);
+            return { type: name, key: key(args[0]), place };
+        case 'wpkh':
+            allowedIn('top', 'sh');
+            takes(1);
+            return { type: 'wpkh', key: key(args[0], 'segwit') };
+        case 'sh':
+            allowedIn('top');
+            takes(1);
+            return { type: 'sh', script: parseScript(args[0], 'sh', keys, options) };
+        case 'wsh':
+            allowedIn('top', 'sh');
+            takes(1);
+            return { type: 'wsh', script: parseScript(args[0], 'wsh', keys, options) };
+        case 'multi':
+        case 'sortedmulti': {
+            allowedIn('top', 'sh', 'wsh');
+            if (args.length < 2) throw new Error(`${name}() needs a threshold and at least one key`);
+            const multiKeys = args.slice(1).map(argument => key(argument));
+            if (multiKeys.length > MAX_MULTI_KEYS[place]) {
+                throw new Error(`${name}() takes at most ${MAX_MULTI_KEYS[place]} keys ${PLACES[place]}, got ${multiKeys.length}`);
+            }
+            return { type: name, threshold: parseThreshold(name, args[0], multiKeys.length), keys: multiKeys };
+        }
+        case 'sortedmulti_a': {
+            allowedIn('leaf');
+            if (args.length < 2) throw new Error(`${name}() needs a threshold and at least one key`);
+            const multiKeys = args.slice(1).map(argument => key(argument));
+            return { type: name, threshold: parseThreshold(name, args[0], multiKeys.length), keys: multiKeys };
+        }
+        case 'tr': {
+            allowedIn('top');
+            if (args.length !== 1 && args.length !== 2) throw new Error(`tr() takes a key and an optional tree, got ${args.length} arguments`);
+            const internalKey = key(args[0], 'tapscript');
+            return { type: 'tr', key: internalKey, tree: args.length === 2 ? parseTapTree(args[1], keys, options) : null };
+        }
+        case 'addr': {
+            allowedIn('top');
+            takes(1);
+            for (const network of options.network ? [options.network] : NETWORKS) {
+                try {
+                    return { type: 'addr', script: bitcoin.address.toOutputScript(args[0], network), network };
+                } catch (error) {
+                    // Not an address of this network
+                }
+            }
+            throw new Error(`${args[0]} is not a valid address${options.network ? ' for this network' : ''}`);
+        }
+        case 'raw':
+            allowedIn('top');
+            takes(1);
+            if (!/^([0-9a-fA-F]{2})*$/.test(args[0])) throw new Error(`raw() takes a hex script, got ${args[0]}`);
+            return { type: 'raw', script: Buffer.from(args[0], 'hex') };
+        default:
+            if (place === 'wsh' || place === 'leaf') return parseMiniscriptExpression(text, place, keys);
+            throw new Error(`${call ? `Unknown script expression ${name}()` : `Expected a script expression, got ${text}`}`);
+    }
+}
+
+// A taproot tree: a leaf script or a pair {TREE,TREE}, nested as
+// buildTapTree() shapes
+function parseTapTree(text, keys, options) {
+    if (!text.startsWith('{')) return parseScript(text, 'leaf', keys, options);
+    if (!text.endsWith('}')) throw new Error(`Unbalanced braces in ${text}`);
+    const branches = splitTopLevel(text.slice(1, -1));
+    if (branches.length !== 2) throw new Error(`A tree branch {A,B} needs two children, got ${branches.length}`);
+    return branches.map(branch => parseTapTree(branch, keys, options));
+}
+
+// Parse a descriptor. The network for addresses is `network`, or the one
+// its extended keys, WIF keys or addr() belong to, or mainnet.
+function parseDescriptor(text, { network } = {}) {
+    const { body, checksum } = splitChecksum(text.trim());
+    const keys = [];
+    const script = parseScript(body, 'top', keys, { network });
+    const inferred = [script, ...keys].find(item => item.network);
+
+    const descriptor = {
+        text: body,
+        checksum: checksum || descriptorChecksum(body),
+        script,
+        keys,
+        isRange: keys.some(key => key.wildcard !== null),
+        network: network || (inferred ? inferred.network : bitcoin.networks.bitcoin)
+    };
+    // Scripts that only fail once built (an oversized redeem script)
+    // are reported now rather than on the first derivation
+    deriveDescriptor(descriptor, 0);
+    return descriptor;
+}
+
+// -------------------------------------------------
+// Derivation
+// -------------------------------------------------
+
+// The scripts of `node` at `index`: its output script, and the redeem and
+// witness scripts or taproot tree it commits to
+function buildScript(node, index) {
+    const pubkey = (key) => deriveKey(key, index).pubkey;
+    // Tapscript keys are x-only, in pk() as in the hash of pkh()
+    const scriptKey = (key) => (node.place === 'leaf' ? toXOnly(pubkey(key)) : pubkey(key));
+    switch (node.type) {
+        case 'pk':
+            return { output: bitcoin.script.compile([scriptKey(node.key), OPS.OP_CHECKSIG]) };
+        case 'pkh':
+            return { output: bitcoin.payments.p2pkh({ hash: bitcoin.crypto.hash160(scriptKey(node.key)) }).output };
+        case 'wpkh':
+            return { output: bitcoin.payments.p2wpkh({ pubkey: pubkey(node.key) }).output };
+        case 'multi':
+        case 'sortedmulti': {
+            const pubkeys = node.keys.map(pubkey);
+            if (node.type === 'sortedmulti') pubkeys.sort(Buffer.compare);
+            return { output: bitcoin.payments.p2ms({ m: node.threshold, pubkeys }).output };
+        }
+        case 'sortedmulti_a': {
+            const pubkeys = node.keys.map(key => toXOnly(pubkey(key))).sort(Buffer.compare);
+            return {
+                output: bitcoin.script.compile([
+                    ...pubkeys.flatMap((key, i) => [key, i === 0 ? OPS.OP_CHECKSIG : OPS.OP_CHECKSIGADD]),
+                    bitcoin.script.number.encode(node.threshold),
+                    OPS.OP_NUMEQUAL
+                ])
+            };
+        }
+        case 'miniscript': {
+            const miniscript = parseMiniscript(node.text, {
+                context: node.context,
+                keys: (name) => {
+                    const derived = deriveKey(parseKeyExpression(name, node.context), index).pubkey;
+                    return node.context === 'tapscript' ? toXOnly(derived) : derived;
+                }
+            });
+            return { output: miniscriptToScript(miniscript) };
+        }
+        case 'sh': {
+            const inner = buildScript(node.script, index);
+            if (inner.output.length > MAX_REDEEM_SCRIPT_SIZE) {
+                throw new Error(`Redeem script is ${inner.output.length} bytes, P2SH allows at most ${MAX_REDEEM_SCRIPT_SIZE}`);
+            }
+            return {
+                output: bitcoin.payments.p2sh({ redeem: { output: inner.output } }).output,
+                redeemScript: inner.output,
+                witnessScript: inner.witnessScript
+            };
+        }
+        case 'wsh': {
+            const inner = buildScript(node.script, index);
+            return { output: bitcoin.payments.p2wsh({ redeem: { output: inner.output } }).output, witnessScript: inner.output };
+        }
+        case 'tr': {
+            const leaf = (shape) => (Array.isArray(shape) ? shape.map(leaf) : { script: buildScript(shape, index).output });
+            const taproot = computeTaprootOutput(toXOnly(pubkey(node.key)), node.tree ? buildTapTree(leaf(node.tree)) : null);
+            return { output: taproot.output, taproot };
+        }
+        case 'addr':
+        case 'raw':
+            return { output: node.script };
+        default:
+            throw new Error(`Unknown script expression ${node.type}`);
+    }
+}
+
+// The scriptPubKey and address (null for scripts without one, such as
+// bare multisig) of `descriptor` at `index`, with the scripts it commits
+// to and every key it uses with its origin
+function deriveDescriptor(descriptor, index = 0) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED) {
+        throw new Error(`Derivation index ${index} must be an integer from 0 to ${HARDENED - 1}`);
+    }
+    const scripts = buildScript(descriptor.script, index);
+    let address = null;
+    try {
+        address = bitcoin.address.fromOutputScript(scripts.output, descriptor.network);
+    } catch (error) {
+        // No address format for this script
+    }
+    return {
+        index,
+        scriptPubKey: scripts.output,
+        address,
+        redeemScript: scripts.redeemScript || null,
+        witnessScript: scripts.witnessScript || null,
+        taproot: scripts.taproot || null,
+        keys: descriptor.keys.map(key => ({ text: key.text, ...deriveKey(key, index) }))
+    };
+}
+
+// Derive indexes `start` to `end` (inclusive, as Bitcoin Core's
+// deriveaddresses); a descriptor that is not ranged has only index 0
+function expandDescriptor(descriptor, start = 0, end = start) {
+    if (!descriptor.isRange && (start !== 0 || end !== 0)) {
+        throw new Error('Only ranged descriptors (with a /* key) take an index range');
+    }
+    if (end < start) throw new Error(`Range end ${end} is before its start ${start}`);
+    if (end - start >= MAX_RANGE_SIZE) {
+        throw new Error(`Range ${start}-${end} is too large: at most ${MAX_RANGE_SIZE} indexes at once`);
+    }
+    const results = [];
+    for (let index = start; index <= end; index++) {
+        results.push(deriveDescriptor(descriptor, index));
+    }
+    return results;
+}
+
+module.exports = {
+    addChecksum,
+    deriveDescriptor,
+    descriptorChecksum,
+    expandDescriptor,
+    parseDescriptor
+};
@@ -1,26 +1,67 @@
 const bitcoin = require('bitcoinjs-lib');
-const { ECPairFactory } = require('ecpair');
-const tinysecp = require('tiny-secp256k1');
+const { SCRIPT_VERIFY, verifyScript } = require('./script-interpreter');
+const { MessageSignatureChecker, signMessage } = require('./message-checker');
+const { assemble, formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { labWallet, participantKey, participantPath } = require('./wallet');
 
-const ECPair = ECPairFactory(tinysecp);
 const network = bitcoin.networks.testnet;
+const wallet = labWallet();
 
-// Generate a random key pair
-const keyPair = ECPair.makeRandom({ network });
-const publicKey = keyPair.publicKey;
-const publicKeyHash = bitcoin.crypto.hash160(publicKey);
+// Alice's key from the lab wallet on the standard path of `scriptType`
+// (BIP44 legacy, BIP49 nested segwit, BIP84 native segwit): the same on
+// every run
+function aliceKey(scriptType) {
+    const keyPair = participantKey(wallet, 'Alice', scriptType);
+    return { keyPair, publicKey: keyPair.publicKey, publicKeyHash: bitcoin.crypto.hash160(keyPair.publicKey) };
+}
 
 console.log('----- Bitcoin Script Implementation -----');
 console.log('\nKey Information:');
-console.log('Private Key (WIF):', keyPair.toWIF());
-console.log('Public Key (hex):', publicKey.toString('hex'));
-console.log('Public Key Hash (hex):', publicKeyHash.toString('hex'));
+for (const [scriptType, spends] of [['p2pkh', 'P2PKH, P2SH'], ['p2wpkh', 'P2WPKH, P2WSH'], ['p2sh-p2wpkh', 'P2SH-P2WPKH, P2SH-P2WSH']]) {
+    const { keyPair, publicKey, publicKeyHash } = aliceKey(scriptType);
+    console.log(`\nAlice's key for ${spends}:`);
+    console.log('Derivation Path:', participantPath(wallet, 'Alice', scriptType));
+    console.log('Private Key (WIF):', keyPair.toWIF());
+    console.log('Public Key (hex):', publicKey.toString('hex'));
+    console.log('Public Key Hash (hex):', publicKeyHash.toString('hex'));
+}
+
+// Print a script's ASM (known values by name) followed by its bytes
+function printScript(title, script, labels) {
+    console.log(`\n${title}:`);
+    console.log(formatScript(script, { labels }));
+    console.log(`(hex: ${script.toString('hex')})`);
+}
+
+// Verify a multisig spend (signatures sign the demo message) and show how
+// OP_CHECKMULTISIG paired each signature with a public key
+function verifyMultisigSpend(label, scriptSig, scriptPubKey, options, names) {
+    let attempts = [];
+    const onStep = (step) => {
+        if (step.details && step.details.multisig) attempts = step.details.multisig;
+    };
+    
+    let result = 'VALID';
+    try {
+        verifyScript(scriptSig, scriptPubKey, { checker: new MessageSignatureChecker(), ...options, onStep });
+    } catch (error) {
+        result = `INVALID (${error.fullCode})`;
+    }
+    
+    console.log(`\n${label}: ${result}`);
+    for (const attempt of attempts) {
+        const signer = names[attempt.signature.toString('hex')] || 'unknown';
+        const owner = names[attempt.publicKey.toString('hex')] || 'unknown';
+        console.log(`   sig #${attempt.signatureIndex + 1} (${signer}) vs pubkey #${attempt.keyIndex + 1} (${owner}): ${attempt.valid ? 'match' : 'no match'}`);
+    }
+}
 
 // ---------------------------------------------------
 // 1. Legacy P2PKH (Pay to Public Key Hash)
 // ---------------------------------------------------
 function demonstrateP2PKH() {
     console.log('\n----- Legacy P2PKH -----');
+    const { keyPair, publicKey, publicKeyHash } = aliceKey('p2pkh');
     
     // Create P2PKH address
     const p2pkhAddress = bitcoin.payments.p2pkh({ 
@@ -30,17 +71,17 @@ function demonstrateP2PKH() {
     
     console.log('P2PKH Address:', p2pkhAddress);
     
-    // Locking Script (ScriptPubKey)
-    console.log('\nLocking Script (ScriptPubKey):');
-    console.log('OP_DUP OP_HASH160 <publicKeyHash> OP_EQUALVERIFY OP_CHECKSIG');
+    const bindings = { signature: signMessage(keyPair), publicKey, publicKeyHash };
+    const labels = labelsFor(bindings);
+    const scriptPubKey = bitcoin.payments.p2pkh({ pubkey: publicKey, network }).output;
+    const scriptSig = assemble('<signature> <publicKey>', bindings);
     
-    // Unlocking Script (ScriptSig)
-    console.log('\nUnlocking Script (ScriptSig):');
-    console.log('<signature> <publicKey>');
+    printScript('Locking Script (ScriptPubKey)', scriptPubKey, labels);
+    printScript('Unlocking Script (ScriptSig)', scriptSig, labels);
     
     // How it works when combined
     console.log('\nCombined Script Execution:');
-    console.log('1. <signature> <publicKey> OP_DUP OP_HASH160 <publicKeyHash> OP_EQUALVERIFY OP_CHECKSIG');
+    console.log(`1. ${formatScript(Buffer.concat([scriptSig, scriptPubKey]), { labels })}`);
     console.log('2. Stack: [<signature>, <publicKey>]');
     console.log('3. OP_DUP duplicates the top item (publicKey)');
     console.log('   Stack: [<signature>, <publicKey>, <publicKey>]');
@@ -59,9 +100,10 @@ function demonstrateP2PKH() {
 // ---------------------------------------------------
 function demonstrateP2SH() {
     console.log('\n----- Legacy P2SH -----');
+    const { keyPair, publicKey } = aliceKey('p2pkh');
     
     // Create a simple redeem script (2-of-2 multisig)
-    const keyPair2 = ECPair.makeRandom({ network });
+    const keyPair2 = participantKey(wallet, 'Bob', 'p2pkh');
     
     const redeemScript = bitcoin.payments.p2ms({
         m: 2,
@@ -76,24 +118,59 @@ function demonstrateP2SH() {
     }).address;
     
     console.log('P2SH Address:', p2shAddress);
-    console.log('Redeem Script (hex):', redeemScript.toString('hex'));
     
-    // Locking Script (ScriptPubKey)
-    console.log('\nLocking Script (ScriptPubKey):');
-    console.log('OP_HASH160 <redeemScriptHash> OP_EQUAL');
+    const bindings = {
+        signature1: signMessage(keyPair),
+        signature2: signMessage(keyPair2),
+        publicKey1: publicKey,
+        publicKey2: keyPair2.publicKey,
+        redeemScript,
+        redeemScriptHash: bitcoin.crypto.hash160(redeemScript)
+    };
+    const labels = labelsFor(bindings);
+    const scriptPubKey = bitcoin.payments.p2sh({ redeem: { output: redeemScript }, network }).output;
+    const scriptSig = assemble('OP_0 <signature1> <signature2> <redeemScript>', bindings);
     
-    // Unlocking Script (ScriptSig)
-    console.log('\nUnlocking Script (ScriptSig):');
-    console.log('<signature1> <signature2> <redeemScript>');
+    printScript('Redeem Script', redeemScript, labels);
+    printScript('Locking Script (ScriptPubKey)', scriptPubKey, labels);
+    printScript('Unlocking Script (ScriptSig)', scriptSig, labels);
     
     // How it works when combined
     console.log('\nCombined Script Execution:');
-    console.log('1. <signature1> <signature2> <redeemScript> OP_HASH160 <redeemScriptHash> OP_EQUAL');
+    console.log(`1. ${formatScript(Buffer.concat([scriptSig, scriptPubKey]), { labels })}`);
     console.log('2. OP_HASH160 hashes the redeemScript');
-    console.log('3. Stack: [<signature1>, <signature2>, <hash of redeemScript>, <redeemScriptHash>]');
+    console.log('3. Stack: [<>, <signature1>, <signature2>, <hash of redeemScript>, <redeemScriptHash>]');
     console.log('4. OP_EQUAL compares the top two items');
     console.log('5. If equal, the redeemScript is then executed with the remaining stack items');
-    console.log('6. For multisig, it would check if the provided signatures are valid');
+    console.log('6. OP_CHECKMULTISIG checks the signatures against the public keys in order');
+    
+    // Run the spend for real. OP_CHECKMULTISIG pops one element more than it
+    // needs, so every scriptSig starts with a dummy OP_0.
+    const names = {
+        [bindings.signature1.toString('hex')]: 'signature of key 1',
+        [bindings.signature2.toString('hex')]: 'signature of key 2',
+        [publicKey.toString('hex')]: 'key 1',
+        [keyPair2.publicKey.toString('hex')]: 'key 2'
+    };
+    const flags = SCRIPT_VERIFY.P2SH;
+    
+    // Each spend is labelled with the disassembly of its own scriptSig
+    const run = (asm, note, options = { flags }) => {
+        const scriptSig = assemble(asm, bindings);
+        const label = formatScript(scriptSig, { labels }) + (note ? ` (${note})` : '');
+        verifyMultisigSpend(label, scriptSig, scriptPubKey, options, names);
+    };
+    
+    run('OP_0 <signature1> <signature2> <redeemScript>');
+    
+    run('OP_0 <signature2> <signature1> <redeemScript>', 'signatures out of order');
+    console.log('   Matching starts at the last signature and the last key. A key that does not');
+    console.log('   match is skipped for good, so <signature1> is left with no key to match.');
+    
+    run('<signature1> <signature2> <redeemScript>', 'no dummy element');
+    
+    run('OP_1 <signature1> <signature2> <redeemScript>', 'non-empty dummy');
+    run('OP_1 <signature1> <signature2> <redeemScript>', 'NULLDUMMY enforced as in BIP147', { flags: flags | SCRIPT_VERIFY.NULLDUMMY });
 }
 
 // ---------------------------------------------------
@@ -101,6 +178,7 @@ function demonstrateP2SH() {
 // ---------------------------------------------------
 function demonstrateP2WPKH() {
     console.log('\n----- Segwit P2WPKH -----');
+    const { keyPair, publicKey, publicKeyHash } = aliceKey('p2wpkh');
     
     // Create P2WPKH address
     const p2wpkhAddress = bitcoin.payments.p2wpkh({ 
@@ -110,20 +188,24 @@ function demonstrateP2WPKH() {
     
     console.log('P2WPKH Address:', p2wpkhAddress);
     
-    // Locking Script (ScriptPubKey)
-    console.log('\nLocking Script (ScriptPubKey):');
-    console.log('OP_0 <publicKeyHash>');
+    const bindings = { signature: signMessage(keyPair), publicKey, publicKeyHash };
+    const labels = labelsFor(bindings);
+    const scriptPubKey = bitcoin.payments.p2wpkh({ pubkey: publicKey, network }).output;
+    printScript('Locking Script (ScriptPubKey)', scriptPubKey, labels);
     
-    // Unlocking (Witness)
+    // Unlocking (Witness): a list of stack items rather than a script
     console.log('\nWitness Data:');
-    console.log('Witness: [<signature>, <publicKey>]');
+    console.log('Witness:', formatWitness([bindings.signature, publicKey], labels));
+    
+    // The script a version 0, 20-byte program stands for
+    const scriptCode = bitcoin.payments.p2pkh({ hash: publicKeyHash, network }).output;
     
     // How it works
     console.log('\nExecution:');
     console.log('1. The witness data is not part of the scriptSig but in a separate witness field');
-    console.log('2. Node constructs and executes: <signature> <publicKey> OP_DUP OP_HASH160 <publicKeyHash> OP_EQUALVERIFY OP_CHECKSIG');
-    console.log('3. The execution is the same as P2PKH, but the signature verification includes the previous output value');
-    console.log('4. This provides a fix for the transaction malleability issue and reduces transaction size');
+    console.log(`2. Node constructs and executes: ${formatScript(Buffer.concat([assemble('<signature> <publicKey>', bindings), scriptCode]), { labels })}`);
+    console.log('3. The execution is the same as P2PKH, but the signature also commits to the previous output value (BIP143)');
+    console.log('4. The txid leaves out the witness, which fixes third-party malleability; witness bytes also cost less in fees');
 }
 
 // ---------------------------------------------------
@@ -131,9 +213,10 @@ function demonstrateP2WPKH() {
 // ---------------------------------------------------
 function demonstrateP2WSH() {
     console.log('\n----- Segwit P2WSH -----');
+    const { keyPair, publicKey } = aliceKey('p2wpkh');
     
     // Create a witness script (2-of-2 multisig)
-    const keyPair2 = ECPair.makeRandom({ network });
+    const keyPair2 = participantKey(wallet, 'Bob', 'p2wpkh');
     
     const witnessScript = bitcoin.payments.p2ms({
         m: 2,
@@ -148,15 +231,26 @@ function demonstrateP2WSH() {
     }).address;
     
     console.log('P2WSH Address:', p2wshAddress);
-    console.log('Witness Script (hex):', witnessScript.toString('hex'));
     
-    // Locking Script (ScriptPubKey)
-    console.log('\nLocking Script (ScriptPubKey):');
-    console.log('OP_0 <witnessScriptHash>');
+    const sig1 = signMessage(keyPair);
+    const sig2 = signMessage(keyPair2);
+    const labels = labelsFor({
+        signature1: sig1,
+        signature2: sig2,
+        publicKey1: publicKey,
+        publicKey2: keyPair2.publicKey,
+        witnessScript,
+        witnessScriptHash: bitcoin.crypto.sha256(witnessScript)
+    });
+    const scriptPubKey = bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network }).output;
+    const witness = [Buffer.alloc(0), sig1, sig2, witnessScript];
+    
+    printScript('Witness Script', witnessScript, labels);
+    printScript('Locking Script (ScriptPubKey)', scriptPubKey, labels);
     
-    // Unlocking (Witness)
+    // Unlocking (Witness): a list of stack items rather than a script
     console.log('\nWitness Data:');
-    console.log('Witness: [<signature1>, <signature2>, <witnessScript>]');
+    console.log('Witness:', formatWitness(witness, labels));
     
     // How it works
     console.log('\nExecution:');
@@ -164,10 +258,131 @@ function demonstrateP2WSH() {
     console.log('2. The node verifies that the hash of the witness script matches the witnessScriptHash in the output');
     console.log('3. The node then executes the witness script with the provided witness data');
     console.log('4. For multisig, it checks that the required number of valid signatures are provided');
+    
+    // Run the spend for real: the scriptSig is empty and the witness holds the data
+    const names = {
+        [sig1.toString('hex')]: 'signature of key 1',
+        [sig2.toString('hex')]: 'signature of key 2',
+        [publicKey.toString('hex')]: 'key 1',
+        [keyPair2.publicKey.toString('hex')]: 'key 2'
+    };
+    verifyMultisigSpend(`Witness: ${formatWitness(witness, labels)}`, Buffer.alloc(0), scriptPubKey,
+        { flags: SCRIPT_VERIFY.WITNESS | SCRIPT_VERIFY.NULLDUMMY, witness }, names);
+}
+
+// ---------------------------------------------------
+// 5. Nested Segwit P2SH-P2WPKH (P2WPKH inside P2SH)
+// ---------------------------------------------------
+function demonstrateP2SHP2WPKH() {
+    console.log('\n----- Nested Segwit P2SH-P2WPKH -----');
+    const { keyPair, publicKey, publicKeyHash } = aliceKey('p2sh-p2wpkh');
+    
+    // The P2WPKH output script becomes the redeem script of a P2SH address,
+    // so wallets that only know P2SH addresses can still pay to it
+    const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: publicKey, network });
+    const p2sh = bitcoin.payments.p2sh({ redeem: p2wpkh, network });
+    
+    console.log('P2SH-P2WPKH Address:', p2sh.address);
+    
+    const bindings = {
+        signature: signMessage(keyPair),
+        publicKey,
+        publicKeyHash,
+        redeemScript: p2wpkh.output,
+        redeemScriptHash: bitcoin.crypto.hash160(p2wpkh.output)
+    };
+    const labels = labelsFor(bindings);
+    const scriptSig = assemble('<redeemScript>', bindings);
+    const witness = [bindings.signature, publicKey];
+    
+    printScript('Redeem Script (a P2WPKH program)', p2wpkh.output, labels);
+    printScript('Locking Script (ScriptPubKey)', p2sh.output, labels);
+    printScript('Unlocking Script (ScriptSig)', scriptSig, labels);
+    console.log('\nWitness Data:');
+    console.log('Witness:', formatWitness(witness, labels));
+    
+    // How it works
+    console.log('\nExecution:');
+    console.log('1. The scriptSig pushes the redeem script and OP_HASH160 <redeemScriptHash> OP_EQUAL checks it');
+    console.log('2. The redeem script is a version 0 witness program, so it is run as P2WPKH with the witness');
+    console.log('3. The scriptSig must be exactly that one push: anything else could change the txid');
+    
+    // Run the spend for real, then with an extra push in front of the redeem script
+    const flags = SCRIPT_VERIFY.P2SH | SCRIPT_VERIFY.WITNESS;
+    const run = (asm, note) => {
+        const spendScriptSig = assemble(asm, bindings);
+        let result = 'VALID';
+        try {
+            verifyScript(spendScriptSig, p2sh.output, { flags, witness, checker: new MessageSignatureChecker() });
+        } catch (error) {
+            result = `INVALID (${error.fullCode})`;
+        }
+        console.log(`\n${formatScript(spendScriptSig, { labels })}${note ? ` (${note})` : ''}: ${result}`);
+    };
+    
+    run('<redeemScript>');
+    run('OP_0 <redeemScript>', 'extra push in the scriptSig');
+}
+
+// ---------------------------------------------------
+// 6. Nested Segwit P2SH-P2WSH (P2WSH inside P2SH)
+// ---------------------------------------------------
+function demonstrateP2SHP2WSH() {
+    console.log('\n----- Nested Segwit P2SH-P2WSH -----');
+    const { keyPair, publicKey } = aliceKey('p2sh-p2wpkh');
+    
+    // Three levels: the 2-of-2 multisig witness script, the P2WSH program
+    // that commits to it, and the P2SH output that commits to the program
+    const keyPair2 = participantKey(wallet, 'Bob', 'p2sh-p2wpkh');
+    const p2ms = bitcoin.payments.p2ms({ m: 2, pubkeys: [publicKey, keyPair2.publicKey], network });
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: p2ms, network });
+    const p2sh = bitcoin.payments.p2sh({ redeem: p2wsh, network });
+    
+    console.log('P2SH-P2WSH Address:', p2sh.address);
+    
+    const sig1 = signMessage(keyPair);
+    const sig2 = signMessage(keyPair2);
+    const bindings = {
+        signature1: sig1,
+        signature2: sig2,
+        publicKey1: publicKey,
+        publicKey2: keyPair2.publicKey,
+        witnessScript: p2ms.output,
+        witnessScriptHash: bitcoin.crypto.sha256(p2ms.output),
+        redeemScript: p2wsh.output,
+        redeemScriptHash: bitcoin.crypto.hash160(p2wsh.output)
+    };
+    const labels = labelsFor(bindings);
+    const scriptSig = assemble('<redeemScript>', bindings);
+    const witness = [Buffer.alloc(0), sig1, sig2, p2ms.output];
+    
+    printScript('Witness Script', p2ms.output, labels);
+    printScript('Redeem Script (a P2WSH program)', p2wsh.output, labels);
+    printScript('Locking Script (ScriptPubKey)', p2sh.output, labels);
+    printScript('Unlocking Script (ScriptSig)', scriptSig, labels);
+    console.log('\nWitness Data:');
+    console.log('Witness:', formatWitness(witness, labels));
+    
+    // How it works
+    console.log('\nExecution:');
+    console.log('1. HASH160 of the pushed redeem script must match the redeemScriptHash in the output');
+    console.log('2. SHA256 of the last witness item must match the witnessScriptHash in the redeem script');
+    console.log('3. The witness script then runs with the other witness items, as in P2WSH');
+    
+    const names = {
+        [sig1.toString('hex')]: 'signature of key 1',
+        [sig2.toString('hex')]: 'signature of key 2',
+        [publicKey.toString('hex')]: 'key 1',
+        [keyPair2.publicKey.toString('hex')]: 'key 2'
+    };
+    verifyMultisigSpend(`ScriptSig: ${formatScript(scriptSig, { labels })}, witness: ${formatWitness(witness, labels)}`,
+        scriptSig, p2sh.output, { flags: SCRIPT_VERIFY.P2SH | SCRIPT_VERIFY.WITNESS | SCRIPT_VERIFY.NULLDUMMY, witness }, names);
 }
 
 // Run all demonstrations
 demonstrateP2PKH();
 demonstrateP2SH();
 demonstrateP2WPKH();
-demonstrateP2WSH(); 
\ No newline at end of file
+demonstrateP2WSH(); 
+demonstrateP2SHP2WPKH();
+demonstrateP2SHP2WSH();
@@ -0,0 +1,160 @@
+/**
+ * Transaction Malleability Examples
+ *
+ * Signs the same P2PKH, P2SH multisig, P2WPKH and P2WSH multisig spends as
+ * transaction-examples.js, then makes the changes a third party could make
+ * to each one on its way to a miner: a high-S signature, non-minimal
+ * pushes, an extra OP_0, and an OP_0 OP_DROP. The legacy transactions stay
+ * valid under consensus rules with a new txid, except the P2SH spend with
+ * OP_0 OP_DROP (BIP16 requires a push-only scriptSig); the segwit ones
+ * either keep their txid, with only the wtxid changing, or become invalid.
+ *
+ * Note: These are examples only and are not broadcast to the network.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { MALLEATIONS, malleateInput, wtxidOf } = require('./malleability');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { labWallet, participantKey } = require('./wallet');
+
+const wallet = labWallet();
+const network = bitcoin.networks.testnet;
+
+// Keys on the standard path of each script type: BIP44 for the legacy
+// spends, BIP84 for the segwit ones
+const keysOf = (scriptType) => ({
+    alice: participantKey(wallet, 'Alice', scriptType),
+    bob: participantKey(wallet, 'Bob', scriptType),
+    charlie: participantKey(wallet, 'Charlie', scriptType)
+});
+const legacy = keysOf('p2pkh');
+const segwit = keysOf('p2wpkh');
+
+const multisigOf = ({ alice, bob, charlie }) =>
+    bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey, charlie.publicKey], network });
+const legacyMultisig = multisigOf(legacy);
+const segwitMultisig = multisigOf(segwit);
+const labels = Object.assign({}, ...[legacy, segwit].map((keys) => labelsFor({
+    'Alice': keys.alice.publicKey,
+    'Bob': keys.bob.publicKey,
+    'Charlie': keys.charlie.publicKey,
+    'multisigScript': multisigOf(keys).output
+})));
+
+function createFakePrevTx(output, value) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(Buffer.alloc(32), 0);
+    tx.addOutput(output, value);
+    return tx;
+}
+
+// A signed spend of `output` to Charlie, built with Psbt as
+// transaction-examples.js builds it
+function signedSpend({ output, value, witness, redeemScript, witnessScript, signers }) {
+    const psbt = new bitcoin.Psbt({ network });
+    const prevTx = createFakePrevTx(output, value);
+    psbt.addInput({
+        hash: prevTx.getId(),
+        index: 0,
+        ...(witness ? { witnessUtxo: { script: output, value } } : { nonWitnessUtxo: prevTx.toBuffer() }),
+        ...(redeemScript ? { redeemScript } : {}),
+        ...(witnessScript ? { witnessScript } : {})
+    });
+    psbt.addOutput({ script: bitcoin.payments.p2wpkh({ pubkey: segwit.charlie.publicKey, network }).output, value: value - 10000 });
+    signers.forEach(signer => psbt.signInput(0, signer));
+    psbt.finalizeAllInputs();
+    return { tx: psbt.extractTransaction(), prevOutputs: [prevTx.outs[0]] };
+}
+
+const EXAMPLES = [
+    {
+        name: 'Legacy P2PKH',
+        output: bitcoin.payments.p2pkh({ pubkey: legacy.alice.publicKey, network }).output,
+        value: 100000,
+        signers: [legacy.alice]
+    },
+    {
+        name: 'Legacy P2SH multisig',
+        output: bitcoin.payments.p2sh({ redeem: legacyMultisig, network }).output,
+        value: 200000,
+        redeemScript: legacyMultisig.output,
+        signers: [legacy.alice, legacy.bob]
+    },
+    {
+        name: 'Segwit P2WPKH',
+        output: bitcoin.payments.p2wpkh({ pubkey: segwit.alice.publicKey, network }).output,
+        value: 300000,
+        witness: true,
+        signers: [segwit.alice]
+    },
+    {
+        name: 'Segwit P2WSH multisig',
+        output: bitcoin.payments.p2wsh({ redeem: segwitMultisig, network }).output,
+        value: 400000,
+        witness: true,
+        witnessScript: segwitMultisig.output,
+        signers: [segwit.alice, segwit.bob]
+    }
+];
+
+// -------------------------------------------------
+// Output
+// -------------------------------------------------
+
+const verdict = (result) => (result.valid ? 'valid' : `INVALID (${result.error.fullCode})`);
+const shortId = (id) => `${id.slice(0, 16)}..`;
+
+function printInput(label, input) {
+    if (input.script.length > 0) console.log(`${label} scriptSig: ${formatScript(input.script, { labels })}`);
+    if (input.witness.length > 0) console.log(`${label} witness:   ${formatWitness(input.witness, labels)}`);
+}
+
+// Malleate one example and report, for each attempt, what changed and
+// whether consensus and policy still accept it
+function showMalleations(example) {
+    console.log(`\n----- ${example.name} -----`);
+    const { tx, prevOutputs } = signedSpend(example);
+    console.log(`txid:  ${tx.getId()}`);
+    console.log(`wtxid: ${wtxidOf(tx)}${tx.hasWitnesses() ? '' : ' (the txid: there is no witness)'}`);
+    printInput('Signed', tx.ins[0]);
+
+    const results = [];
+    for (const malleation of MALLEATIONS) {
+        console.log(`\n${malleation.name}: ${malleation.description}`);
+        const result = malleateInput(tx, 0, prevOutputs, malleation);
+        if (result === null) {
+            console.log('  Nothing to change: the input has no scriptSig pushes');
+            continue;
+        }
+        printInput(' ', result.tx.ins[0]);
+        console.log(`  txid:  ${result.txidChanged ? `CHANGED to ${shortId(result.txid)}` : 'unchanged'}`);
+        console.log(`  wtxid: ${result.wtxidChanged ? `CHANGED to ${shortId(result.wtxid)}` : 'unchanged'}`);
+        console.log(`  Consensus: ${verdict(result.consensus)}`);
+        console.log(`  Policy:    ${verdict(result.policy)}`);
+        results.push(result);
+    }
+    return results;
+}
+
+function main() {
+    console.log('\n===== Transaction Malleability =====');
+    console.log('Each spend is signed, then changed by someone without the keys. The');
+    console.log('signatures do not cover the scriptSig or witness, so they still verify.');
+
+    const summary = EXAMPLES.map(example => ({ name: example.name, results: showMalleations(example) }));
+
+    console.log('\n----- Summary -----');
+    console.log(`${'Transaction'.padEnd(24)}Valid malleations  Of those, new txid`);
+    for (const { name, results } of summary) {
+        const valid = results.filter(result => result.consensus.valid);
+        const newTxid = valid.filter(result => result.txidChanged);
+        console.log(`${name.padEnd(24)}${String(valid.length).padEnd(19)}${newTxid.length}`);
+    }
+    console.log('\nA legacy transaction can be mined under a txid its signers never saw,');
+    console.log('breaking any child transaction signed against the original txid. Policy');
+    console.log('rules keep nodes from relaying these variants, but a miner can include');
+    console.log('them. Segwit moves the signatures into the witness, which the txid does');
+    console.log('not cover, so a valid segwit variant keeps its txid.');
+}
+
+main();
@@ -0,0 +1,138 @@
+/**
+ * Transaction Malleability
+ *
+ * Changes anyone relaying a signed transaction can make without the keys:
+ * replacing a signature's S with n - S, re-encoding a push with a larger
+ * push opcode, or adding items the script ignores. None of them touch what
+ * the signatures commit to, so the transaction still spends the same coins
+ * to the same outputs. In a legacy transaction they change the scriptSig,
+ * which the txid covers, so the txid changes. A segwit input's signatures
+ * are in the witness, which only the wtxid covers, and its scriptSig must
+ * stay empty.
+ *
+ * Consensus accepts these malleations in legacy scriptSigs (except non-push
+ * opcodes in a P2SH scriptSig, which BIP16 forbids); policy rules
+ * (LOW_S, MINIMALDATA, CLEANSTACK, SIGPUSHONLY) only stop nodes relaying
+ * them, not miners including them.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { STANDARD_SCRIPT_VERIFY_FLAGS } = require('./policy');
+const { SCRIPT_VERIFY, parseScript, serializePush } = require('./script-interpreter');
+const { verifyTransactionInput } = require('./signature-checker');
+
+const OPS = bitcoin.opcodes;
+
+// Relay policy: the standard script flags, plus the push-only scriptSigs
+// Core's IsStandardTx() requires of every input
+const POLICY_FLAGS = STANDARD_SCRIPT_VERIFY_FLAGS | SCRIPT_VERIFY.SIGPUSHONLY;
+
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+// The same signature with S replaced by n - S: (r, n - S) verifies like
+// (r, S), so this turns a low-S signature into a high-S one and back
+function flipSignatureS(signature) {
+    const decoded = bitcoin.script.signature.decode(signature);
+    const s = BigInt(`0x${decoded.signature.slice(32).toString('hex')}`);
+    const flipped = Buffer.from((CURVE_ORDER - s).toString(16).padStart(64, '0'), 'hex');
+    return bitcoin.script.signature.encode(Buffer.concat([decoded.signature.slice(0, 32), flipped]), decoded.hashType);
+}
+
+const isSignature = (data) => bitcoin.script.isCanonicalScriptSignature(data);
+
+// The pushes of `script` rewritten by `rewrite(op)`, which returns the new
+// bytes of an operation or null to keep them
+function rewritePushes(script, rewrite) {
+    return Buffer.concat(parseScript(script).map(op =>
+        (op.data !== null && rewrite(op)) || script.slice(op.offset, op.next)));
+}
+
+// A push of `data` with the next larger push opcode than `opcode`
+function widenPush(opcode, data) {
+    if (opcode < OPS.OP_PUSHDATA1) return Buffer.concat([Buffer.from([OPS.OP_PUSHDATA1, data.length]), data]);
+    const size = Buffer.alloc(opcode === OPS.OP_PUSHDATA1 ? 2 : 4);
+    if (opcode === OPS.OP_PUSHDATA1) size.writeUInt16LE(data.length);
+    else size.writeUInt32LE(data.length);
+    return Buffer.concat([Buffer.from([opcode === OPS.OP_PUSHDATA1 ? OPS.OP_PUSHDATA2 : OPS.OP_PUSHDATA4]), size, data]);
+}
+
+// -------------------------------------------------
+// Malleations
+// -------------------------------------------------
+
+// Each returns the input's new { script, witness }, or null when there is
+// nothing in the input it applies to
+const MALLEATIONS = [
+    {
+        name: 'High-S signature',
+        description: 'Replace the S of every signature with n - S',
+        apply({ script, witness }) {
+            const hasSignature = parseScript(script).some(op => op.data && isSignature(op.data)) ||
+                witness.some(isSignature);
+            if (!hasSignature) return null;
+            return {
+                script: rewritePushes(script, op => (isSignature(op.data) ? serializePush(flipSignatureS(op.data)) : null)),
+                witness: witness.map(item => (isSignature(item) ? flipSignatureS(item) : item))
+            };
+        }
+    },
+    {
+        name: 'Non-minimal pushes',
+        description: 'Re-encode every scriptSig push with the next larger push opcode (witness items have no push opcodes)',
+        apply({ script, witness }) {
+            if (script.length === 0) return null;
+            return { script: rewritePushes(script, op => widenPush(op.opcode, op.data)), witness };
+        }
+    },
+    {
+        name: 'Extra OP_0',
+        description: 'Push an empty item below the others, in the scriptSig or the witness',
+        apply({ script, witness }) {
+            if (witness.length > 0) return { script, witness: [Buffer.alloc(0), ...witness] };
+            return { script: Buffer.concat([Buffer.from([OPS.OP_0]), script]), witness };
+        }
+    },
+    {
+        name: 'OP_0 OP_DROP',
+        description: 'Prepend a push and an OP_DROP of it to the scriptSig',
+        apply({ script, witness }) {
+            return { script: Buffer.concat([Buffer.from([OPS.OP_0, OPS.OP_DROP]), script]), witness };
+        }
+    }
+];
+
+const wtxidOf = (tx) => Buffer.from(tx.getHash(true)).reverse().toString('hex');
+
+// Apply `malleation` to input `inputIndex` of a copy of `tx`, and check
+// the copy's input under consensus and policy rules. `prevOutputs` are the
+// { script, value } outputs spent by every input. Returns null when the
+// malleation does not apply to the input.
+function malleateInput(tx, inputIndex, prevOutputs, malleation) {
+    const input = tx.ins[inputIndex];
+    const changed = malleation.apply({ script: input.script, witness: input.witness });
+    if (changed === null) return null;
+
+    const malleated = tx.clone();
+    malleated.ins[inputIndex].script = changed.script;
+    malleated.ins[inputIndex].witness = changed.witness;
+    const options = { prevOutputs };
+    return {
+        tx: malleated,
+        txid: malleated.getId(),
+        wtxid: wtxidOf(malleated),
+        txidChanged: malleated.getId() !== tx.getId(),
+        wtxidChanged: wtxidOf(malleated) !== wtxidOf(tx),
+        consensus: verifyTransactionInput(malleated, inputIndex, prevOutputs[inputIndex], options),
+        policy: verifyTransactionInput(malleated, inputIndex, prevOutputs[inputIndex], {
+            ...options,
+            flags: POLICY_FLAGS
+        })
+    };
+}
+
+module.exports = {
+    MALLEATIONS,
+    flipSignatureS,
+    malleateInput,
+    wtxidOf
+};
@@ -0,0 +1,41 @@
+/**
+ * Message Signature Checker
+ *
+ * Some demonstrations execute scripts without a spending transaction. In
+ * those cases the signatures sign a fixed message instead of a transaction
+ * digest, and this checker verifies them against that message's hash so
+ * OP_CHECKSIG still performs a genuine ECDSA verification.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { BaseSignatureChecker } = require('./script-interpreter');
+
+const DEMO_MESSAGE = bitcoin.crypto.sha256(Buffer.from('Bitcoin Script Lab'));
+
+class MessageSignatureChecker extends BaseSignatureChecker {
+    constructor(message = DEMO_MESSAGE) {
+        super();
+        this.message = message;
+    }
+
+    checkECDSASignature(signature, publicKey) {
+        try {
+            const decoded = bitcoin.script.signature.decode(signature);
+            return tinysecp.verify(this.message, publicKey, decoded.signature);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Produce a script signature (DER + SIGHASH_ALL byte) over the message
+function signMessage(keyPair, message = DEMO_MESSAGE) {
+    return bitcoin.script.signature.encode(keyPair.sign(message), bitcoin.Transaction.SIGHASH_ALL);
+}
+
+module.exports = {
+    DEMO_MESSAGE,
+    MessageSignatureChecker,
+    signMessage
+};
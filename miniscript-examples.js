@@ -0,0 +1,208 @@
+/**
+ * Miniscript Examples
+ *
+ * Type checks a few Miniscript expressions, shows the mistakes the type
+ * system catches (wrong types, malleable or unsafe scripts, mixed
+ * timelocks), compiles spending policies for segwit v0 and tapscript, and
+ * spends a compiled policy through P2WSH and a taproot leaf with witnesses
+ * built by the satisfier.
+ *
+ * Note: These are examples only and are not broadcast to the network.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { STANDARD_SCRIPT_VERIFY_FLAGS } = require('./policy');
+const { verifyTransactionInput } = require('./signature-checker');
+const { LEAF_VERSION_TAPSCRIPT } = require('./taproot');
+const { buildTapTree, computeTaprootOutput, findLeaf } = require('./taptree');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const {
+    analyzeMiniscript,
+    compilePolicy,
+    finalizeMiniscriptInput,
+    miniscriptToScript,
+    miniscriptToString,
+    parseMiniscript
+} = require('./miniscript');
+const { labWallet, participantKey } = require('./wallet');
+
+const wallet = labWallet();
+const network = bitcoin.networks.testnet;
+
+// Taproot payments need the library's elliptic curve operations
+bitcoin.initEccLib(tinysecp);
+
+const alice = participantKey(wallet, 'Alice');
+const bob = participantKey(wallet, 'Bob');
+const charlie = participantKey(wallet, 'Charlie');
+const keys = { A: alice.publicKey, B: bob.publicKey, C: charlie.publicKey };
+
+const secret = Buffer.from('miniscript example secret, 32 b!');
+const secretHash = bitcoin.crypto.sha256(secret).toString('hex');
+
+const labels = labelsFor({
+    'A': alice.publicKey,
+    'B': bob.publicKey,
+    'C': charlie.publicKey,
+    'A-x': alice.publicKey.slice(1, 33),
+    'B-x': bob.publicKey.slice(1, 33),
+    'C-x': charlie.publicKey.slice(1, 33),
+    'hash160(B)': bitcoin.crypto.hash160(bob.publicKey),
+    'H': Buffer.from(secretHash, 'hex')
+});
+
+// Long hashes are written as H in the printed expressions
+const shorten = (text) => text.split(secretHash).join('H');
+
+function printVerification(label, result) {
+    if (result.valid) {
+        console.log(label, 'VALID');
+    } else {
+        console.log(label, `INVALID (${result.error.fullCode}: ${result.error.message})`);
+    }
+}
+
+function describe(text, context = 'segwit') {
+    try {
+        const node = parseMiniscript(text, { keys, context });
+        const analysis = analyzeMiniscript(node);
+        console.log(`\n${shorten(miniscriptToString(node))}`);
+        console.log(`  Type: ${analysis.type}, properties ${analysis.properties}`);
+        console.log(`  Script (${analysis.scriptSize} bytes): ${formatScript(miniscriptToScript(node), { labels, numbers: true })}`);
+        console.log(`  Largest satisfaction: ${analysis.maxWitnessSize === null ? 'none' : `${analysis.maxWitnessSize} witness bytes`}`);
+        const problems = [
+            !analysis.nonMalleable && 'malleable: a third party can change a satisfaction',
+            !analysis.needsSignature && 'some spends need no signature',
+            analysis.timelockMix && 'mixes height and time locks in one spend',
+            analysis.duplicateKeys && 'repeats a key'
+        ].filter(Boolean);
+        console.log(`  Sane: ${analysis.sane ? 'yes' : `no (${problems.join('; ')})`}`);
+    } catch (error) {
+        console.log(`\n${shorten(text)}`);
+        console.log(`  Rejected: ${error.message}`);
+    }
+}
+
+// -------------------------------------------------
+// Types
+// -------------------------------------------------
+
+function typeExamples() {
+    console.log('\n----- Miniscript Types -----');
+    describe('pk(A)');
+    describe('and_v(v:pk(A),older(144))');
+    describe('or_d(pk(A),and_v(v:pkh(B),older(144)))');
+    describe('thresh(2,pk(A),s:pk(B),sln:older(1000))');
+
+    console.log('\n----- Mistakes the Type System Catches -----');
+    // pk() is B: it leaves a boolean, and_v needs a V that verifies it
+    describe('and_v(pk(A),pk(B))');
+    // or_b needs its second argument one element down the stack (W)
+    describe('or_b(pk(A),pk(B))');
+    describe('multi(2,A,B,C)', 'tapscript');
+    // Anyone can replace a wrong preimage with another wrong preimage
+    describe(`or_b(pk(A),s:sha256(${secretHash}))`);
+    describe('or_d(pk(A),older(144))');
+    // Block height 100 and a timestamp: no transaction can meet both
+    describe('and_v(v:after(100),after(1700000000))');
+}
+
+// -------------------------------------------------
+// Policies
+// -------------------------------------------------
+
+function policyExamples() {
+    console.log('\n----- Compiling Spending Policies -----');
+    const policies = [
+        'or(pk(A),and(pk(B),older(144)))',
+        'or(99@pk(A),1@and(pk(B),older(144)))',
+        'thresh(2,pk(A),pk(B),pk(C))',
+        'thresh(2,pk(A),pk(B),older(1000))',
+        `or(and(pk(A),sha256(${secretHash})),and(pk(B),after(900000)))`
+    ];
+    for (const policy of policies) {
+        console.log(`\nPolicy: ${shorten(policy)}`);
+        for (const context of ['segwit', 'tapscript']) {
+            const node = compilePolicy(policy, { keys, context });
+            const analysis = analyzeMiniscript(node);
+            console.log(`  ${context.padEnd(10)} ${shorten(miniscriptToString(node))}`);
+            console.log(`  ${''.padEnd(10)} script ${analysis.scriptSize} bytes, witness at most ${analysis.maxWitnessSize} bytes`);
+        }
+    }
+}
+
+// -------------------------------------------------
+// Spending with the satisfier
+// -------------------------------------------------
+
+// Spend `prevOutput` with the witness the satisfier builds from `signers`'
+// signatures; `input` carries the script (witnessScript or tapLeafScript)
+function spendMiniscript(label, node, prevOutput, input, signers, { sequence, version = 2 } = {}) {
+    console.log(`\n${label}`);
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.setVersion(version);
+    psbt.addInput({
+        hash: '9999999999999999999999999999999999999999999999999999999999999999',
+        index: 0,
+        sequence,
+        witnessUtxo: prevOutput,
+        ...input
+    });
+    psbt.addOutput({
+        address: bitcoin.payments.p2wpkh({ pubkey: charlie.publicKey, network }).address,
+        value: prevOutput.value - 1000
+    });
+    for (const signer of signers) psbt.signInput(0, signer);
+
+    try {
+        finalizeMiniscriptInput(psbt, 0, node);
+    } catch (error) {
+        console.log(`  No witness: ${error.message}`);
+        return;
+    }
+    const tx = psbt.extractTransaction();
+    console.log(`  Witness: ${formatWitness(tx.ins[0].witness, labels)}`);
+    printVerification('  Script:', verifyTransactionInput(tx, 0, prevOutput, { flags: STANDARD_SCRIPT_VERIFY_FLAGS }));
+}
+
+function satisfierExamples() {
+    const policy = 'or(99@pk(A),1@and(pk(B),older(144)))';
+    const bobAfterDelay = { sequence: 144 };
+
+    console.log('\n----- Satisfying a Compiled Policy (P2WSH) -----');
+    const node = compilePolicy(policy, { keys });
+    const witnessScript = miniscriptToScript(node);
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript, network }, network });
+    const prevOutput = { script: p2wsh.output, value: 100000 };
+    Object.assign(labels, labelsFor({ witnessScript }));
+    console.log(`Policy: ${policy}`);
+    console.log(`Miniscript: ${miniscriptToString(node)}`);
+    console.log(`Witness Script: ${formatScript(witnessScript, { labels, numbers: true })}`);
+    console.log(`Address: ${p2wsh.address}`);
+
+    spendMiniscript('A signs:', node, prevOutput, { witnessScript }, [alice]);
+    spendMiniscript('B signs, nSequence 144:', node, prevOutput, { witnessScript }, [bob], bobAfterDelay);
+    spendMiniscript('B signs before the delay (nSequence unset):', node, prevOutput, { witnessScript }, [bob]);
+    spendMiniscript('Both sign: the satisfier picks the smaller witness', node, prevOutput, { witnessScript }, [alice, bob], bobAfterDelay);
+
+    console.log('\n----- Satisfying a Compiled Policy (Tapscript Leaf) -----');
+    const leafNode = compilePolicy(policy, { keys, context: 'tapscript' });
+    const leafScript = miniscriptToScript(leafNode);
+    // Charlie's key as the internal key: the key path is his to use
+    const taproot = computeTaprootOutput(charlie.publicKey.slice(1, 33), buildTapTree({ script: leafScript, name: 'policy' }));
+    const tapOutput = { script: taproot.output, value: 100000 };
+    const controlBlock = findLeaf(taproot, leafScript).controlBlock;
+    const tapLeafScript = [{ leafVersion: LEAF_VERSION_TAPSCRIPT, script: leafScript, controlBlock }];
+    Object.assign(labels, labelsFor({ 'leaf-script': leafScript, 'control-block': controlBlock }));
+    console.log(`Miniscript: ${miniscriptToString(leafNode)}`);
+    console.log(`Leaf Script: ${formatScript(leafScript, { labels, numbers: true })}`);
+
+    spendMiniscript('A signs:', leafNode, tapOutput, { tapLeafScript }, [alice]);
+    spendMiniscript('B signs, nSequence 144:', leafNode, tapOutput, { tapLeafScript }, [bob], bobAfterDelay);
+}
+
+console.log('\n===== Miniscript and Spending Policies =====');
+typeExamples();
+policyExamples();
+satisfierExamples();
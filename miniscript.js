@@ -0,0 +1,1135 @@
+/**
+ * Miniscript and Spending Policies
+ *
+ * Miniscript is a structured way to write scripts: an expression such as
+ * `and_v(v:pk(A),older(144))` maps one to one onto script opcodes, and its
+ * type tells whether the script is correct, how it can be satisfied and
+ * whether a third party could change a satisfaction. Policies are the
+ * simpler language it is compiled from, e.g.
+ * `or(9@pk(A),and(pk(B),older(144)))`: keys, hashes, timelocks and
+ * and/or/thresh, with optional odds on the branches of an `or`.
+ *
+ * Every expression has one base type:
+ *   B  pushes a nonzero value when satisfied, zero when dissatisfied
+ *   V  continues when satisfied and cannot be dissatisfied (ends in VERIFY)
+ *   K  pushes a key that a signature still has to be checked against
+ *   W  like B, one element below the top of the stack (for OP_ADD & co.)
+ * and properties that compose through the fragments:
+ *   z/o  consumes exactly zero / one stack element
+ *   n    the top of the stack is nonzero when satisfied
+ *   d    can be dissatisfied without a signature
+ *   u    leaves exactly 1 when satisfied
+ *   s    every satisfaction needs a signature
+ *   f    every dissatisfaction needs a signature
+ *   e    the dissatisfaction is unique and needs no signature
+ *   m    non-malleable: a third party cannot turn a satisfaction into
+ *        another valid one
+ *   x    ends without an opcode that has a VERIFY form
+ *   g/h/i/j  uses a relative time / relative height / absolute time /
+ *        absolute height lock; k: no path needs two kinds at once
+ *
+ * Expressions compile to segwit v0 witness scripts or to tapscript (x-only
+ * keys, multi_a instead of multi). The satisfier builds the smallest
+ * non-malleable witness from the signatures, preimages and timelocks at
+ * hand, with the rules of Bitcoin Core's implementation.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { serializeWitness } = require('./byte-writer');
+const { tapleafHash } = require('./taproot');
+const {
+    LOCKTIME_THRESHOLD,
+    SEQUENCE_FINAL,
+    SEQUENCE_LOCKTIME_DISABLE_FLAG,
+    SEQUENCE_LOCKTIME_MASK,
+    SEQUENCE_LOCKTIME_TYPE_FLAG
+} = require('./timelocks');
+
+const OPS = bitcoin.opcodes;
+
+// Script contexts: key and worst-case signature sizes (with the sighash
+// byte) differ between ECDSA in segwit v0 and Schnorr in tapscript
+const CONTEXTS = {
+    segwit: { name: 'segwit', keySize: 33, signatureSize: 73 },
+    tapscript: { name: 'tapscript', keySize: 32, signatureSize: 65 }
+};
+
+const MAX_PUBKEYS_PER_MULTISIG = 20;
+const MAX_PUBKEYS_PER_MULTI_A = 999;
+const MAX_STANDARD_P2WSH_SCRIPT_SIZE = 3600;
+
+const PROPERTIES = 'BVKWzonduefsmxghijk';
+const HASH_SIZES = { sha256: 32, hash256: 32, ripemd160: 20, hash160: 20 };
+const HASH_OPCODES = {
+    sha256: OPS.OP_SHA256,
+    hash256: OPS.OP_HASH256,
+    ripemd160: OPS.OP_RIPEMD160,
+    hash160: OPS.OP_HASH160
+};
+const HASH_FUNCTIONS = {
+    sha256: bitcoin.crypto.sha256,
+    hash256: bitcoin.crypto.hash256,
+    ripemd160: bitcoin.crypto.ripemd160,
+    hash160: bitcoin.crypto.hash160
+};
+const VERIFY_OPCODES = {
+    [OPS.OP_EQUAL]: OPS.OP_EQUALVERIFY,
+    [OPS.OP_NUMEQUAL]: OPS.OP_NUMEQUALVERIFY,
+    [OPS.OP_CHECKSIG]: OPS.OP_CHECKSIGVERIFY,
+    [OPS.OP_CHECKMULTISIG]: OPS.OP_CHECKMULTISIGVERIFY
+};
+const WRAPPERS = 'asctdvjnlu';
+const BASE_NAMES = { B: 'B (base)', V: 'V (verify)', K: 'K (key)', W: 'W (wrapped)' };
+
+// -------------------------------------------------
+// Expression trees
+// -------------------------------------------------
+
+// Parse `name(arg,arg,...)` into { name, args } recursively; atoms such as
+// key names and numbers have no args. Shared by Miniscript and policies.
+function parseTree(text) {
+    let pos = 0;
+    const fail = (message) => {
+        throw new Error(`${message} at position ${pos} of ${text}`);
+    };
+
+    function parseNode() {
+        const start = pos;
+        while (pos < text.length && !'(),'.includes(text[pos])) pos++;
+        const name = text.slice(start, pos).trim();
+        if (name === '') fail('expected an expression');
+        const args = [];
+        if (text[pos] === '(') {
+            pos++;
+            args.push(parseNode());
+            while (text[pos] === ',') {
+                pos++;
+                args.push(parseNode());
+            }
+            if (text[pos] !== ')') fail('expected ) or ,');
+            pos++;
+        }
+        return { name, args };
+    }
+
+    const tree = parseNode();
+    if (pos !== text.length) fail('unexpected character');
+    return tree;
+}
+
+function parseInteger(tree, min, max) {
+    if (tree.args.length > 0 || !/^\d+$/.test(tree.name)) {
+        throw new Error(`expected a number, got ${tree.name}`);
+    }
+    const value = Number(tree.name);
+    if (value < min || value > max) throw new Error(`${value} is out of range (${min}..${max})`);
+    return value;
+}
+
+// Keys are names bound in `keys` (to a public key Buffer, or by a function
+// of the name) or hex public keys; x-only (32-byte) keys are only valid in
+// tapscript
+function parseKey(tree, keys, context) {
+    if (tree.args.length > 0) throw new Error(`expected a key, got ${tree.name}(...)`);
+    let pubkey = typeof keys === 'function' ? keys(tree.name) : keys[tree.name];
+    if (pubkey === undefined && /^([0-9a-fA-F]{2}){32,33}$/.test(tree.name)) pubkey = Buffer.from(tree.name, 'hex');
+    if (pubkey === undefined) throw new Error(`unknown key ${tree.name}`);
+    if (pubkey.length === 32 && context === CONTEXTS.segwit) {
+        throw new Error(`x-only key ${tree.name} is only valid in tapscript`);
+    }
+    return { name: tree.name, pubkey };
+}
+
+function parseHash(tree, fragment) {
+    const size = HASH_SIZES[fragment];
+    if (tree.args.length > 0 || !new RegExp(`^[0-9a-fA-F]{${size * 2}}$`).test(tree.name)) {
+        throw new Error(`${fragment} takes a ${size}-byte hex hash, got ${tree.name}`);
+    }
+    return Buffer.from(tree.name, 'hex');
+}
+
+function expectArgs(tree, count) {
+    if (tree.args.length !== count) {
+        throw new Error(`${tree.name} takes ${count} argument${count === 1 ? '' : 's'}, got ${tree.args.length}`);
+    }
+}
+
+// -------------------------------------------------
+// Types
+// -------------------------------------------------
+
+const has = (type, props) => [...props].every(p => type.includes(p));
+const pick = (type, props) => [...props].filter(p => type.includes(p)).join('');
+const both = (x, y, props) => [...props].filter(p => x.includes(p) && y.includes(p)).join('');
+const either = (x, y, props) => [...props].filter(p => x.includes(p) || y.includes(p)).join('');
+const when = (condition, props) => condition ? props : '';
+const normalize = (props) => [...PROPERTIES].filter(p => props.includes(p)).join('');
+
+// Whether some path of an `and` of `x` and `y` needs both a height and a
+// time lock of the same kind, which no transaction can satisfy
+function mixesTimelocks(x, y) {
+    return (has(x, 'g') && has(y, 'h')) || (has(x, 'h') && has(y, 'g')) ||
+        (has(x, 'i') && has(y, 'j')) || (has(x, 'j') && has(y, 'i'));
+}
+
+const andTimelocks = (x, y) => either(x, y, 'ghij') + when(has(x, 'k') && has(y, 'k') && !mixesTimelocks(x, y), 'k');
+const orTimelocks = (x, y) => either(x, y, 'ghij') + both(x, y, 'k');
+const zeroOrOne = (x, y) => when((has(x, 'o') && has(y, 'z')) || (has(x, 'z') && has(y, 'o')), 'o');
+
+function requireType(fragment, position, type, needed) {
+    if (!has(type, needed)) {
+        throw new Error(`${fragment}: argument ${position} must have type ${needed}, it has type ${type}`);
+    }
+}
+
+function requireSameBase(fragment, types, bases) {
+    const base = types[0][0];
+    if (!bases.includes(base) || types.some(type => type[0] !== base)) {
+        throw new Error(`${fragment}: its branches must all have the same type, one of ${bases} (they have ${types.map(type => type[0]).join(', ')})`);
+    }
+    return base;
+}
+
+// Type of a fragment from the types of its arguments (Bitcoin Core's
+// ComputeType), or an error naming the argument with the wrong type
+function computeType(fragment, subs, params, context) {
+    const [x, y, z] = subs.map(sub => sub.type);
+    switch (fragment) {
+        case '0': return 'Bzudemsxk';
+        case '1': return 'Bzufmxk';
+        case 'pk_k': return 'Konudemsxk';
+        case 'pk_h': return 'Knudemsxk';
+        case 'older': return when(params.value & SEQUENCE_LOCKTIME_TYPE_FLAG, 'g') + when(!(params.value & SEQUENCE_LOCKTIME_TYPE_FLAG), 'h') + 'Bzfmxk';
+        case 'after': return when(params.value >= LOCKTIME_THRESHOLD, 'i') + when(params.value < LOCKTIME_THRESHOLD, 'j') + 'Bzfmxk';
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            return 'Bonudmk';
+        case 'multi': return 'Bnudemsk';
+        case 'multi_a': return 'Budemsk';
+        case 'a':
+            requireType('a:', 1, x, 'B');
+            return 'Wx' + pick(x, 'ghijk') + pick(x, 'udfems');
+        case 's':
+            requireType('s:', 1, x, 'Bo');
+            return 'W' + pick(x, 'ghijk') + pick(x, 'udfemsx');
+        case 'c':
+            requireType('c:', 1, x, 'K');
+            return 'Bus' + pick(x, 'ghijk') + pick(x, 'ondfem');
+        case 'd':
+            requireType('d:', 1, x, 'Vz');
+            // MINIMALIF is consensus in tapscript only, so only there is d: unit
+            return 'Bondx' + when(has(x, 'f'), 'e') + pick(x, 'ghijk') + pick(x, 'ms') + when(context === CONTEXTS.tapscript, 'u');
+        case 'v':
+            requireType('v:', 1, x, 'B');
+            return 'Vfx' + pick(x, 'ghijk') + pick(x, 'zonms');
+        case 'j':
+            requireType('j:', 1, x, 'Bn');
+            return 'Bndx' + when(has(x, 'f'), 'e') + pick(x, 'ghijk') + pick(x, 'oums');
+        case 'n':
+            requireType('n:', 1, x, 'B');
+            return 'ux' + pick(x, 'ghijk') + pick(x, 'Bzondfems');
+        case 'and_v':
+            requireType('and_v', 1, x, 'V');
+            if (!'BKV'.includes(y[0])) throw new Error(`and_v: argument 2 must have type B, K or V, it has type ${y}`);
+            return y[0] + pick(y, 'ux') + both(x, y, 'dmz') + either(x, y, 's') + zeroOrOne(x, y) +
+                when(has(x, 'n') || (has(x, 'z') && has(y, 'n')), 'n') +
+                when(has(y, 'f') || has(x, 's'), 'f') + andTimelocks(x, y);
+        case 'and_b':
+            requireType('and_b', 1, x, 'B');
+            requireType('and_b', 2, y, 'W');
+            return 'Bux' + both(x, y, 'dzm') + either(x, y, 's') + zeroOrOne(x, y) +
+                when(has(x, 'n') || (has(x, 'z') && has(y, 'n')), 'n') +
+                when(has(x, 'e') && has(y, 'e') && has(x, 's') && has(y, 's'), 'e') +
+                when((has(x, 'f') && has(y, 'f')) || has(x, 'sf') || has(y, 'sf'), 'f') + andTimelocks(x, y);
+        case 'or_b':
+            requireType('or_b', 1, x, 'Bd');
+            requireType('or_b', 2, y, 'Wd');
+            return 'Bdux' + both(x, y, 'zse') + zeroOrOne(x, y) +
+                when(has(x, 'me') && has(y, 'me') && (has(x, 's') || has(y, 's')), 'm') + orTimelocks(x, y);
+        case 'or_d':
+            requireType('or_d', 1, x, 'Bdu');
+            requireType('or_d', 2, y, 'B');
+            return 'Bx' + both(x, y, 'zes') + pick(y, 'ufd') + when(has(x, 'o') && has(y, 'z'), 'o') +
+                when(has(x, 'me') && has(y, 'm') && (has(x, 's') || has(y, 's')), 'm') + orTimelocks(x, y);
+        case 'or_c':
+            requireType('or_c', 1, x, 'Bdu');
+            requireType('or_c', 2, y, 'V');
+            return 'Vfx' + both(x, y, 'zs') + when(has(x, 'o') && has(y, 'z'), 'o') +
+                when(has(x, 'me') && has(y, 'm') && (has(x, 's') || has(y, 's')), 'm') + orTimelocks(x, y);
+        case 'or_i': {
+            const base = requireSameBase('or_i', [x, y], 'BVK');
+            return base + 'x' + both(x, y, 'ufs') + either(x, y, 'd') + when(has(x, 'z') && has(y, 'z'), 'o') +
+                when((has(x, 'e') && has(y, 'f')) || (has(x, 'f') && has(y, 'e')), 'e') +
+                when(has(x, 'm') && has(y, 'm') && (has(x, 's') || has(y, 's')), 'm') + orTimelocks(x, y);
+        }
+        case 'andor': {
+            requireType('andor', 1, x, 'Bdu');
+            const base = requireSameBase('andor', [y, z], 'BKV');
+            const forced = has(x, 's') || has(y, 'f');
+            return base + 'x' + both(y, z, 'u') + pick(z, 'd') + when(has(x, 'z') && has(y, 'z') && has(z, 'z'), 'z') +
+                when((has(x, 'o') && has(y, 'z') && has(z, 'z')) || (has(x, 'z') && has(y, 'o') && has(z, 'o')), 'o') +
+                when(has(z, 'f') && forced, 'f') + when(has(z, 'e') && forced, 'e') +
+                when(has(x, 'me') && has(y, 'm') && has(z, 'm') && (has(x, 's') || has(y, 's') || has(z, 's')), 'm') +
+                when(has(z, 's') && (has(x, 's') || has(y, 's')), 's') +
+                either(either(x, y, 'ghij'), z, 'ghij') +
+                when(has(x, 'k') && has(y, 'k') && has(z, 'k') && !mixesTimelocks(x, y), 'k');
+        }
+        case 'thresh': {
+            const n = subs.length;
+            let args = 0;
+            let signed = 0;
+            let allE = true;
+            let allM = true;
+            let timelocks = 'k';
+            subs.forEach((sub, index) => {
+                requireType('thresh', index + 1, sub.type, index === 0 ? 'Bdu' : 'Wdu');
+                if (!has(sub.type, 'e')) allE = false;
+                if (!has(sub.type, 'm')) allM = false;
+                if (has(sub.type, 's')) signed++;
+                args += has(sub.type, 'z') ? 0 : has(sub.type, 'o') ? 1 : 2;
+                const mixes = params.k > 1 && mixesTimelocks(timelocks, sub.type);
+                timelocks = either(timelocks, sub.type, 'ghij') + when(has(timelocks, 'k') && has(sub.type, 'k') && !mixes, 'k');
+            });
+            return 'Bdu' + when(args === 0, 'z') + when(args === 1, 'o') + when(allE && signed === n, 'e') +
+                when(allE && allM && signed >= n - params.k, 'm') + when(signed >= n - params.k + 1, 's') + timelocks;
+        }
+        default:
+            throw new Error(`unknown fragment ${fragment}`);
+    }
+}
+
+// -------------------------------------------------
+// Sizes
+// -------------------------------------------------
+
+const encodeNumber = (value) => bitcoin.script.number.encode(value);
+
+function pushSize(data) {
+    if (data.length === 0) return 1;
+    if (data.length === 1 && ((data[0] >= 1 && data[0] <= 16) || data[0] === 0x81)) return 1;
+    return 1 + data.length;
+}
+
+const numberSize = (value) => pushSize(encodeNumber(value));
+
+// Key bytes as they appear in the script: x-only in tapscript
+function scriptKey(key, context) {
+    return context === CONTEXTS.tapscript && key.pubkey.length === 33 ? key.pubkey.slice(1) : key.pubkey;
+}
+
+function scriptSize(fragment, subs, params, context) {
+    const [x, y, z] = subs.map(sub => sub.scriptSize);
+    switch (fragment) {
+        case '0':
+        case '1':
+            return 1;
+        case 'pk_k': return 1 + context.keySize;
+        case 'pk_h': return 24;
+        case 'older':
+        case 'after':
+            return numberSize(params.value) + 1;
+        case 'sha256':
+        case 'hash256':
+            return 39;
+        case 'ripemd160':
+        case 'hash160':
+            return 27;
+        case 'multi': return numberSize(params.k) + 34 * params.keys.length + numberSize(params.keys.length) + 1;
+        case 'multi_a': return (1 + context.keySize + 1) * params.keys.length + numberSize(params.k) + 1;
+        case 'a': return x + 2;
+        case 's':
+        case 'c':
+        case 'n':
+            return x + 1;
+        case 'd': return x + 3;
+        case 'v': return x + (has(subs[0].type, 'x') ? 1 : 0);
+        case 'j': return x + 4;
+        case 'and_v': return x + y;
+        case 'and_b':
+        case 'or_b':
+            return x + y + 1;
+        case 'or_c': return x + y + 2;
+        case 'or_d':
+        case 'or_i':
+            return x + y + 3;
+        case 'andor': return x + y + z + 3;
+        case 'thresh':
+            return subs.reduce((sum, sub) => sum + sub.scriptSize, 0) + subs.length - 1 + numberSize(params.k) + 1;
+        default:
+            throw new Error(`unknown fragment ${fragment}`);
+    }
+}
+
+// Largest witness that satisfies (sat) or dissatisfies (dsat) a fragment,
+// in bytes of witness items with their length prefixes. -Infinity when
+// there is no such witness, so sums and maxima need no special cases.
+function witnessSizes(fragment, subs, params, context) {
+    const signature = 1 + context.signatureSize;
+    const key = 1 + context.keySize;
+    const [x, y, z] = subs;
+    const max = Math.max;
+    switch (fragment) {
+        case '0': return { sat: -Infinity, dsat: 0 };
+        case '1': return { sat: 0, dsat: -Infinity };
+        case 'pk_k': return { sat: signature, dsat: 1 };
+        case 'pk_h': return { sat: signature + key, dsat: 1 + key };
+        case 'older':
+        case 'after':
+            return { sat: 0, dsat: -Infinity };
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            return { sat: 33, dsat: 33 };
+        case 'multi': return { sat: 1 + params.k * signature, dsat: 1 + params.k };
+        case 'multi_a': return { sat: params.k * signature + params.keys.length - params.k, dsat: params.keys.length };
+        case 'a':
+        case 's':
+        case 'c':
+        case 'n':
+            return { sat: x.sat, dsat: x.dsat };
+        case 'd': return { sat: x.sat + 2, dsat: 1 };
+        case 'v': return { sat: x.sat, dsat: -Infinity };
+        case 'j': return { sat: x.sat, dsat: 1 };
+        case 'and_v': return { sat: x.sat + y.sat, dsat: x.sat + y.dsat };
+        case 'and_b': return { sat: x.sat + y.sat, dsat: max(x.dsat + y.dsat, x.sat + y.dsat, x.dsat + y.sat) };
+        case 'or_b': return { sat: max(x.sat + y.dsat, x.dsat + y.sat, x.sat + y.sat), dsat: x.dsat + y.dsat };
+        case 'or_c': return { sat: max(x.sat, x.dsat + y.sat), dsat: -Infinity };
+        case 'or_d': return { sat: max(x.sat, x.dsat + y.sat), dsat: x.dsat + y.dsat };
+        case 'or_i': return { sat: max(x.sat + 2, y.sat + 1), dsat: max(x.dsat + 2, y.dsat + 1) };
+        case 'andor': return { sat: max(x.sat + y.sat, x.dsat + z.sat), dsat: max(x.dsat + z.dsat, x.sat + y.dsat) };
+        case 'thresh': {
+            // The k subexpressions whose satisfaction adds the most over
+            // their dissatisfaction
+            const dsat = subs.reduce((sum, sub) => sum + sub.dsat, 0);
+            const extra = subs.map(sub => sub.sat - sub.dsat).sort((a, b) => b - a).slice(0, params.k);
+            return { sat: dsat + extra.reduce((sum, value) => sum + value, 0), dsat };
+        }
+        default:
+            throw new Error(`unknown fragment ${fragment}`);
+    }
+}
+
+// -------------------------------------------------
+// Nodes
+// -------------------------------------------------
+
+// A typed Miniscript node: { fragment, subs, keys, k, value, hash, context,
+// type, scriptSize, sat, dsat }. Throws when the arguments have the wrong
+// types for the fragment.
+function createNode(fragment, subs = [], params = {}, context = CONTEXTS.segwit) {
+    if (fragment === 'multi' || fragment === 'multi_a') {
+        const limit = fragment === 'multi' ? MAX_PUBKEYS_PER_MULTISIG : MAX_PUBKEYS_PER_MULTI_A;
+        if (fragment === 'multi' && context === CONTEXTS.tapscript) throw new Error('multi is not available in tapscript, use multi_a');
+        if (fragment === 'multi_a' && context === CONTEXTS.segwit) throw new Error('multi_a is only available in tapscript');
+        if (params.keys.length < 1 || params.keys.length > limit) throw new Error(`${fragment} takes 1 to ${limit} keys`);
+        if (params.k < 1 || params.k > params.keys.length) throw new Error(`${fragment}: threshold ${params.k} is out of range`);
+    }
+    if (fragment === 'thresh' && (params.k < 1 || params.k > subs.length)) {
+        throw new Error(`thresh: threshold ${params.k} is out of range`);
+    }
+    const node = { fragment, subs, ...params, context };
+    node.type = normalize(computeType(fragment, subs, params, context));
+    node.scriptSize = scriptSize(fragment, subs, params, context);
+    Object.assign(node, witnessSizes(fragment, subs, params, context));
+    return node;
+}
+
+// Build a node from a parsed tree, expanding the aliases:
+//   pk(K) = c:pk_k(K), pkh(K) = c:pk_h(K), and_n(X,Y) = andor(X,Y,0),
+//   t:X = and_v(X,1), l:X = or_i(0,X), u:X = or_i(X,0)
+function fromTree(tree, keys, context) {
+    const colon = tree.name.indexOf(':');
+    if (colon !== -1) {
+        const wrappers = tree.name.slice(0, colon);
+        let node = fromTree({ name: tree.name.slice(colon + 1), args: tree.args }, keys, context);
+        for (const wrapper of [...wrappers].reverse()) {
+            if (!WRAPPERS.includes(wrapper)) throw new Error(`unknown wrapper ${wrapper}:`);
+            node = wrap(wrapper, node, context);
+        }
+        return node;
+    }
+
+    const sub = (index) => fromTree(tree.args[index], keys, context);
+    const key = () => parseKey(tree.args[0], keys, context);
+    switch (tree.name) {
+        case '0':
+        case '1':
+            expectArgs(tree, 0);
+            return createNode(tree.name, [], {}, context);
+        case 'pk':
+        case 'pkh':
+            expectArgs(tree, 1);
+            return createNode('c', [createNode(tree.name === 'pk' ? 'pk_k' : 'pk_h', [], { keys: [key()] }, context)], {}, context);
+        case 'pk_k':
+        case 'pk_h':
+            expectArgs(tree, 1);
+            return createNode(tree.name, [], { keys: [key()] }, context);
+        case 'older':
+        case 'after':
+            expectArgs(tree, 1);
+            return createNode(tree.name, [], { value: parseInteger(tree.args[0], 1, 0x7fffffff) }, context);
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            expectArgs(tree, 1);
+            return createNode(tree.name, [], { hash: parseHash(tree.args[0], tree.name) }, context);
+        case 'and_v':
+        case 'and_b':
+        case 'or_b':
+        case 'or_c':
+        case 'or_d':
+        case 'or_i':
+            expectArgs(tree, 2);
+            return createNode(tree.name, [sub(0), sub(1)], {}, context);
+        case 'and_n':
+            expectArgs(tree, 2);
+            return createNode('andor', [sub(0), sub(1), createNode('0', [], {}, context)], {}, context);
+        case 'andor':
+            expectArgs(tree, 3);
+            return createNode('andor', [sub(0), sub(1), sub(2)], {}, context);
+        case 'thresh':
+            if (tree.args.length < 2) throw new Error('thresh takes a threshold and at least one expression');
+            return createNode('thresh', tree.args.slice(1).map(arg => fromTree(arg, keys, context)),
+                { k: parseInteger(tree.args[0], 1, tree.args.length - 1) }, context);
+        case 'multi':
+        case 'multi_a':
+            if (tree.args.length < 2) throw new Error(`${tree.name} takes a threshold and at least one key`);
+            return createNode(tree.name, [], {
+                k: parseInteger(tree.args[0], 1, tree.args.length - 1),
+                keys: tree.args.slice(1).map(arg => parseKey(arg, keys, context))
+            }, context);
+        default:
+            throw new Error(`unknown fragment ${tree.name}`);
+    }
+}
+
+function wrap(wrapper, node, context) {
+    const constant = (value) => createNode(value, [], {}, context);
+    switch (wrapper) {
+        case 't': return createNode('and_v', [node, constant('1')], {}, context);
+        case 'l': return createNode('or_i', [constant('0'), node], {}, context);
+        case 'u': return createNode('or_i', [node, constant('0')], {}, context);
+        default: return createNode(wrapper, [node], {}, context);
+    }
+}
+
+// Parse a Miniscript expression. `keys` binds key names to public keys,
+// either as an object or as a function returning the key for a name (or
+// undefined); `context` is 'segwit' (the default) or 'tapscript'.
+function parseMiniscript(text, { keys = {}, context = 'segwit' } = {}) {
+    if (!CONTEXTS[context]) throw new Error(`unknown script context ${context}`);
+    return fromTree(parseTree(text.replace(/\s+/g, '')), keys, CONTEXTS[context]);
+}
+
+// Miniscript text of a node, with the aliases folded back in
+function miniscriptToString(node) {
+    const [x, y, z] = node.subs;
+    const isConstant = (sub, value) => sub && sub.fragment === value;
+    // Wrappers stack up in front of the expression they wrap: "sv:pk(A)"
+    const wrapped = (letter, sub) => {
+        const text = miniscriptToString(sub);
+        return /^[a-z]+:/.test(text) ? `${letter}${text}` : `${letter}:${text}`;
+    };
+
+    switch (node.fragment) {
+        case '0':
+        case '1':
+            return node.fragment;
+        case 'pk_k':
+        case 'pk_h':
+            return `${node.fragment}(${node.keys[0].name})`;
+        case 'older':
+        case 'after':
+            return `${node.fragment}(${node.value})`;
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            return `${node.fragment}(${node.hash.toString('hex')})`;
+        case 'multi':
+        case 'multi_a':
+            return `${node.fragment}(${node.k},${node.keys.map(key => key.name).join(',')})`;
+        case 'thresh':
+            return `thresh(${node.k},${node.subs.map(miniscriptToString).join(',')})`;
+        case 'c':
+            if (x.fragment === 'pk_k') return `pk(${x.keys[0].name})`;
+            if (x.fragment === 'pk_h') return `pkh(${x.keys[0].name})`;
+            return wrapped('c', x);
+        case 'a':
+        case 's':
+        case 'd':
+        case 'v':
+        case 'j':
+        case 'n':
+            return wrapped(node.fragment, x);
+        case 'and_v':
+            if (isConstant(y, '1')) return wrapped('t', x);
+            break;
+        case 'or_i':
+            if (isConstant(x, '0')) return wrapped('l', y);
+            if (isConstant(y, '0')) return wrapped('u', x);
+            break;
+        case 'andor':
+            if (isConstant(z, '0')) return `and_n(${miniscriptToString(x)},${miniscriptToString(y)})`;
+            break;
+    }
+    return `${node.fragment}(${node.subs.map(miniscriptToString).join(',')})`;
+}
+
+// -------------------------------------------------
+// Script
+// -------------------------------------------------
+
+function toChunks(node) {
+    const [x, y, z] = node.subs.map(toChunks);
+    const context = node.context;
+    switch (node.fragment) {
+        case '0': return [OPS.OP_0];
+        case '1': return [OPS.OP_1];
+        case 'pk_k': return [scriptKey(node.keys[0], context)];
+        case 'pk_h':
+            return [OPS.OP_DUP, OPS.OP_HASH160, bitcoin.crypto.hash160(scriptKey(node.keys[0], context)), OPS.OP_EQUALVERIFY];
+        case 'older': return [encodeNumber(node.value), OPS.OP_CHECKSEQUENCEVERIFY];
+        case 'after': return [encodeNumber(node.value), OPS.OP_CHECKLOCKTIMEVERIFY];
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            return [OPS.OP_SIZE, encodeNumber(32), OPS.OP_EQUALVERIFY, HASH_OPCODES[node.fragment], node.hash, OPS.OP_EQUAL];
+        case 'multi':
+            return [encodeNumber(node.k), ...node.keys.map(key => scriptKey(key, context)),
+                encodeNumber(node.keys.length), OPS.OP_CHECKMULTISIG];
+        case 'multi_a':
+            return [
+                ...node.keys.flatMap((key, index) => [scriptKey(key, context), index === 0 ? OPS.OP_CHECKSIG : OPS.OP_CHECKSIGADD]),
+                encodeNumber(node.k), OPS.OP_NUMEQUAL
+            ];
+        case 'a': return [OPS.OP_TOALTSTACK, ...x, OPS.OP_FROMALTSTACK];
+        case 's': return [OPS.OP_SWAP, ...x];
+        case 'c': return [...x, OPS.OP_CHECKSIG];
+        case 'd': return [OPS.OP_DUP, OPS.OP_IF, ...x, OPS.OP_ENDIF];
+        case 'v': {
+            // Fold into the VERIFY form of the last opcode when it has one
+            const last = x[x.length - 1];
+            if (typeof last === 'number' && VERIFY_OPCODES[last] !== undefined) {
+                return [...x.slice(0, -1), VERIFY_OPCODES[last]];
+            }
+            return [...x, OPS.OP_VERIFY];
+        }
+        case 'j': return [OPS.OP_SIZE, OPS.OP_0NOTEQUAL, OPS.OP_IF, ...x, OPS.OP_ENDIF];
+        case 'n': return [...x, OPS.OP_0NOTEQUAL];
+        case 'and_v': return [...x, ...y];
+        case 'and_b': return [...x, ...y, OPS.OP_BOOLAND];
+        case 'or_b': return [...x, ...y, OPS.OP_BOOLOR];
+        case 'or_c': return [...x, OPS.OP_NOTIF, ...y, OPS.OP_ENDIF];
+        case 'or_d': return [...x, OPS.OP_IFDUP, OPS.OP_NOTIF, ...y, OPS.OP_ENDIF];
+        case 'or_i': return [OPS.OP_IF, ...x, OPS.OP_ELSE, ...y, OPS.OP_ENDIF];
+        case 'andor': return [...x, OPS.OP_NOTIF, ...z, OPS.OP_ELSE, ...y, OPS.OP_ENDIF];
+        case 'thresh': {
+            const chunks = node.subs.map(toChunks);
+            return [
+                ...chunks[0],
+                ...chunks.slice(1).flatMap(sub => [...sub, OPS.OP_ADD]),
+                encodeNumber(node.k), OPS.OP_EQUAL
+            ];
+        }
+        default:
+            throw new Error(`unknown fragment ${node.fragment}`);
+    }
+}
+
+function miniscriptToScript(node) {
+    return bitcoin.script.compile(toChunks(node));
+}
+
+function collectKeys(node) {
+    return [...(node.keys || []), ...node.subs.flatMap(collectKeys)];
+}
+
+// The properties that matter when choosing a script: whether its spends
+// are safe (sane) and how large its script and witness are
+function analyzeMiniscript(node) {
+    const keys = collectKeys(node).map(key => scriptKey(key, node.context).toString('hex'));
+    const duplicateKeys = keys.length !== new Set(keys).size;
+    const tooLarge = node.context === CONTEXTS.segwit && node.scriptSize > MAX_STANDARD_P2WSH_SCRIPT_SIZE;
+    const analysis = {
+        type: BASE_NAMES[node.type[0]],
+        properties: node.type,
+        nonMalleable: has(node.type, 'm'),
+        needsSignature: has(node.type, 's'),
+        timelockMix: !has(node.type, 'k'),
+        duplicateKeys,
+        scriptSize: node.scriptSize,
+        maxWitnessSize: Number.isFinite(node.sat) ? node.sat : null
+    };
+    // Sane: a valid top-level script whose every spend is safe to rely on
+    analysis.sane = node.type[0] === 'B' && analysis.nonMalleable && analysis.needsSignature &&
+        !analysis.timelockMix && !duplicateKeys && !tooLarge;
+    return analysis;
+}
+
+// -------------------------------------------------
+// Satisfier
+// -------------------------------------------------
+
+// A candidate witness stack (bottom first, like witness items) for
+// satisfying or dissatisfying a node
+const stack = (items, props = {}) => ({
+    available: true,
+    hasSig: false,
+    malleable: false,
+    items,
+    size: items.reduce((sum, item) => sum + 1 + item.length, 0),
+    ...props
+});
+const INVALID = { available: false, hasSig: false, malleable: false, items: [], size: Infinity };
+const EMPTY = stack([]);
+const ZERO = stack([Buffer.alloc(0)]);
+const ONE = stack([Buffer.from([1])]);
+
+const setMalleable = (input, malleable = true) => ({ ...input, malleable: input.malleable || malleable });
+const withSig = (input) => ({ ...input, hasSig: true });
+
+// `a` below `b`: both must be available
+function concat(a, b) {
+    if (!a.available || !b.available) return INVALID;
+    return {
+        available: true,
+        hasSig: a.hasSig || b.hasSig,
+        malleable: a.malleable || b.malleable,
+        items: [...a.items, ...b.items],
+        size: a.size + b.size
+    };
+}
+
+// Pick between two ways of satisfying something, the way Bitcoin Core
+// does: a third party can always take a solution without a signature, so
+// if there is one it must be picked, and if both lack a signature the
+// result is malleable
+function choose(a, b) {
+    if (!a.available) return b;
+    if (!b.available) return a;
+    if (!a.hasSig && b.hasSig) return a;
+    if (!b.hasSig && a.hasSig) return b;
+    if (!a.hasSig && !b.hasSig) {
+        a = setMalleable(a);
+        b = setMalleable(b);
+    } else {
+        if (b.malleable && !a.malleable) return a;
+        if (a.malleable && !b.malleable) return b;
+    }
+    return a.size <= b.size ? a : b;
+}
+
+const chooseAll = (...inputs) => inputs.reduce(choose);
+
+// { sat, dsat } stacks for `node` given the available `signatures`
+// (script key hex -> signature), `preimages` and timelock predicates
+function produceInput(node, available) {
+    const [x, y, z] = node.subs.map(sub => produceInput(sub, available));
+    const signature = (key) => {
+        const found = available.signatures[scriptKey(key, node.context).toString('hex')];
+        return found ? withSig(stack([found])) : INVALID;
+    };
+
+    switch (node.fragment) {
+        case '0': return { dsat: EMPTY, sat: INVALID };
+        case '1': return { dsat: INVALID, sat: EMPTY };
+        case 'pk_k': return { dsat: ZERO, sat: signature(node.keys[0]) };
+        case 'pk_h': {
+            const key = stack([scriptKey(node.keys[0], node.context)]);
+            return { dsat: concat(ZERO, key), sat: concat(signature(node.keys[0]), key) };
+        }
+        case 'older': return { dsat: INVALID, sat: available.older(node.value) ? EMPTY : INVALID };
+        case 'after': return { dsat: INVALID, sat: available.after(node.value) ? EMPTY : INVALID };
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160': {
+            const preimage = available.preimages.find(candidate => HASH_FUNCTIONS[node.fragment](candidate).equals(node.hash));
+            // Any other 32 bytes dissatisfy it, so anyone can change the dissatisfaction
+            return { dsat: setMalleable(stack([Buffer.alloc(32)])), sat: preimage ? stack([preimage]) : INVALID };
+        }
+        case 'multi':
+        case 'multi_a': {
+            // The k smallest available signatures, in key order
+            const chosen = node.keys
+                .map((key, index) => ({ index, sig: available.signatures[scriptKey(key, node.context).toString('hex')] }))
+                .filter(entry => entry.sig)
+                .sort((a, b) => a.sig.length - b.sig.length)
+                .slice(0, node.k)
+                .sort((a, b) => a.index - b.index);
+            const n = node.keys.length;
+            if (node.fragment === 'multi') {
+                const dsat = stack(Array(node.k + 1).fill(Buffer.alloc(0)));
+                const sat = chosen.length < node.k ? INVALID
+                    : withSig(stack([Buffer.alloc(0), ...chosen.map(entry => entry.sig)]));
+                return { dsat, sat };
+            }
+            // The first key's signature is checked first, so it goes on top
+            const bySlot = new Map(chosen.map(entry => [entry.index, entry.sig]));
+            const items = [];
+            for (let index = n - 1; index >= 0; index--) items.push(bySlot.get(index) || Buffer.alloc(0));
+            return {
+                dsat: stack(Array(n).fill(Buffer.alloc(0))),
+                sat: chosen.length < node.k ? INVALID : withSig(stack(items))
+            };
+        }
+        case 'a':
+        case 's':
+        case 'c':
+        case 'n':
+            return x;
+        case 'd': return { dsat: ZERO, sat: concat(x.sat, ONE) };
+        case 'v': return { dsat: INVALID, sat: x.sat };
+        case 'j': return { dsat: ZERO, sat: x.sat };
+        case 'and_v': return { dsat: concat(y.dsat, x.sat), sat: concat(y.sat, x.sat) };
+        case 'and_b':
+            return {
+                dsat: chooseAll(concat(y.dsat, x.dsat), setMalleable(concat(y.sat, x.dsat)), setMalleable(concat(y.dsat, x.sat))),
+                sat: concat(y.sat, x.sat)
+            };
+        case 'or_b':
+            return {
+                dsat: concat(y.dsat, x.dsat),
+                sat: chooseAll(concat(y.dsat, x.sat), concat(y.sat, x.dsat), setMalleable(concat(y.sat, x.sat)))
+            };
+        case 'or_c': return { dsat: INVALID, sat: choose(x.sat, concat(y.sat, x.dsat)) };
+        case 'or_d': return { dsat: concat(y.dsat, x.dsat), sat: choose(x.sat, concat(y.sat, x.dsat)) };
+        case 'or_i':
+            return { dsat: choose(concat(x.dsat, ONE), concat(y.dsat, ZERO)), sat: choose(concat(x.sat, ONE), concat(y.sat, ZERO)) };
+        case 'andor':
+            return {
+                dsat: choose(setMalleable(concat(y.dsat, x.sat)), concat(z.dsat, x.dsat)),
+                sat: choose(concat(y.sat, x.sat), concat(z.sat, x.dsat))
+            };
+        case 'thresh': {
+            // sats[j]: best stack with j of the subexpressions satisfied. The
+            // first subexpression runs first, so its items go on top.
+            const subs = node.subs.map(sub => produceInput(sub, available));
+            let sats = [EMPTY];
+            for (const sub of [...subs].reverse()) {
+                const next = [concat(sats[0], sub.dsat)];
+                for (let j = 1; j < sats.length; j++) {
+                    next.push(choose(concat(sats[j], sub.dsat), concat(sats[j - 1], sub.sat)));
+                }
+                next.push(concat(sats[sats.length - 1], sub.sat));
+                sats = next;
+            }
+            let dsat = sats[0];
+            sats.forEach((input, count) => {
+                if (count !== 0 && count !== node.k) dsat = choose(dsat, setMalleable(input));
+            });
+            return { dsat, sat: sats[node.k] };
+        }
+        default:
+            throw new Error(`unknown fragment ${node.fragment}`);
+    }
+}
+
+// Build the witness items (without the script) that satisfy `node`.
+//   signatures  script key hex -> signature (x-only keys in tapscript)
+//   preimages   list of known hash preimages
+//   older(n), after(n)  whether the spending transaction meets the lock
+// Throws if no satisfaction is possible, or if the only ones are
+// malleable and `allowMalleable` is not set.
+function satisfy(node, { signatures = {}, preimages = [], older = () => false, after = () => false, allowMalleable = false } = {}) {
+    const { sat } = produceInput(node, { signatures, preimages, older, after });
+    if (!sat.available) {
+        throw new Error(`${miniscriptToString(node)} cannot be satisfied with the available signatures, preimages and timelocks`);
+    }
+    if (sat.malleable && !allowMalleable) {
+        throw new Error(`${miniscriptToString(node)} can only be satisfied malleably with what is available`);
+    }
+    return { witness: sat.items, size: sat.size, hasSignature: sat.hasSig, malleable: sat.malleable };
+}
+
+// Whether a transaction input meets older(n) (BIP112) and after(n) (BIP65)
+function sequenceMeets(n, { version, sequence }) {
+    if (version < 2 || (sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) !== 0) return false;
+    if ((sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) !== (n & SEQUENCE_LOCKTIME_TYPE_FLAG)) return false;
+    return (sequence & SEQUENCE_LOCKTIME_MASK) >= (n & SEQUENCE_LOCKTIME_MASK);
+}
+
+function locktimeMeets(n, { locktime, sequence }) {
+    if (sequence === SEQUENCE_FINAL) return false;
+    if ((locktime < LOCKTIME_THRESHOLD) !== (n < LOCKTIME_THRESHOLD)) return false;
+    return locktime >= n;
+}
+
+// Finalize a Psbt input that spends `node`'s script (P2WSH witness script
+// or tapscript leaf) with the signatures collected in the Psbt and the
+// given `preimages`; timelocks are met if the transaction meets them
+function finalizeMiniscriptInput(psbt, inputIndex, node, { preimages = [], allowMalleable = false } = {}) {
+    const tx = { version: psbt.version, locktime: psbt.locktime, sequence: psbt.txInputs[inputIndex].sequence };
+    const options = {
+        preimages,
+        allowMalleable,
+        older: (n) => sequenceMeets(n, tx),
+        after: (n) => locktimeMeets(n, tx)
+    };
+    const script = miniscriptToScript(node);
+
+    psbt.finalizeInput(inputIndex, (index, input) => {
+        const signatures = {};
+        if (node.context === CONTEXTS.tapscript) {
+            const leaf = (input.tapLeafScript || []).find(candidate => candidate.script.equals(script));
+            if (!leaf) throw new Error(`input ${index} has no tapscript leaf for ${miniscriptToString(node)}`);
+            const leafHash = tapleafHash(script, leaf.leafVersion);
+            for (const { pubkey, signature, leafHash: signedLeaf } of input.tapScriptSig || []) {
+                if (signedLeaf.equals(leafHash)) signatures[pubkey.toString('hex')] = signature;
+            }
+            const { witness } = satisfy(node, { ...options, signatures });
+            return { finalScriptWitness: serializeWitness([...witness, script, leaf.controlBlock]) };
+        }
+        for (const { pubkey, signature } of input.partialSig || []) signatures[pubkey.toString('hex')] = signature;
+        const { witness } = satisfy(node, { ...options, signatures });
+        return { finalScriptSig: undefined, finalScriptWitness: serializeWitness([...witness, script]) };
+    });
+    return psbt;
+}
+
+// -------------------------------------------------
+// Policies
+// -------------------------------------------------
+
+// Policy tree: { type: 'pk', key }, { type: 'older' | 'after', value },
+// { type: <hash>, hash }, { type: 'and', subs }, { type: 'or', subs,
+// weights }, { type: 'thresh', k, subs }
+function policyFromTree(tree, keys, context) {
+    const sub = (arg) => policyFromTree(arg, keys, context);
+    switch (tree.name) {
+        case 'pk':
+            expectArgs(tree, 1);
+            return { type: 'pk', key: parseKey(tree.args[0], keys, context) };
+        case 'older':
+        case 'after':
+            expectArgs(tree, 1);
+            return { type: tree.name, value: parseInteger(tree.args[0], 1, 0x7fffffff) };
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            expectArgs(tree, 1);
+            return { type: tree.name, hash: parseHash(tree.args[0], tree.name) };
+        case 'and':
+            expectArgs(tree, 2);
+            return { type: 'and', subs: tree.args.map(sub) };
+        case 'or': {
+            expectArgs(tree, 2);
+            // Branches may be weighted with how likely they are to be used: 9@pk(A)
+            const weights = [];
+            const subs = tree.args.map(arg => {
+                const match = /^(\d+)@(.*)$/.exec(arg.name);
+                weights.push(match ? Number(match[1]) : 1);
+                return sub(match ? { name: match[2], args: arg.args } : arg);
+            });
+            if (weights.some(weight => weight < 1)) throw new Error('or: branch weights must be at least 1');
+            return { type: 'or', subs, weights };
+        }
+        case 'thresh':
+            if (tree.args.length < 2) throw new Error('thresh takes a threshold and at least one policy');
+            return { type: 'thresh', k: parseInteger(tree.args[0], 1, tree.args.length - 1), subs: tree.args.slice(1).map(sub) };
+        default:
+            throw new Error(`unknown policy ${tree.name}`);
+    }
+}
+
+function parsePolicy(text, { keys = {}, context = 'segwit' } = {}) {
+    if (!CONTEXTS[context]) throw new Error(`unknown script context ${context}`);
+    return policyFromTree(parseTree(text.replace(/\s+/g, '')), keys, CONTEXTS[context]);
+}
+
+// Compiler candidates: a node with the expected size of its satisfaction
+// and dissatisfaction, weighted by the odds of each branch being used.
+// For every policy we keep the cheapest candidate of each type, where the
+// cost is the script size plus the expected satisfaction size.
+const candidateCost = (candidate) => candidate.node.scriptSize + candidate.sat;
+
+function addCandidate(candidates, candidate) {
+    if (!Number.isFinite(candidate.sat)) return false;
+    const current = candidates.get(candidate.node.type);
+    if (current && (candidateCost(current) < candidateCost(candidate) ||
+        (candidateCost(current) === candidateCost(candidate) && current.dsat <= candidate.dsat))) {
+        return false;
+    }
+    candidates.set(candidate.node.type, candidate);
+    return true;
+}
+
+function tryCandidate(candidates, build) {
+    let candidate;
+    try {
+        candidate = build();
+    } catch (error) {
+        return;
+    }
+    addCandidate(candidates, candidate);
+}
+
+const leafCandidate = (node) => ({ node, sat: node.sat, dsat: Number.isFinite(node.dsat) ? node.dsat : Infinity });
+
+// Add every wrapper of every candidate until no wrapper gives a cheaper
+// candidate of a new or existing type
+function closeUnderWrappers(candidates, context) {
+    const queue = [...candidates.values()];
+    while (queue.length > 0) {
+        const { node, sat, dsat } = queue.shift();
+        const wrappings = {
+            a: { sat, dsat },
+            s: { sat, dsat },
+            c: { sat, dsat },
+            n: { sat, dsat },
+            d: { sat: sat + 2, dsat: 1 },
+            v: { sat, dsat: Infinity },
+            j: { sat, dsat: 1 },
+            t: { sat, dsat: Infinity },
+            l: { sat: sat + 1, dsat: Math.min(2, dsat + 1) },
+            u: { sat: sat + 2, dsat: 1 }
+        };
+        for (const [wrapper, sizes] of Object.entries(wrappings)) {
+            let wrapped;
+            try {
+                wrapped = { node: wrap(wrapper, node, context), ...sizes };
+            } catch (error) {
+                continue;
+            }
+            if (addCandidate(candidates, wrapped)) queue.push(wrapped);
+        }
+    }
+    return candidates;
+}
+
+function compileCandidates(policy, context) {
+    const candidates = new Map();
+    const leaf = (fragment, params) => tryCandidate(candidates, () => leafCandidate(createNode(fragment, [], params, context)));
+
+    switch (policy.type) {
+        case 'pk':
+            leaf('pk_k', { keys: [policy.key] });
+            leaf('pk_h', { keys: [policy.key] });
+            break;
+        case 'older':
+        case 'after':
+            leaf(policy.type, { value: policy.value });
+            break;
+        case 'sha256':
+        case 'hash256':
+        case 'ripemd160':
+        case 'hash160':
+            leaf(policy.type, { hash: policy.hash });
+            break;
+        case 'and': {
+            const [left, right] = policy.subs.map(sub => [...compileCandidates(sub, context).values()]);
+            const zero = createNode('0', [], {}, context);
+            for (const [xs, ys] of [[left, right], [right, left]]) {
+                for (const x of xs) {
+                    for (const y of ys) {
+                        tryCandidate(candidates, () => ({ node: createNode('and_v', [x.node, y.node], {}, context), sat: x.sat + y.sat, dsat: Infinity }));
+                        tryCandidate(candidates, () => ({ node: createNode('and_b', [x.node, y.node], {}, context), sat: x.sat + y.sat, dsat: x.dsat + y.dsat }));
+                        tryCandidate(candidates, () => ({ node: createNode('andor', [x.node, y.node, zero], {}, context), sat: x.sat + y.sat, dsat: x.dsat }));
+                    }
+                }
+            }
+            break;
+        }
+        case 'or': {
+            const [left, right] = policy.subs.map(sub => [...compileCandidates(sub, context).values()]);
+            const total = policy.weights[0] + policy.weights[1];
+            const odds = [policy.weights[0] / total, policy.weights[1] / total];
+            for (const [xs, ys, p, q] of [[left, right, odds[0], odds[1]], [right, left, odds[1], odds[0]]]) {
+                for (const x of xs) {
+                    for (const y of ys) {
+                        const node = (fragment) => createNode(fragment, [x.node, y.node], {}, context);
+                        tryCandidate(candidates, () => ({ node: node('or_b'), sat: p * (x.sat + y.dsat) + q * (x.dsat + y.sat), dsat: x.dsat + y.dsat }));
+                        tryCandidate(candidates, () => ({ node: node('or_d'), sat: p * x.sat + q * (x.dsat + y.sat), dsat: x.dsat + y.dsat }));
+                        tryCandidate(candidates, () => ({ node: node('or_c'), sat: p * x.sat + q * (x.dsat + y.sat), dsat: Infinity }));
+                        tryCandidate(candidates, () => ({
+                            node: node('or_i'),
+                            sat: p * (x.sat + 2) + q * (y.sat + 1),
+                            dsat: Math.min(x.dsat + 2, y.dsat + 1)
+                        }));
+                    }
+                }
+            }
+            break;
+        }
+        case 'thresh': {
+            const n = policy.subs.length;
+            // thresh(1,...) is an or and thresh(n,...) an and of its policies
+            if (n === 1) return compileCandidates(policy.subs[0], context);
+            const rest = { type: 'thresh', subs: policy.subs.slice(1) };
+            if (policy.k === 1) {
+                for (const candidate of compileCandidates({ type: 'or', subs: [policy.subs[0], { ...rest, k: 1 }], weights: [1, n - 1] }, context).values()) {
+                    addCandidate(candidates, candidate);
+                }
+            }
+            if (policy.k === n) {
+                for (const candidate of compileCandidates({ type: 'and', subs: [policy.subs[0], { ...rest, k: n - 1 }] }, context).values()) {
+                    addCandidate(candidates, candidate);
+                }
+            }
+            if (policy.subs.every(sub => sub.type === 'pk')) {
+                const fragment = context === CONTEXTS.tapscript ? 'multi_a' : 'multi';
+                leaf(fragment, { k: policy.k, keys: policy.subs.map(sub => sub.key) });
+            }
+
+            // thresh(k, X1, X2...) with the cheapest Bdu and Wdu forms
+            const share = policy.k / n;
+            const cheapest = (sub, needed) => {
+                let best = null;
+                for (const candidate of compileCandidates(sub, context).values()) {
+                    if (!has(candidate.node.type, needed) || !Number.isFinite(candidate.dsat)) continue;
+                    const cost = candidate.node.scriptSize + share * candidate.sat + (1 - share) * candidate.dsat;
+                    if (!best || cost < best.cost) best = { ...candidate, cost };
+                }
+                return best;
+            };
+            const subs = policy.subs.map((sub, index) => cheapest(sub, index === 0 ? 'Bdu' : 'Wdu'));
+            if (subs.every(Boolean)) {
+                tryCandidate(candidates, () => ({
+                    node: createNode('thresh', subs.map(sub => sub.node), { k: policy.k }, context),
+                    sat: subs.reduce((sum, sub) => sum + share * sub.sat + (1 - share) * sub.dsat, 0),
+                    dsat: subs.reduce((sum, sub) => sum + sub.dsat, 0)
+                }));
+            }
+            break;
+        }
+        default:
+            throw new Error(`unknown policy ${policy.type}`);
+    }
+    return closeUnderWrappers(candidates, context);
+}
+
+function policyHasKeys(policy) {
+    return policy.type === 'pk' || (policy.subs || []).some(policyHasKeys);
+}
+
+// Compile a policy (text or parsed) to the cheapest non-malleable
+// Miniscript of type B, preferring ones where every spend needs a
+// signature when the policy has keys at all
+function compilePolicy(policy, { keys = {}, context = 'segwit' } = {}) {
+    if (!CONTEXTS[context]) throw new Error(`unknown script context ${context}`);
+    if (typeof policy === 'string') policy = parsePolicy(policy, { keys, context });
+    const results = [...compileCandidates(policy, CONTEXTS[context]).values()]
+        .filter(candidate => has(candidate.node.type, 'Bm'));
+    const signed = results.filter(candidate => has(candidate.node.type, 's'));
+    const choices = policyHasKeys(policy) && signed.length > 0 ? signed : results;
+    if (choices.length === 0) throw new Error('the policy has no non-malleable Miniscript');
+    return choices.reduce((best, candidate) => candidateCost(candidate) < candidateCost(best) ? candidate : best).node;
+}
+
+module.exports = {
+    analyzeMiniscript,
+    compilePolicy,
+    finalizeMiniscriptInput,
+    miniscriptToScript,
+    miniscriptToString,
+    parseMiniscript,
+    parsePolicy,
+    satisfy
+};
@@ -0,0 +1,203 @@
+/**
+ * Consensus vs Policy Examples
+ *
+ * This script builds spends that a block would accept but that nodes refuse
+ * to relay, and runs each through the interpreter twice: once under the
+ * consensus flags and once under the standardness (policy) flags, showing
+ * the exact ScriptError that policy raises.
+ *
+ * Note: These are examples only and are not broadcast to the network.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { ECPairFactory } = require('ecpair');
+const tinysecp = require('tiny-secp256k1');
+const { flipSignatureS } = require('./malleability');
+const {
+    MANDATORY_SCRIPT_VERIFY_FLAGS,
+    STANDARD_NOT_MANDATORY_VERIFY_FLAGS,
+    STANDARD_SCRIPT_VERIFY_FLAGS,
+    formatFlags
+} = require('./policy');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { SIGHASH, legacySignatureHash, witnessV0SignatureHash } = require('./sighash');
+const { verifyTransactionInput } = require('./signature-checker');
+const { labWallet, participantKey } = require('./wallet');
+
+const ECPair = ECPairFactory(tinysecp);
+const wallet = labWallet();
+const network = bitcoin.networks.testnet;
+const OPS = bitcoin.opcodes;
+
+const alice = participantKey(wallet, 'Alice');
+const bob = participantKey(wallet, 'Bob');
+// Alice's P2PKH coin is on the BIP44 path of her account
+const aliceLegacy = participantKey(wallet, 'Alice', 'p2pkh');
+const aliceUncompressed = ECPair.fromPrivateKey(alice.privateKey, { compressed: false, network });
+
+// Keys and hashes shown by name when scripts are disassembled
+const labels = labelsFor({
+    'Alice': alice.publicKey,
+    'Bob': bob.publicKey,
+    'Alice-uncompressed': aliceUncompressed.publicKey,
+    'Alice-legacy': aliceLegacy.publicKey,
+    'Alice-PKH': bitcoin.crypto.hash160(alice.publicKey),
+    'Alice-legacy-PKH': bitcoin.crypto.hash160(aliceLegacy.publicKey),
+    'Alice-uncompressed-PKH': bitcoin.crypto.hash160(aliceUncompressed.publicKey)
+});
+
+// A transaction spending `prevOutput` to Bob, leaving 1000 satoshis of fee
+function createSpend(prevOutput) {
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    tx.addInput(Buffer.alloc(32, 0xee), 0);
+    tx.addOutput(bitcoin.payments.p2wpkh({ pubkey: bob.publicKey, network }).output, prevOutput.value - 1000);
+    return tx;
+}
+
+function signLegacy(tx, keyPair, scriptCode) {
+    const hash = legacySignatureHash(tx, 0, scriptCode, SIGHASH.ALL);
+    return bitcoin.script.signature.encode(keyPair.sign(hash), SIGHASH.ALL);
+}
+
+function signWitnessV0(tx, keyPair, scriptCode, amount) {
+    const hash = witnessV0SignatureHash(tx, 0, scriptCode, amount, SIGHASH.ALL);
+    return bitcoin.script.signature.encode(keyPair.sign(hash), SIGHASH.ALL);
+}
+
+// P2PKH scriptCode for a public key, as signed by P2PKH and P2WPKH inputs
+function p2pkhScript(publicKey) {
+    return bitcoin.payments.p2pkh({ pubkey: publicKey, network }).output;
+}
+
+// A P2WSH output for `witnessScript`, spent with the items returned by
+// `buildItems(sign)` followed by the script; sign(keyPair) signs the spend
+function p2wshSpend(witnessScript, buildItems) {
+    const prevOutput = { script: bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network }).output, value: 100000 };
+    const tx = createSpend(prevOutput);
+    const sign = (keyPair) => signWitnessV0(tx, keyPair, witnessScript, prevOutput.value);
+    tx.ins[0].witness = [...buildItems(sign), witnessScript];
+    return { tx, prevOutput, witnessScript };
+}
+
+function p2wpkhSpend(keyPair, transformSignature = (signature) => signature) {
+    const prevOutput = { script: bitcoin.payments.p2wpkh({ hash: bitcoin.crypto.hash160(keyPair.publicKey), network }).output, value: 100000 };
+    const tx = createSpend(prevOutput);
+    const signature = signWitnessV0(tx, keyPair, p2pkhScript(keyPair.publicKey), prevOutput.value);
+    tx.ins[0].witness = [transformSignature(signature), keyPair.publicKey];
+    return { tx, prevOutput };
+}
+
+// A P2PKH spend of Alice's legacy key whose scriptSig is built by
+// `buildScriptSig(signature, publicKey)`
+function p2pkhSpend(buildScriptSig) {
+    const prevOutput = { script: p2pkhScript(aliceLegacy.publicKey), value: 100000 };
+    const tx = createSpend(prevOutput);
+    const signature = signLegacy(tx, aliceLegacy, prevOutput.script);
+    tx.ins[0].script = buildScriptSig(signature, aliceLegacy.publicKey);
+    return { tx, prevOutput };
+}
+
+// Print the interpreter's verdict for an input
+function printVerification(label, result) {
+    if (result.valid) {
+        console.log(label, 'VALID');
+    } else {
+        console.log(label, `INVALID (${result.error.fullCode}: ${result.error.message})`);
+    }
+}
+
+function createExamples() {
+    return [
+        {
+            name: 'Standard P2WPKH spend',
+            explanation: 'Follows every rule: accepted in blocks and relayed.',
+            ...p2wpkhSpend(alice)
+        },
+        {
+            name: 'High-S signature (P2WPKH)',
+            explanation: '(r, n - s) verifies like (r, s); LOW_S allows only one of the two encodings.',
+            ...p2wpkhSpend(alice, flipSignatureS)
+        },
+        {
+            name: 'Non-minimal push of the signature (P2PKH)',
+            explanation: 'OP_PUSHDATA1 where a direct push works: anyone could re-encode the scriptSig and change the txid.',
+            ...p2pkhSpend((signature, publicKey) => Buffer.concat([
+                Buffer.from([OPS.OP_PUSHDATA1, signature.length]), signature,
+                Buffer.from([publicKey.length]), publicKey
+            ]))
+        },
+        {
+            name: 'Extra item left on the stack (P2PKH)',
+            explanation: 'OP_1 <sig> <pubkey>: the script succeeds with an unused item below the result.',
+            ...p2pkhSpend((signature, publicKey) => bitcoin.script.compile([OPS.OP_1, signature, publicKey]))
+        },
+        {
+            name: 'Uncompressed public key (P2WPKH)',
+            explanation: 'Segwit policy only accepts 33-byte compressed keys.',
+            ...p2wpkhSpend(aliceUncompressed)
+        },
+        {
+            name: 'Upgradable NOP in the witness script (P2WSH)',
+            explanation: 'OP_NOP10 may gain a meaning in a soft fork; relaying it now could relay spends that become invalid.',
+            ...p2wshSpend(
+                bitcoin.script.compile([OPS.OP_NOP10, alice.publicKey, OPS.OP_CHECKSIG]),
+                (sign) => [sign(alice)]
+            )
+        },
+        {
+            name: 'OP_IF argument other than 1 (P2WSH)',
+            explanation: 'Any true value selects the branch; MINIMALIF requires exactly 0x01 so the witness cannot be altered.',
+            ...p2wshSpend(
+                bitcoin.script.compile([OPS.OP_IF, alice.publicKey, OPS.OP_CHECKSIG, OPS.OP_ELSE, OPS.OP_0, OPS.OP_ENDIF]),
+                (sign) => [sign(alice), Buffer.from([0x02])]
+            )
+        },
+        {
+            name: 'Failed signature that is not empty (P2WSH)',
+            explanation: '<pubkey> OP_CHECKSIG OP_NOT succeeds with any invalid signature; NULLFAIL requires an empty one.',
+            ...p2wshSpend(
+                bitcoin.script.compile([alice.publicKey, OPS.OP_CHECKSIG, OPS.OP_NOT]),
+                (sign) => [sign(bob)]
+            )
+        },
+        {
+            name: 'Spend of a future witness version (v2)',
+            explanation: 'Unknown witness versions are anyone-can-spend until a soft fork defines them.',
+            ...(() => {
+                const prevOutput = { script: bitcoin.script.compile([OPS.OP_2, Buffer.alloc(32, 0x01)]), value: 100000 };
+                return { tx: createSpend(prevOutput), prevOutput };
+            })()
+        },
+        {
+            name: 'Non-empty CHECKMULTISIG dummy (P2WSH)',
+            explanation: 'NULLDUMMY is a consensus rule since segwit (BIP147), so this spend fails both checks.',
+            ...p2wshSpend(
+                bitcoin.payments.p2ms({ m: 1, pubkeys: [alice.publicKey, bob.publicKey], network }).output,
+                (sign) => [Buffer.from([0x01]), sign(alice)]
+            )
+        }
+    ];
+}
+
+console.log('\n===== Consensus vs Policy =====');
+console.log('\nConsensus flags:', formatFlags(MANDATORY_SCRIPT_VERIFY_FLAGS));
+console.log('Policy adds:    ', formatFlags(STANDARD_NOT_MANDATORY_VERIFY_FLAGS));
+
+for (const example of createExamples()) {
+    console.log(`\n----- ${example.name} -----`);
+    console.log(example.explanation);
+    
+    // Disassembled from the transaction, so non-minimal pushes are reported
+    const input = example.tx.ins[0];
+    const exampleLabels = !example.witnessScript ? labels : {
+        ...labels,
+        ...labelsFor({ 'witnessScript': example.witnessScript, 'WSHash': bitcoin.crypto.sha256(example.witnessScript) })
+    };
+    console.log('  Spent output:  ', formatScript(example.prevOutput.script, { labels: exampleLabels }));
+    if (input.script.length > 0) console.log('  ScriptSig:     ', formatScript(input.script, { labels: exampleLabels }));
+    if (input.witness.length > 0) console.log('  Witness:       ', formatWitness(input.witness, exampleLabels));
+    if (example.witnessScript) console.log('  Witness script:', formatScript(example.witnessScript, { labels: exampleLabels }));
+    printVerification('  Consensus:', verifyTransactionInput(example.tx, 0, example.prevOutput));
+    printVerification('  Policy:   ', verifyTransactionInput(example.tx, 0, example.prevOutput, { flags: STANDARD_SCRIPT_VERIFY_FLAGS }));
+}
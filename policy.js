@@ -0,0 +1,71 @@
+/**
+ * Consensus and Policy Flags
+ *
+ * A node validates scripts twice over. Consensus flags are the rules every
+ * block must follow; breaking one makes a transaction invalid. Policy
+ * (standardness) flags are extra rules a node applies before relaying a
+ * transaction or adding it to its mempool: a spend that breaks only these is
+ * still valid in a block, but nodes will not propagate it. The flag sets
+ * below match Bitcoin Core's policy.h.
+ */
+
+const { SCRIPT_VERIFY } = require('./script-interpreter');
+
+// Rules enforced in blocks (every deployed soft fork)
+const MANDATORY_SCRIPT_VERIFY_FLAGS =
+    SCRIPT_VERIFY.P2SH |
+    SCRIPT_VERIFY.DERSIG |
+    SCRIPT_VERIFY.NULLDUMMY |
+    SCRIPT_VERIFY.CHECKLOCKTIMEVERIFY |
+    SCRIPT_VERIFY.CHECKSEQUENCEVERIFY |
+    SCRIPT_VERIFY.WITNESS |
+    SCRIPT_VERIFY.TAPROOT;
+
+// Rules enforced for relay and mining: malleability fixes and upgrade hooks
+const STANDARD_SCRIPT_VERIFY_FLAGS =
+    MANDATORY_SCRIPT_VERIFY_FLAGS |
+    SCRIPT_VERIFY.STRICTENC |
+    SCRIPT_VERIFY.MINIMALDATA |
+    SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_NOPS |
+    SCRIPT_VERIFY.CLEANSTACK |
+    SCRIPT_VERIFY.MINIMALIF |
+    SCRIPT_VERIFY.NULLFAIL |
+    SCRIPT_VERIFY.LOW_S |
+    SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM |
+    SCRIPT_VERIFY.WITNESS_PUBKEYTYPE |
+    SCRIPT_VERIFY.CONST_SCRIPTCODE |
+    SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_TAPROOT_VERSION |
+    SCRIPT_VERIFY.DISCOURAGE_OP_SUCCESS |
+    SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_PUBKEYTYPE;
+
+const STANDARD_NOT_MANDATORY_VERIFY_FLAGS = STANDARD_SCRIPT_VERIFY_FLAGS & ~MANDATORY_SCRIPT_VERIFY_FLAGS;
+
+// Parse a comma separated list of flag names ("P2SH,WITNESS"), as used by
+// Bitcoin Core's test vectors; "NONE" and an empty string mean no flags
+function parseFlags(text) {
+    let flags = 0;
+    for (const name of text.split(',').map(part => part.trim())) {
+        if (name === '' || name === 'NONE') continue;
+        if (!(name in SCRIPT_VERIFY)) {
+            throw new Error(`Unknown script verification flag: ${name}`);
+        }
+        flags |= SCRIPT_VERIFY[name];
+    }
+    return flags;
+}
+
+// The names of the flags set in `flags`, comma separated
+function formatFlags(flags) {
+    const names = Object.entries(SCRIPT_VERIFY)
+        .filter(([name, bit]) => bit !== 0 && (flags & bit) === bit)
+        .map(([name]) => name);
+    return names.length > 0 ? names.join(',') : 'NONE';
+}
+
+module.exports = {
+    MANDATORY_SCRIPT_VERIFY_FLAGS,
+    STANDARD_NOT_MANDATORY_VERIFY_FLAGS,
+    STANDARD_SCRIPT_VERIFY_FLAGS,
+    formatFlags,
+    parseFlags
+};
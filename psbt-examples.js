@@ -0,0 +1,393 @@
+/**
+ * PSBT Workflow Examples
+ *
+ * Coordinates a 2-of-3 multisig spend the way separate wallets do: by
+ * passing PSBT files (BIP174) between the roles instead of holding every key
+ * in one process. The coordinator creates the PSBT and adds what the signers
+ * need to know about the coin, each signer signs their own copy with their
+ * own key, a combiner merges the copies, and a finalizer builds the final
+ * scriptSig and witness before the transaction is extracted. The second run
+ * does the same with a version 2 PSBT (BIP370).
+ *
+ * Each step is a command, also available from the command line:
+ *
+ *   node psbt-examples.js create <out.psbt> [p2wsh | p2sh] [--v2]
+ *   node psbt-examples.js update <in.psbt> <out.psbt>
+ *   node psbt-examples.js sign <in.psbt> <out.psbt> <Alice | Bob | Charlie>
+ *   node psbt-examples.js combine <out.psbt> <in.psbt>...
+ *   node psbt-examples.js finalize <in.psbt> <out.psbt>
+ *   node psbt-examples.js extract <in.psbt>
+ *   node psbt-examples.js inspect <in.psbt>
+ *   node psbt-examples.js convert <in.psbt> <out.psbt> <0 | 2>
+ *
+ * PSBT files are written in binary; base64 and hex files are read too.
+ * createPsbtSession() takes the same commands from lines of user input,
+ * for the lab's menu.
+ *
+ * Note: The coins spent are made up, and nothing is broadcast.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const {
+    MODIFIABLE,
+    combinePsbts,
+    convertPsbt,
+    extractTransaction,
+    finalizePsbt,
+    inspectPsbt,
+    modifyPsbt,
+    signPsbt
+} = require('./psbt');
+const { verifyTransactionInput } = require('./signature-checker');
+const { describeLockTime } = require('./timelocks');
+const { labWallet, participantKey, participantPath } = require('./wallet');
+
+const wallet = labWallet();
+const { network } = wallet;
+const SIGNERS = ['Alice', 'Bob', 'Charlie'];
+
+// Each signer's keys on the standard path of each coin's script type:
+// BIP44 for the legacy P2SH coin, BIP84 for the P2WSH coin
+const KEY_TYPES = ['p2pkh', 'p2wpkh'];
+const keys = Object.fromEntries(KEY_TYPES.map(scriptType =>
+    [scriptType, Object.fromEntries(SIGNERS.map(name => [name, participantKey(wallet, name, scriptType)]))]));
+const keyNames = Object.fromEntries(KEY_TYPES.flatMap(scriptType =>
+    SIGNERS.map(name => [keys[scriptType][name].publicKey.toString('hex'), name])));
+
+const formatBtc = (sats) => `${(sats / 1e8).toFixed(8)} BTC`;
+
+// The 2-of-3 between Alice, Bob and Charlie with their keys of `scriptType`
+const multisigOf = (scriptType) =>
+    bitcoin.payments.p2ms({ m: 2, pubkeys: SIGNERS.map(name => keys[scriptType][name].publicKey), network });
+
+function createFakePrevTx(output, value) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(Buffer.alloc(32), 0);
+    tx.addOutput(output, value);
+    return tx;
+}
+
+// The coins the lab's coordinator knows about: the same outputs
+// transaction-examples.js spends
+const legacyMultisig = multisigOf('p2pkh');
+const segwitMultisig = multisigOf('p2wpkh');
+const p2shPrevTx = createFakePrevTx(bitcoin.payments.p2sh({ redeem: legacyMultisig, network }).output, 200000);
+const p2wshOutput = bitcoin.payments.p2wsh({ redeem: segwitMultisig, network }).output;
+const COINS = {
+    p2sh: {
+        txid: p2shPrevTx.getId(),
+        vout: 0,
+        scriptType: 'p2pkh',
+        fields: { nonWitnessUtxo: p2shPrevTx.toBuffer(), redeemScript: legacyMultisig.output },
+        prevOutput: p2shPrevTx.outs[0],
+        payTo: bitcoin.payments.p2pkh({ pubkey: keys.p2pkh.Charlie.publicKey, network }).address,
+        amount: 190000
+    },
+    p2wsh: {
+        txid: 'dddddddddddddddddddddddddddddddddddddddddddddddddddddddddddddddd',
+        vout: 0,
+        scriptType: 'p2wpkh',
+        fields: {
+            witnessUtxo: { script: p2wshOutput, value: 400000 },
+            witnessScript: segwitMultisig.output
+        },
+        prevOutput: { script: p2wshOutput, value: 400000 },
+        payTo: bitcoin.payments.p2wpkh({ pubkey: keys.p2wpkh.Charlie.publicKey, network }).address,
+        amount: 390000
+    }
+};
+
+const coinAt = (txid, vout) => Object.values(COINS).find(coin => coin.txid === txid && coin.vout === vout) || null;
+
+// Where a signer's key comes from, so each signer can recognize their own
+const derivationOf = (name, scriptType) => ({
+    masterFingerprint: wallet.fingerprint,
+    path: participantPath(wallet, name, scriptType),
+    pubkey: keys[scriptType][name].publicKey
+});
+
+// -------------------------------------------------
+// Inspector output
+// -------------------------------------------------
+
+// Lines describing what a PSBT has and what it still needs
+function describePsbt(report) {
+    const lines = [
+        `PSBT version ${report.version}: ${report.status}`,
+        `  transaction version ${report.txVersion}, locktime ${report.locktime} (${describeLockTime(report.locktime)})`,
+        `  global fields: ${report.fields.join(', ')}`
+    ];
+    if (report.modifiable) {
+        const yesNo = (flag) => flag ? 'yes' : 'no';
+        lines.push(`  modifiable: inputs ${yesNo(report.modifiable.inputs)}, outputs ${yesNo(report.modifiable.outputs)}` +
+            `${report.modifiable.hasSighashSingle ? ', has SIGHASH_SINGLE signatures' : ''}`);
+    }
+    for (const input of report.inputs) {
+        const spent = input.spent ? `, ${input.scriptType}, ${formatBtc(input.spent.value)}` : '';
+        lines.push(`  input ${input.index}: spends ${input.txid.slice(0, 16)}..:${input.vout}${spent}`);
+        lines.push(`    fields: ${input.fields.join(', ') || '(none)'}`);
+        for (const derivation of input.derivations) {
+            lines.push(`    key ${derivation.key} at [${derivation.fingerprint}]${derivation.path}`);
+        }
+        if (input.finalized) {
+            lines.push('    finalized: the final scriptSig and witness are in place');
+            continue;
+        }
+        if (input.sighashType) lines.push(`    sighash type: ${input.sighashType}`);
+        if (input.required) {
+            const signatures = input.signatures.map(signature => `${signature.key} (${signature.hashType})`).join(', ') || 'none';
+            lines.push(`    signatures: ${input.required.have} of ${input.required.m} required: ${signatures}`);
+        }
+        lines.push(`    ${input.missing.length > 0 ? `needs: ${input.missing.join('; ')}` : 'ready to finalize'}`);
+    }
+    for (const output of report.outputs) {
+        const owner = output.derivations.map(derivation => ` (${derivation.key}'s key)`).join('');
+        lines.push(`  output ${output.index}: ${formatBtc(output.value)} to ${output.type} ${output.address || ''}${owner}`);
+        if (output.fields.length > 0) lines.push(`    fields: ${output.fields.join(', ')}`);
+    }
+    if (report.fee !== null) lines.push(`  fee: ${report.fee} sats`);
+    return lines;
+}
+
+// -------------------------------------------------
+// Commands
+// -------------------------------------------------
+
+const USAGE = [
+    'create <out.psbt> [p2wsh | p2sh] [--v2]   the coordinator creates the spend',
+    'update <in.psbt> <out.psbt>               the coordinator adds the coin and key details',
+    `sign <in.psbt> <out.psbt> <${SIGNERS.join(' | ')}>  one signer signs their copy`,
+    'combine <out.psbt> <in.psbt>...           merge the signed copies',
+    'finalize <in.psbt> <out.psbt>             build the final scriptSig and witness',
+    'extract <in.psbt>                         print the signed transaction',
+    'inspect <in.psbt>                         show what is present and missing',
+    'convert <in.psbt> <out.psbt> <0 | 2>      rewrite as PSBT version 0 or 2'
+];
+
+// Run one command with its file arguments; `dir` resolves relative paths
+function runCommand(args, { dir = process.cwd(), print = console.log } = {}) {
+    const [command, ...rest] = args.filter(arg => arg !== '--v2');
+    const file = (name) => {
+        if (!name) throw new Error(`Missing a file name (usage: ${USAGE.find(line => line.startsWith(command)) || command})`);
+        return path.resolve(dir, name);
+    };
+    const read = (name) => {
+        if (!fs.existsSync(file(name))) throw new Error(`There is no file ${name}`);
+        return fs.readFileSync(file(name));
+    };
+    const write = (name, data) => {
+        fs.writeFileSync(file(name), data);
+        print(`Wrote ${name} (${data.length} bytes)`);
+    };
+
+    switch (command) {
+        case 'create': {
+            const [out, kind = 'p2wsh'] = rest;
+            const coin = COINS[kind];
+            if (!coin) throw new Error(`Unknown coin ${kind} (use ${Object.keys(COINS).join(' or ')})`);
+            // The creator only says which coin is spent and where it goes
+            const psbt = new bitcoin.Psbt({ network });
+            psbt.addInput({ hash: coin.txid, index: coin.vout });
+            psbt.addOutput({ address: coin.payTo, value: coin.amount });
+            const created = args.includes('--v2')
+                ? convertPsbt(psbt.toBuffer(), 2, { modifiable: MODIFIABLE.INPUTS | MODIFIABLE.OUTPUTS })
+                : psbt.toBuffer();
+            write(out, created);
+            break;
+        }
+        case 'update': {
+            const [input, out] = rest;
+            const { psbt } = modifyPsbt(read(input), (psbt) => {
+                psbt.txInputs.forEach((txInput, index) => {
+                    const coin = coinAt(Buffer.from(txInput.hash).reverse().toString('hex'), txInput.index);
+                    if (!coin) throw new Error(`Input ${index} spends a coin the coordinator does not know`);
+                    psbt.updateInput(index, {
+                        ...coin.fields,
+                        bip32Derivation: SIGNERS.map(name => derivationOf(name, coin.scriptType))
+                    });
+                });
+                // Charlie's wallet can check the payment is to his key
+                psbt.txOutputs.forEach((output, index) => {
+                    const coin = Object.values(COINS).find(coin =>
+                        output.script.equals(bitcoin.address.toOutputScript(coin.payTo, network)));
+                    if (coin) psbt.updateOutput(index, { bip32Derivation: [derivationOf('Charlie', coin.scriptType)] });
+                });
+            }, { network });
+            write(out, psbt);
+            break;
+        }
+        case 'sign': {
+            const [input, out, name] = rest;
+            if (!SIGNERS.includes(name)) throw new Error(`Unknown signer ${name} (use ${SIGNERS.join(', ')})`);
+            // The signer's wallet holds a key on each path and signs with the ones the inputs use
+            const { psbt, signed } = signPsbt(read(input), KEY_TYPES.map(scriptType => keys[scriptType][name]), { network });
+            print(`${name} signed input${signed.length > 1 ? 's' : ''} ${signed.join(', ')}`);
+            write(out, psbt);
+            break;
+        }
+        case 'combine': {
+            const [out, ...inputs] = rest;
+            if (inputs.length === 0) throw new Error('Name the PSBTs to combine');
+            write(out, combinePsbts(inputs.map(read), { network }));
+            break;
+        }
+        case 'finalize': {
+            const [input, out] = rest;
+            write(out, finalizePsbt(read(input), { network }));
+            break;
+        }
+        case 'extract': {
+            const [input] = rest;
+            const tx = extractTransaction(read(input), { network });
+            print(`Transaction ID: ${tx.getId()}`);
+            print(`Raw transaction: ${tx.toHex()}`);
+            tx.ins.forEach((txInput, index) => {
+                const coin = coinAt(Buffer.from(txInput.hash).reverse().toString('hex'), txInput.index);
+                if (!coin) return;
+                const result = verifyTransactionInput(tx, index, coin.prevOutput);
+                print(`Script verification (input ${index}): ${result.valid ? 'VALID' : `INVALID (${result.error.fullCode})`}`);
+            });
+            break;
+        }
+        case 'inspect': {
+            const [input] = rest;
+            describePsbt(inspectPsbt(read(input), { names: keyNames, network })).forEach(line => print(line));
+            break;
+        }
+        case 'convert': {
+            const [input, out, version] = rest;
+            write(out, convertPsbt(read(input), Number(version)));
+            break;
+        }
+        default:
+            throw new Error(`Unknown command ${command}. Commands:\n  ${USAGE.join('\n  ')}`);
+    }
+}
+
+// -------------------------------------------------
+// Interactive session
+// -------------------------------------------------
+
+// Reads one command per line, with files relative to the working directory.
+// handleLine() returns false once the user leaves.
+function createPsbtSession(print = console.log) {
+    return {
+        prompt: 'psbt>',
+        intro() {
+            print('\n==== PSBT Workflow ====\n');
+            print('Pass a 2-of-3 spend between Alice, Bob and Charlie as PSBT files:');
+            USAGE.forEach(line => print(`  ${line}`));
+            print(`Files are read and written in ${process.cwd()}. An empty line returns to the menu.\n`);
+        },
+        handleLine(line) {
+            const args = line.trim().split(/\s+/);
+            if (!args[0] || args[0] === 'quit' || args[0] === 'exit') return false;
+            try {
+                runCommand(args, { print });
+            } catch (error) {
+                print(`Rejected: ${error.message}`);
+            }
+            return true;
+        }
+    };
+}
+
+// -------------------------------------------------
+// Walkthrough
+// -------------------------------------------------
+
+// Run a command as if typed on the command line
+function step(dir, role, line) {
+    console.log(`\n[${role}] $ node psbt-examples.js ${line}`);
+    try {
+        runCommand(line.split(' '), { dir });
+    } catch (error) {
+        console.log(`Rejected: ${error.message}`);
+    }
+}
+
+function versionZeroWalkthrough(dir) {
+    console.log('\n----- A 2-of-3 P2WSH Spend Passed Between Three Wallets -----');
+    step(dir, 'Coordinator', 'create spend.psbt p2wsh');
+    step(dir, 'Coordinator', 'inspect spend.psbt');
+    console.log('\nThe signers cannot sign yet: they need the coin\'s amount and witness script,');
+    console.log('and the derivation paths that tell each wallet which key is its own.');
+    step(dir, 'Coordinator', 'update spend.psbt spend.psbt');
+    step(dir, 'Coordinator', 'inspect spend.psbt');
+
+    console.log('\nAlice and Bob each receive spend.psbt and sign their own copy, on their own devices:');
+    step(dir, 'Alice', 'sign spend.psbt alice.psbt Alice');
+    step(dir, 'Bob', 'sign spend.psbt bob.psbt Bob');
+    step(dir, 'Coordinator', 'inspect bob.psbt');
+
+    console.log('\nNeither copy has two signatures; the combiner merges them:');
+    step(dir, 'Coordinator', 'combine combined.psbt alice.psbt bob.psbt');
+    step(dir, 'Coordinator', 'inspect combined.psbt');
+    step(dir, 'Coordinator', 'finalize combined.psbt final.psbt');
+    step(dir, 'Coordinator', 'inspect final.psbt');
+    step(dir, 'Coordinator', 'extract final.psbt');
+}
+
+function versionTwoWalkthrough(dir) {
+    console.log('\n----- The Same Workflow with PSBT Version 2 (BIP370) -----');
+    console.log('Version 2 has no UNSIGNED_TX: the transaction version, locktime and each');
+    console.log('input\'s outpoint and each output\'s amount and script are fields of their own,');
+    console.log('and TX_MODIFIABLE says whether inputs and outputs may still be added.');
+    step(dir, 'Coordinator', 'create v2.psbt p2sh --v2');
+    step(dir, 'Coordinator', 'update v2.psbt v2.psbt');
+    step(dir, 'Coordinator', 'inspect v2.psbt');
+
+    console.log('\nA SIGHASH_ALL signature covers every input and output, so signing clears both flags:');
+    step(dir, 'Alice', 'sign v2.psbt v2-alice.psbt Alice');
+    step(dir, 'Charlie', 'sign v2.psbt v2-charlie.psbt Charlie');
+    step(dir, 'Coordinator', 'combine v2-combined.psbt v2-alice.psbt v2-charlie.psbt');
+    step(dir, 'Coordinator', 'inspect v2-combined.psbt');
+
+    console.log('\nConverted to version 0, the transaction fields become an UNSIGNED_TX:');
+    step(dir, 'Coordinator', 'convert v2-combined.psbt v0-combined.psbt 0');
+    step(dir, 'Coordinator', 'inspect v0-combined.psbt');
+    step(dir, 'Coordinator', 'finalize v2-combined.psbt v2-final.psbt');
+    step(dir, 'Coordinator', 'extract v2-final.psbt');
+}
+
+function mistakeExamples(dir) {
+    console.log('\n----- Mistakes the Roles Catch -----');
+    console.log('\nSigning before the coordinator added the coin details:');
+    step(dir, 'Alice', 'sign spend-unsigned.psbt x.psbt Alice');
+    console.log('\nFinalizing with one signature of the two required:');
+    step(dir, 'Coordinator', 'finalize bob.psbt x.psbt');
+    console.log('\nExtracting before finalizing:');
+    step(dir, 'Coordinator', 'extract combined.psbt');
+    console.log('\nCombining PSBTs of different transactions:');
+    step(dir, 'Coordinator', 'combine x.psbt alice.psbt v2-alice.psbt');
+}
+
+if (require.main === module && process.argv[2] && !process.argv[2].startsWith('--')) {
+    try {
+        // The wallet options and their values are for wallet.js, not the command
+        const walletOptions = ['--mnemonic', '--passphrase', '--seed'];
+        const args = process.argv.slice(2).filter((arg, i, all) => !walletOptions.includes(arg) && !walletOptions.includes(all[i - 1]));
+        runCommand(args);
+    } catch (error) {
+        console.log(`Rejected: ${error.message}`);
+        process.exitCode = 1;
+    }
+} else {
+    console.log('\n===== PSBT Workflow =====');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psbt-lab-'));
+    try {
+        versionZeroWalkthrough(dir);
+        versionTwoWalkthrough(dir);
+        runCommand(['create', 'spend-unsigned.psbt', 'p2wsh'], { dir, print: () => {} });
+        mistakeExamples(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    createPsbtSession
+};
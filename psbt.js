@@ -0,0 +1,724 @@
+/**
+ * Partially Signed Bitcoin Transactions
+ *
+ * Reads and writes the key-value maps of a PSBT (BIP174) directly, so that
+ * every field of both versions can be inspected: version 0 carries the
+ * unsigned transaction in a global field, and version 2 (BIP370) describes
+ * each input and output in fields of its own, so that they can be added
+ * after the PSBT is created. bitcoinjs implements the BIP174 roles for
+ * version 0 only, so a version 2 PSBT is converted to version 0 to be
+ * updated, signed, combined or finalized, and converted back after.
+ *
+ * inspectPsbt() reports what each input has and what the signers and the
+ * finalizer still need: the UTXO being spent, redeem and witness scripts,
+ * and signatures from the keys of its script.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { ByteReader, ByteWriter } = require('./byte-writer');
+const { classifyOutputScript } = require('./transaction-decoder');
+const { sighashTypeName } = require('./sighash');
+
+const PSBT_MAGIC = Buffer.from('70736274ff', 'hex');
+
+// Key types of each map (BIP174, BIP370, BIP371)
+const GLOBAL_FIELDS = {
+    0x00: 'UNSIGNED_TX',
+    0x01: 'XPUB',
+    0x02: 'TX_VERSION',
+    0x03: 'FALLBACK_LOCKTIME',
+    0x04: 'INPUT_COUNT',
+    0x05: 'OUTPUT_COUNT',
+    0x06: 'TX_MODIFIABLE',
+    0xfb: 'VERSION',
+    0xfc: 'PROPRIETARY'
+};
+
+const INPUT_FIELDS = {
+    0x00: 'NON_WITNESS_UTXO',
+    0x01: 'WITNESS_UTXO',
+    0x02: 'PARTIAL_SIG',
+    0x03: 'SIGHASH_TYPE',
+    0x04: 'REDEEM_SCRIPT',
+    0x05: 'WITNESS_SCRIPT',
+    0x06: 'BIP32_DERIVATION',
+    0x07: 'FINAL_SCRIPTSIG',
+    0x08: 'FINAL_SCRIPTWITNESS',
+    0x09: 'POR_COMMITMENT',
+    0x0a: 'RIPEMD160',
+    0x0b: 'SHA256',
+    0x0c: 'HASH160',
+    0x0d: 'HASH256',
+    0x0e: 'PREVIOUS_TXID',
+    0x0f: 'OUTPUT_INDEX',
+    0x10: 'SEQUENCE',
+    0x11: 'REQUIRED_TIME_LOCKTIME',
+    0x12: 'REQUIRED_HEIGHT_LOCKTIME',
+    0x13: 'TAP_KEY_SIG',
+    0x14: 'TAP_SCRIPT_SIG',
+    0x15: 'TAP_LEAF_SCRIPT',
+    0x16: 'TAP_BIP32_DERIVATION',
+    0x17: 'TAP_INTERNAL_KEY',
+    0x18: 'TAP_MERKLE_ROOT',
+    0xfc: 'PROPRIETARY'
+};
+
+const OUTPUT_FIELDS = {
+    0x00: 'REDEEM_SCRIPT',
+    0x01: 'WITNESS_SCRIPT',
+    0x02: 'BIP32_DERIVATION',
+    0x03: 'AMOUNT',
+    0x04: 'SCRIPT',
+    0x05: 'TAP_INTERNAL_KEY',
+    0x06: 'TAP_TREE',
+    0x07: 'TAP_BIP32_DERIVATION',
+    0xfc: 'PROPRIETARY'
+};
+
+const fieldType = (names, name) => Number(Object.keys(names).find(type => names[type] === name));
+const GLOBAL = (name) => fieldType(GLOBAL_FIELDS, name);
+const INPUT = (name) => fieldType(INPUT_FIELDS, name);
+const OUTPUT = (name) => fieldType(OUTPUT_FIELDS, name);
+
+// Fields that only exist in version 2, where they replace UNSIGNED_TX
+const V2_ONLY_FIELDS = {
+    global: ['TX_VERSION', 'FALLBACK_LOCKTIME', 'INPUT_COUNT', 'OUTPUT_COUNT', 'TX_MODIFIABLE'].map(GLOBAL),
+    input: ['PREVIOUS_TXID', 'OUTPUT_INDEX', 'SEQUENCE', 'REQUIRED_TIME_LOCKTIME', 'REQUIRED_HEIGHT_LOCKTIME'].map(INPUT),
+    output: ['AMOUNT', 'SCRIPT'].map(OUTPUT)
+};
+
+// TX_MODIFIABLE bits (BIP370)
+const MODIFIABLE = {
+    INPUTS: 0x01,
+    OUTPUTS: 0x02,
+    HAS_SIGHASH_SINGLE: 0x04
+};
+
+// -------------------------------------------------
+// Key-value maps
+// -------------------------------------------------
+
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0);
+    return buffer;
+};
+
+const varInt = (value) => {
+    const writer = new ByteWriter();
+    writer.writeVarInt(value);
+    return writer.toBuffer();
+};
+
+const readVarIntValue = (value) => new ByteReader(value).readVarInt();
+
+// The value of the field of `type` with `keyData` in `map`, or null
+function getField(map, type, keyData = Buffer.alloc(0)) {
+    const field = map.find(entry => entry.type === type && entry.keyData.equals(keyData));
+    return field ? field.value : null;
+}
+
+// Every field of `type` in `map`
+function getFields(map, type) {
+    return map.filter(entry => entry.type === type);
+}
+
+// Set (or with a null value, remove) a field of `map`
+function setField(map, type, value, keyData = Buffer.alloc(0)) {
+    const index = map.findIndex(entry => entry.type === type && entry.keyData.equals(keyData));
+    if (index !== -1) map.splice(index, 1);
+    if (value !== null) map.push({ type, keyData, value });
+}
+
+// Read one map: key-value pairs up to a 0x00 separator. The key is a
+// CompactSize key type followed by key data.
+function readMap(reader, names, where) {
+    const map = [];
+    for (;;) {
+        const key = reader.readVarSlice();
+        if (key.length === 0) return map;
+        const keyReader = new ByteReader(key);
+        const type = keyReader.readVarInt();
+        const keyData = keyReader.readSlice(keyReader.remaining);
+        const value = reader.readVarSlice();
+        if (getField(map, type, keyData) !== null) {
+            throw new Error(`Duplicate ${names[type] || `key type 0x${type.toString(16)}`} key in the ${where}`);
+        }
+        map.push({ type, keyData, value });
+    }
+}
+
+function writeMap(writer, map) {
+    for (const { type, keyData, value } of map) {
+        writer.writeVarSlice(Buffer.concat([varInt(type), keyData]));
+        writer.writeVarSlice(value);
+    }
+    writer.writeVarInt(0);
+}
+
+// PSBT bytes from a Buffer (binary or text), or from base64 or hex text
+function psbtBytes(data) {
+    if (Buffer.isBuffer(data) && data.slice(0, 5).equals(PSBT_MAGIC)) return data;
+    const text = data.toString().replace(/\s+/g, '');
+    const bytes = /^([0-9a-fA-F]{2})+$/.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    if (!bytes.slice(0, 5).equals(PSBT_MAGIC)) throw new Error('Not a PSBT: it must start with the bytes "psbt" 0xff');
+    return bytes;
+}
+
+// Check the fields each version requires and forbids
+function checkVersionFields(psbt) {
+    const named = (names, types) => types.map(type => names[type]).join(', ');
+    const present = (map, types) => types.filter(type => getFields(map, type).length > 0);
+    if (psbt.version === 0) {
+        const forbidden = [
+            ...present(psbt.global, V2_ONLY_FIELDS.global).map(type => GLOBAL_FIELDS[type]),
+            ...psbt.inputs.flatMap(map => present(map, V2_ONLY_FIELDS.input)).map(type => INPUT_FIELDS[type]),
+            ...psbt.outputs.flatMap(map => present(map, V2_ONLY_FIELDS.output)).map(type => OUTPUT_FIELDS[type])
+        ];
+        if (forbidden.length > 0) throw new Error(`A version 0 PSBT cannot have the version 2 fields ${[...new Set(forbidden)].join(', ')}`);
+        return;
+    }
+
+    if (getField(psbt.global, GLOBAL('UNSIGNED_TX')) !== null) throw new Error('A version 2 PSBT cannot have an UNSIGNED_TX');
+    const required = (map, names, types, where) => {
+        const missing = types.filter(type => getField(map, type) === null);
+        if (missing.length > 0) throw new Error(`${where} is missing ${named(names, missing)}`);
+    };
+    required(psbt.global, GLOBAL_FIELDS, ['TX_VERSION', 'INPUT_COUNT', 'OUTPUT_COUNT'].map(GLOBAL), 'The global map');
+    psbt.inputs.forEach((map, index) => required(map, INPUT_FIELDS, ['PREVIOUS_TXID', 'OUTPUT_INDEX'].map(INPUT), `Input ${index}`));
+    psbt.outputs.forEach((map, index) => required(map, OUTPUT_FIELDS, ['AMOUNT', 'SCRIPT'].map(OUTPUT), `Output ${index}`));
+}
+
+// Parse a PSBT (binary, base64 or hex) into its maps:
+// { version, global, inputs, outputs }, each map a list of
+// { type, keyData, value } fields
+function parsePsbt(data) {
+    const reader = new ByteReader(psbtBytes(data));
+    reader.readSlice(PSBT_MAGIC.length);
+    const global = readMap(reader, GLOBAL_FIELDS, 'global map');
+
+    const versionField = getField(global, GLOBAL('VERSION'));
+    const version = versionField ? versionField.readUInt32LE(0) : 0;
+    if (version !== 0 && version !== 2) throw new Error(`PSBT version ${version} is not supported`);
+
+    // Version 0 counts the inputs and outputs of the unsigned transaction;
+    // version 2 has fields for the counts
+    let inputCount;
+    let outputCount;
+    if (version === 0) {
+        const unsignedTx = getField(global, GLOBAL('UNSIGNED_TX'));
+        if (unsignedTx === null) throw new Error('A version 0 PSBT needs an UNSIGNED_TX');
+        const tx = bitcoin.Transaction.fromBuffer(unsignedTx);
+        if (tx.ins.some(input => input.script.length > 0 || input.witness.length > 0)) {
+            throw new Error('The UNSIGNED_TX must have empty scriptSigs and witnesses');
+        }
+        inputCount = tx.ins.length;
+        outputCount = tx.outs.length;
+    } else {
+        const inputCountField = getField(global, GLOBAL('INPUT_COUNT'));
+        const outputCountField = getField(global, GLOBAL('OUTPUT_COUNT'));
+        if (inputCountField === null || outputCountField === null) throw new Error('A version 2 PSBT needs INPUT_COUNT and OUTPUT_COUNT');
+        inputCount = readVarIntValue(inputCountField);
+        outputCount = readVarIntValue(outputCountField);
+    }
+
+    const inputs = [];
+    for (let i = 0; i < inputCount; i++) inputs.push(readMap(reader, INPUT_FIELDS, `map of input ${i}`));
+    const outputs = [];
+    for (let i = 0; i < outputCount; i++) outputs.push(readMap(reader, OUTPUT_FIELDS, `map of output ${i}`));
+    if (reader.remaining > 0) throw new Error(`${reader.remaining} unexpected bytes after the last output map`);
+
+    const psbt = { version, global, inputs, outputs };
+    checkVersionFields(psbt);
+    return psbt;
+}
+
+// Serialize parsed maps, each map's fields sorted by key
+function serializePsbt(psbt) {
+    const sorted = (map) => [...map].sort((a, b) => a.type - b.type || Buffer.compare(a.keyData, b.keyData));
+    const writer = new ByteWriter();
+    writer.writeSlice(PSBT_MAGIC);
+    writeMap(writer, sorted(psbt.global));
+    psbt.inputs.forEach(map => writeMap(writer, sorted(map)));
+    psbt.outputs.forEach(map => writeMap(writer, sorted(map)));
+    return writer.toBuffer();
+}
+
+// -------------------------------------------------
+// Version 0 and version 2
+// -------------------------------------------------
+
+// BIP370: the locktime is the largest required locktime of the type every
+// input that requires one accepts (height if both), else the fallback
+function computeLockTime(psbt) {
+    const required = psbt.inputs.map(map => ({
+        time: getField(map, INPUT('REQUIRED_TIME_LOCKTIME')),
+        height: getField(map, INPUT('REQUIRED_HEIGHT_LOCKTIME'))
+    })).filter(({ time, height }) => time !== null || height !== null);
+
+    if (required.length === 0) {
+        const fallback = getField(psbt.global, GLOBAL('FALLBACK_LOCKTIME'));
+        return fallback ? fallback.readUInt32LE(0) : 0;
+    }
+    for (const kind of ['height', 'time']) {
+        if (required.every(lock => lock[kind] !== null)) {
+            return Math.max(...required.map(lock => lock[kind].readUInt32LE(0)));
+        }
+    }
+    throw new Error('No locktime satisfies every input: some require a block height and others a time');
+}
+
+// The transaction a PSBT describes, from UNSIGNED_TX or the version 2 fields:
+// { version, locktime, inputs: [{ hash, index, sequence }], outputs: [{ value, script }] }
+function psbtTransaction(psbt) {
+    if (psbt.version === 0) {
+        const tx = bitcoin.Transaction.fromBuffer(getField(psbt.global, GLOBAL('UNSIGNED_TX')));
+        return {
+            version: tx.version,
+            locktime: tx.locktime,
+            inputs: tx.ins.map(({ hash, index, sequence }) => ({ hash, index, sequence })),
+            outputs: tx.outs.map(({ value, script }) => ({ value, script }))
+        };
+    }
+    return {
+        version: getField(psbt.global, GLOBAL('TX_VERSION')).readInt32LE(0),
+        locktime: computeLockTime(psbt),
+        inputs: psbt.inputs.map(map => {
+            const sequence = getField(map, INPUT('SEQUENCE'));
+            return {
+                hash: getField(map, INPUT('PREVIOUS_TXID')),
+                index: getField(map, INPUT('OUTPUT_INDEX')).readUInt32LE(0),
+                sequence: sequence ? sequence.readUInt32LE(0) : 0xffffffff
+            };
+        }),
+        outputs: psbt.outputs.map(map => ({
+            value: new ByteReader(getField(map, OUTPUT('AMOUNT'))).readUInt64(),
+            script: getField(map, OUTPUT('SCRIPT'))
+        }))
+    };
+}
+
+const withoutTypes = (map, types) => map.filter(entry => !types.includes(entry.type));
+
+// The same PSBT as version 0: the transaction fields become an UNSIGNED_TX
+function toPsbtV0(psbt) {
+    if (psbt.version === 0) return psbt;
+    const details = psbtTransaction(psbt);
+    const tx = new bitcoin.Transaction();
+    tx.version = details.version;
+    tx.locktime = details.locktime;
+    details.inputs.forEach(({ hash, index, sequence }) => tx.addInput(hash, index, sequence));
+    details.outputs.forEach(({ value, script }) => tx.addOutput(script, value));
+
+    const global = withoutTypes(psbt.global, [...V2_ONLY_FIELDS.global, GLOBAL('VERSION')]);
+    setField(global, GLOBAL('UNSIGNED_TX'), tx.toBuffer());
+    return {
+        version: 0,
+        global,
+        inputs: psbt.inputs.map(map => withoutTypes(map, V2_ONLY_FIELDS.input)),
+        outputs: psbt.outputs.map(map => withoutTypes(map, V2_ONLY_FIELDS.output))
+    };
+}
+
+// The same PSBT as version 2. `original` is the version 2 PSBT this one was
+// converted from, whose fallback locktime, TX_MODIFIABLE flags and required
+// locktimes version 0 cannot hold.
+function toPsbtV2(psbt, original = null) {
+    if (psbt.version === 2) return psbt;
+    const details = psbtTransaction(psbt);
+    const global = withoutTypes(psbt.global, [GLOBAL('UNSIGNED_TX'), GLOBAL('VERSION')]);
+    setField(global, GLOBAL('TX_VERSION'), uint32(details.version));
+    setField(global, GLOBAL('INPUT_COUNT'), varInt(details.inputs.length));
+    setField(global, GLOBAL('OUTPUT_COUNT'), varInt(details.outputs.length));
+    setField(global, GLOBAL('VERSION'), uint32(2));
+    if (original) {
+        for (const type of [GLOBAL('FALLBACK_LOCKTIME'), GLOBAL('TX_MODIFIABLE')]) {
+            setField(global, type, getField(original.global, type));
+        }
+    } else if (details.locktime !== 0) {
+        setField(global, GLOBAL('FALLBACK_LOCKTIME'), uint32(details.locktime));
+    }
+
+    const inputs = psbt.inputs.map((map, index) => {
+        const fields = [...map];
+        const { hash, index: vout, sequence } = details.inputs[index];
+        setField(fields, INPUT('PREVIOUS_TXID'), hash);
+        setField(fields, INPUT('OUTPUT_INDEX'), uint32(vout));
+        if (sequence !== 0xffffffff) setField(fields, INPUT('SEQUENCE'), uint32(sequence));
+        if (original) {
+            for (const type of [INPUT('REQUIRED_TIME_LOCKTIME'), INPUT('REQUIRED_HEIGHT_LOCKTIME')]) {
+                setField(fields, type, getField(original.inputs[index], type));
+            }
+        }
+        return fields;
+    });
+    const outputs = psbt.outputs.map((map, index) => {
+        const fields = [...map];
+        const amount = new ByteWriter();
+        amount.writeUInt64(details.outputs[index].value);
+        setField(fields, OUTPUT('AMOUNT'), amount.toBuffer());
+        setField(fields, OUTPUT('SCRIPT'), details.outputs[index].script);
+        return fields;
+    });
+    return { version: 2, global, inputs, outputs };
+}
+
+// Convert a PSBT (binary, base64 or hex) to `version` 0 or 2. A creator of
+// a version 2 PSBT sets the `modifiable` flags (MODIFIABLE bits) to let
+// others add inputs or outputs.
+function convertPsbt(data, version, { modifiable = null } = {}) {
+    const psbt = parsePsbt(data);
+    if (version === 0) return serializePsbt(toPsbtV0(psbt));
+    if (version !== 2) throw new Error(`PSBT version ${version} is not supported`);
+    const converted = toPsbtV2(psbt);
+    if (modifiable !== null) setField(converted.global, GLOBAL('TX_MODIFIABLE'), Buffer.from([modifiable]));
+    return serializePsbt(converted);
+}
+
+// -------------------------------------------------
+// Roles (BIP174): updater, signer, combiner, finalizer, extractor
+// -------------------------------------------------
+
+// Run `update(psbt)` on the PSBT as a bitcoinjs Psbt and return
+// { psbt: the updated PSBT in its original version, result }
+function modifyPsbt(data, update, { network } = {}) {
+    const parsed = parsePsbt(data);
+    const psbt = bitcoin.Psbt.fromBuffer(serializePsbt(toPsbtV0(parsed)), { network });
+    const result = update(psbt);
+    const updated = parsePsbt(psbt.toBuffer());
+    return {
+        psbt: serializePsbt(parsed.version === 2 ? toPsbtV2(updated, parsed) : updated),
+        result
+    };
+}
+
+// BIP370: a signature that covers every input stops inputs being added, one
+// that covers the outputs stops outputs being added
+function signedModifiable(flags, hashTypes) {
+    for (const hashType of hashTypes) {
+        const baseType = hashType & 0x1f;
+        if (!(hashType & bitcoin.Transaction.SIGHASH_ANYONECANPAY)) flags &= ~MODIFIABLE.INPUTS;
+        if (baseType !== bitcoin.Transaction.SIGHASH_NONE) flags &= ~MODIFIABLE.OUTPUTS;
+        if (baseType === bitcoin.Transaction.SIGHASH_SINGLE) flags |= MODIFIABLE.HAS_SIGHASH_SINGLE;
+    }
+    return flags;
+}
+
+// Sign every input whose scripts include the public key of `keyPair` (or of
+// one of an array of key pairs, as an HD wallet holds one per derivation
+// path), with the input's SIGHASH_TYPE (ALL if none):
+// { psbt, signed: [input indexes] }
+function signPsbt(data, keyPair, options = {}) {
+    const keyPairs = [].concat(keyPair);
+    const { psbt, result } = modifyPsbt(data, (psbt) => {
+        const signed = [];
+        const hashTypes = [];
+        psbt.data.inputs.forEach((input, index) => {
+            if (input.finalScriptSig || input.finalScriptWitness) return;
+            const signer = keyPairs.find(candidate => psbt.inputHasPubkey(index, candidate.publicKey));
+            if (!signer) return;
+            const hashType = input.sighashType || bitcoin.Transaction.SIGHASH_ALL;
+            psbt.signInput(index, signer, [hashType]);
+            signed.push(index);
+            hashTypes.push(hashType);
+        });
+        return { signed, hashTypes };
+    }, options);
+    if (result.signed.length === 0) throw new Error('The key is not one of the keys of any unsigned input');
+
+    const parsed = parsePsbt(psbt);
+    if (parsed.version === 2) {
+        const flags = getField(parsed.global, GLOBAL('TX_MODIFIABLE'));
+        const updated = signedModifiable(flags ? flags[0] : 0, result.hashTypes);
+        if (flags || updated !== 0) setField(parsed.global, GLOBAL('TX_MODIFIABLE'), Buffer.from([updated]));
+    }
+    return { psbt: serializePsbt(parsed), signed: result.signed };
+}
+
+// Merge PSBTs of the same transaction, keeping every field of each. The
+// result has the first one's version.
+function combinePsbts(datas, options = {}) {
+    if (datas.length === 0) throw new Error('Nothing to combine');
+    const parsed = datas.map(parsePsbt);
+    const txids = parsed.map(psbt => {
+        const tx = bitcoin.Transaction.fromBuffer(getField(toPsbtV0(psbt).global, GLOBAL('UNSIGNED_TX')));
+        return tx.getId();
+    });
+    const different = txids.findIndex(txid => txid !== txids[0]);
+    if (different !== -1) {
+        throw new Error(`PSBT ${different + 1} is for transaction ${txids[different]}, not ${txids[0]}`);
+    }
+
+    const [first, ...others] = parsed.map(psbt => bitcoin.Psbt.fromBuffer(serializePsbt(toPsbtV0(psbt)), options));
+    first.combine(...others);
+    const combined = parsePsbt(first.toBuffer());
+    if (parsed[0].version === 0) return serializePsbt(combined);
+
+    // Each signer has cleared the flags its signatures fix in place
+    const result = toPsbtV2(combined, parsed[0]);
+    const flags = parsed.filter(psbt => psbt.version === 2)
+        .map(psbt => getField(psbt.global, GLOBAL('TX_MODIFIABLE')))
+        .filter(value => value !== null)
+        .map(value => value[0]);
+    if (flags.length > 0) {
+        const modifiable = flags.reduce((all, value) => all & value, MODIFIABLE.INPUTS | MODIFIABLE.OUTPUTS) |
+            flags.reduce((any, value) => any | (value & MODIFIABLE.HAS_SIGHASH_SINGLE), 0);
+        setField(result.global, GLOBAL('TX_MODIFIABLE'), Buffer.from([modifiable]));
+    }
+    return serializePsbt(result);
+}
+
+// Build the final scriptSig and witness of every input from its signatures
+function finalizePsbt(data, options = {}) {
+    return modifyPsbt(data, (psbt) => {
+        psbt.data.inputs.forEach((input, index) => {
+            if (input.finalScriptSig || input.finalScriptWitness) return;
+            try {
+                psbt.finalizeInput(index);
+            } catch (error) {
+                throw new Error(`Input ${index} cannot be finalized: ${error.message}`);
+            }
+        });
+    }, options).psbt;
+}
+
+// The signed transaction of a finalized PSBT
+function extractTransaction(data, options = {}) {
+    return modifyPsbt(data, (psbt) => {
+        const unfinished = psbt.data.inputs.findIndex(input => !input.finalScriptSig && !input.finalScriptWitness);
+        if (unfinished !== -1) throw new Error(`Input ${unfinished} is not finalized`);
+        return psbt.extractTransaction();
+    }, options).result;
+}
+
+// -------------------------------------------------
+// Inspector
+// -------------------------------------------------
+
+// "m/84'/1'/0'/0/0" from a BIP32_DERIVATION value: a fingerprint and the
+// path's indexes
+function parseDerivation(value) {
+    const reader = new ByteReader(value);
+    const fingerprint = reader.readSlice(4).toString('hex');
+    const steps = [];
+    while (reader.remaining > 0) {
+        const index = reader.readUInt32();
+        steps.push(index >= 0x80000000 ? `${index - 0x80000000}'` : String(index));
+    }
+    return { fingerprint, path: ['m', ...steps].join('/') };
+}
+
+// Field names present in a map, repeated names counted
+function fieldSummary(map, names) {
+    const counts = new Map();
+    for (const { type } of map) {
+        const name = names[type] || `UNKNOWN(0x${type.toString(16).padStart(2, '0')})`;
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts].map(([name, count]) => count > 1 ? `${name} x${count}` : name);
+}
+
+// The output an input spends, from its WITNESS_UTXO or NON_WITNESS_UTXO
+function spentOutput(map, prevout) {
+    const witnessUtxo = getField(map, INPUT('WITNESS_UTXO'));
+    if (witnessUtxo) {
+        const reader = new ByteReader(witnessUtxo);
+        const value = reader.readUInt64();
+        return { value, script: reader.readVarSlice(), source: 'WITNESS_UTXO' };
+    }
+    const nonWitnessUtxo = getField(map, INPUT('NON_WITNESS_UTXO'));
+    if (nonWitnessUtxo) {
+        const tx = bitcoin.Transaction.fromBuffer(nonWitnessUtxo);
+        if (!Buffer.from(tx.getHash()).equals(prevout.hash)) {
+            throw new Error(`The NON_WITNESS_UTXO is transaction ${tx.getId()}, not the one the input spends`);
+        }
+        const output = tx.outs[prevout.index];
+        if (!output) throw new Error(`The NON_WITNESS_UTXO has no output ${prevout.index}`);
+        return { value: output.value, script: output.script, source: 'NON_WITNESS_UTXO' };
+    }
+    return null;
+}
+
+// What one input has and needs: its script type, the signatures present
+// and required, and what is still missing
+function inspectInput(map, prevout, keyName) {
+    const report = {
+        spent: null,
+        scriptType: null,
+        signatures: getFields(map, INPUT('PARTIAL_SIG')).map(({ keyData, value }) => ({
+            key: keyName(keyData),
+            hashType: sighashTypeName(value[value.length - 1])
+        })),
+        required: null,
+        missing: [],
+        finalized: getField(map, INPUT('FINAL_SCRIPTSIG')) !== null || getField(map, INPUT('FINAL_SCRIPTWITNESS')) !== null
+    };
+    const sighashType = getField(map, INPUT('SIGHASH_TYPE'));
+    report.sighashType = sighashType ? sighashTypeName(sighashType.readUInt32LE(0)) : null;
+    report.spent = spentOutput(map, prevout);
+    if (report.finalized) {
+        // The scripts a finalizer used are only in the final scriptSig and witness
+        if (report.spent) report.scriptType = classifyOutputScript(report.spent.script).name;
+        return report;
+    }
+
+    if (!report.spent) {
+        report.missing.push('the output it spends (WITNESS_UTXO or NON_WITNESS_UTXO)');
+        return report;
+    }
+
+    // Unwrap P2SH and P2WSH down to the script the signatures are for:
+    // the layers name the script type, e.g. P2SH-P2WSH
+    let script = report.spent.script;
+    let current = classifyOutputScript(script);
+    const layers = [current.name];
+    if (current.type === 'p2sh') {
+        const redeemScript = getField(map, INPUT('REDEEM_SCRIPT'));
+        report.scriptType = 'P2SH';
+        if (!redeemScript) return { ...report, missing: ['the REDEEM_SCRIPT'] };
+        if (!bitcoin.crypto.hash160(redeemScript).equals(current.hash)) {
+            return { ...report, missing: ['a REDEEM_SCRIPT that hashes to the P2SH script hash'] };
+        }
+        script = redeemScript;
+        current = classifyOutputScript(script);
+        if (current.type === 'p2wsh' || current.type === 'p2wpkh') layers.push(current.name);
+    }
+    report.scriptType = layers.join('-');
+    if (current.type === 'p2wsh') {
+        const witnessScript = getField(map, INPUT('WITNESS_SCRIPT'));
+        if (!witnessScript) return { ...report, missing: ['the WITNESS_SCRIPT'] };
+        if (!bitcoin.crypto.sha256(witnessScript).equals(current.hash)) {
+            return { ...report, missing: ['a WITNESS_SCRIPT that hashes to the P2WSH program'] };
+        }
+        script = witnessScript;
+    }
+    const inner = classifyOutputScript(script);
+    if (script !== report.spent.script && !['p2wpkh', 'p2wsh'].includes(inner.type)) {
+        report.scriptType += ` (${inner.type === 'multisig' ? `${inner.m}-of-${inner.n} multisig` : inner.name})`;
+    }
+
+    // The keys whose signatures the script needs
+    const signedKeys = new Set(getFields(map, INPUT('PARTIAL_SIG')).map(({ keyData }) => keyData.toString('hex')));
+    const derivedKeys = getFields(map, INPUT('BIP32_DERIVATION')).map(({ keyData }) => keyData);
+    let required = null;
+    if (inner.type === 'multisig') {
+        required = { m: inner.m, keys: inner.pubkeys };
+    } else if (inner.type === 'p2pk') {
+        required = { m: 1, keys: [inner.pubkey] };
+    } else if (inner.type === 'p2pkh' || inner.type === 'p2wpkh') {
+        const keys = derivedKeys.filter(key => bitcoin.crypto.hash160(key).equals(inner.hash));
+        required = { m: 1, keys, hash: inner.hash };
+    } else if (inner.type === 'p2tr') {
+        if (getField(map, INPUT('TAP_KEY_SIG')) === null && getFields(map, INPUT('TAP_SCRIPT_SIG')).length === 0) {
+            report.missing.push('a key path signature (TAP_KEY_SIG) or script path signatures (TAP_SCRIPT_SIG)');
+        }
+        return report;
+    } else {
+        report.missing.push('signatures for a script the inspector cannot read');
+        return report;
+    }
+
+    const have = required.keys.filter(key => signedKeys.has(key.toString('hex')));
+    const waiting = required.keys.filter(key => !signedKeys.has(key.toString('hex')));
+    report.required = { m: required.m, keys: required.keys.map(keyName), have: have.length };
+    if (have.length < required.m) {
+        const from = waiting.length > 0
+            ? waiting.map(keyName).join(' or ')
+            : `the key with hash ${required.hash.toString('hex')}`;
+        const count = required.m - have.length;
+        report.missing.push(`${count} more signature${count > 1 ? 's' : ''}, from ${from}`);
+    }
+    return report;
+}
+
+// A readable account of a PSBT: the transaction, what each input has and
+// still needs, and the outputs. `names` maps public key hex to a name.
+function inspectPsbt(data, { names = {}, network } = {}) {
+    const psbt = parsePsbt(data);
+    const details = psbtTransaction(psbt);
+    const derivations = new Map();
+    const collect = (maps, type) => maps.forEach(map => getFields(map, type).forEach(({ keyData, value }) => {
+        derivations.set(keyData.toString('hex'), parseDerivation(value));
+    }));
+    collect(psbt.inputs, INPUT('BIP32_DERIVATION'));
+    collect(psbt.outputs, OUTPUT('BIP32_DERIVATION'));
+    const keyName = (pubkey) => {
+        const hex = pubkey.toString('hex');
+        if (names[hex]) return names[hex];
+        const origin = derivations.get(hex);
+        return origin ? `[${origin.fingerprint}${origin.path.slice(1)}]${hex.slice(0, 8)}..` : `${hex.slice(0, 8)}..`;
+    };
+
+    const modifiable = getField(psbt.global, GLOBAL('TX_MODIFIABLE'));
+    const inputs = psbt.inputs.map((map, index) => {
+        const prevout = details.inputs[index];
+        return {
+            index,
+            txid: Buffer.from(prevout.hash).reverse().toString('hex'),
+            vout: prevout.index,
+            sequence: prevout.sequence,
+            fields: fieldSummary(map, INPUT_FIELDS),
+            derivations: getFields(map, INPUT('BIP32_DERIVATION')).map(({ keyData, value }) => ({ key: keyName(keyData), ...parseDerivation(value) })),
+            ...inspectInput(map, prevout, keyName)
+        };
+    });
+    const outputs = psbt.outputs.map((map, index) => {
+        const { value, script } = details.outputs[index];
+        let address = null;
+        try {
+            address = bitcoin.address.fromOutputScript(script, network);
+        } catch (error) {
+            // No address for this script
+        }
+        return {
+            index,
+            value,
+            script,
+            type: classifyOutputScript(script).name,
+            address,
+            fields: fieldSummary(map, OUTPUT_FIELDS),
+            derivations: getFields(map, OUTPUT('BIP32_DERIVATION')).map(({ keyData, value: origin }) => ({ key: keyName(keyData), ...parseDerivation(origin) }))
+        };
+    });
+
+    const spent = inputs.map(input => input.spent);
+    const fee = spent.every(output => output !== null)
+        ? spent.reduce((sum, output) => sum + output.value, 0) - outputs.reduce((sum, output) => sum + output.value, 0)
+        : null;
+    const status = inputs.every(input => input.finalized) ? 'complete: ready to extract'
+        : inputs.every(input => input.finalized || input.missing.length === 0) ? 'fully signed: ready to finalize'
+            : 'incomplete';
+
+    return {
+        version: psbt.version,
+        txVersion: details.version,
+        locktime: details.locktime,
+        modifiable: modifiable === null ? null : {
+            inputs: (modifiable[0] & MODIFIABLE.INPUTS) !== 0,
+            outputs: (modifiable[0] & MODIFIABLE.OUTPUTS) !== 0,
+            hasSighashSingle: (modifiable[0] & MODIFIABLE.HAS_SIGHASH_SINGLE) !== 0
+        },
+        fields: fieldSummary(psbt.global, GLOBAL_FIELDS),
+        inputs,
+        outputs,
+        fee,
+        status
+    };
+}
+
+module.exports = {
+    GLOBAL_FIELDS,
+    INPUT_FIELDS,
+    MODIFIABLE,
+    OUTPUT_FIELDS,
+    combinePsbts,
+    convertPsbt,
+    extractTransaction,
+    finalizePsbt,
+    inspectPsbt,
+    modifyPsbt,
+    parsePsbt,
+    psbtTransaction,
+    serializePsbt,
+    signPsbt
+};
@@ -0,0 +1,242 @@
+/**
+ * Script Assembler and Disassembler
+ *
+ * Converts between the ASM text of a script and its bytes. ASM is a list of
+ * whitespace separated tokens:
+ *
+ *   OP_DUP, OP_CHECKSIG...   an opcode by name
+ *   89abcdef                 data as hex, pushed with the minimal opcode
+ *   <name>                   a placeholder bound to a Buffer or a number
+ *   <144>, <-1>              a number, pushed as a script number
+ *   OP_PUSHDATA1 89abcdef    data pushed with an explicit opcode, which
+ *   OP_PUSHBYTES_4 89abcdef  may be non-minimal (also PUSHDATA2/4)
+ *   OP_UNKNOWN_0xbb          a byte that is not a defined opcode (these
+ *                            are OP_SUCCESSx in tapscript)
+ *
+ * Disassembly produces the same syntax, so assembling the text of a script
+ * returns its bytes. Non-minimal pushes are written with their explicit
+ * opcode and reported, as is push data that runs past the end of the script.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const {
+    checkMinimalPush,
+    decodeScriptNum,
+    encodeScriptNum,
+    opcodeName
+} = require('./script-interpreter');
+
+const OPS = bitcoin.opcodes;
+
+const HEX_PATTERN = /^([0-9a-fA-F]{2})+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const PUSHBYTES_PATTERN = /^OP_PUSHBYTES_(\d+)$/;
+const UNKNOWN_PATTERN = /^OP_UNKNOWN_0x([0-9a-f]{2})$/;
+
+// Push `data` with the smallest opcode, including OP_0, OP_1..OP_16 and
+// OP_1NEGATE for the values they stand for (MINIMALDATA)
+function minimalPush(data) {
+    if (data.length === 0) return Buffer.from([OPS.OP_0]);
+    if (data.length === 1 && data[0] >= 1 && data[0] <= 16) return Buffer.from([OPS.OP_1 + data[0] - 1]);
+    if (data.length === 1 && data[0] === 0x81) return Buffer.from([OPS.OP_1NEGATE]);
+    return explicitPush(data, data.length <= 75 ? data.length : null);
+}
+
+// Push `data` with `opcode` (a direct push size or OP_PUSHDATA1/2/4), or the
+// smallest OP_PUSHDATA that fits when `opcode` is null
+function explicitPush(data, opcode) {
+    if (opcode === null) {
+        opcode = data.length <= 0xff ? OPS.OP_PUSHDATA1 : data.length <= 0xffff ? OPS.OP_PUSHDATA2 : OPS.OP_PUSHDATA4;
+    }
+    if (opcode < OPS.OP_PUSHDATA1) {
+        if (data.length !== opcode) {
+            throw new Error(`OP_PUSHBYTES_${opcode} cannot push ${data.length} bytes`);
+        }
+        return Buffer.concat([Buffer.from([opcode]), data]);
+    }
+
+    const sizeBytes = { [OPS.OP_PUSHDATA1]: 1, [OPS.OP_PUSHDATA2]: 2, [OPS.OP_PUSHDATA4]: 4 }[opcode];
+    if (data.length >= Math.pow(2, 8 * sizeBytes)) {
+        throw new Error(`${opcodeName(opcode)} cannot push ${data.length} bytes`);
+    }
+    const prefix = Buffer.alloc(1 + sizeBytes);
+    prefix[0] = opcode;
+    prefix.writeUIntLE(data.length, 1, sizeBytes);
+    return Buffer.concat([prefix, data]);
+}
+
+// The bytes a placeholder stands for: its bound value, or the number it spells
+function resolvePlaceholder(name, bindings) {
+    if (Object.prototype.hasOwnProperty.call(bindings, name)) {
+        const value = bindings[name];
+        if (Buffer.isBuffer(value)) return value;
+        if (Number.isInteger(value)) return encodeScriptNum(value);
+        throw new Error(`Placeholder <${name}> must be bound to a Buffer or an integer`);
+    }
+    if (INTEGER_PATTERN.test(name)) return encodeScriptNum(Number(name));
+    throw new Error(`Unbound placeholder <${name}>`);
+}
+
+// Data for the token after an explicit push opcode
+function parsePushData(token, bindings) {
+    if (token === undefined) throw new Error('Missing data after an explicit push opcode');
+    if (token.startsWith('<') && token.endsWith('>')) return resolvePlaceholder(token.slice(1, -1), bindings);
+    if (HEX_PATTERN.test(token)) return Buffer.from(token, 'hex');
+    throw new Error(`Expected push data, got ${token}`);
+}
+
+// Assemble ASM text into script bytes; `bindings` maps placeholder names to
+// Buffers or integers
+function assemble(asm, bindings = {}) {
+    const tokens = asm.trim().split(/\s+/).filter(token => token !== '');
+    const parts = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        const pushBytes = PUSHBYTES_PATTERN.exec(token);
+        if (pushBytes) {
+            const size = Number(pushBytes[1]);
+            if (size < 1 || size > 75) throw new Error(`Invalid push opcode ${token}`);
+            parts.push(explicitPush(parsePushData(tokens[++i], bindings), size));
+        } else if (token === 'OP_PUSHDATA1' || token === 'OP_PUSHDATA2' || token === 'OP_PUSHDATA4') {
+            parts.push(explicitPush(parsePushData(tokens[++i], bindings), OPS[token]));
+        } else if (UNKNOWN_PATTERN.test(token)) {
+            const opcode = parseInt(UNKNOWN_PATTERN.exec(token)[1], 16);
+            // Only bytes without a name, so that there is one way to write each opcode
+            if (opcodeName(opcode) !== token) throw new Error(`${token} is ${opcodeName(opcode)}`);
+            parts.push(Buffer.from([opcode]));
+        } else if (token.startsWith('OP_')) {
+            if (!(token in OPS)) throw new Error(`Unknown opcode ${token}`);
+            parts.push(Buffer.from([OPS[token]]));
+        } else if (token.startsWith('<') && token.endsWith('>')) {
+            parts.push(minimalPush(resolvePlaceholder(token.slice(1, -1), bindings)));
+        } else if (HEX_PATTERN.test(token)) {
+            parts.push(minimalPush(Buffer.from(token, 'hex')));
+        } else {
+            throw new Error(`Cannot assemble token ${token}`);
+        }
+    }
+
+    return Buffer.concat(parts);
+}
+
+// Invert placeholder bindings into the hex -> name labels disassemble() takes
+function labelsFor(bindings) {
+    const labels = {};
+    for (const [name, value] of Object.entries(bindings)) {
+        const data = Buffer.isBuffer(value) ? value : encodeScriptNum(value);
+        labels[data.toString('hex')] = name;
+    }
+    return labels;
+}
+
+// Size of the push starting at `pc`: { size, dataOffset }, or null when the
+// size itself is cut off
+function readPushSize(script, pc) {
+    const opcode = script[pc];
+    if (opcode < OPS.OP_PUSHDATA1) return { size: opcode, dataOffset: pc + 1 };
+
+    const sizeBytes = { [OPS.OP_PUSHDATA1]: 1, [OPS.OP_PUSHDATA2]: 2, [OPS.OP_PUSHDATA4]: 4 }[opcode];
+    if (pc + 1 + sizeBytes > script.length) return null;
+    return { size: script.readUIntLE(pc + 1, sizeBytes), dataOffset: pc + 1 + sizeBytes };
+}
+
+// Show push data by its label, as a number when `numbers` is set and it is
+// a minimally encoded script number, or as hex
+function formatPushData(data, labels, numbers) {
+    const hex = data.toString('hex');
+    if (labels[hex]) return `<${labels[hex]}>`;
+    if (numbers && data.length <= 4) {
+        try {
+            return `<${decodeScriptNum(data, true)}>`;
+        } catch (error) {
+            // Not a minimal number: show the bytes
+        }
+    }
+    return hex;
+}
+
+// Disassemble script bytes into ASM. `options.labels` maps the hex of known
+// values to placeholder names; `options.numbers` shows short pushes that are
+// valid script numbers as <n>. Returns the text, the operations and the
+// problems found: non-minimal pushes and truncated push data.
+function disassemble(script, options = {}) {
+    const labels = options.labels || {};
+    const ops = [];
+    const issues = [];
+    const tokens = [];
+    let pc = 0;
+
+    while (pc < script.length) {
+        const opcode = script[pc];
+
+        if (opcode === OPS.OP_0 || opcode > OPS.OP_PUSHDATA4) {
+            ops.push({ offset: pc, opcode, name: opcodeName(opcode), data: null });
+            tokens.push(opcodeName(opcode));
+            pc++;
+            continue;
+        }
+
+        const push = readPushSize(script, pc);
+        if (push === null || push.dataOffset + push.size > script.length) {
+            const name = opcodeName(opcode);
+            const message = push === null
+                ? `${name} at byte ${pc} is missing its size`
+                : `${name} at byte ${pc} pushes ${push.size} bytes but only ${script.length - push.dataOffset} remain`;
+            issues.push({ offset: pc, type: 'truncated', message });
+            tokens.push(`[truncated ${name}]`);
+            break;
+        }
+
+        const data = script.slice(push.dataOffset, push.dataOffset + push.size);
+        const minimal = checkMinimalPush(data, opcode);
+        ops.push({ offset: pc, opcode, name: opcodeName(opcode), data, minimal });
+
+        const text = formatPushData(data, labels, options.numbers);
+        if (minimal) {
+            tokens.push(text);
+        } else {
+            const name = opcodeName(opcode);
+            const better = minimalPush(data);
+            const betterName = better.length === 1 || better[0] >= OPS.OP_PUSHDATA1 ? opcodeName(better[0]) : 'a direct push';
+            issues.push({
+                offset: pc,
+                type: 'non-minimal',
+                message: `${name} at byte ${pc} is not minimal: a ${data.length}-byte push needs only ${betterName}`
+            });
+            tokens.push(`${name} ${text}`);
+        }
+        pc = push.dataOffset + push.size;
+    }
+
+    return { asm: tokens.join(' '), ops, issues };
+}
+
+// The ASM of `script` with any problems appended, for printing
+function formatScript(script, options = {}) {
+    const { asm, issues } = disassemble(script, options);
+    if (issues.length === 0) return asm;
+    return `${asm}  [${issues.map(issue => issue.message).join('; ')}]`;
+}
+
+// A witness stack as text: its items are data, never opcodes, so each one
+// is shown by its label or as hex, with <> for an empty item
+function formatWitness(witness, labels = {}) {
+    const items = witness.map((item) => {
+        const hex = item.toString('hex');
+        if (labels[hex]) return `<${labels[hex]}>`;
+        return hex === '' ? '<>' : hex;
+    });
+    return `[${items.join(', ')}]`;
+}
+
+module.exports = {
+    assemble,
+    disassemble,
+    explicitPush,
+    formatScript,
+    formatWitness,
+    labelsFor,
+    minimalPush
+};
@@ -0,0 +1,396 @@
+/**
+ * Script Debugger
+ *
+ * Steps through the verification of a spend: scriptSig, scriptPubKey and
+ * then the redeem script, witness script or tapscript it leads to. The
+ * spend is verified once and its trace recorded (script-trace.js), so
+ * the debugger can move forwards and backwards through the execution and
+ * show the main, alt and condition stacks as they were at any point.
+ *
+ * ScriptDebugger holds the recorded execution and the current position;
+ * createDebuggerSession() drives it from lines of user input.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { MANDATORY_SCRIPT_VERIFY_FLAGS, formatFlags, parseFlags } = require('./policy');
+const { MessageSignatureChecker, signMessage } = require('./message-checker');
+const { assemble, disassemble, labelsFor } = require('./script-asm');
+const { evalScript, isPushOnly } = require('./script-interpreter');
+const { recordTrace } = require('./script-trace');
+const { labWallet, participantKey } = require('./wallet');
+
+const OPS = bitcoin.opcodes;
+
+// Show long stack items shortened, known values by name
+function formatItem(item, labels) {
+    const hex = item.toString('hex');
+    if (labels[hex]) return `<${labels[hex]}>`;
+    if (hex.length === 0) return "''";
+    return hex.length <= 16 ? hex : `${hex.slice(0, 8)}..${hex.slice(-4)}`;
+}
+
+function formatStack(stack, labels) {
+    return `[${stack.map(item => formatItem(item, labels)).join(', ')}]`;
+}
+
+class ScriptDebugger {
+    // Verify the spend and record every step; `options` are passed to
+    // verifyScript (flags, witness, checker). `labels` maps hex to names.
+    constructor(scriptSig, scriptPubKey, options = {}, labels = {}) {
+        this.labels = labels;
+        this.trace = recordTrace(scriptSig, scriptPubKey, options);
+        // One entry per executed or skipped operation, with the stacks after it
+        this.steps = this.trace.steps;
+        // 0 is the initial state; position i is the state after steps[i - 1]
+        this.position = 0;
+        this.breakpoints = new Set();
+    }
+
+    get atStart() {
+        return this.position === 0;
+    }
+
+    get atEnd() {
+        return this.position === this.steps.length;
+    }
+
+    // The step that brought execution to the current position, if any
+    get current() {
+        return this.atStart ? null : this.steps[this.position - 1];
+    }
+
+    // The step that runs next, if any
+    get next() {
+        return this.atEnd ? null : this.steps[this.position];
+    }
+
+    step(count = 1) {
+        this.position = Math.min(this.steps.length, this.position + count);
+        return this.current;
+    }
+
+    back(count = 1) {
+        this.position = Math.max(0, this.position - count);
+        return this.current;
+    }
+
+    // Run until the next operation is a breakpoint, or to the end. Always
+    // executes at least one step so a continue from a breakpoint moves on.
+    continue() {
+        if (this.atEnd) return null;
+        this.step();
+        while (!this.atEnd && !this.breakpoints.has(this.next.opcode)) {
+            this.step();
+        }
+        return this.atEnd ? null : this.next;
+    }
+
+    restart() {
+        this.position = 0;
+    }
+
+    // Break before every operation with this opcode; `name` is an opcode name
+    addBreakpoint(name) {
+        const normalized = name.toUpperCase().startsWith('OP_') ? name.toUpperCase() : `OP_${name.toUpperCase()}`;
+        if (!(normalized in OPS)) throw new Error(`Unknown opcode ${name}`);
+        this.breakpoints.add(OPS[normalized]);
+        return normalized;
+    }
+
+    removeBreakpoint(name) {
+        const normalized = name.toUpperCase().startsWith('OP_') ? name.toUpperCase() : `OP_${name.toUpperCase()}`;
+        return this.breakpoints.delete(OPS[normalized]);
+    }
+
+    // Lines describing the main, alt and condition stacks at the current position
+    describeStacks() {
+        const step = this.current;
+        const stack = step ? step.stackAfter : [];
+        const altStack = step ? step.altStack : [];
+        const execStack = step ? step.execStack : [];
+        const conditions = execStack.length > 0 ? execStack.map(c => (c ? 'T' : 'F')).join(' ') : '(no open OP_IF)';
+        return [
+            `Main stack (bottom to top): ${formatStack(stack, this.labels)}`,
+            `Alt stack:                  ${formatStack(altStack, this.labels)}`,
+            `Condition stack:            ${conditions}`
+        ];
+    }
+
+    // Lines listing the script that is running, with the next operation marked
+    describeLocation() {
+        const step = this.next || this.current;
+        if (!step) return ['(nothing to execute)'];
+
+        const lines = [`Phase: ${step.phase}`];
+        const { ops, issues } = disassemble(step.script, { labels: this.labels });
+        for (const op of ops) {
+            // => marks the next operation; -> the last one once execution is over
+            const marker = op.offset === step.offset ? (this.next ? '=> ' : '-> ') : '   ';
+            const text = op.data ? formatItem(op.data, this.labels) : op.name;
+            const breakpoint = this.breakpoints.has(op.opcode) ? ' [break]' : '';
+            lines.push(`${marker}${String(op.offset).padStart(4)}  ${text}${breakpoint}`);
+        }
+        for (const issue of issues) lines.push(`  ! ${issue.message}`);
+        return lines;
+    }
+
+    // One line for the step that was just executed
+    describeStep(step = this.current) {
+        if (!step) return `Step 0/${this.steps.length}: initial state`;
+        const operation = step.data ? `push ${formatItem(step.data, this.labels)}` : step.name;
+        // Conditionals run inside untaken branches too, to track the nesting
+        const conditional = step.opcode >= OPS.OP_IF && step.opcode <= OPS.OP_ENDIF;
+        const status = step.error ? `FAILED: ${step.error.fullCode}`
+            : step.executed ? 'executed'
+                : conditional ? 'executed (flow control)' : 'skipped (branch not taken)';
+        return `Step ${this.position}/${this.steps.length}: ${step.phase} byte ${step.offset}: ${operation} - ${status}`;
+    }
+
+    describeResult() {
+        if (this.trace.valid) return 'Result: VALID';
+        return `Result: INVALID (${this.trace.error.fullCode}: ${this.trace.error.message})`;
+    }
+}
+
+// -------------------------------------------------
+// Interactive session
+// -------------------------------------------------
+
+// Values the user can refer to as <name> placeholders. Signatures sign the
+// demo message, which is what the session's checker verifies.
+function createDemoValues() {
+    const wallet = labWallet();
+    const alice = participantKey(wallet, 'Alice');
+    const bob = participantKey(wallet, 'Bob');
+    const multisig = bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey] }).output;
+    return {
+        alice: alice.publicKey,
+        bob: bob.publicKey,
+        sigAlice: signMessage(alice),
+        sigBob: signMessage(bob),
+        pkhAlice: bitcoin.crypto.hash160(alice.publicKey),
+        multisig,
+        multisigHash160: bitcoin.crypto.hash160(multisig),
+        multisigSha256: bitcoin.crypto.sha256(multisig),
+        secret: Buffer.from('open sesame'),
+        secretHash: bitcoin.crypto.sha256(Buffer.from('open sesame'))
+    };
+}
+
+// Ready-made spends, in ASM with the demo placeholders
+const EXAMPLES = {
+    p2pkh: {
+        scriptSig: '<sigAlice> <alice>',
+        witness: '',
+        scriptPubKey: 'OP_DUP OP_HASH160 <pkhAlice> OP_EQUALVERIFY OP_CHECKSIG'
+    },
+    p2sh: {
+        scriptSig: 'OP_0 <sigAlice> <sigBob> <multisig>',
+        witness: '',
+        scriptPubKey: 'OP_HASH160 <multisigHash160> OP_EQUAL'
+    },
+    p2wpkh: {
+        scriptSig: '',
+        witness: '<sigAlice> <alice>',
+        scriptPubKey: 'OP_0 <pkhAlice>'
+    },
+    p2wsh: {
+        scriptSig: '',
+        witness: 'OP_0 <sigAlice> <sigBob> <multisig>',
+        scriptPubKey: 'OP_0 <multisigSha256>'
+    },
+    conditional: {
+        scriptSig: '<sigBob> <secret> OP_1',
+        witness: '',
+        scriptPubKey: 'OP_IF OP_SHA256 <secretHash> OP_EQUALVERIFY <bob> OP_ELSE <144> OP_CHECKSEQUENCEVERIFY OP_DROP <alice> OP_ENDIF OP_CHECKSIG'
+    },
+    altstack: {
+        scriptSig: 'OP_2 OP_3',
+        witness: '',
+        scriptPubKey: 'OP_TOALTSTACK OP_DUP OP_FROMALTSTACK OP_ADD OP_5 OP_EQUALVERIFY OP_2 OP_EQUAL'
+    }
+};
+
+const DEBUGGER_HELP = [
+    'Commands:',
+    '  s, step [n]        execute the next n operations (default 1)',
+    '  b, back [n]        go back n operations through the recorded history',
+    '  c, continue        run to the next breakpoint or to the end',
+    '  break <OPCODE>     stop before every <OPCODE> (e.g. break OP_CHECKSIG)',
+    '  delete <OPCODE>    remove a breakpoint',
+    '  p, stacks          print the main, alt and condition stacks',
+    '  l, list            list the running script with the next operation marked',
+    '  r, restart         go back to the initial state',
+    '  h, help            show this help',
+    '  q, quit            leave the debugger'
+];
+
+// Witness items are given as ASM pushes: each push becomes one item
+function parseWitness(asm, values) {
+    const script = assemble(asm, values);
+    if (!isPushOnly(script)) throw new Error('The witness may only contain pushes');
+    return evalScript(script, []);
+}
+
+// A line-driven debugger: first asks for the spend, then takes commands.
+// `print` receives each output line.
+function createDebuggerSession(print = console.log) {
+    const values = createDemoValues();
+    const labels = labelsFor(values);
+    const input = {};
+    let stage = 'scriptSig';
+    let scriptDebugger = null;
+
+    const prompts = {
+        scriptSig: 'scriptSig (ASM, or "example <name>"):',
+        witness: 'witness items (ASM pushes, empty for none):',
+        scriptPubKey: 'scriptPubKey (ASM):',
+        flags: `flags (comma separated, empty for ${formatFlags(MANDATORY_SCRIPT_VERIFY_FLAGS)}):`,
+        debug: 'debug>'
+    };
+
+    const start = () => {
+        const options = {
+            checker: new MessageSignatureChecker(),
+            flags: input.flags,
+            witness: parseWitness(input.witness, values)
+        };
+        scriptDebugger = new ScriptDebugger(
+            assemble(input.scriptSig, values),
+            assemble(input.scriptPubKey, values),
+            options,
+            labels
+        );
+        stage = 'debug';
+        print(`\nRecorded ${scriptDebugger.steps.length} operations with flags ${formatFlags(input.flags)}.`);
+        print('Type "help" for commands.\n');
+        scriptDebugger.describeLocation().forEach(line => print(line));
+    };
+
+    const showPosition = () => {
+        print(scriptDebugger.describeStep());
+        scriptDebugger.describeStacks().forEach(line => print(`  ${line}`));
+        if (scriptDebugger.atEnd) print(scriptDebugger.describeResult());
+    };
+
+    const commands = {
+        step(count) {
+            if (scriptDebugger.atEnd) print('At the end of execution.');
+            scriptDebugger.step(count);
+            showPosition();
+        },
+        back(count) {
+            if (scriptDebugger.atStart) print('Already at the initial state.');
+            scriptDebugger.back(count);
+            showPosition();
+        },
+        continue() {
+            const stoppedAt = scriptDebugger.continue();
+            showPosition();
+            if (stoppedAt) print(`Breakpoint: next operation is ${stoppedAt.name} (${stoppedAt.phase} byte ${stoppedAt.offset})`);
+        },
+        break(name) {
+            print(`Breakpoint set on ${scriptDebugger.addBreakpoint(name)}`);
+        },
+        delete(name) {
+            print(scriptDebugger.removeBreakpoint(name) ? `Breakpoint on ${name} removed` : `No breakpoint on ${name}`);
+        },
+        stacks() {
+            scriptDebugger.describeStacks().forEach(line => print(line));
+        },
+        list() {
+            scriptDebugger.describeLocation().forEach(line => print(line));
+        },
+        restart() {
+            scriptDebugger.restart();
+            showPosition();
+        },
+        help() {
+            DEBUGGER_HELP.forEach(line => print(line));
+        }
+    };
+    const aliases = { s: 'step', b: 'back', c: 'continue', p: 'stacks', l: 'list', r: 'restart', h: 'help' };
+
+    const handleCommand = (line) => {
+        const [word, argument] = line.split(/\s+/);
+        const name = aliases[word] || word;
+        if (!commands[name]) {
+            print(`Unknown command "${word}". Type "help" for commands.`);
+            return true;
+        }
+        if (name === 'break' || name === 'delete') {
+            if (!argument) print(`Usage: ${name} <OPCODE>`);
+            else commands[name](argument);
+        } else {
+            const count = argument ? parseInt(argument, 10) : 1;
+            commands[name](Number.isInteger(count) && count > 0 ? count : 1);
+        }
+        return true;
+    };
+
+    // Returns false once the user quits, which works at every prompt
+    const handleLine = (line) => {
+        line = line.trim();
+        if (line === 'q' || line === 'quit') return false;
+        try {
+            if (stage === 'debug') return handleCommand(line);
+
+            if (stage === 'scriptSig' && line.startsWith('example')) {
+                const name = line.split(/\s+/)[1];
+                if (!EXAMPLES[name]) {
+                    print(`Examples: ${Object.keys(EXAMPLES).join(', ')}`);
+                    return true;
+                }
+                Object.assign(input, EXAMPLES[name], { flags: MANDATORY_SCRIPT_VERIFY_FLAGS });
+                print(`scriptSig:    ${input.scriptSig || '(empty)'}`);
+                print(`witness:      ${input.witness || '(none)'}`);
+                print(`scriptPubKey: ${input.scriptPubKey}`);
+                start();
+                return true;
+            }
+
+            if (stage === 'scriptSig') {
+                assemble(line, values);
+                input.scriptSig = line;
+                stage = 'witness';
+            } else if (stage === 'witness') {
+                parseWitness(line, values);
+                input.witness = line;
+                stage = 'scriptPubKey';
+            } else if (stage === 'scriptPubKey') {
+                assemble(line, values);
+                input.scriptPubKey = line;
+                stage = 'flags';
+            } else if (stage === 'flags') {
+                input.flags = line === '' ? MANDATORY_SCRIPT_VERIFY_FLAGS : parseFlags(line);
+                start();
+            }
+        } catch (error) {
+            print(`Error: ${error.message}`);
+        }
+        return true;
+    };
+
+    const intro = () => {
+        print('\n==== Script Debugger ====\n');
+        print('Enter a spend as ASM. Placeholders you can use:');
+        print(`  ${Object.keys(values).map(name => `<${name}>`).join(' ')}`);
+        print('Signatures sign the demo message, so OP_CHECKSIG accepts <sigAlice> with <alice>.');
+        print(`Or load a ready-made spend with "example <name>": ${Object.keys(EXAMPLES).join(', ')}`);
+        print('Type "q" at any prompt to go back to the menu.\n');
+    };
+
+    return {
+        intro,
+        handleLine,
+        get prompt() {
+            return prompts[stage];
+        }
+    };
+}
+
+module.exports = {
+    EXAMPLES,
+    ScriptDebugger,
+    createDebuggerSession
+};
@@ -0,0 +1,1316 @@
+/**
+ * Bitcoin Script Interpreter
+ *
+ * This module executes raw script bytes the way a Bitcoin node does. Every
+ * stack item is a Buffer, numbers use the CScriptNum encoding and each opcode
+ * follows the consensus rules of Bitcoin Core's EvalScript, so the results
+ * printed by the lab come from a real execution rather than a simulation.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { SCRIPT_ERR, ScriptError } = require('./script-error');
+const { SEQUENCE_LOCKTIME_DISABLE_FLAG } = require('./timelocks');
+const {
+    LEAF_VERSION_TAPSCRIPT,
+    TAPROOT_CONTROL_BASE_SIZE,
+    TAPROOT_CONTROL_MAX_SIZE,
+    TAPROOT_CONTROL_NODE_SIZE,
+    TAPROOT_LEAF_MASK,
+    tapleafHash,
+    verifyTaprootCommitment
+} = require('./taproot');
+
+const OPS = bitcoin.opcodes;
+
+// Consensus limits
+const MAX_SCRIPT_ELEMENT_SIZE = 520;
+const MAX_OPS_PER_SCRIPT = 201;
+const MAX_STACK_SIZE = 1000;
+const MAX_SCRIPT_SIZE = 10000;
+const MAX_PUBKEYS_PER_MULTISIG = 20;
+
+// Tapscript signature budget (BIP342): each executed signature check costs
+// 50 units out of a budget of 50 plus the serialized witness size
+const VALIDATION_WEIGHT_PER_SIGOP_PASSED = 50;
+const VALIDATION_WEIGHT_OFFSET = 50;
+
+// Which rule set a script is being evaluated under
+const SIGVERSION = {
+    BASE: 0,
+    WITNESS_V0: 1,
+    TAPROOT: 2,
+    TAPSCRIPT: 3
+};
+
+// Script verification flags (bit positions match Bitcoin Core). Which of
+// them are consensus rules and which are only relay policy is in policy.js.
+const SCRIPT_VERIFY = {
+    NONE: 0,
+    P2SH: 1 << 0,
+    STRICTENC: 1 << 1,
+    DERSIG: 1 << 2,
+    LOW_S: 1 << 3,
+    NULLDUMMY: 1 << 4,
+    SIGPUSHONLY: 1 << 5,
+    MINIMALDATA: 1 << 6,
+    DISCOURAGE_UPGRADABLE_NOPS: 1 << 7,
+    CLEANSTACK: 1 << 8,
+    CHECKLOCKTIMEVERIFY: 1 << 9,
+    CHECKSEQUENCEVERIFY: 1 << 10,
+    WITNESS: 1 << 11,
+    DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM: 1 << 12,
+    MINIMALIF: 1 << 13,
+    NULLFAIL: 1 << 14,
+    WITNESS_PUBKEYTYPE: 1 << 15,
+    CONST_SCRIPTCODE: 1 << 16,
+    TAPROOT: 1 << 17,
+    DISCOURAGE_UPGRADABLE_TAPROOT_VERSION: 1 << 18,
+    DISCOURAGE_OP_SUCCESS: 1 << 19,
+    DISCOURAGE_UPGRADABLE_PUBKEYTYPE: 1 << 20
+};
+
+// Reverse lookup of opcode names (later aliases such as OP_CHECKSEQUENCEVERIFY win)
+const OPCODE_NAMES = {};
+for (const [name, code] of Object.entries(OPS)) {
+    OPCODE_NAMES[code] = name;
+}
+
+const DISABLED_OPCODES = new Set([
+    OPS.OP_CAT, OPS.OP_SUBSTR, OPS.OP_LEFT, OPS.OP_RIGHT,
+    OPS.OP_INVERT, OPS.OP_AND, OPS.OP_OR, OPS.OP_XOR,
+    OPS.OP_2MUL, OPS.OP_2DIV, OPS.OP_MUL, OPS.OP_DIV,
+    OPS.OP_MOD, OPS.OP_LSHIFT, OPS.OP_RSHIFT
+]);
+
+// Opcodes that make a tapscript succeed unconditionally (BIP342), reserved
+// so future soft forks can give them new meanings
+function isOpSuccess(opcode) {
+    return opcode === 80 || opcode === 98 || (opcode >= 126 && opcode <= 129) ||
+        (opcode >= 131 && opcode <= 134) || (opcode >= 137 && opcode <= 138) ||
+        (opcode >= 141 && opcode <= 142) || (opcode >= 149 && opcode <= 153) ||
+        (opcode >= 187 && opcode <= 254);
+}
+
+// The name of an opcode; direct pushes (0x01-0x4b push that many bytes)
+// are named OP_PUSHBYTES_n, as script-asm.js writes them
+function opcodeName(opcode) {
+    if (opcode > OPS.OP_0 && opcode < OPS.OP_PUSHDATA1) return `OP_PUSHBYTES_${opcode}`;
+    return OPCODE_NAMES[opcode] || `OP_UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+}
+
+// -------------------------------------------------
+// Script number (CScriptNum) encoding
+// -------------------------------------------------
+
+// Decode a little-endian sign-magnitude number, as CScriptNum does
+function decodeScriptNum(buffer, requireMinimal = false, maxSize = 4) {
+    if (buffer.length > maxSize) {
+        throw new ScriptError(SCRIPT_ERR.UNKNOWN_ERROR, 'script number overflow');
+    }
+    if (buffer.length === 0) return 0;
+
+    const last = buffer[buffer.length - 1];
+    if (requireMinimal && (last & 0x7f) === 0) {
+        // The last byte may only be 0x00/0x80 if it is needed for the sign bit
+        if (buffer.length === 1 || (buffer[buffer.length - 2] & 0x80) === 0) {
+            throw new ScriptError(SCRIPT_ERR.UNKNOWN_ERROR, 'non-minimally encoded script number');
+        }
+    }
+
+    // Multiplication instead of bit shifts: values can exceed 32 bits
+    let result = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        result += buffer[i] * Math.pow(2, 8 * i);
+    }
+
+    if (last & 0x80) {
+        return -(result - 0x80 * Math.pow(2, 8 * (buffer.length - 1)));
+    }
+    return result;
+}
+
+function encodeScriptNum(value) {
+    if (value === 0) return Buffer.alloc(0);
+
+    const negative = value < 0;
+    let absolute = Math.abs(value);
+    const bytes = [];
+    while (absolute > 0) {
+        bytes.push(absolute % 256);
+        absolute = Math.floor(absolute / 256);
+    }
+
+    // Make room for the sign bit if the most significant byte already uses it
+    if (bytes[bytes.length - 1] & 0x80) {
+        bytes.push(negative ? 0x80 : 0x00);
+    } else if (negative) {
+        bytes[bytes.length - 1] |= 0x80;
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Any non-zero value is true, except "negative zero"
+function castToBool(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+        if (buffer[i] !== 0) {
+            return !(i === buffer.length - 1 && buffer[i] === 0x80);
+        }
+    }
+    return false;
+}
+
+const TRUE = Buffer.from([1]);
+const FALSE = Buffer.alloc(0);
+
+// -------------------------------------------------
+// Script parsing
+// -------------------------------------------------
+
+// Read one operation at `pc`; returns its opcode, push data and the next offset
+function readScriptOp(script, pc) {
+    const opcode = script[pc];
+    let offset = pc + 1;
+    let size = -1;
+
+    if (opcode < OPS.OP_PUSHDATA1) {
+        size = opcode;
+    } else if (opcode === OPS.OP_PUSHDATA1) {
+        if (offset + 1 > script.length) size = null;
+        else { size = script.readUInt8(offset); offset += 1; }
+    } else if (opcode === OPS.OP_PUSHDATA2) {
+        if (offset + 2 > script.length) size = null;
+        else { size = script.readUInt16LE(offset); offset += 2; }
+    } else if (opcode === OPS.OP_PUSHDATA4) {
+        if (offset + 4 > script.length) size = null;
+        else { size = script.readUInt32LE(offset); offset += 4; }
+    }
+
+    if (size === null || offset + Math.max(size, 0) > script.length) {
+        throw new ScriptError(SCRIPT_ERR.BAD_OPCODE, `truncated push at byte ${pc}`);
+    }
+
+    if (size < 0) {
+        return { opcode, data: null, offset: pc, next: offset };
+    }
+    return { opcode, data: script.slice(offset, offset + size), offset: pc, next: offset + size };
+}
+
+// Serialize a data push with the smallest size prefix, without ever turning
+// it into OP_0..OP_16 (matches CScript() << data in Bitcoin Core)
+function serializePush(data) {
+    let prefix;
+    if (data.length < OPS.OP_PUSHDATA1) {
+        prefix = Buffer.from([data.length]);
+    } else if (data.length <= 0xff) {
+        prefix = Buffer.from([OPS.OP_PUSHDATA1, data.length]);
+    } else if (data.length <= 0xffff) {
+        prefix = Buffer.alloc(3);
+        prefix[0] = OPS.OP_PUSHDATA2;
+        prefix.writeUInt16LE(data.length, 1);
+    } else {
+        prefix = Buffer.alloc(5);
+        prefix[0] = OPS.OP_PUSHDATA4;
+        prefix.writeUInt32LE(data.length, 1);
+    }
+    return Buffer.concat([prefix, data]);
+}
+
+// Remove every occurrence of `pattern` that starts at an operation boundary,
+// as Bitcoin Core's FindAndDelete does with a signature in legacy scripts
+function findAndDelete(script, pattern) {
+    if (pattern.length === 0) return script;
+
+    const parts = [];
+    let pc = 0;
+    let copyFrom = 0;
+    let found = 0;
+
+    for (;;) {
+        parts.push(script.slice(copyFrom, pc));
+        while (script.length - pc >= pattern.length && script.slice(pc, pc + pattern.length).equals(pattern)) {
+            pc += pattern.length;
+            found++;
+        }
+        copyFrom = pc;
+        if (pc >= script.length) break;
+        try {
+            pc = readScriptOp(script, pc).next;
+        } catch (error) {
+            break;
+        }
+    }
+
+    if (found === 0) return script;
+    parts.push(script.slice(copyFrom));
+    return Buffer.concat(parts);
+}
+
+// Split a script into its operations
+function parseScript(script) {
+    const ops = [];
+    let pc = 0;
+    while (pc < script.length) {
+        const op = readScriptOp(script, pc);
+        ops.push(op);
+        pc = op.next;
+    }
+    return ops;
+}
+
+// True if `data` was pushed with the smallest possible opcode (MINIMALDATA)
+function checkMinimalPush(data, opcode) {
+    if (data.length === 0) return opcode === OPS.OP_0;
+    // Single bytes 1..16 and 0x81 have their own OP_1..OP_16 and OP_1NEGATE
+    if (data.length === 1 && data[0] >= 1 && data[0] <= 16) return false;
+    if (data.length === 1 && data[0] === 0x81) return false;
+    if (data.length <= 75) return opcode === data.length;
+    if (data.length <= 255) return opcode === OPS.OP_PUSHDATA1;
+    if (data.length <= 65535) return opcode === OPS.OP_PUSHDATA2;
+    return true;
+}
+
+// -------------------------------------------------
+// Signature and public key encoding (BIP66, BIP62)
+// -------------------------------------------------
+
+const HALF_CURVE_ORDER = BigInt('0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0');
+
+// Strict DER encoding plus the sighash byte:
+// 0x30 [total-length] 0x02 [R-length] [R] 0x02 [S-length] [S] [sighash]
+function isValidSignatureEncoding(signature) {
+    if (signature.length < 9 || signature.length > 73) return false;
+    if (signature[0] !== 0x30) return false;
+    if (signature[1] !== signature.length - 3) return false;
+
+    const lenR = signature[3];
+    if (5 + lenR >= signature.length) return false;
+    const lenS = signature[5 + lenR];
+    if (lenR + lenS + 7 !== signature.length) return false;
+
+    // R and S must be positive integers without excess padding
+    if (signature[2] !== 0x02 || lenR === 0 || (signature[4] & 0x80)) return false;
+    if (lenR > 1 && signature[4] === 0x00 && !(signature[5] & 0x80)) return false;
+    if (signature[lenR + 4] !== 0x02 || lenS === 0 || (signature[lenR + 6] & 0x80)) return false;
+    if (lenS > 1 && signature[lenR + 6] === 0x00 && !(signature[lenR + 7] & 0x80)) return false;
+    return true;
+}
+
+// S must be in the lower half of the curve order, so (r, n - s) is not
+// accepted as a second valid signature
+function isLowDERSignature(signature) {
+    const lenR = signature[3];
+    const lenS = signature[5 + lenR];
+    const s = signature.slice(6 + lenR, 6 + lenR + lenS);
+    return BigInt(`0x${s.toString('hex')}`) <= HALF_CURVE_ORDER;
+}
+
+function isDefinedHashtypeSignature(signature) {
+    const hashType = signature[signature.length - 1] & ~0x80;
+    return hashType >= 0x01 && hashType <= 0x03;
+}
+
+function isCompressedPubKey(publicKey) {
+    return publicKey.length === 33 && (publicKey[0] === 0x02 || publicKey[0] === 0x03);
+}
+
+function isCompressedOrUncompressedPubKey(publicKey) {
+    return isCompressedPubKey(publicKey) || (publicKey.length === 65 && publicKey[0] === 0x04);
+}
+
+function checkSignatureEncoding(signature, flags) {
+    // An empty signature is an explicit, compact way to fail a check
+    if (signature.length === 0) return;
+    if ((flags & (SCRIPT_VERIFY.DERSIG | SCRIPT_VERIFY.LOW_S | SCRIPT_VERIFY.STRICTENC)) &&
+        !isValidSignatureEncoding(signature)) {
+        throw new ScriptError(SCRIPT_ERR.SIG_DER);
+    }
+    if ((flags & SCRIPT_VERIFY.LOW_S) && !isLowDERSignature(signature)) {
+        throw new ScriptError(SCRIPT_ERR.SIG_HIGH_S);
+    }
+    if ((flags & SCRIPT_VERIFY.STRICTENC) && !isDefinedHashtypeSignature(signature)) {
+        throw new ScriptError(SCRIPT_ERR.SIG_HASHTYPE);
+    }
+}
+
+function checkPubKeyEncoding(publicKey, flags, sigVersion) {
+    if ((flags & SCRIPT_VERIFY.STRICTENC) && !isCompressedOrUncompressedPubKey(publicKey)) {
+        throw new ScriptError(SCRIPT_ERR.PUBKEYTYPE);
+    }
+    if ((flags & SCRIPT_VERIFY.WITNESS_PUBKEYTYPE) && sigVersion === SIGVERSION.WITNESS_V0 &&
+        !isCompressedPubKey(publicKey)) {
+        throw new ScriptError(SCRIPT_ERR.WITNESS_PUBKEYTYPE);
+    }
+}
+
+// -------------------------------------------------
+// Signature checking
+// -------------------------------------------------
+
+// Checker used when no transaction context is available: every signature fails
+class BaseSignatureChecker {
+    checkECDSASignature(signature, publicKey, scriptCode, sigVersion) {
+        return false;
+    }
+
+    // `execData` holds the taproot spend data the signature hash commits to
+    checkSchnorrSignature(signature, publicKey, sigVersion, execData) {
+        return false;
+    }
+
+    // OP_CHECKLOCKTIMEVERIFY: does the spending transaction's nLockTime satisfy `lockTime`?
+    checkLockTime(lockTime) {
+        return false;
+    }
+
+    // OP_CHECKSEQUENCEVERIFY: does the spending input's nSequence satisfy `sequence`?
+    checkSequence(sequence) {
+        return false;
+    }
+}
+
+// -------------------------------------------------
+// Interpreter
+// -------------------------------------------------
+
+class ScriptInterpreter {
+    constructor(script, stack = [], options = {}) {
+        this.script = script;
+        this.stack = stack;
+        this.altStack = [];
+        // One entry per open OP_IF/OP_NOTIF: whether that branch is being executed
+        this.execStack = [];
+        this.checker = options.checker || new BaseSignatureChecker();
+        this.sigVersion = options.sigVersion !== undefined ? options.sigVersion : SIGVERSION.BASE;
+        this.flags = options.flags || 0;
+        // MINIMALDATA: pushes and numbers must use their shortest encoding
+        this.requireMinimal = (this.flags & SCRIPT_VERIFY.MINIMALDATA) !== 0;
+        // Which script of a spend is running (scriptSig, redeemScript...), for tracing
+        this.phase = options.phase || 'script';
+        this.onStep = options.onStep || null;
+        this.pc = 0;
+        // Extra information about the current step (e.g. multisig matching), for tracing
+        this.stepDetails = null;
+        // Signatures commit to the script after the last executed OP_CODESEPARATOR
+        this.codeSeparatorPos = 0;
+        // Taproot spend data (annex, tapleaf hash, validation weight left...)
+        this.execData = options.execData || {};
+        // Index of the current operation; tapscript signatures commit to it
+        this.opcodePos = 0;
+        this.opCount = 0;
+        this.error = null;
+
+        if (this.sigVersion !== SIGVERSION.TAPSCRIPT && script.length > MAX_SCRIPT_SIZE) {
+            this.error = new ScriptError(SCRIPT_ERR.SCRIPT_SIZE);
+        }
+    }
+
+    get done() {
+        return this.error !== null || this.pc >= this.script.length;
+    }
+
+    // True when every enclosing conditional branch is being executed
+    get executing() {
+        return !this.execStack.includes(false);
+    }
+
+    // Execute a single operation and return what was executed (or skipped)
+    step() {
+        if (this.error) throw this.error;
+        if (this.done) return null;
+
+        const executed = this.executing;
+        let op = null;
+        this.stepDetails = null;
+        // Copies of the stack are only needed when someone is tracing
+        const stackBefore = this.onStep ? this.stack.map(item => Buffer.from(item)) : null;
+        try {
+            op = readScriptOp(this.script, this.pc);
+            this.pc = op.next;
+            this.executeOp(op);
+            this.opcodePos++;
+
+            if (this.pc >= this.script.length && this.execStack.length > 0) {
+                throw new ScriptError(SCRIPT_ERR.UNBALANCED_CONDITIONAL, 'missing OP_ENDIF');
+            }
+        } catch (error) {
+            this.error = error instanceof ScriptError ? error : new ScriptError(SCRIPT_ERR.UNKNOWN_ERROR, error.message);
+            this.report(op, executed, stackBefore);
+            throw this.error;
+        }
+
+        return this.report(op, executed, stackBefore);
+    }
+
+    // Describe the last step and pass it to the onStep callback, if any. With
+    // a callback the record is a full trace entry: the main stack before and
+    // after the operation and the alt stack after it.
+    report(op, executed, stackBefore = null) {
+        const offset = op ? op.offset : this.pc;
+        const record = {
+            phase: this.phase,
+            offset,
+            opcode: this.script[offset],
+            name: opcodeName(this.script[offset]),
+            data: op ? op.data : null,
+            executed,
+            execStack: [...this.execStack],
+            details: this.stepDetails,
+            error: this.error
+        };
+        if (stackBefore) {
+            record.stackBefore = stackBefore;
+            record.stackAfter = this.stack.map(item => Buffer.from(item));
+            record.altStack = this.altStack.map(item => Buffer.from(item));
+        }
+        if (this.onStep) this.onStep(record, this);
+        return record;
+    }
+
+    // Execute the remaining operations and return the final stack
+    run() {
+        if (this.error) throw this.error;
+        while (!this.done) {
+            this.step();
+        }
+        return this.stack;
+    }
+
+    executeOp({ opcode, data }) {
+        const executing = this.executing;
+
+        if (data !== null && data.length > MAX_SCRIPT_ELEMENT_SIZE) {
+            throw new ScriptError(SCRIPT_ERR.PUSH_SIZE);
+        }
+
+        // Every non-push opcode counts toward the operation limit (not in tapscript)
+        if (this.sigVersion !== SIGVERSION.TAPSCRIPT && opcode > OPS.OP_16 && ++this.opCount > MAX_OPS_PER_SCRIPT) {
+            throw new ScriptError(SCRIPT_ERR.OP_COUNT);
+        }
+
+        if (DISABLED_OPCODES.has(opcode)) {
+            throw new ScriptError(SCRIPT_ERR.DISABLED_OPCODE, opcodeName(opcode));
+        }
+
+        // With CONST_SCRIPTCODE, legacy scripts may not even contain OP_CODESEPARATOR
+        if (opcode === OPS.OP_CODESEPARATOR && this.sigVersion === SIGVERSION.BASE &&
+            (this.flags & SCRIPT_VERIFY.CONST_SCRIPTCODE)) {
+            throw new ScriptError(SCRIPT_ERR.OP_CODESEPARATOR);
+        }
+
+        if (opcode <= OPS.OP_PUSHDATA4) {
+            if (executing && this.requireMinimal && !checkMinimalPush(data, opcode)) {
+                throw new ScriptError(SCRIPT_ERR.MINIMALDATA);
+            }
+            if (executing) this.stack.push(data);
+        } else if (executing || (opcode >= OPS.OP_IF && opcode <= OPS.OP_ENDIF)) {
+            // Conditionals are always processed so nesting can be tracked,
+            // which also makes OP_VERIF/OP_VERNOTIF fail inside skipped branches
+            this.executeOpcode(opcode, executing);
+        }
+
+        if (this.stack.length + this.altStack.length > MAX_STACK_SIZE) {
+            throw new ScriptError(SCRIPT_ERR.STACK_SIZE);
+        }
+    }
+
+    // Stack item relative to the top: top(-1) is the topmost item
+    top(index) {
+        return this.stack[this.stack.length + index];
+    }
+
+    requireStack(count) {
+        if (this.stack.length < count) {
+            throw new ScriptError(SCRIPT_ERR.INVALID_STACK_OPERATION);
+        }
+    }
+
+    popNum() {
+        this.requireStack(1);
+        return decodeScriptNum(this.stack.pop(), this.requireMinimal);
+    }
+
+    pushBool(value) {
+        this.stack.push(value ? TRUE : FALSE);
+    }
+
+    executeOpcode(opcode, executing) {
+        const stack = this.stack;
+
+        switch (opcode) {
+            // Constants
+            case OPS.OP_1NEGATE:
+            case OPS.OP_1: case OPS.OP_2: case OPS.OP_3: case OPS.OP_4:
+            case OPS.OP_5: case OPS.OP_6: case OPS.OP_7: case OPS.OP_8:
+            case OPS.OP_9: case OPS.OP_10: case OPS.OP_11: case OPS.OP_12:
+            case OPS.OP_13: case OPS.OP_14: case OPS.OP_15: case OPS.OP_16:
+                stack.push(encodeScriptNum(opcode - (OPS.OP_1 - 1)));
+                break;
+
+            // Control
+            case OPS.OP_NOP:
+                break;
+
+            case OPS.OP_CHECKLOCKTIMEVERIFY: {
+                // Without the flag this is still OP_NOP2
+                if (!(this.flags & SCRIPT_VERIFY.CHECKLOCKTIMEVERIFY)) {
+                    this.discourageUpgradableNop(opcode);
+                    break;
+                }
+                // The lock time is compared, not popped; 5-byte numbers allow
+                // timestamps beyond 2^31
+                this.requireStack(1);
+                const lockTime = decodeScriptNum(this.top(-1), this.requireMinimal, 5);
+                if (lockTime < 0) throw new ScriptError(SCRIPT_ERR.NEGATIVE_LOCKTIME);
+                if (!this.checker.checkLockTime(lockTime)) throw new ScriptError(SCRIPT_ERR.UNSATISFIED_LOCKTIME);
+                break;
+            }
+
+            case OPS.OP_CHECKSEQUENCEVERIFY: {
+                // Without the flag this is still OP_NOP3
+                if (!(this.flags & SCRIPT_VERIFY.CHECKSEQUENCEVERIFY)) {
+                    this.discourageUpgradableNop(opcode);
+                    break;
+                }
+                this.requireStack(1);
+                const sequence = decodeScriptNum(this.top(-1), this.requireMinimal, 5);
+                if (sequence < 0) throw new ScriptError(SCRIPT_ERR.NEGATIVE_LOCKTIME);
+                // With the disable flag set, the operand is reserved for future use and passes
+                if ((sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) !== 0) break;
+                if (!this.checker.checkSequence(sequence)) throw new ScriptError(SCRIPT_ERR.UNSATISFIED_LOCKTIME);
+                break;
+            }
+
+            case OPS.OP_NOP1:
+            case OPS.OP_NOP4: case OPS.OP_NOP5: case OPS.OP_NOP6: case OPS.OP_NOP7:
+            case OPS.OP_NOP8: case OPS.OP_NOP9: case OPS.OP_NOP10:
+                this.discourageUpgradableNop(opcode);
+                break;
+
+            case OPS.OP_IF:
+            case OPS.OP_NOTIF: {
+                // <expression> if [statements] [else [statements]] endif
+                let value = false;
+                if (executing) {
+                    if (stack.length < 1) throw new ScriptError(SCRIPT_ERR.UNBALANCED_CONDITIONAL);
+                    // Tapscript (and MINIMALIF for segwit v0) only accepts an empty vector or exactly 0x01
+                    const condition = this.top(-1);
+                    if (condition.length > 1 || (condition.length === 1 && condition[0] !== 1)) {
+                        if (this.sigVersion === SIGVERSION.TAPSCRIPT) {
+                            throw new ScriptError(SCRIPT_ERR.TAPSCRIPT_MINIMALIF);
+                        }
+                        if (this.sigVersion === SIGVERSION.WITNESS_V0 && (this.flags & SCRIPT_VERIFY.MINIMALIF)) {
+                            throw new ScriptError(SCRIPT_ERR.MINIMALIF);
+                        }
+                    }
+                    value = castToBool(stack.pop());
+                    if (opcode === OPS.OP_NOTIF) value = !value;
+                }
+                this.execStack.push(value);
+                break;
+            }
+
+            case OPS.OP_ELSE:
+                if (this.execStack.length === 0) throw new ScriptError(SCRIPT_ERR.UNBALANCED_CONDITIONAL);
+                this.execStack[this.execStack.length - 1] = !this.execStack[this.execStack.length - 1];
+                break;
+
+            case OPS.OP_ENDIF:
+                if (this.execStack.length === 0) throw new ScriptError(SCRIPT_ERR.UNBALANCED_CONDITIONAL);
+                this.execStack.pop();
+                break;
+
+            case OPS.OP_VERIFY:
+                this.requireStack(1);
+                if (!castToBool(this.top(-1))) throw new ScriptError(SCRIPT_ERR.VERIFY);
+                stack.pop();
+                break;
+
+            case OPS.OP_RETURN:
+                throw new ScriptError(SCRIPT_ERR.OP_RETURN);
+
+            // Stack operations
+            case OPS.OP_TOALTSTACK:
+                this.requireStack(1);
+                this.altStack.push(stack.pop());
+                break;
+
+            case OPS.OP_FROMALTSTACK:
+                if (this.altStack.length < 1) throw new ScriptError(SCRIPT_ERR.INVALID_ALTSTACK_OPERATION);
+                stack.push(this.altStack.pop());
+                break;
+
+            case OPS.OP_2DROP:
+                this.requireStack(2);
+                stack.pop();
+                stack.pop();
+                break;
+
+            case OPS.OP_2DUP:
+                this.requireStack(2);
+                stack.push(this.top(-2), this.top(-1));
+                break;
+
+            case OPS.OP_3DUP:
+                this.requireStack(3);
+                stack.push(this.top(-3), this.top(-2), this.top(-1));
+                break;
+
+            case OPS.OP_2OVER:
+                this.requireStack(4);
+                stack.push(this.top(-4), this.top(-3));
+                break;
+
+            case OPS.OP_2ROT: {
+                this.requireStack(6);
+                const moved = stack.splice(stack.length - 6, 2);
+                stack.push(...moved);
+                break;
+            }
+
+            case OPS.OP_2SWAP: {
+                this.requireStack(4);
+                const moved = stack.splice(stack.length - 4, 2);
+                stack.push(...moved);
+                break;
+            }
+
+            case OPS.OP_IFDUP:
+                this.requireStack(1);
+                if (castToBool(this.top(-1))) stack.push(this.top(-1));
+                break;
+
+            case OPS.OP_DEPTH:
+                stack.push(encodeScriptNum(stack.length));
+                break;
+
+            case OPS.OP_DROP:
+                this.requireStack(1);
+                stack.pop();
+                break;
+
+            case OPS.OP_DUP:
+                this.requireStack(1);
+                stack.push(this.top(-1));
+                break;
+
+            case OPS.OP_NIP:
+                this.requireStack(2);
+                stack.splice(stack.length - 2, 1);
+                break;
+
+            case OPS.OP_OVER:
+                this.requireStack(2);
+                stack.push(this.top(-2));
+                break;
+
+            case OPS.OP_PICK:
+            case OPS.OP_ROLL: {
+                this.requireStack(2);
+                const n = this.popNum();
+                if (n < 0 || n >= stack.length) throw new ScriptError(SCRIPT_ERR.INVALID_STACK_OPERATION);
+                const item = this.top(-n - 1);
+                if (opcode === OPS.OP_ROLL) stack.splice(stack.length - n - 1, 1);
+                stack.push(item);
+                break;
+            }
+
+            case OPS.OP_ROT: {
+                this.requireStack(3);
+                const [item] = stack.splice(stack.length - 3, 1);
+                stack.push(item);
+                break;
+            }
+
+            case OPS.OP_SWAP: {
+                this.requireStack(2);
+                const [item] = stack.splice(stack.length - 2, 1);
+                stack.push(item);
+                break;
+            }
+
+            case OPS.OP_TUCK:
+                this.requireStack(2);
+                stack.splice(stack.length - 2, 0, this.top(-1));
+                break;
+
+            case OPS.OP_SIZE:
+                this.requireStack(1);
+                stack.push(encodeScriptNum(this.top(-1).length));
+                break;
+
+            // Bitwise logic
+            case OPS.OP_EQUAL:
+            case OPS.OP_EQUALVERIFY: {
+                this.requireStack(2);
+                const b = stack.pop();
+                const a = stack.pop();
+                const equal = a.equals(b);
+                this.pushBool(equal);
+                if (opcode === OPS.OP_EQUALVERIFY) {
+                    if (!equal) throw new ScriptError(SCRIPT_ERR.EQUALVERIFY);
+                    stack.pop();
+                }
+                break;
+            }
+
+            // Numeric
+            case OPS.OP_1ADD:
+            case OPS.OP_1SUB:
+            case OPS.OP_NEGATE:
+            case OPS.OP_ABS:
+            case OPS.OP_NOT:
+            case OPS.OP_0NOTEQUAL: {
+                const n = this.popNum();
+                const results = {
+                    [OPS.OP_1ADD]: () => n + 1,
+                    [OPS.OP_1SUB]: () => n - 1,
+                    [OPS.OP_NEGATE]: () => -n,
+                    [OPS.OP_ABS]: () => Math.abs(n),
+                    [OPS.OP_NOT]: () => (n === 0 ? 1 : 0),
+                    [OPS.OP_0NOTEQUAL]: () => (n !== 0 ? 1 : 0)
+                };
+                stack.push(encodeScriptNum(results[opcode]()));
+                break;
+            }
+
+            case OPS.OP_ADD:
+            case OPS.OP_SUB:
+            case OPS.OP_BOOLAND:
+            case OPS.OP_BOOLOR:
+            case OPS.OP_NUMEQUAL:
+            case OPS.OP_NUMEQUALVERIFY:
+            case OPS.OP_NUMNOTEQUAL:
+            case OPS.OP_LESSTHAN:
+            case OPS.OP_GREATERTHAN:
+            case OPS.OP_LESSTHANOREQUAL:
+            case OPS.OP_GREATERTHANOREQUAL:
+            case OPS.OP_MIN:
+            case OPS.OP_MAX: {
+                this.requireStack(2);
+                const b = this.popNum();
+                const a = this.popNum();
+                const results = {
+                    [OPS.OP_ADD]: () => a + b,
+                    [OPS.OP_SUB]: () => a - b,
+                    [OPS.OP_BOOLAND]: () => (a !== 0 && b !== 0 ? 1 : 0),
+                    [OPS.OP_BOOLOR]: () => (a !== 0 || b !== 0 ? 1 : 0),
+                    [OPS.OP_NUMEQUAL]: () => (a === b ? 1 : 0),
+                    [OPS.OP_NUMEQUALVERIFY]: () => (a === b ? 1 : 0),
+                    [OPS.OP_NUMNOTEQUAL]: () => (a !== b ? 1 : 0),
+                    [OPS.OP_LESSTHAN]: () => (a < b ? 1 : 0),
+                    [OPS.OP_GREATERTHAN]: () => (a > b ? 1 : 0),
+                    [OPS.OP_LESSTHANOREQUAL]: () => (a <= b ? 1 : 0),
+                    [OPS.OP_GREATERTHANOREQUAL]: () => (a >= b ? 1 : 0),
+                    [OPS.OP_MIN]: () => Math.min(a, b),
+                    [OPS.OP_MAX]: () => Math.max(a, b)
+                };
+                stack.push(encodeScriptNum(results[opcode]()));
+                if (opcode === OPS.OP_NUMEQUALVERIFY) {
+                    if (!castToBool(this.top(-1))) throw new ScriptError(SCRIPT_ERR.NUMEQUALVERIFY);
+                    stack.pop();
+                }
+                break;
+            }
+
+            case OPS.OP_WITHIN: {
+                this.requireStack(3);
+                const max = this.popNum();
+                const min = this.popNum();
+                const x = this.popNum();
+                this.pushBool(min <= x && x < max);
+                break;
+            }
+
+            // Crypto
+            case OPS.OP_RIPEMD160:
+            case OPS.OP_SHA1:
+            case OPS.OP_SHA256:
+            case OPS.OP_HASH160:
+            case OPS.OP_HASH256: {
+                this.requireStack(1);
+                const hashes = {
+                    [OPS.OP_RIPEMD160]: bitcoin.crypto.ripemd160,
+                    [OPS.OP_SHA1]: bitcoin.crypto.sha1,
+                    [OPS.OP_SHA256]: bitcoin.crypto.sha256,
+                    [OPS.OP_HASH160]: bitcoin.crypto.hash160,
+                    [OPS.OP_HASH256]: bitcoin.crypto.hash256
+                };
+                stack.push(hashes[opcode](stack.pop()));
+                break;
+            }
+
+            case OPS.OP_CODESEPARATOR:
+                this.codeSeparatorPos = this.pc;
+                this.execData.codeSeparatorPos = this.opcodePos;
+                break;
+
+            case OPS.OP_CHECKSIG:
+            case OPS.OP_CHECKSIGVERIFY: {
+                this.requireStack(2);
+                const publicKey = stack.pop();
+                const signature = stack.pop();
+                const success = this.checkSignature(signature, publicKey);
+                this.pushBool(success);
+                if (opcode === OPS.OP_CHECKSIGVERIFY) {
+                    if (!success) throw new ScriptError(SCRIPT_ERR.CHECKSIGVERIFY);
+                    stack.pop();
+                }
+                break;
+            }
+
+            case OPS.OP_CHECKSIGADD: {
+                // <sig> <n> <pubkey> CHECKSIGADD -> <n + 1 if the signature is valid>
+                if (this.sigVersion !== SIGVERSION.TAPSCRIPT) {
+                    throw new ScriptError(SCRIPT_ERR.BAD_OPCODE, opcodeName(opcode));
+                }
+                this.requireStack(3);
+                const publicKey = stack.pop();
+                const n = this.popNum();
+                const signature = stack.pop();
+                const success = this.checkSignature(signature, publicKey);
+                stack.push(encodeScriptNum(n + (success ? 1 : 0)));
+                break;
+            }
+
+            case OPS.OP_CHECKMULTISIG:
+            case OPS.OP_CHECKMULTISIGVERIFY: {
+                // Replaced by OP_CHECKSIGADD, which allows batch verification
+                if (this.sigVersion === SIGVERSION.TAPSCRIPT) {
+                    throw new ScriptError(SCRIPT_ERR.TAPSCRIPT_CHECKMULTISIG);
+                }
+                const success = this.checkMultisig();
+                this.pushBool(success);
+                if (opcode === OPS.OP_CHECKMULTISIGVERIFY) {
+                    if (!success) throw new ScriptError(SCRIPT_ERR.CHECKMULTISIGVERIFY);
+                    stack.pop();
+                }
+                break;
+            }
+
+            default:
+                throw new ScriptError(SCRIPT_ERR.BAD_OPCODE, opcodeName(opcode));
+        }
+    }
+
+    // NOPs are reserved for soft forks, which may give them a meaning that fails
+    discourageUpgradableNop(opcode) {
+        if (this.flags & SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_NOPS) {
+            throw new ScriptError(SCRIPT_ERR.DISCOURAGE_UPGRADABLE_NOPS, opcodeName(opcode));
+        }
+    }
+
+    // Signature check for OP_CHECKSIG(VERIFY) and OP_CHECKSIGADD. An empty
+    // signature fails without an error; in tapscript any other failing
+    // signature makes the whole script fail.
+    checkSignature(signature, publicKey) {
+        if (this.sigVersion === SIGVERSION.TAPSCRIPT) {
+            return this.checkTapscriptSignature(signature, publicKey);
+        }
+
+        // A legacy signature cannot sign itself, so it is removed from the script code
+        let scriptCode = this.script.slice(this.codeSeparatorPos);
+        if (this.sigVersion === SIGVERSION.BASE) {
+            const original = scriptCode;
+            scriptCode = findAndDelete(scriptCode, serializePush(signature));
+            if (scriptCode !== original && (this.flags & SCRIPT_VERIFY.CONST_SCRIPTCODE)) {
+                throw new ScriptError(SCRIPT_ERR.SIG_FINDANDDELETE);
+            }
+        }
+
+        checkSignatureEncoding(signature, this.flags);
+        checkPubKeyEncoding(publicKey, this.flags, this.sigVersion);
+
+        const success = signature.length > 0 &&
+            this.checker.checkECDSASignature(signature, publicKey, scriptCode, this.sigVersion);
+        // NULLFAIL: a failing check must use an empty signature, so it cannot be malleated
+        if (!success && (this.flags & SCRIPT_VERIFY.NULLFAIL) && signature.length > 0) {
+            throw new ScriptError(SCRIPT_ERR.SIG_NULLFAIL);
+        }
+        return success;
+    }
+
+    checkTapscriptSignature(signature, publicKey) {
+        const success = signature.length > 0;
+        if (success) {
+            this.execData.validationWeightLeft -= VALIDATION_WEIGHT_PER_SIGOP_PASSED;
+            if (this.execData.validationWeightLeft < 0) {
+                throw new ScriptError(SCRIPT_ERR.TAPSCRIPT_VALIDATION_WEIGHT);
+            }
+        }
+
+        if (publicKey.length === 0) {
+            throw new ScriptError(SCRIPT_ERR.TAPSCRIPT_EMPTY_PUBKEY);
+        } else if (publicKey.length === 32) {
+            if (success && !this.checker.checkSchnorrSignature(signature, publicKey, this.sigVersion, this.execData)) {
+                throw new ScriptError(SCRIPT_ERR.SCHNORR_SIG);
+            }
+        } else if (this.flags & SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_PUBKEYTYPE) {
+            // Other key sizes are unknown key types, reserved for upgrades
+            throw new ScriptError(SCRIPT_ERR.DISCOURAGE_UPGRADABLE_PUBKEYTYPE);
+        }
+        return success;
+    }
+
+    // OP_CHECKMULTISIG consumes: <dummy> <sig1..m> <m> <pubkey1..n> <n>.
+    // Signatures are matched against the keys in order, so they must appear
+    // in the same order as their public keys.
+    checkMultisig() {
+        const stack = this.stack;
+
+        let i = 1;
+        this.requireStack(i);
+        let keyCount = decodeScriptNum(this.top(-i), this.requireMinimal);
+        if (keyCount < 0 || keyCount > MAX_PUBKEYS_PER_MULTISIG) throw new ScriptError(SCRIPT_ERR.PUBKEY_COUNT);
+
+        // Every public key counts toward the operation limit
+        this.opCount += keyCount;
+        if (this.opCount > MAX_OPS_PER_SCRIPT) throw new ScriptError(SCRIPT_ERR.OP_COUNT);
+
+        let keyIndex = ++i;
+        // Number of items (key count, keys, signature count) popped before the signatures
+        let keyItems = keyCount + 2;
+        i += keyCount;
+        this.requireStack(i);
+
+        let sigCount = decodeScriptNum(this.top(-i), this.requireMinimal);
+        if (sigCount < 0 || sigCount > keyCount) throw new ScriptError(SCRIPT_ERR.SIG_COUNT);
+        let sigIndex = ++i;
+        i += sigCount;
+        this.requireStack(i);
+
+        // No signature can sign itself: remove all of them from the script code
+        let scriptCode = this.script.slice(this.codeSeparatorPos);
+        if (this.sigVersion === SIGVERSION.BASE) {
+            for (let k = 0; k < sigCount; k++) {
+                const original = scriptCode;
+                scriptCode = findAndDelete(scriptCode, serializePush(this.top(-sigIndex - k)));
+                if (scriptCode !== original && (this.flags & SCRIPT_VERIFY.CONST_SCRIPTCODE)) {
+                    throw new ScriptError(SCRIPT_ERR.SIG_FINDANDDELETE);
+                }
+            }
+        }
+
+        // Record every signature/key comparison so a trace can show which matched.
+        // Matching starts from the last signature and the last key and works
+        // backwards; indexes below are positions in script order.
+        const lastSigIndex = sigIndex + sigCount - 1;
+        const lastKeyIndex = keyIndex + keyCount - 1;
+        const attempts = [];
+        this.stepDetails = { multisig: attempts };
+
+        let success = true;
+        while (success && sigCount > 0) {
+            const signature = this.top(-sigIndex);
+            const publicKey = this.top(-keyIndex);
+            checkSignatureEncoding(signature, this.flags);
+            checkPubKeyEncoding(publicKey, this.flags, this.sigVersion);
+
+            const ok = signature.length > 0 &&
+                this.checker.checkECDSASignature(signature, publicKey, scriptCode, this.sigVersion);
+            attempts.push({
+                signatureIndex: lastSigIndex - sigIndex,
+                keyIndex: lastKeyIndex - keyIndex,
+                signature,
+                publicKey,
+                valid: ok
+            });
+            if (ok) {
+                sigIndex++;
+                sigCount--;
+            }
+            keyIndex++;
+            keyCount--;
+
+            // Not enough keys left for the remaining signatures
+            if (sigCount > keyCount) success = false;
+        }
+
+        // Remove the keys, signatures and counts. With NULLFAIL, every
+        // signature of a failed check must be empty.
+        while (i-- > 1) {
+            if (!success && (this.flags & SCRIPT_VERIFY.NULLFAIL) && keyItems === 0 && this.top(-1).length > 0) {
+                throw new ScriptError(SCRIPT_ERR.SIG_NULLFAIL);
+            }
+            if (keyItems > 0) keyItems--;
+            stack.pop();
+        }
+
+        // A bug in the original implementation pops one extra element: the dummy.
+        // BIP147 (NULLDUMMY) requires it to be empty so it cannot be malleated.
+        this.requireStack(1);
+        if ((this.flags & SCRIPT_VERIFY.NULLDUMMY) && this.top(-1).length > 0) {
+            throw new ScriptError(SCRIPT_ERR.SIG_NULLDUMMY);
+        }
+        stack.pop();
+
+        return success;
+    }
+}
+
+// Evaluate `script` on top of `stack` (modified in place); throws a ScriptError on failure
+function evalScript(script, stack = [], options = {}) {
+    return new ScriptInterpreter(script, stack, options).run();
+}
+
+// -------------------------------------------------
+// Script verification
+// -------------------------------------------------
+
+// Return { version, program } if the script is a segwit witness program:
+// a version opcode (OP_0..OP_16) followed by a single 2-40 byte push
+function getWitnessProgram(script) {
+    if (script.length < 4 || script.length > 42) return null;
+    const versionOp = script[0];
+    if (versionOp !== OPS.OP_0 && (versionOp < OPS.OP_1 || versionOp > OPS.OP_16)) return null;
+    if (script[1] + 2 !== script.length) return null;
+
+    return {
+        version: versionOp === OPS.OP_0 ? 0 : versionOp - (OPS.OP_1 - 1),
+        program: script.slice(2)
+    };
+}
+
+// OP_HASH160 <20 bytes> OP_EQUAL
+function isPayToScriptHash(script) {
+    return script.length === 23 &&
+        script[0] === OPS.OP_HASH160 &&
+        script[1] === 0x14 &&
+        script[22] === OPS.OP_EQUAL;
+}
+
+// True if the script contains nothing but data pushes (OP_1NEGATE..OP_16 count as pushes)
+function isPushOnly(script) {
+    try {
+        return parseScript(script).every(op => op.opcode <= OPS.OP_16);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Run a witness script (or the implied P2WPKH script) on the witness stack
+function executeWitnessScript(stack, script, options, sigVersion = SIGVERSION.WITNESS_V0) {
+    if (sigVersion === SIGVERSION.TAPSCRIPT) {
+        // Any OP_SUCCESSx makes the script succeed before anything is executed
+        for (let pc = 0; pc < script.length;) {
+            const op = readScriptOp(script, pc);
+            if (isOpSuccess(op.opcode)) {
+                if (options.flags & SCRIPT_VERIFY.DISCOURAGE_OP_SUCCESS) {
+                    throw new ScriptError(SCRIPT_ERR.DISCOURAGE_OP_SUCCESS, opcodeName(op.opcode));
+                }
+                return;
+            }
+            pc = op.next;
+        }
+        // Tapscript has no script size limit, but the initial stack is limited
+        if (stack.length > MAX_STACK_SIZE) throw new ScriptError(SCRIPT_ERR.STACK_SIZE);
+    }
+
+    for (const item of stack) {
+        if (item.length > MAX_SCRIPT_ELEMENT_SIZE) throw new ScriptError(SCRIPT_ERR.PUSH_SIZE);
+    }
+
+    evalScript(script, stack, { ...options, sigVersion });
+
+    // Witness scripts must leave exactly one true element
+    if (stack.length !== 1) throw new ScriptError(SCRIPT_ERR.CLEANSTACK);
+    if (!castToBool(stack[0])) throw new ScriptError(SCRIPT_ERR.EVAL_FALSE);
+}
+
+function verifyWitnessProgram(witness, version, program, options, isP2SH = false) {
+    const flags = options.flags || 0;
+
+    if (version === 0) {
+        if (program.length === 32) {
+            // P2WSH: the last witness item is the script, committed to by its SHA256
+            if (witness.length === 0) throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_WITNESS_EMPTY);
+            const witnessScript = witness[witness.length - 1];
+            if (!bitcoin.crypto.sha256(witnessScript).equals(program)) {
+                throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_MISMATCH);
+            }
+            executeWitnessScript(witness.slice(0, -1), witnessScript, { ...options, phase: 'witnessScript' });
+        } else if (program.length === 20) {
+            // P2WPKH: executed as the equivalent P2PKH script
+            if (witness.length !== 2) throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_MISMATCH);
+            const script = bitcoin.script.compile([
+                OPS.OP_DUP, OPS.OP_HASH160, program, OPS.OP_EQUALVERIFY, OPS.OP_CHECKSIG
+            ]);
+            executeWitnessScript([...witness], script, { ...options, phase: 'witnessScript' });
+        } else {
+            throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_WRONG_LENGTH);
+        }
+        return;
+    }
+
+    // Taproot outputs cannot be wrapped in P2SH: a wrapped v1 program is
+    // left to future soft forks like any unknown version
+    if (version === 1 && program.length === 32 && !isP2SH && (flags & SCRIPT_VERIFY.TAPROOT)) {
+        verifyTaprootSpend(witness, program, options);
+        return;
+    }
+
+    // Higher versions are reserved for future soft forks and succeed
+    if (flags & SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM) {
+        throw new ScriptError(SCRIPT_ERR.DISCOURAGE_UPGRADABLE_WITNESS_PROGRAM);
+    }
+}
+
+// Size of the witness as serialized in the transaction
+function witnessSize(witness) {
+    const compactSize = (n) => (n < 0xfd ? 1 : n <= 0xffff ? 3 : n <= 0xffffffff ? 5 : 9);
+    return witness.reduce((size, item) => size + compactSize(item.length) + item.length, compactSize(witness.length));
+}
+
+// Taproot (BIP341): a single signature spends with the tweaked output key,
+// otherwise the last items are a script from the tree and its control block
+function verifyTaprootSpend(witness, program, options) {
+    const flags = options.flags || 0;
+    const stack = [...witness];
+    const execData = {};
+
+    if (stack.length === 0) throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_WITNESS_EMPTY);
+
+    // An annex (last item starting with 0x50) is reserved for future use
+    if (stack.length >= 2 && stack[stack.length - 1].length > 0 && stack[stack.length - 1][0] === 0x50) {
+        execData.annex = stack.pop();
+    }
+
+    if (stack.length === 1) {
+        // Key path spending: the program is the output key itself
+        if (!options.checker.checkSchnorrSignature(stack[0], program, SIGVERSION.TAPROOT, execData)) {
+            throw new ScriptError(SCRIPT_ERR.SCHNORR_SIG);
+        }
+        return;
+    }
+
+    // Script path spending
+    const controlBlock = stack.pop();
+    const script = stack.pop();
+    if (controlBlock.length < TAPROOT_CONTROL_BASE_SIZE || controlBlock.length > TAPROOT_CONTROL_MAX_SIZE ||
+        (controlBlock.length - TAPROOT_CONTROL_BASE_SIZE) % TAPROOT_CONTROL_NODE_SIZE !== 0) {
+        throw new ScriptError(SCRIPT_ERR.TAPROOT_WRONG_CONTROL_SIZE);
+    }
+
+    const leafVersion = controlBlock[0] & TAPROOT_LEAF_MASK;
+    execData.tapleafHash = tapleafHash(script, leafVersion);
+    if (!verifyTaprootCommitment(controlBlock, program, execData.tapleafHash)) {
+        throw new ScriptError(SCRIPT_ERR.WITNESS_PROGRAM_MISMATCH);
+    }
+
+    if (leafVersion === LEAF_VERSION_TAPSCRIPT) {
+        execData.codeSeparatorPos = 0xffffffff;
+        execData.validationWeightLeft = witnessSize(witness) + VALIDATION_WEIGHT_OFFSET;
+        executeWitnessScript(stack, script, { ...options, phase: 'tapscript', execData }, SIGVERSION.TAPSCRIPT);
+        return;
+    }
+
+    // Unknown leaf versions are reserved for future soft forks and succeed
+    if (flags & SCRIPT_VERIFY.DISCOURAGE_UPGRADABLE_TAPROOT_VERSION) {
+        throw new ScriptError(SCRIPT_ERR.DISCOURAGE_UPGRADABLE_TAPROOT_VERSION);
+    }
+}
+
+// Verify a spend: run scriptSig, then scriptPubKey on the resulting stack,
+// then the witness program if there is one. `options` holds the witness
+// (an array of Buffers), the verification flags and the signature checker.
+// Throws a ScriptError describing the first failure.
+function verifyScript(scriptSig, scriptPubKey, options = {}) {
+    const witness = options.witness || [];
+    const flags = options.flags || 0;
+    let hadWitness = false;
+
+    if ((flags & SCRIPT_VERIFY.SIGPUSHONLY) && !isPushOnly(scriptSig)) {
+        throw new ScriptError(SCRIPT_ERR.SIG_PUSHONLY);
+    }
+
+    let stack = [];
+    evalScript(scriptSig, stack, { ...options, phase: 'scriptSig' });
+    // Keep the scriptSig results for the redeem script (BIP16)
+    const stackCopy = [...stack];
+    evalScript(scriptPubKey, stack, { ...options, phase: 'scriptPubKey' });
+
+    if (stack.length === 0 || !castToBool(stack[stack.length - 1])) {
+        throw new ScriptError(SCRIPT_ERR.EVAL_FALSE);
+    }
+
+    const witnessProgram = (flags & SCRIPT_VERIFY.WITNESS) ? getWitnessProgram(scriptPubKey) : null;
+    if (witnessProgram) {
+        hadWitness = true;
+        // The scriptSig must be empty, otherwise it could be malleated
+        if (scriptSig.length !== 0) throw new ScriptError(SCRIPT_ERR.WITNESS_MALLEATED);
+        verifyWitnessProgram(witness, witnessProgram.version, witnessProgram.program, options);
+    }
+
+    // P2SH: the scriptPubKey only checked the hash; now run the redeem script
+    if ((flags & SCRIPT_VERIFY.P2SH) && isPayToScriptHash(scriptPubKey)) {
+        // Only pushes are allowed, so the redeem script is exactly what was hashed
+        if (!isPushOnly(scriptSig)) throw new ScriptError(SCRIPT_ERR.SIG_PUSHONLY);
+
+        // Restore the stack as the scriptSig left it; its top item is the serialized redeem script
+        stack = stackCopy;
+        const redeemScript = stack.pop();
+
+        evalScript(redeemScript, stack, { ...options, phase: 'redeemScript' });
+        if (stack.length === 0 || !castToBool(stack[stack.length - 1])) {
+            throw new ScriptError(SCRIPT_ERR.EVAL_FALSE);
+        }
+
+        // Nested segwit (P2SH-P2WPKH, P2SH-P2WSH): the redeem script is a
+        // witness program, and the scriptSig must be exactly one push of it,
+        // otherwise it could be malleated
+        const nestedProgram = (flags & SCRIPT_VERIFY.WITNESS) ? getWitnessProgram(redeemScript) : null;
+        if (nestedProgram) {
+            hadWitness = true;
+            if (!scriptSig.equals(serializePush(redeemScript))) {
+                throw new ScriptError(SCRIPT_ERR.WITNESS_MALLEATED_P2SH);
+            }
+            verifyWitnessProgram(witness, nestedProgram.version, nestedProgram.program, options, true);
+        }
+    }
+
+    // CLEANSTACK: nothing may be left besides the result (witness spends
+    // already enforce this for the witness stack)
+    if ((flags & SCRIPT_VERIFY.CLEANSTACK) && !hadWitness && stack.length !== 1) {
+        throw new ScriptError(SCRIPT_ERR.CLEANSTACK);
+    }
+
+    // Witness data is only allowed when a witness program consumes it
+    if ((flags & SCRIPT_VERIFY.WITNESS) && !hadWitness && witness.length > 0) {
+        throw new ScriptError(SCRIPT_ERR.WITNESS_UNEXPECTED);
+    }
+    return true;
+}
+
+module.exports = {
+    MAX_SCRIPT_ELEMENT_SIZE,
+    MAX_OPS_PER_SCRIPT,
+    MAX_STACK_SIZE,
+    MAX_SCRIPT_SIZE,
+    MAX_PUBKEYS_PER_MULTISIG,
+    SCRIPT_VERIFY,
+    SIGVERSION,
+    BaseSignatureChecker,
+    ScriptInterpreter,
+    castToBool,
+    checkMinimalPush,
+    checkPubKeyEncoding,
+    checkSignatureEncoding,
+    decodeScriptNum,
+    encodeScriptNum,
+    evalScript,
+    findAndDelete,
+    getWitnessProgram,
+    isCompressedPubKey,
+    isCompressedOrUncompressedPubKey,
+    isDefinedHashtypeSignature,
+    isLowDERSignature,
+    isOpSuccess,
+    isPayToScriptHash,
+    isPushOnly,
+    isValidSignatureEncoding,
+    opcodeName,
+    parseScript,
+    readScriptOp,
+    serializePush,
+    verifyScript
+};
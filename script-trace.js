@@ -0,0 +1,81 @@
+/**
+ * Script Execution Traces
+ *
+ * Records the verification of a spend as a list of steps, one per executed
+ * or skipped operation, each with its phase (scriptSig, scriptPubKey,
+ * redeemScript...), opcode, byte offset, the main stack before and after
+ * it, the alt stack, the condition stack and the error it raised. Traces
+ * are what the visualizations and the debugger render, and they can be
+ * exported as JSON for other tools.
+ */
+
+const { formatFlags } = require('./policy');
+const { verifyScript } = require('./script-interpreter');
+
+// Verify a spend and record every step. `options` are passed to
+// verifyScript (flags, witness, checker, onStep). Failures are recorded,
+// not thrown: checks after execution (e.g. EVAL_FALSE, CLEANSTACK) only
+// appear as the trace's error.
+function recordTrace(scriptSig, scriptPubKey, options = {}) {
+    const steps = [];
+    const onStep = (step, interpreter) => {
+        steps.push({ ...step, script: interpreter.script });
+        if (options.onStep) options.onStep(step, interpreter);
+    };
+
+    const trace = {
+        scriptSig,
+        scriptPubKey,
+        witness: options.witness || [],
+        flags: options.flags || 0,
+        steps,
+        valid: true,
+        error: null
+    };
+    try {
+        verifyScript(scriptSig, scriptPubKey, { ...options, onStep });
+    } catch (error) {
+        trace.valid = false;
+        trace.error = error;
+    }
+    return trace;
+}
+
+function errorToJSON(error) {
+    if (!error) return null;
+    return { code: error.fullCode || error.name, message: error.message };
+}
+
+const hexList = (items) => items.map(item => item.toString('hex'));
+
+// A plain object with every Buffer as hex, ready for JSON.stringify.
+// `labels` (hex -> name) is included so readers can name known values.
+function traceToJSON(trace, labels = {}) {
+    return {
+        scriptSig: trace.scriptSig.toString('hex'),
+        scriptPubKey: trace.scriptPubKey.toString('hex'),
+        witness: hexList(trace.witness),
+        flags: formatFlags(trace.flags),
+        valid: trace.valid,
+        error: errorToJSON(trace.error),
+        labels,
+        steps: trace.steps.map(step => ({
+            phase: step.phase,
+            offset: step.offset,
+            opcode: step.opcode,
+            name: step.name,
+            data: step.data ? step.data.toString('hex') : null,
+            executed: step.executed,
+            stackBefore: hexList(step.stackBefore),
+            stackAfter: hexList(step.stackAfter),
+            altStack: hexList(step.altStack),
+            execStack: step.execStack,
+            error: errorToJSON(step.error)
+        }))
+    };
+}
+
+module.exports = {
+    recordTrace,
+    traceToJSON
+};
@@ -0,0 +1,294 @@
+/**
+ * Sighash Type Examples
+ *
+ * Every other demo signs with SIGHASH_ALL. This one signs the same input of
+ * the same transaction under each sighash type (ALL, NONE, SINGLE, each with
+ * and without ANYONECANPAY, and taproot's DEFAULT) with each signing scheme:
+ * the legacy algorithm, BIP143 for segwit v0 and BIP341 for taproot. It
+ * lists the fields each digest is computed from, then changes the other
+ * inputs and outputs to show which changes break which signatures, and
+ * ends with the legacy SIGHASH_SINGLE bug.
+ *
+ * Note: The coins spent are made up, and nothing is broadcast.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const {
+    HASH_ONE,
+    SIGHASH,
+    legacySighashFields,
+    legacySignatureHash,
+    sighashTypeName,
+    taprootSighashFields,
+    taprootSignatureHash,
+    witnessV0SighashFields,
+    witnessV0SignatureHash
+} = require('./sighash');
+const { verifyTransactionInput } = require('./signature-checker');
+const { computeTaprootOutput } = require('./taptree');
+const { labWallet, participantKey } = require('./wallet');
+
+const wallet = labWallet();
+const { network } = wallet;
+const alice = participantKey(wallet, 'Alice');
+// Alice's legacy and taproot coins use keys on their own paths (BIP44, BIP86)
+const aliceLegacy = participantKey(wallet, 'Alice', 'p2pkh');
+const aliceTaproot = participantKey(wallet, 'Alice', 'p2tr');
+const bob = participantKey(wallet, 'Bob');
+const charlie = participantKey(wallet, 'Charlie');
+
+const toXOnly = (publicKey) => publicKey.slice(1, 33);
+const p2wpkh = (keyPair) => bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).output;
+const shortName = (hashType) => sighashTypeName(hashType).replace('ANYONECANPAY', 'ACP');
+
+const { ALL, NONE, SINGLE, ANYONECANPAY, DEFAULT } = SIGHASH;
+const HASH_TYPES = [ALL, NONE, SINGLE, ALL | ANYONECANPAY, NONE | ANYONECANPAY, SINGLE | ANYONECANPAY];
+
+// Alice's coin is input 1, between coins of Bob and Charlie, so that
+// there are inputs and outputs on both sides of the one she signs
+const SIGNED_INPUT = 1;
+
+function createSpend(aliceOutput, outputCount = 2) {
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    tx.addInput(Buffer.alloc(32, 0xa1), 0);
+    tx.addInput(Buffer.alloc(32, 0xa2), 0);
+    tx.addInput(Buffer.alloc(32, 0xa3), 1);
+    tx.addOutput(p2wpkh(bob), 150000);
+    if (outputCount > 1) tx.addOutput(p2wpkh(charlie), 140000);
+    const prevOutputs = [
+        { script: p2wpkh(bob), value: 100000 },
+        { script: aliceOutput, value: 100000 },
+        { script: p2wpkh(charlie), value: 100000 }
+    ];
+    return { tx, prevOutputs };
+}
+
+// -------------------------------------------------
+// Signing schemes
+// -------------------------------------------------
+
+// Each scheme's output for Alice, the fields its digest is computed from,
+// and how it signs input `index` in place
+const p2pkhScript = bitcoin.payments.p2pkh({ pubkey: aliceLegacy.publicKey, network }).output;
+// BIP143: a P2WPKH input is signed with the P2PKH script of its key as scriptCode
+const p2wpkhScriptCode = bitcoin.payments.p2pkh({ pubkey: alice.publicKey, network }).output;
+const taproot = computeTaprootOutput(toXOnly(aliceTaproot.publicKey));
+const tweakedAlice = aliceTaproot.tweak(taproot.tweak);
+
+const SCHEMES = [
+    {
+        name: 'Legacy P2PKH (the original algorithm)',
+        hashTypes: HASH_TYPES,
+        output: p2pkhScript,
+        fields: (tx, index, prevOutputs, hashType) => legacySighashFields(tx, index, p2pkhScript, hashType),
+        sign(tx, index, prevOutputs, hashType) {
+            const hash = legacySignatureHash(tx, index, p2pkhScript, hashType);
+            const signature = bitcoin.script.signature.encode(aliceLegacy.sign(hash), hashType);
+            tx.ins[index].script = bitcoin.script.compile([signature, aliceLegacy.publicKey]);
+        }
+    },
+    {
+        name: 'Segwit v0 P2WPKH (BIP143)',
+        hashTypes: HASH_TYPES,
+        output: p2wpkh(alice),
+        fields: (tx, index, prevOutputs, hashType) =>
+            witnessV0SighashFields(tx, index, p2wpkhScriptCode, prevOutputs[index].value, hashType),
+        sign(tx, index, prevOutputs, hashType) {
+            const hash = witnessV0SignatureHash(tx, index, p2wpkhScriptCode, prevOutputs[index].value, hashType);
+            tx.ins[index].witness = [bitcoin.script.signature.encode(alice.sign(hash), hashType), alice.publicKey];
+        }
+    },
+    {
+        name: 'Taproot key path (BIP341)',
+        hashTypes: [DEFAULT, ...HASH_TYPES],
+        output: taproot.output,
+        fields: (tx, index, prevOutputs, hashType) => taprootSighashFields(tx, index, prevOutputs, hashType),
+        sign(tx, index, prevOutputs, hashType) {
+            const hash = taprootSignatureHash(tx, index, prevOutputs, hashType);
+            if (hash === null) throw new Error(`BIP341 has no digest for ${sighashTypeName(hashType)} on input ${index}`);
+            // DEFAULT signatures are 64 bytes, without a sighash byte
+            const signature = tweakedAlice.signSchnorr(hash);
+            tx.ins[index].witness = [hashType === DEFAULT ? signature : Buffer.concat([signature, Buffer.from([hashType])])];
+        }
+    }
+];
+
+// A copy of Alice's spend signed under `hashType`
+function signedSpend(scheme, hashType, outputCount) {
+    const spend = createSpend(scheme.output, outputCount);
+    scheme.sign(spend.tx, SIGNED_INPUT, spend.prevOutputs, hashType);
+    return spend;
+}
+
+function verifies({ tx, prevOutputs }) {
+    return verifyTransactionInput(tx, SIGNED_INPUT, prevOutputs[SIGNED_INPUT], { prevOutputs });
+}
+
+// -------------------------------------------------
+// What each sighash type commits to
+// -------------------------------------------------
+
+const shortHex = (data) => {
+    const hex = data.toString('hex');
+    return hex.length > 40 ? `${hex.slice(0, 36)}..` : hex || '(empty)';
+};
+
+// A field written as all zero bytes, an empty script or value -1 commits to nothing
+const isBlank = (data) => data.every(byte => byte === 0x00) || (data.length === 8 && data.every(byte => byte === 0xff));
+
+// How the fields of one sighash type differ from those of ALL, leaving out
+// the sighash type field itself, which always differs
+function compareFields(allFields, fields) {
+    const ignored = ['sighash type', 'hash_type'];
+    const byName = new Map(fields.map(field => [field.name, field]));
+    const allNames = new Set(allFields.map(field => field.name));
+    const difference = { leavesOut: [], blanks: [], changes: [], adds: [] };
+    for (const field of allFields) {
+        if (ignored.includes(field.name)) continue;
+        const other = byName.get(field.name);
+        if (!other) difference.leavesOut.push(field.name);
+        else if (other.data.equals(field.data)) continue;
+        else if (isBlank(other.data) && !field.name.endsWith('count')) difference.blanks.push(field.name);
+        else difference.changes.push(field.name);
+    }
+    difference.adds = fields.filter(field => !allNames.has(field.name)).map(field => field.name);
+    return difference;
+}
+
+function showCommitments(scheme) {
+    console.log(`\n--- ${scheme.name} ---`);
+    const { tx, prevOutputs } = createSpend(scheme.output);
+    const allFields = scheme.fields(tx, SIGNED_INPUT, prevOutputs, ALL);
+    console.log(`Fields of the SIGHASH_ALL digest for input ${SIGNED_INPUT}:`);
+    for (const field of allFields) {
+        console.log(`  ${field.name.padEnd(32)} ${shortHex(field.data).padEnd(38)} ${field.data.length} bytes`);
+    }
+
+    console.log('The other types, compared with ALL:');
+    for (const hashType of scheme.hashTypes.filter(type => type !== ALL)) {
+        const difference = compareFields(allFields, scheme.fields(tx, SIGNED_INPUT, prevOutputs, hashType));
+        const parts = [
+            ['leaves out', difference.leavesOut],
+            ['blanks', difference.blanks],
+            ['changes', difference.changes],
+            ['adds', difference.adds]
+        ].filter(([, names]) => names.length > 0).map(([verb, names]) => `${verb} ${names.join(', ')}`);
+        const note = hashType === DEFAULT ? '; the signature has no sighash byte (64 bytes)' : '';
+        console.log(`  ${sighashTypeName(hashType).padEnd(20)} ${parts.join('; ') || 'the same fields as ALL'}${note}`);
+    }
+}
+
+// -------------------------------------------------
+// Which changes break each signature
+// -------------------------------------------------
+
+// Changes made to the transaction after Alice signed input 1
+const MUTATIONS = [
+    ['input 1 nSequence (her own)', ({ tx }) => { tx.ins[1].sequence = 0xfffffffd; }],
+    ['input 0 outpoint', ({ tx }) => { tx.ins[0].index = 5; }],
+    ['input 2 nSequence', ({ tx }) => { tx.ins[2].sequence = 0xfffffffd; }],
+    ['input 0 spent amount', ({ prevOutputs }) => { prevOutputs[0].value += 5000; }],
+    ['input 3 added', ({ tx, prevOutputs }) => {
+        tx.addInput(Buffer.alloc(32, 0xa4), 0);
+        prevOutputs.push({ script: p2wpkh(bob), value: 50000 });
+    }],
+    ['output 0 value', ({ tx }) => { tx.outs[0].value -= 5000; }],
+    ['output 1 value (paired)', ({ tx }) => { tx.outs[1].value -= 5000; }],
+    ['output 2 added', ({ tx }) => { tx.addOutput(p2wpkh(bob), 5000); }],
+    ['nLockTime', ({ tx }) => { tx.locktime = 800000; }]
+];
+
+function showMutations(scheme) {
+    console.log(`\n--- ${scheme.name} ---`);
+    const signed = scheme.hashTypes.map(hashType => signedSpend(scheme, hashType));
+    console.log(`${'Change after signing'.padEnd(28)}${scheme.hashTypes.map(type => shortName(type).padEnd(12)).join('')}`);
+    console.log(`${'(none)'.padEnd(28)}${signed.map(spend => (verifies(spend).valid ? 'valid' : 'INVALID').padEnd(12)).join('')}`);
+    for (const [name, mutate] of MUTATIONS) {
+        const cells = signed.map(({ tx, prevOutputs }) => {
+            const changed = { tx: tx.clone(), prevOutputs: prevOutputs.map(output => ({ ...output })) };
+            mutate(changed);
+            return (verifies(changed).valid ? 'valid' : 'BROKEN').padEnd(12);
+        });
+        console.log(`${name.padEnd(28)}${cells.join('')}`);
+    }
+}
+
+// -------------------------------------------------
+// The SIGHASH_SINGLE bug
+// -------------------------------------------------
+
+// Bob's transaction moving Alice's coin to himself, with her scriptSig and
+// witness copied from her signed spend
+function bobsTransaction(spend) {
+    const tx = new bitcoin.Transaction();
+    tx.version = 2;
+    tx.addInput(Buffer.alloc(32, 0xb0), 0);
+    tx.addInput(spend.tx.ins[SIGNED_INPUT].hash, spend.tx.ins[SIGNED_INPUT].index);
+    tx.ins[SIGNED_INPUT].script = spend.tx.ins[SIGNED_INPUT].script;
+    tx.ins[SIGNED_INPUT].witness = spend.tx.ins[SIGNED_INPUT].witness;
+    tx.addOutput(p2wpkh(bob), 190000);
+    const prevOutputs = [{ script: p2wpkh(bob), value: 90000 }, spend.prevOutputs[SIGNED_INPUT]];
+    return { tx, prevOutputs };
+}
+
+function singleBugExamples() {
+    console.log('\nWith SIGHASH_SINGLE, input 1 commits to output 1. Here the spend has a');
+    console.log('single output, so input 1 has no output to commit to.');
+
+    const [legacy, segwit, taprootScheme] = SCHEMES;
+    const spend = createSpend(legacy.output, 1);
+    const fields = legacy.fields(spend.tx, SIGNED_INPUT, spend.prevOutputs, SINGLE);
+    const hash = legacySignatureHash(spend.tx, SIGNED_INPUT, p2pkhScript, SINGLE);
+    console.log(`\n${legacy.name}:`);
+    console.log(`  Fields: ${fields === null ? 'none: Core returns before serializing anything' : fields.length}`);
+    console.log(`  Digest: ${hash.toString('hex')}${hash.equals(HASH_ONE) ? ' (the number 1)' : ''}`);
+    console.log('  Core\'s SignatureHash() reports the error by returning 1, and the 1 is then');
+    console.log('  signed and verified like any digest. Alice\'s signature commits to no');
+    console.log('  transaction at all:');
+    legacy.sign(spend.tx, SIGNED_INPUT, spend.prevOutputs, SINGLE);
+    console.log(`    in her spend:                       ${verifies(spend).valid ? 'valid' : 'INVALID'}`);
+    const stolen = bobsTransaction(spend);
+    console.log(`    copied into Bob's spend to himself: ${verifies(stolen).valid ? 'valid' : 'INVALID'}`);
+
+    console.log(`\n${segwit.name}:`);
+    const segwitSpend = signedSpend(segwit, SINGLE, 1);
+    const hashOutputs = segwit.fields(segwitSpend.tx, SIGNED_INPUT, segwitSpend.prevOutputs, SINGLE)
+        .find(field => field.name === 'hashOutputs');
+    console.log(`  hashOutputs is ${isBlank(hashOutputs.data) ? 'zero' : 'set'}, but the digest still covers the inputs and her own coin:`);
+    console.log(`    in her spend:                       ${verifies(segwitSpend).valid ? 'valid' : 'INVALID'}`);
+    console.log(`    copied into Bob's spend to himself: ${verifies(bobsTransaction(segwitSpend)).valid ? 'valid' : 'INVALID'}`);
+
+    console.log(`\n${taprootScheme.name}:`);
+    const taprootSpend = createSpend(taprootScheme.output, 1);
+    console.log(`  Digest: ${taprootSignatureHash(taprootSpend.tx, SIGNED_INPUT, taprootSpend.prevOutputs, SINGLE) === null ? 'none' : 'computed'}`);
+    try {
+        taprootScheme.sign(taprootSpend.tx, SIGNED_INPUT, taprootSpend.prevOutputs, SINGLE);
+    } catch (error) {
+        console.log(`  Signing fails: ${error.message}`);
+    }
+    // Even a signature of the ALL digest fails once it claims SINGLE
+    taprootScheme.sign(taprootSpend.tx, SIGNED_INPUT, taprootSpend.prevOutputs, ALL);
+    const [signature] = taprootSpend.tx.ins[SIGNED_INPUT].witness;
+    taprootSpend.tx.ins[SIGNED_INPUT].witness = [Buffer.concat([signature.slice(0, 64), Buffer.from([SINGLE])])];
+    const result = verifies(taprootSpend);
+    console.log(`  A signature with the SINGLE byte: ${result.valid ? 'valid' : `INVALID (${result.error.fullCode})`}`);
+}
+
+function main() {
+    console.log('\n===== Sighash Types =====');
+    console.log(`Alice signs input ${SIGNED_INPUT} of a transaction with 3 inputs and 2 outputs.`);
+
+    console.log('\n----- What Each Signature Commits To -----');
+    SCHEMES.forEach(showCommitments);
+
+    console.log('\n----- Which Changes Break the Signature -----');
+    console.log('Each signature is checked again after one change to the transaction');
+    console.log('or to the outputs it spends. ACP stands for ANYONECANPAY.');
+    SCHEMES.forEach(showMutations);
+
+    console.log('\n----- The SIGHASH_SINGLE Bug -----');
+    singleBugExamples();
+}
+
+main();
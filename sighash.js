@@ -0,0 +1,342 @@
+/**
+ * Signature Hashes
+ *
+ * Computes the digest a transaction signature commits to. The legacy
+ * algorithm below follows Bitcoin Core's CTransactionSignatureSerializer:
+ * the spending transaction is re-serialized with the script code in place
+ * of the input's scriptSig, then adjusted according to the sighash type.
+ * Segwit v0 inputs use the BIP143 digest instead, which also commits to the
+ * value of the output being spent, and taproot inputs use the BIP341 digest,
+ * which commits to every spent output.
+ *
+ * Each serialization is also available as a list of named fields, to show
+ * what a signature of each sighash type commits to.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { ByteWriter } = require('./byte-writer');
+const { readScriptOp } = require('./script-interpreter');
+
+const { Transaction } = bitcoin;
+const OPS = bitcoin.opcodes;
+
+const SIGHASH = {
+    DEFAULT: 0x00,
+    ALL: Transaction.SIGHASH_ALL,
+    NONE: Transaction.SIGHASH_NONE,
+    SINGLE: Transaction.SIGHASH_SINGLE,
+    ANYONECANPAY: Transaction.SIGHASH_ANYONECANPAY
+};
+
+// Returned instead of a digest for the legacy SIGHASH_SINGLE bug: a
+// signature then commits to the number 1 rather than to the transaction
+const HASH_ONE = Buffer.from('0100000000000000000000000000000000000000000000000000000000000000', 'hex');
+
+// The name of a sighash type as Core writes it, e.g. ALL|ANYONECANPAY.
+// DEFAULT (0) only exists for taproot signatures.
+function sighashTypeName(hashType) {
+    if (hashType === SIGHASH.DEFAULT) return 'DEFAULT';
+    const base = { [SIGHASH.ALL]: 'ALL', [SIGHASH.NONE]: 'NONE', [SIGHASH.SINGLE]: 'SINGLE' }[hashType & ~SIGHASH.ANYONECANPAY];
+    if (!base) return `UNDEFINED(0x${hashType.toString(16).padStart(2, '0')})`;
+    return hashType & SIGHASH.ANYONECANPAY ? `${base}|ANYONECANPAY` : base;
+}
+
+// The script code with every OP_CODESEPARATOR removed, as Core serializes it
+function removeCodeSeparators(scriptCode) {
+    const parts = [];
+    let pc = 0;
+    while (pc < scriptCode.length) {
+        let op;
+        try {
+            op = readScriptOp(scriptCode, pc);
+        } catch (error) {
+            // A truncated push is copied verbatim
+            parts.push(scriptCode.slice(pc));
+            break;
+        }
+        if (op.opcode !== OPS.OP_CODESEPARATOR) {
+            parts.push(scriptCode.slice(pc, op.next));
+        }
+        pc = op.next;
+    }
+    return Buffer.concat(parts);
+}
+
+// Writes the legacy (pre-segwit) serialization, or returns null when the
+// SIGHASH_SINGLE bug applies and HASH_ONE is signed instead
+function writeLegacyPreimage(tx, inputIndex, scriptCode, hashType) {
+    const baseType = hashType & 0x1f;
+    const anyoneCanPay = (hashType & SIGHASH.ANYONECANPAY) !== 0;
+
+    if (inputIndex >= tx.ins.length) return null;
+    if (baseType === SIGHASH.SINGLE && inputIndex >= tx.outs.length) return null;
+
+    const writer = new ByteWriter();
+    writer.mark('nVersion');
+    writer.writeInt32(tx.version);
+
+    // Inputs: only the signed one with ANYONECANPAY
+    const inputs = anyoneCanPay ? [inputIndex] : tx.ins.map((input, index) => index);
+    writer.mark('input count');
+    writer.writeVarInt(inputs.length);
+    for (const index of inputs) {
+        const input = tx.ins[index];
+        writer.mark(`input ${index} outpoint`);
+        writer.writeSlice(input.hash);
+        writer.writeUInt32(input.index);
+        if (index === inputIndex) {
+            writer.mark(`input ${index} scriptCode`);
+            writer.writeVarSlice(removeCodeSeparators(scriptCode));
+        } else {
+            writer.mark(`input ${index} scriptSig (emptied)`);
+            writer.writeVarSlice(Buffer.alloc(0));
+        }
+        // Other inputs may change their sequence under NONE and SINGLE
+        const blankSequence = index !== inputIndex && (baseType === SIGHASH.NONE || baseType === SIGHASH.SINGLE);
+        writer.mark(`input ${index} nSequence`);
+        writer.writeUInt32(blankSequence ? 0 : input.sequence);
+    }
+
+    // Outputs: none, up to the matching one, or all of them
+    const outputCount = baseType === SIGHASH.NONE ? 0 :
+        baseType === SIGHASH.SINGLE ? inputIndex + 1 : tx.outs.length;
+    writer.mark('output count');
+    writer.writeVarInt(outputCount);
+    for (let index = 0; index < outputCount; index++) {
+        writer.mark(`output ${index} value`);
+        if (baseType === SIGHASH.SINGLE && index !== inputIndex) {
+            // Outputs before the signed one are blanked to value -1 and an empty script
+            writer.writeUInt64(-1);
+            writer.mark(`output ${index} scriptPubKey`);
+            writer.writeVarSlice(Buffer.alloc(0));
+        } else {
+            writer.writeUInt64(tx.outs[index].value);
+            writer.mark(`output ${index} scriptPubKey`);
+            writer.writeVarSlice(tx.outs[index].script);
+        }
+    }
+
+    writer.mark('nLockTime');
+    writer.writeUInt32(tx.locktime);
+    writer.mark('sighash type');
+    writer.writeInt32(hashType);
+    return writer;
+}
+
+// Serialization hashed by the legacy (pre-segwit) algorithm, or null when
+// the SIGHASH_SINGLE bug applies and HASH_ONE is signed instead
+function legacySighashPreimage(tx, inputIndex, scriptCode, hashType) {
+    const writer = writeLegacyPreimage(tx, inputIndex, scriptCode, hashType);
+    return writer === null ? null : writer.toBuffer();
+}
+
+// The same serialization as named fields, or null
+function legacySighashFields(tx, inputIndex, scriptCode, hashType) {
+    const writer = writeLegacyPreimage(tx, inputIndex, scriptCode, hashType);
+    return writer === null ? null : writer.fields();
+}
+
+function legacySignatureHash(tx, inputIndex, scriptCode, hashType) {
+    const preimage = legacySighashPreimage(tx, inputIndex, scriptCode, hashType);
+    return preimage === null ? HASH_ONE : bitcoin.crypto.hash256(preimage);
+}
+
+// Writes the serialization BIP143 hashes for segwit v0 inputs
+function writeWitnessV0Preimage(tx, inputIndex, scriptCode, amount, hashType) {
+    const baseType = hashType & 0x1f;
+    const anyoneCanPay = (hashType & SIGHASH.ANYONECANPAY) !== 0;
+    const zero = Buffer.alloc(32);
+
+    let hashPrevouts = zero;
+    if (!anyoneCanPay) {
+        const writer = new ByteWriter();
+        for (const input of tx.ins) {
+            writer.writeSlice(input.hash);
+            writer.writeUInt32(input.index);
+        }
+        hashPrevouts = bitcoin.crypto.hash256(writer.toBuffer());
+    }
+
+    let hashSequence = zero;
+    if (!anyoneCanPay && baseType !== SIGHASH.SINGLE && baseType !== SIGHASH.NONE) {
+        const writer = new ByteWriter();
+        for (const input of tx.ins) {
+            writer.writeUInt32(input.sequence);
+        }
+        hashSequence = bitcoin.crypto.hash256(writer.toBuffer());
+    }
+
+    let hashOutputs = zero;
+    const outputs = baseType !== SIGHASH.SINGLE && baseType !== SIGHASH.NONE ? tx.outs :
+        baseType === SIGHASH.SINGLE && inputIndex < tx.outs.length ? [tx.outs[inputIndex]] : [];
+    if (outputs.length > 0) {
+        const writer = new ByteWriter();
+        for (const output of outputs) {
+            writer.writeUInt64(output.value);
+            writer.writeVarSlice(output.script);
+        }
+        hashOutputs = bitcoin.crypto.hash256(writer.toBuffer());
+    }
+
+    const input = tx.ins[inputIndex];
+    const writer = new ByteWriter();
+    writer.mark('nVersion');
+    writer.writeInt32(tx.version);
+    writer.mark('hashPrevouts');
+    writer.writeSlice(hashPrevouts);
+    writer.mark('hashSequence');
+    writer.writeSlice(hashSequence);
+    writer.mark('outpoint');
+    writer.writeSlice(input.hash);
+    writer.writeUInt32(input.index);
+    writer.mark('scriptCode');
+    writer.writeVarSlice(scriptCode);
+    writer.mark('amount');
+    writer.writeUInt64(amount);
+    writer.mark('nSequence');
+    writer.writeUInt32(input.sequence);
+    writer.mark('hashOutputs');
+    writer.writeSlice(hashOutputs);
+    writer.mark('nLockTime');
+    writer.writeUInt32(tx.locktime);
+    writer.mark('sighash type');
+    writer.writeInt32(hashType);
+    return writer;
+}
+
+// Serialization hashed by BIP143 for segwit v0 inputs
+function witnessV0SighashPreimage(tx, inputIndex, scriptCode, amount, hashType) {
+    return writeWitnessV0Preimage(tx, inputIndex, scriptCode, amount, hashType).toBuffer();
+}
+
+// The same serialization as named fields
+function witnessV0SighashFields(tx, inputIndex, scriptCode, amount, hashType) {
+    return writeWitnessV0Preimage(tx, inputIndex, scriptCode, amount, hashType).fields();
+}
+
+function witnessV0SignatureHash(tx, inputIndex, scriptCode, amount, hashType) {
+    return bitcoin.crypto.hash256(witnessV0SighashPreimage(tx, inputIndex, scriptCode, amount, hashType));
+}
+
+// Writes the serialization BIP341 hashes for taproot inputs, or returns
+// null when the hash type is invalid
+function writeTaprootPreimage(tx, inputIndex, prevOutputs, hashType, tapscript = false, execData = {}) {
+    const outputType = hashType === SIGHASH.DEFAULT ? SIGHASH.ALL : hashType & 0x03;
+    const anyoneCanPay = (hashType & SIGHASH.ANYONECANPAY) !== 0;
+
+    if (!(hashType <= 0x03 || (hashType >= 0x81 && hashType <= 0x83))) return null;
+    if (outputType === SIGHASH.SINGLE && inputIndex >= tx.outs.length) return null;
+
+    const sha256 = (fill) => {
+        const writer = new ByteWriter();
+        fill(writer);
+        return bitcoin.crypto.sha256(writer.toBuffer());
+    };
+
+    const writer = new ByteWriter();
+    writer.mark('epoch');
+    writer.writeSlice(Buffer.from([0x00]));
+    writer.mark('hash_type');
+    writer.writeSlice(Buffer.from([hashType]));
+    writer.mark('nVersion');
+    writer.writeInt32(tx.version);
+    writer.mark('nLockTime');
+    writer.writeUInt32(tx.locktime);
+
+    if (!anyoneCanPay) {
+        writer.mark('sha_prevouts');
+        writer.writeSlice(sha256((w) => tx.ins.forEach((input) => {
+            w.writeSlice(input.hash);
+            w.writeUInt32(input.index);
+        })));
+        writer.mark('sha_amounts');
+        writer.writeSlice(sha256((w) => prevOutputs.forEach((output) => w.writeUInt64(output.value))));
+        writer.mark('sha_scriptpubkeys');
+        writer.writeSlice(sha256((w) => prevOutputs.forEach((output) => w.writeVarSlice(output.script))));
+        writer.mark('sha_sequences');
+        writer.writeSlice(sha256((w) => tx.ins.forEach((input) => w.writeUInt32(input.sequence))));
+    }
+    if (outputType === SIGHASH.ALL) {
+        writer.mark('sha_outputs');
+        writer.writeSlice(sha256((w) => tx.outs.forEach((output) => {
+            w.writeUInt64(output.value);
+            w.writeVarSlice(output.script);
+        })));
+    }
+
+    // spend_type: bit 0 = annex present, bit 1 = script path
+    writer.mark('spend_type');
+    writer.writeSlice(Buffer.from([(tapscript ? 2 : 0) + (execData.annex ? 1 : 0)]));
+    if (anyoneCanPay) {
+        const input = tx.ins[inputIndex];
+        writer.mark('outpoint');
+        writer.writeSlice(input.hash);
+        writer.writeUInt32(input.index);
+        writer.mark('amount');
+        writer.writeUInt64(prevOutputs[inputIndex].value);
+        writer.mark('scriptPubKey');
+        writer.writeVarSlice(prevOutputs[inputIndex].script);
+        writer.mark('nSequence');
+        writer.writeUInt32(input.sequence);
+    } else {
+        writer.mark('input_index');
+        writer.writeUInt32(inputIndex);
+    }
+    if (execData.annex) {
+        writer.mark('sha_annex');
+        writer.writeSlice(sha256((w) => w.writeVarSlice(execData.annex)));
+    }
+    if (outputType === SIGHASH.SINGLE) {
+        writer.mark('sha_single_output');
+        writer.writeSlice(sha256((w) => {
+            w.writeUInt64(tx.outs[inputIndex].value);
+            w.writeVarSlice(tx.outs[inputIndex].script);
+        }));
+    }
+
+    if (tapscript) {
+        writer.mark('tapleaf_hash');
+        writer.writeSlice(execData.tapleafHash);
+        writer.mark('key_version');
+        writer.writeSlice(Buffer.from([0x00]));
+        writer.mark('codesep_pos');
+        writer.writeUInt32(execData.codeSeparatorPos);
+    }
+    return writer;
+}
+
+// Serialization hashed by BIP341 for taproot inputs, or null when the hash
+// type is invalid. `prevOutputs` are the { script, value } outputs spent by
+// every input; `execData` carries the annex and, for script path spends
+// (`tapscript` true), the tapleaf hash and last OP_CODESEPARATOR position.
+function taprootSighashPreimage(tx, inputIndex, prevOutputs, hashType, tapscript = false, execData = {}) {
+    const writer = writeTaprootPreimage(tx, inputIndex, prevOutputs, hashType, tapscript, execData);
+    return writer === null ? null : writer.toBuffer();
+}
+
+// The same serialization as named fields, or null
+function taprootSighashFields(tx, inputIndex, prevOutputs, hashType, tapscript = false, execData = {}) {
+    const writer = writeTaprootPreimage(tx, inputIndex, prevOutputs, hashType, tapscript, execData);
+    return writer === null ? null : writer.fields();
+}
+
+function taprootSignatureHash(tx, inputIndex, prevOutputs, hashType, tapscript = false, execData = {}) {
+    const preimage = taprootSighashPreimage(tx, inputIndex, prevOutputs, hashType, tapscript, execData);
+    return preimage === null ? null : bitcoin.crypto.taggedHash('TapSighash', preimage);
+}
+
+module.exports = {
+    HASH_ONE,
+    SIGHASH,
+    legacySighashFields,
+    legacySighashPreimage,
+    legacySignatureHash,
+    removeCodeSeparators,
+    sighashTypeName,
+    taprootSighashFields,
+    taprootSighashPreimage,
+    taprootSignatureHash,
+    witnessV0SighashFields,
+    witnessV0SighashPreimage,
+    witnessV0SignatureHash
+};
@@ -0,0 +1,187 @@
+/**
+ * Transaction Signature Checker
+ *
+ * Connects the script interpreter to a real spending transaction. When a
+ * script executes OP_CHECKSIG, this checker computes the signature hash of
+ * the input being spent and verifies the DER signature with tiny-secp256k1,
+ * exactly as a node would before accepting the transaction. Taproot spends
+ * are checked the same way with BIP340 Schnorr signatures.
+ */
+
+const tinysecp = require('tiny-secp256k1');
+const { SCRIPT_ERR, ScriptError } = require('./script-error');
+const { SIGVERSION, BaseSignatureChecker, verifyScript } = require('./script-interpreter');
+const { MANDATORY_SCRIPT_VERIFY_FLAGS } = require('./policy');
+const {
+    LOCKTIME_THRESHOLD,
+    SEQUENCE_FINAL,
+    SEQUENCE_LOCKTIME_DISABLE_FLAG,
+    SEQUENCE_LOCKTIME_MASK,
+    SEQUENCE_LOCKTIME_TYPE_FLAG
+} = require('./timelocks');
+const { legacySignatureHash, taprootSignatureHash, witnessV0SignatureHash } = require('./sighash');
+
+// Read a DER length or integer size, allowing the lax encodings that were
+// valid before BIP66 (long-form lengths, excess leading zeros)
+function readLaxLength(der, pos) {
+    let length = der[pos++];
+    if (length & 0x80) {
+        let byteCount = length - 0x80;
+        if (byteCount > der.length - pos) return null;
+        while (byteCount > 0 && der[pos] === 0) { pos++; byteCount--; }
+        if (byteCount >= 6) return null;
+        length = 0;
+        while (byteCount > 0) { length = length * 256 + der[pos]; pos++; byteCount--; }
+    }
+    return { length, pos };
+}
+
+// Port of Bitcoin Core's ecdsa_signature_parse_der_lax: returns the 64-byte
+// compact (r || s) form, or null when the signature cannot be parsed
+function parseLaxDER(der) {
+    let pos = 0;
+
+    // Sequence tag and length (the length itself is not checked)
+    if (pos === der.length || der[pos] !== 0x30) return null;
+    pos++;
+    if (pos === der.length) return null;
+    let lengthByte = der[pos++];
+    if (lengthByte & 0x80) {
+        lengthByte -= 0x80;
+        if (lengthByte > der.length - pos) return null;
+        pos += lengthByte;
+    }
+
+    const integers = [];
+    for (let i = 0; i < 2; i++) {
+        if (pos === der.length || der[pos] !== 0x02) return null;
+        pos++;
+        if (pos === der.length) return null;
+        const size = readLaxLength(der, pos);
+        if (size === null || size.length > der.length - size.pos) return null;
+        integers.push(der.slice(size.pos, size.pos + size.length));
+        pos = size.pos + size.length;
+    }
+
+    const compact = Buffer.alloc(64);
+    for (let i = 0; i < 2; i++) {
+        let value = integers[i];
+        while (value.length > 0 && value[0] === 0) value = value.slice(1);
+        // An overflowing R or S makes the signature invalid, not unparsable
+        if (value.length > 32) return Buffer.alloc(64);
+        value.copy(compact, 32 * i + 32 - value.length);
+    }
+    return compact;
+}
+
+// `amount` is the value of the output being spent; only segwit digests use it.
+// `prevOutputs` lists the { script, value } outputs spent by every input,
+// which taproot signatures commit to.
+class TransactionSignatureChecker extends BaseSignatureChecker {
+    constructor(tx, inputIndex, amount, prevOutputs = null) {
+        super();
+        this.tx = tx;
+        this.inputIndex = inputIndex;
+        this.amount = amount;
+        this.prevOutputs = prevOutputs;
+    }
+
+    signatureHash(scriptCode, hashType, sigVersion) {
+        if (sigVersion === SIGVERSION.WITNESS_V0) {
+            return witnessV0SignatureHash(this.tx, this.inputIndex, scriptCode, this.amount, hashType);
+        }
+        return legacySignatureHash(this.tx, this.inputIndex, scriptCode, hashType);
+    }
+
+    checkECDSASignature(signature, publicKey, scriptCode, sigVersion) {
+        if (signature.length === 0 || !tinysecp.isPoint(publicKey)) return false;
+
+        // The last byte is the sighash type, the rest is the DER signature
+        const hashType = signature[signature.length - 1];
+        const compact = parseLaxDER(signature.slice(0, -1));
+        if (compact === null) return false;
+
+        const hash = this.signatureHash(scriptCode, hashType, sigVersion);
+        try {
+            // Non-strict verification normalizes high-S signatures first, as Core does
+            return tinysecp.verify(hash, publicKey, compact, false);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    checkSchnorrSignature(signature, publicKey, sigVersion, execData) {
+        // 64 bytes signs with SIGHASH_DEFAULT; a 65th byte is an explicit hash type
+        let hashType = 0;
+        if (signature.length === 65) {
+            hashType = signature[64];
+            if (hashType === 0) throw new ScriptError(SCRIPT_ERR.SCHNORR_SIG_HASHTYPE);
+        } else if (signature.length !== 64) {
+            throw new ScriptError(SCRIPT_ERR.SCHNORR_SIG_SIZE);
+        }
+        if (this.prevOutputs === null) {
+            throw new ScriptError(SCRIPT_ERR.UNKNOWN_ERROR, 'taproot signatures need every spent output');
+        }
+
+        const hash = taprootSignatureHash(this.tx, this.inputIndex, this.prevOutputs, hashType,
+            sigVersion === SIGVERSION.TAPSCRIPT, execData);
+        if (hash === null) throw new ScriptError(SCRIPT_ERR.SCHNORR_SIG_HASHTYPE);
+
+        try {
+            return tinysecp.verifySchnorr(hash, publicKey, signature.slice(0, 64));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    checkLockTime(lockTime) {
+        const txLockTime = this.tx.locktime;
+
+        // Heights can only be compared with heights, timestamps with timestamps
+        if ((txLockTime < LOCKTIME_THRESHOLD) !== (lockTime < LOCKTIME_THRESHOLD)) return false;
+        if (lockTime > txLockTime) return false;
+
+        // A final nSequence would let the transaction ignore its nLockTime
+        return this.tx.ins[this.inputIndex].sequence !== SEQUENCE_FINAL;
+    }
+
+    checkSequence(sequence) {
+        const txSequence = this.tx.ins[this.inputIndex].sequence;
+
+        // BIP68 relative locks need version 2 and an enabled nSequence
+        if (this.tx.version < 2) return false;
+        if ((txSequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) !== 0) return false;
+
+        // Compare only the lock type and value, and only like with like
+        const mask = SEQUENCE_LOCKTIME_TYPE_FLAG | SEQUENCE_LOCKTIME_MASK;
+        const txMasked = txSequence & mask;
+        const masked = sequence & mask;
+        if ((txMasked < SEQUENCE_LOCKTIME_TYPE_FLAG) !== (masked < SEQUENCE_LOCKTIME_TYPE_FLAG)) return false;
+        return masked <= txMasked;
+    }
+}
+
+// Verify input `inputIndex` of `tx` against the output it spends
+// (`prevOutput` is { script, value }). Taproot inputs of transactions with
+// several inputs also need `options.prevOutputs`. Scripts are checked under
+// the consensus flags unless `options.flags` is given. Returns
+// { valid, error } where error is the ScriptError on failure.
+function verifyTransactionInput(tx, inputIndex, prevOutput, options = {}) {
+    const input = tx.ins[inputIndex];
+    const prevOutputs = options.prevOutputs || (tx.ins.length === 1 ? [prevOutput] : null);
+    const checker = new TransactionSignatureChecker(tx, inputIndex, prevOutput.value, prevOutputs);
+    const flags = options.flags !== undefined ? options.flags : MANDATORY_SCRIPT_VERIFY_FLAGS;
+
+    try {
+        verifyScript(input.script, prevOutput.script, { ...options, flags, witness: input.witness, checker });
+        return { valid: true, error: null };
+    } catch (error) {
+        return { valid: false, error };
+    }
+}
+
+module.exports = {
+    TransactionSignatureChecker,
+    parseLaxDER,
+    verifyTransactionInput
+};
@@ -0,0 +1,81 @@
+/**
+ * Taproot Commitments
+ *
+ * Hashing and key tweaking rules from BIP341. A taproot output key is the
+ * internal key tweaked with the merkle root of a tree of scripts; spending a
+ * script from the tree reveals the script and a control block holding the
+ * internal key and the merkle path, which the verifier checks against the
+ * output key.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { ByteWriter } = require('./byte-writer');
+
+const LEAF_VERSION_TAPSCRIPT = 0xc0;
+const TAPROOT_LEAF_MASK = 0xfe;
+const TAPROOT_CONTROL_BASE_SIZE = 33;
+const TAPROOT_CONTROL_NODE_SIZE = 32;
+const TAPROOT_CONTROL_MAX_NODE_COUNT = 128;
+const TAPROOT_CONTROL_MAX_SIZE = TAPROOT_CONTROL_BASE_SIZE + TAPROOT_CONTROL_NODE_SIZE * TAPROOT_CONTROL_MAX_NODE_COUNT;
+
+function tapleafHash(script, leafVersion = LEAF_VERSION_TAPSCRIPT) {
+    const writer = new ByteWriter();
+    writer.writeSlice(Buffer.from([leafVersion]));
+    writer.writeVarSlice(script);
+    return bitcoin.crypto.taggedHash('TapLeaf', writer.toBuffer());
+}
+
+// Children are hashed in lexicographic order, so a path does not need to
+// record which side each sibling was on
+function tapbranchHash(a, b) {
+    const [left, right] = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
+    return bitcoin.crypto.taggedHash('TapBranch', Buffer.concat([left, right]));
+}
+
+// Output key and parity for an x-only internal key and an optional merkle
+// root, or null when the tweak does not produce a valid key
+function tweakPublicKey(internalKey, merkleRoot = null) {
+    const tweak = bitcoin.crypto.taggedHash('TapTweak',
+        merkleRoot ? Buffer.concat([internalKey, merkleRoot]) : internalKey);
+    try {
+        const tweaked = tinysecp.xOnlyPointAddTweak(internalKey, tweak);
+        if (tweaked === null) return null;
+        return { outputKey: Buffer.from(tweaked.xOnlyPubkey), parity: tweaked.parity, tweak };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Merkle root implied by a control block's path and the spent leaf's hash
+function computeTaprootMerkleRoot(controlBlock, leafHash) {
+    let node = leafHash;
+    for (let pos = TAPROOT_CONTROL_BASE_SIZE; pos < controlBlock.length; pos += TAPROOT_CONTROL_NODE_SIZE) {
+        node = tapbranchHash(node, controlBlock.slice(pos, pos + TAPROOT_CONTROL_NODE_SIZE));
+    }
+    return node;
+}
+
+// Check that the control block commits the leaf to the witness program
+// (the 32-byte output key), including the output key's parity bit
+function verifyTaprootCommitment(controlBlock, program, leafHash) {
+    const internalKey = controlBlock.slice(1, TAPROOT_CONTROL_BASE_SIZE);
+    const merkleRoot = computeTaprootMerkleRoot(controlBlock, leafHash);
+    const tweaked = tweakPublicKey(internalKey, merkleRoot);
+    if (tweaked === null) return false;
+    return tweaked.outputKey.equals(program) && tweaked.parity === (controlBlock[0] & 1);
+}
+
+module.exports = {
+    LEAF_VERSION_TAPSCRIPT,
+    TAPROOT_CONTROL_BASE_SIZE,
+    TAPROOT_CONTROL_MAX_NODE_COUNT,
+    TAPROOT_CONTROL_MAX_SIZE,
+    TAPROOT_CONTROL_NODE_SIZE,
+    TAPROOT_LEAF_MASK,
+    computeTaprootMerkleRoot,
+    tapbranchHash,
+    tapleafHash,
+    tweakPublicKey,
+    verifyTaprootCommitment
+};
@@ -0,0 +1,170 @@
+/**
+ * Taptree Builder
+ *
+ * Builds taproot script trees from a set of tapscripts, either in an
+ * explicit shape or as a Huffman tree from the probability that each leaf
+ * is used, and derives everything needed to spend them: tapleaf and
+ * tapbranch hashes, the output key tweak and parity, and the control block
+ * of every leaf.
+ *
+ * A leaf's control block carries one 32-byte hash per level of depth, so
+ * likely spending paths belong near the root and rarely used ones deeper.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const {
+    LEAF_VERSION_TAPSCRIPT,
+    TAPROOT_CONTROL_BASE_SIZE,
+    TAPROOT_CONTROL_MAX_NODE_COUNT,
+    TAPROOT_CONTROL_NODE_SIZE,
+    tapbranchHash,
+    tapleafHash,
+    tweakPublicKey
+} = require('./taproot');
+
+const OPS = bitcoin.opcodes;
+
+// A leaf holding `script`; `options` may set leafVersion, name and weight
+// (the relative probability that this leaf is the one spent)
+function tapLeaf(script, options = {}) {
+    const leafVersion = options.leafVersion !== undefined ? options.leafVersion : LEAF_VERSION_TAPSCRIPT;
+    if ((leafVersion & 1) !== 0) {
+        throw new Error(`Invalid leaf version 0x${leafVersion.toString(16)}: the low bit holds the key parity`);
+    }
+    return {
+        type: 'leaf',
+        name: options.name || null,
+        script,
+        leafVersion,
+        weight: options.weight !== undefined ? options.weight : 1,
+        hash: tapleafHash(script, leafVersion)
+    };
+}
+
+function tapBranch(left, right) {
+    return {
+        type: 'branch',
+        left,
+        right,
+        weight: left.weight + right.weight,
+        hash: tapbranchHash(left.hash, right.hash)
+    };
+}
+
+function isTreeNode(value) {
+    return value !== null && typeof value === 'object' && (value.type === 'leaf' || value.type === 'branch');
+}
+
+// Build a tree with an explicit shape: a leaf, or a pair [left, right]
+// whose elements are shapes themselves. Leaves may be given as tapLeaf()
+// nodes or as { script, leafVersion, name, weight } objects.
+function buildTapTree(shape) {
+    if (Array.isArray(shape)) {
+        if (shape.length !== 2) {
+            throw new Error(`A tree branch needs exactly two children, got ${shape.length}`);
+        }
+        return tapBranch(buildTapTree(shape[0]), buildTapTree(shape[1]));
+    }
+    if (isTreeNode(shape)) return shape;
+    if (shape && Buffer.isBuffer(shape.script)) return tapLeaf(shape.script, shape);
+    throw new Error('A tree leaf needs a script');
+}
+
+// Build the tree that minimizes the expected control block size: the two
+// least likely nodes are repeatedly joined under a new branch, so each
+// leaf's depth grows as its weight shrinks. Ties keep the input order.
+function buildHuffmanTapTree(leaves) {
+    if (leaves.length === 0) throw new Error('A tree needs at least one leaf');
+
+    let sequence = 0;
+    const queue = leaves.map((leaf) => {
+        const node = isTreeNode(leaf) ? leaf : tapLeaf(leaf.script, leaf);
+        if (!(node.weight > 0)) throw new Error(`Leaf weights must be positive (${node.name || 'unnamed leaf'})`);
+        return { node, order: sequence++ };
+    });
+
+    const byWeight = (a, b) => a.node.weight - b.node.weight || a.order - b.order;
+    while (queue.length > 1) {
+        queue.sort(byWeight);
+        const [first, second] = queue.splice(0, 2);
+        queue.push({ node: tapBranch(first.node, second.node), order: sequence++ });
+    }
+    return queue[0].node;
+}
+
+// Convert a tree to the scriptTree format of bitcoin.payments.p2tr
+function toScriptTree(node) {
+    if (node.type === 'leaf') {
+        return { output: node.script, version: node.leafVersion };
+    }
+    return [toScriptTree(node.left), toScriptTree(node.right)];
+}
+
+// Derive the taproot output for an x-only internal key and a tree (or null
+// for a key-path-only output). Every leaf is listed with its depth, merkle
+// path and control block, in left-to-right order.
+function computeTaprootOutput(internalKey, tree = null) {
+    const merkleRoot = tree ? tree.hash : null;
+    const tweaked = tweakPublicKey(internalKey, merkleRoot);
+    if (tweaked === null) throw new Error('Invalid internal key');
+
+    const leaves = [];
+    const walk = (node, siblings) => {
+        if (node.type === 'branch') {
+            walk(node.left, [node.right.hash, ...siblings]);
+            walk(node.right, [node.left.hash, ...siblings]);
+            return;
+        }
+        if (siblings.length > TAPROOT_CONTROL_MAX_NODE_COUNT) {
+            throw new Error(`Leaf ${node.name || leaves.length} is deeper than ${TAPROOT_CONTROL_MAX_NODE_COUNT} levels`);
+        }
+        const controlBlock = Buffer.concat([
+            Buffer.from([node.leafVersion | tweaked.parity]),
+            internalKey,
+            ...siblings
+        ]);
+        leaves.push({ leaf: node, depth: siblings.length, path: siblings, controlBlock });
+    };
+    if (tree) walk(tree, []);
+
+    return {
+        internalKey,
+        merkleRoot,
+        tweak: tweaked.tweak,
+        outputKey: tweaked.outputKey,
+        parity: tweaked.parity,
+        output: bitcoin.script.compile([OPS.OP_1, tweaked.outputKey]),
+        tree,
+        leaves
+    };
+}
+
+// Control block size of a leaf at `depth`
+function controlBlockSize(depth) {
+    return TAPROOT_CONTROL_BASE_SIZE + TAPROOT_CONTROL_NODE_SIZE * depth;
+}
+
+// Average control block size over the leaves, weighted by their probability
+function expectedControlBlockSize(taproot) {
+    const totalWeight = taproot.leaves.reduce((sum, { leaf }) => sum + leaf.weight, 0);
+    if (totalWeight === 0) return 0;
+    return taproot.leaves.reduce((sum, { leaf, depth }) => sum + leaf.weight * controlBlockSize(depth), 0) / totalWeight;
+}
+
+// The entry for the leaf with `script` (a Buffer) or `name`
+function findLeaf(taproot, scriptOrName) {
+    return taproot.leaves.find(({ leaf }) =>
+        (Buffer.isBuffer(scriptOrName) ? leaf.script.equals(scriptOrName) : leaf.name === scriptOrName)) || null;
+}
+
+module.exports = {
+    buildHuffmanTapTree,
+    buildTapTree,
+    computeTaprootOutput,
+    controlBlockSize,
+    expectedControlBlockSize,
+    findLeaf,
+    tapBranch,
+    tapLeaf,
+    toScriptTree
+};
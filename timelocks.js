@@ -0,0 +1,178 @@
+/**
+ * Timelocks
+ *
+ * Absolute timelocks use a transaction's nLockTime: below 500,000,000 it is
+ * a block height, otherwise a Unix timestamp compared with the median time
+ * past (BIP113). Relative timelocks use an input's nSequence as defined by
+ * BIP68: a number of blocks or of 512-second units that must pass after the
+ * output being spent was confirmed.
+ *
+ * OP_CHECKLOCKTIMEVERIFY and OP_CHECKSEQUENCEVERIFY only compare the script
+ * against these transaction fields; whether the transaction may be mined yet
+ * is decided against the chain, which is simulated here.
+ */
+
+// nLockTime values below this are block heights, the rest timestamps
+const LOCKTIME_THRESHOLD = 500000000;
+
+// BIP68 nSequence encoding
+const SEQUENCE_FINAL = 0xffffffff;
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 0x80000000;
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 0x00400000;
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+const SEQUENCE_LOCKTIME_GRANULARITY = 9; // time units of 2^9 = 512 seconds
+
+// Number of blocks whose median time is the median time past
+const MEDIAN_TIME_SPAN = 11;
+
+// nSequence for a relative lock of `blocks` blocks or at least `seconds`
+// seconds (rounded up to the next 512-second unit)
+function encodeSequence({ blocks, seconds }) {
+    if (blocks !== undefined) {
+        if (blocks < 0 || blocks > SEQUENCE_LOCKTIME_MASK) throw new Error(`Relative lock of ${blocks} blocks is out of range`);
+        return blocks;
+    }
+    const units = Math.ceil(seconds / (1 << SEQUENCE_LOCKTIME_GRANULARITY));
+    if (units < 0 || units > SEQUENCE_LOCKTIME_MASK) throw new Error(`Relative lock of ${seconds} seconds is out of range`);
+    return (SEQUENCE_LOCKTIME_TYPE_FLAG | units) >>> 0;
+}
+
+// The relative lock an nSequence value encodes, or { disabled: true }
+function decodeSequence(sequence) {
+    if ((sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) !== 0) return { disabled: true };
+    const value = sequence & SEQUENCE_LOCKTIME_MASK;
+    if ((sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) !== 0) {
+        return { disabled: false, type: 'time', value, seconds: value << SEQUENCE_LOCKTIME_GRANULARITY };
+    }
+    return { disabled: false, type: 'blocks', value };
+}
+
+function describeSequence(sequence) {
+    const lock = decodeSequence(sequence);
+    if (lock.disabled) return 'no relative lock';
+    return lock.type === 'blocks' ? `${lock.value} blocks` : `${lock.seconds} seconds (${lock.value} x 512s)`;
+}
+
+function describeLockTime(lockTime) {
+    if (lockTime === 0) return 'no lock';
+    if (lockTime < LOCKTIME_THRESHOLD) return `block height ${lockTime}`;
+    return `time ${new Date(lockTime * 1000).toISOString()}`;
+}
+
+// A chain of block timestamps with a tip that can be advanced
+class SimulatedChain {
+    // Starts at `height` with `MEDIAN_TIME_SPAN` blocks of history ending at
+    // `time`; blocks before that history are taken to be `spacing` seconds apart
+    constructor({ height = 800000, time = 1700000000, spacing = 600 } = {}) {
+        this.spacing = spacing;
+        this.times = new Map();
+        this.height = height;
+        this.firstRecorded = height - MEDIAN_TIME_SPAN + 1;
+        for (let i = 0; i < MEDIAN_TIME_SPAN; i++) {
+            this.times.set(height - i, time - i * spacing);
+        }
+    }
+
+    get tipTime() {
+        return this.times.get(this.height);
+    }
+
+    // Mine `count` blocks, `spacing` seconds apart
+    mine(count, spacing = this.spacing) {
+        for (let i = 0; i < count; i++) {
+            this.times.set(this.height + 1, this.tipTime + spacing);
+            this.height++;
+        }
+        return this.height;
+    }
+
+    // Timestamp of the block at `height`
+    blockTime(height) {
+        if (!Number.isInteger(height) || height < 0 || height > this.height) {
+            throw new Error(`No block at height ${height} (the tip is ${this.height})`);
+        }
+        if (this.times.has(height)) return this.times.get(height);
+        return this.times.get(this.firstRecorded) - (this.firstRecorded - height) * this.spacing;
+    }
+
+    // Median of the timestamps of the 11 blocks ending at `height` (BIP113)
+    medianTimePast(height = this.height) {
+        const times = [];
+        for (let h = height; h > height - MEDIAN_TIME_SPAN && h >= 0; h--) {
+            times.push(this.blockTime(h));
+        }
+        times.sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+    }
+}
+
+// Can `tx` be included in the next block? Its nLockTime must be below the
+// next block's height, or below the tip's median time past for timestamps,
+// unless every input opts out with a final nSequence.
+function checkFinality(tx, chain) {
+    const blockHeight = chain.height + 1;
+    const blockTime = chain.medianTimePast();
+    if (tx.locktime === 0) return { final: true, reason: 'nLockTime is 0' };
+
+    const limit = tx.locktime < LOCKTIME_THRESHOLD ? blockHeight : blockTime;
+    if (tx.locktime < limit) {
+        return { final: true, reason: `${describeLockTime(tx.locktime)} has passed` };
+    }
+    if (tx.ins.every(input => input.sequence === SEQUENCE_FINAL)) {
+        return { final: true, reason: 'every input has a final nSequence, so nLockTime is ignored' };
+    }
+    const now = tx.locktime < LOCKTIME_THRESHOLD ? `next block is ${blockHeight}` : `median time past is ${blockTime}`;
+    return { final: false, reason: `locked until ${describeLockTime(tx.locktime)} (${now})` };
+}
+
+// BIP68: have the relative locks of every input expired? `coinHeights[i]`
+// is the height of the block that confirmed the output input i spends.
+function checkSequenceLocks(tx, chain, coinHeights) {
+    // Relative locks only apply to version 2 transactions
+    if (tx.version < 2) return { satisfied: true, reason: 'transaction version 1: nSequence has no meaning' };
+
+    // The lock is expressed as the last height/time that is still invalid
+    let minHeight = -1;
+    let minTime = -1;
+    let locked = false;
+    tx.ins.forEach((input, index) => {
+        const lock = decodeSequence(input.sequence);
+        if (lock.disabled) return;
+        locked = true;
+        const coinHeight = coinHeights[index];
+        if (lock.type === 'time') {
+            const coinTime = chain.medianTimePast(Math.max(coinHeight - 1, 0));
+            minTime = Math.max(minTime, coinTime + lock.seconds - 1);
+        } else {
+            minHeight = Math.max(minHeight, coinHeight + lock.value - 1);
+        }
+    });
+
+    if (!locked) return { satisfied: true, reason: 'no input has a relative lock' };
+
+    const blockHeight = chain.height + 1;
+    const medianTimePast = chain.medianTimePast();
+    if (minHeight >= blockHeight) {
+        return { satisfied: false, reason: `spendable from block ${minHeight + 1} (next block is ${blockHeight})` };
+    }
+    if (minTime >= medianTimePast) {
+        return { satisfied: false, reason: `spendable once the median time past exceeds ${minTime} (now ${medianTimePast})` };
+    }
+    return { satisfied: true, reason: 'every relative lock has expired' };
+}
+
+module.exports = {
+    LOCKTIME_THRESHOLD,
+    SEQUENCE_FINAL,
+    SEQUENCE_LOCKTIME_DISABLE_FLAG,
+    SEQUENCE_LOCKTIME_GRANULARITY,
+    SEQUENCE_LOCKTIME_MASK,
+    SEQUENCE_LOCKTIME_TYPE_FLAG,
+    SimulatedChain,
+    checkFinality,
+    checkSequenceLocks,
+    decodeSequence,
+    describeLockTime,
+    describeSequence,
+    encodeSequence
+};
@@ -0,0 +1,345 @@
+/**
+ * Execution Report Generator
+ *
+ * Turns a trace from recordTrace() into a single offline HTML file: the
+ * scripts of every phase with the current opcode highlighted, the main and
+ * alt stacks drawn as SVG columns that animate from step to step, and a
+ * strip with the stack after every step. Hovering a stack item shows its
+ * full hex value. The CSS, script and trace data are all inline, so the
+ * file can be shared and opened without a network connection.
+ */
+
+const fs = require('fs');
+const { disassemble } = require('./script-asm');
+const { traceToJSON } = require('./script-trace');
+
+// Escape text for HTML element content and attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JSON that is safe inside a <script> element
+function embedJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// An operation as it appears in the script listing
+function opText(op, labels) {
+    if (!op.data) return op.name;
+    const hex = op.data.toString('hex');
+    if (labels[hex]) return `<${labels[hex]}>`;
+    return hex === '' ? "''" : hex;
+}
+
+// The disassembled operations of the script each phase ran, in the order
+// the phases ran, so the report can highlight the opcode of every step
+function phaseScripts(trace, labels) {
+    const scripts = [];
+    for (const step of trace.steps) {
+        if (scripts.length > 0 && scripts[scripts.length - 1].phase === step.phase) continue;
+        const { ops } = disassemble(step.script, { labels });
+        scripts.push({
+            phase: step.phase,
+            ops: ops.map(op => ({ offset: op.offset, text: opText(op, labels) }))
+        });
+    }
+    return scripts;
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 24px; color: #1d2733; background: #f7f8fa; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.result { font-weight: 600; margin-bottom: 16px; }
+.result.valid { color: #1c7c3c; }
+.result.invalid { color: #b3261e; }
+.controls { display: flex; gap: 8px; align-items: center; margin-bottom: 16px; }
+.controls button { font-size: 14px; padding: 4px 12px; }
+.controls input[type=range] { flex: 1; max-width: 480px; }
+.layout { display: flex; gap: 24px; align-items: flex-start; flex-wrap: wrap; }
+.panel { background: #fff; border: 1px solid #d9dee5; border-radius: 6px; padding: 12px 16px; }
+.panel h2 { font-size: 14px; margin: 0 0 8px; color: #4a5563; }
+.script { font-family: ui-monospace, monospace; font-size: 13px; margin-bottom: 10px; line-height: 1.9; }
+.script .phase { color: #6b7685; margin-right: 6px; }
+.op { padding: 2px 4px; border-radius: 3px; word-break: break-all; }
+.op.done { color: #6b7685; }
+.op.current { background: #ffd866; color: #1d2733; }
+.op.current.failed { background: #f4b4ae; }
+.op.current.skipped { background: #e3e7ec; }
+.step-text { font-family: ui-monospace, monospace; font-size: 13px; min-height: 20px; }
+.item rect { stroke: #4a6fa5; stroke-width: 1; }
+.item text { font-family: ui-monospace, monospace; font-size: 12px; pointer-events: none; }
+.item.main rect { fill: #dbe7f7; }
+.item.alt rect { fill: #e8def5; stroke: #7a5aa5; }
+.item.new rect { fill: #c8ecd2; stroke: #2f8a4b; }
+.animated .item { transition: transform 0.35s ease, opacity 0.35s ease; }
+.strip { overflow-x: auto; white-space: nowrap; }
+.strip svg { cursor: pointer; }
+.strip .column.current rect.frame { stroke: #e0a800; stroke-width: 2; }
+`;
+
+// Runs in the browser: draws the step selected by the slider and buttons
+const CLIENT_SCRIPT = `
+(function () {
+    var report = JSON.parse(document.getElementById('trace-data').textContent);
+    var trace = report.trace;
+    var labels = trace.labels;
+    var steps = trace.steps;
+    var SVG = 'http://www.w3.org/2000/svg';
+    var ITEM_WIDTH = 150, ITEM_HEIGHT = 24, GAP = 4;
+    var position = 0;
+    var timer = null;
+    // OP_IF, OP_NOTIF, OP_ELSE and OP_ENDIF are evaluated even in a branch that is not running
+    var CONDITIONALS = [0x63, 0x64, 0x67, 0x68];
+
+    function el(name, attributes, parent) {
+        var node = document.createElementNS(SVG, name);
+        for (var key in attributes) node.setAttribute(key, attributes[key]);
+        if (parent) parent.appendChild(node);
+        return node;
+    }
+
+    function shortText(hex) {
+        if (labels[hex]) return labels[hex];
+        if (hex === '') return "''";
+        return hex.length <= 16 ? hex : hex.slice(0, 8) + '..' + hex.slice(-4);
+    }
+
+    function tooltip(hex, index) {
+        var name = labels[hex] ? labels[hex] + '\\n' : '';
+        return name + 'item ' + index + ' (' + hex.length / 2 + ' bytes)\\n' + (hex || '(empty)');
+    }
+
+    // The stack after step i (position i + 1); position 0 is the initial state
+    function stackAt(position, key) {
+        return position === 0 ? [] : steps[position - 1][key];
+    }
+
+    // Draw a stack bottom to top into an SVG, reusing item nodes so that
+    // CSS transitions move them to their new places
+    function drawStack(svg, items, kind, previous) {
+        var height = Math.max(items.length, 6) * (ITEM_HEIGHT + GAP) + GAP;
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', '0 0 ' + (ITEM_WIDTH + 2 * GAP) + ' ' + height);
+        var existing = svg.querySelectorAll('g.item');
+        for (var i = 0; i < existing.length; i++) {
+            if (i >= items.length) existing[i].parentNode.removeChild(existing[i]);
+        }
+        items.forEach(function (hex, index) {
+            var group = existing[index];
+            if (!group) {
+                group = el('g', { 'class': 'item ' + kind }, svg);
+                group.style.opacity = '0';
+                group.setAttribute('transform', 'translate(' + GAP + ', 0)');
+                el('rect', { width: ITEM_WIDTH, height: ITEM_HEIGHT, rx: 3 }, group);
+                el('text', { x: 8, y: 16 }, group);
+                el('title', {}, group);
+            }
+            var changed = previous[index] !== hex;
+            group.setAttribute('class', 'item ' + kind + (changed ? ' new' : ''));
+            group.querySelector('text').textContent = shortText(hex);
+            group.querySelector('title').textContent = tooltip(hex, index);
+            var y = height - (index + 1) * (ITEM_HEIGHT + GAP);
+            // Let a new group be laid out before moving it, so it animates in
+            window.requestAnimationFrame(function () {
+                group.style.opacity = '1';
+                group.setAttribute('transform', 'translate(' + GAP + ', ' + y + ')');
+            });
+        });
+    }
+
+    function isSkipped(step) {
+        return !step.executed && CONDITIONALS.indexOf(step.opcode) === -1;
+    }
+
+    function describe(step) {
+        if (!step) return 'Initial state: both stacks are empty.';
+        var text = 'Step ' + position + '/' + steps.length + ': ' + step.phase + ' byte ' + step.offset + ': ';
+        text += step.data !== null ? 'push ' + shortText(step.data) : step.name;
+        if (isSkipped(step)) text += ' (skipped: inside a branch that is not running)';
+        if (step.execStack.length > 0) {
+            text += ' | condition stack [' + step.execStack.map(function (c) { return c ? 'T' : 'F'; }).join(' ') + ']';
+        }
+        if (step.error) text += ' | FAILED: ' + step.error.code + ' - ' + step.error.message;
+        return text;
+    }
+
+    function highlight(step) {
+        var ops = document.querySelectorAll('.op');
+        var reached = true;
+        for (var i = 0; i < ops.length; i++) {
+            var op = ops[i];
+            var isCurrent = step && op.dataset.phase === step.phaseIndex && Number(op.dataset.offset) === step.offset;
+            op.className = 'op' + (isCurrent ? ' current' : '');
+            if (isCurrent) {
+                if (step.error) op.className += ' failed';
+                if (isSkipped(step)) op.className += ' skipped';
+                reached = false;
+            } else if (reached && step) {
+                op.className += ' done';
+            }
+        }
+    }
+
+    function show(next) {
+        var previousMain = stackAt(position, 'stackAfter');
+        var previousAlt = stackAt(position, 'altStack');
+        position = Math.max(0, Math.min(steps.length, next));
+        var step = steps[position - 1];
+        drawStack(document.getElementById('main-stack'), stackAt(position, 'stackAfter'), 'main', previousMain);
+        drawStack(document.getElementById('alt-stack'), stackAt(position, 'altStack'), 'alt', previousAlt);
+        document.getElementById('step-text').textContent = describe(step);
+        document.getElementById('slider').value = position;
+        highlight(step);
+        var columns = document.querySelectorAll('.strip .column');
+        for (var i = 0; i < columns.length; i++) {
+            columns[i].setAttribute('class', 'column' + (i === position ? ' current' : ''));
+        }
+    }
+
+    // One small column per state: the stack after every step
+    function drawStrip() {
+        var strip = document.getElementById('strip');
+        var width = 44, cell = 10;
+        var tallest = steps.reduce(function (max, step) { return Math.max(max, step.stackAfter.length); }, 1);
+        var height = tallest * cell + 24;
+        var svg = el('svg', { width: (steps.length + 1) * width, height: height }, strip);
+        for (var state = 0; state <= steps.length; state++) {
+            var column = el('g', { 'class': 'column', transform: 'translate(' + state * width + ', 0)' }, svg);
+            var stack = stackAt(state, 'stackAfter');
+            var failed = steps[state - 1] && steps[state - 1].error;
+            el('rect', { 'class': 'frame', x: 2, y: 2, width: width - 4, height: height - 4, fill: 'none', stroke: '#d9dee5' }, column);
+            stack.forEach(function (hex, index) {
+                var item = el('rect', {
+                    x: 8, y: height - 20 - (index + 1) * cell, width: width - 16, height: cell - 2,
+                    fill: failed ? '#f4b4ae' : '#dbe7f7', stroke: '#4a6fa5'
+                }, column);
+                el('title', {}, item).textContent = tooltip(hex, index);
+            });
+            var label = el('text', { x: width / 2, y: height - 6, 'text-anchor': 'middle', 'font-size': 10 }, column);
+            label.textContent = state === 0 ? 'init' : String(state);
+            column.addEventListener('click', show.bind(null, state));
+        }
+    }
+
+    function play() {
+        if (timer) {
+            window.clearInterval(timer);
+            timer = null;
+            document.getElementById('play').textContent = 'Play';
+            return;
+        }
+        if (position === steps.length) show(0);
+        document.getElementById('play').textContent = 'Pause';
+        timer = window.setInterval(function () {
+            if (position >= steps.length) return play();
+            show(position + 1);
+        }, 900);
+    }
+
+    // Steps refer to the script they ran in by its index among the phases
+    var phaseIndex = -1, phase = null;
+    steps.forEach(function (step) {
+        if (step.phase !== phase) { phase = step.phase; phaseIndex++; }
+        step.phaseIndex = String(phaseIndex);
+    });
+
+    document.getElementById('slider').max = steps.length;
+    document.getElementById('slider').addEventListener('input', function (event) { show(Number(event.target.value)); });
+    document.getElementById('first').addEventListener('click', function () { show(0); });
+    document.getElementById('back').addEventListener('click', function () { show(position - 1); });
+    document.getElementById('next').addEventListener('click', function () { show(position + 1); });
+    document.getElementById('last').addEventListener('click', function () { show(steps.length); });
+    document.getElementById('play').addEventListener('click', play);
+    document.addEventListener('keydown', function (event) {
+        if (event.key === 'ArrowRight') show(position + 1);
+        if (event.key === 'ArrowLeft') show(position - 1);
+    });
+
+    drawStrip();
+    show(0);
+    // Only animate changes after the first drawing
+    window.requestAnimationFrame(function () { document.body.classList.add('animated'); });
+})();
+`;
+
+function renderScripts(scripts) {
+    return scripts.map((script, index) => {
+        const ops = script.ops.map(op =>
+            `<span class="op" data-phase="${index}" data-offset="${op.offset}">${escapeHtml(op.text)}</span>`
+        ).join(' ');
+        return `<div class="script"><span class="phase">${escapeHtml(script.phase)}:</span> ${ops || '<em>(empty)</em>'}</div>`;
+    }).join('\n');
+}
+
+// The report as an HTML string. `options.title` heads the page and
+// `options.labels` (hex -> name) names known values.
+function renderTraceReport(trace, options = {}) {
+    const labels = options.labels || {};
+    const title = options.title || 'Script Execution';
+    const data = { trace: traceToJSON(trace, labels) };
+    const result = trace.valid
+        ? '<div class="result valid">Result: VALID</div>'
+        : `<div class="result invalid">Result: INVALID (${escapeHtml(trace.error.fullCode || trace.error.name)}: ${escapeHtml(trace.error.message)})</div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${result}
+<div class="controls">
+<button id="first" title="Initial state">&#x23EE;</button>
+<button id="back" title="Previous step (left arrow)">&#x25C0;</button>
+<button id="play">Play</button>
+<button id="next" title="Next step (right arrow)">&#x25B6;</button>
+<button id="last" title="Last step">&#x23ED;</button>
+<input id="slider" type="range" min="0" value="0">
+</div>
+<div class="layout">
+<div class="panel" style="flex: 1; min-width: 320px">
+<h2>Scripts</h2>
+${renderScripts(phaseScripts(trace, labels))}
+<h2>Step</h2>
+<div class="step-text" id="step-text"></div>
+</div>
+<div class="panel">
+<h2>Main stack</h2>
+<svg id="main-stack" width="158"></svg>
+</div>
+<div class="panel">
+<h2>Alt stack</h2>
+<svg id="alt-stack" width="158"></svg>
+</div>
+</div>
+<div class="panel strip" style="margin-top: 24px">
+<h2>Stack after each step</h2>
+<div id="strip"></div>
+</div>
+<script type="application/json" id="trace-data">${embedJson(data)}</script>
+<script>${CLIENT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+// Write the report for `trace` to `file`
+function writeTraceReport(trace, file, options = {}) {
+    fs.writeFileSync(file, renderTraceReport(trace, options));
+    return file;
+}
+
+module.exports = {
+    renderTraceReport,
+    writeTraceReport
+};
@@ -0,0 +1,409 @@
+/**
+ * Raw Transaction Decoder
+ *
+ * Reads a serialized transaction with the bitcoinjs Transaction parser and
+ * explains its parts: the version, the segwit marker and flag, each input's
+ * outpoint, sequence, scriptSig and witness stack, each output's value and
+ * scriptPubKey, and the locktime.
+ *
+ * Output scripts are classified by template as Bitcoin Core's Solver() does
+ * (P2PK, P2PKH, P2SH, P2WPKH, P2WSH, P2TR, bare multisig, OP_RETURN or
+ * nonstandard). An input does not say what it spends, so its type is
+ * inferred from the shape of its scriptSig and witness, and each stack item
+ * is labeled: signatures with their sighash type, public keys, redeem and
+ * witness scripts, tapleaf scripts, control blocks and annexes.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const {
+    decodeScriptNum,
+    getWitnessProgram,
+    isCompressedOrUncompressedPubKey,
+    isCompressedPubKey,
+    isLowDERSignature,
+    isPayToScriptHash,
+    isPushOnly,
+    isValidSignatureEncoding,
+    parseScript,
+    readScriptOp
+} = require('./script-interpreter');
+const { sighashTypeName } = require('./sighash');
+const { transactionSizes } = require('./transaction-size');
+
+const OPS = bitcoin.opcodes;
+
+const HEX_PATTERN = /^([0-9a-fA-F]{2})+$/;
+
+// Names of the output script templates
+const OUTPUT_TYPES = {
+    p2pk: 'P2PK',
+    p2pkh: 'P2PKH',
+    p2sh: 'P2SH',
+    p2wpkh: 'P2WPKH',
+    p2wsh: 'P2WSH',
+    p2tr: 'P2TR',
+    multisig: 'multisig',
+    nulldata: 'OP_RETURN',
+    witness_unknown: 'unknown witness version',
+    nonstandard: 'nonstandard'
+};
+
+// Names of the input types the decoder recognizes
+const INPUT_TYPES = {
+    coinbase: 'coinbase',
+    p2pk: 'P2PK',
+    p2pkh: 'P2PKH',
+    multisig: 'bare multisig',
+    p2sh: 'P2SH',
+    p2wpkh: 'P2WPKH',
+    p2wsh: 'P2WSH',
+    'p2sh-p2wpkh': 'P2SH-P2WPKH',
+    'p2sh-p2wsh': 'P2SH-P2WSH',
+    'p2tr-key': 'P2TR key path',
+    'p2tr-script': 'P2TR script path',
+    nonstandard: 'unrecognized'
+};
+
+// -------------------------------------------------
+// Output scripts
+// -------------------------------------------------
+
+// <m> <pubkey>... <n> OP_CHECKMULTISIG: { m, n, pubkeys }, or null
+function matchMultisig(script) {
+    let ops;
+    try {
+        ops = parseScript(script);
+    } catch (error) {
+        return null;
+    }
+    if (ops.length < 4 || ops[ops.length - 1].opcode !== OPS.OP_CHECKMULTISIG) return null;
+    const smallInt = (op) => op.opcode >= OPS.OP_1 && op.opcode <= OPS.OP_16 ? op.opcode - (OPS.OP_1 - 1) : null;
+    const m = smallInt(ops[0]);
+    const n = smallInt(ops[ops.length - 2]);
+    const pubkeys = ops.slice(1, -2).map(op => op.data);
+    if (m === null || n === null || pubkeys.length !== n || m > n) return null;
+    if (!pubkeys.every(pubkey => pubkey && isCompressedOrUncompressedPubKey(pubkey))) return null;
+    return { m, n, pubkeys };
+}
+
+// Classify an output script (or a redeem or witness script) by template:
+// { type, name, ...details }
+function classifyOutputScript(script) {
+    const result = (type, details = {}) => ({ type, name: OUTPUT_TYPES[type], ...details });
+
+    if (script.length === 25 && script[0] === OPS.OP_DUP && script[1] === OPS.OP_HASH160 &&
+        script[2] === 0x14 && script[23] === OPS.OP_EQUALVERIFY && script[24] === OPS.OP_CHECKSIG) {
+        return result('p2pkh', { hash: script.slice(3, 23) });
+    }
+    if (isPayToScriptHash(script)) return result('p2sh', { hash: script.slice(2, 22) });
+
+    const program = getWitnessProgram(script);
+    if (program) {
+        if (program.version === 0 && program.program.length === 20) return result('p2wpkh', { hash: program.program });
+        if (program.version === 0 && program.program.length === 32) return result('p2wsh', { hash: program.program });
+        if (program.version === 1 && program.program.length === 32) return result('p2tr', { outputKey: program.program });
+        // Version 0 only allows 20 and 32 bytes; other versions are reserved
+        // for future soft forks
+        if (program.version !== 0) return result('witness_unknown', { version: program.version, program: program.program });
+        return result('nonstandard');
+    }
+
+    if ((script.length === 35 || script.length === 67) && script[0] === script.length - 2 &&
+        script[script.length - 1] === OPS.OP_CHECKSIG && isCompressedOrUncompressedPubKey(script.slice(1, -1))) {
+        return result('p2pk', { pubkey: script.slice(1, -1) });
+    }
+
+    const multisig = matchMultisig(script);
+    if (multisig) return result('multisig', multisig);
+
+    // OP_RETURN followed by data pushes only
+    if (script.length > 0 && script[0] === OPS.OP_RETURN && isPushOnly(script.slice(1))) {
+        const data = parseScript(script.slice(1)).map(op => op.data || Buffer.alloc(0));
+        return result('nulldata', { data });
+    }
+
+    return result('nonstandard');
+}
+
+// The address of an output script on `network`, or null if it has none
+function outputAddress(script, network) {
+    try {
+        return bitcoin.address.fromOutputScript(script, network);
+    } catch (error) {
+        return null;
+    }
+}
+
+// -------------------------------------------------
+// Input scripts and witnesses
+// -------------------------------------------------
+
+// Role and description of a stack item judged by its encoding alone, or
+// null if it looks like plain data. Schnorr signatures are only recognized
+// in taproot inputs, where they are the only 64 and 65-byte items expected.
+function describeStackItem(item, { taproot = false } = {}) {
+    if (item.length === 0) return { role: 'empty', label: '', description: 'empty' };
+    if (taproot && (item.length === 64 || (item.length === 65 && item[64] !== 0))) {
+        const hashType = item.length === 64 ? 0 : item[64];
+        return {
+            role: 'signature',
+            label: `sig:${sighashTypeName(hashType)}`,
+            description: `Schnorr signature, sighash ${sighashTypeName(hashType)}`,
+            hashType
+        };
+    }
+    if (isValidSignatureEncoding(item)) {
+        const hashType = item[item.length - 1];
+        return {
+            role: 'signature',
+            label: `sig:${sighashTypeName(hashType)}`,
+            description: `ECDSA signature (DER), sighash ${sighashTypeName(hashType)}, ${isLowDERSignature(item) ? 'low S' : 'high S'}`,
+            hashType
+        };
+    }
+    if (isCompressedOrUncompressedPubKey(item)) {
+        return {
+            role: 'pubkey',
+            label: 'pubkey',
+            description: `public key (${isCompressedPubKey(item) ? 'compressed' : 'uncompressed'})`
+        };
+    }
+    return null;
+}
+
+// Stack items of `location` ('scriptSig' or 'witness'), each described by
+// its encoding
+function describeItems(data, location, options) {
+    return data.map((item, index) => ({
+        location,
+        index,
+        data: item,
+        ...(describeStackItem(item, options) || { role: 'data', label: null, description: `${item.length} bytes of data` })
+    }));
+}
+
+// Give an item the role it has in the input's template
+function assignRole(item, role, label, description) {
+    Object.assign(item, { role, label, description });
+}
+
+// True if `data` parses as a script with at least one opcode that is not a
+// push, as a redeem or witness script would
+function looksLikeScript(data) {
+    if (data.length === 0) return false;
+    try {
+        parseScript(data);
+    } catch (error) {
+        return false;
+    }
+    return !isPushOnly(data);
+}
+
+// A taproot control block: the leaf version with the output key's parity,
+// the internal key, then 0 to 128 hashes of the merkle path. Only the
+// tapscript leaf version (0xc0) is recognized, as it is the only one defined.
+function parseControlBlock(data) {
+    if (data.length < 33 || (data.length - 33) % 32 !== 0 || (data.length - 33) / 32 > 128) return null;
+    if ((data[0] & 0xfe) !== 0xc0) return null;
+    return {
+        leafVersion: data[0] & 0xfe,
+        parity: data[0] & 1,
+        internalKey: data.slice(1, 33),
+        pathLength: (data.length - 33) / 32
+    };
+}
+
+// The scripts an input reveals, classified
+function revealedScript(role, script) {
+    return { role, script, classification: classifyOutputScript(script) };
+}
+
+// Mark the empty item a CHECKMULTISIG script pops before its signatures
+function markMultisigDummy(items, script) {
+    if (classifyOutputScript(script).type === 'multisig' && items.length > 0 && items[0].data.length === 0) {
+        assignRole(items[0], 'dummy', '', 'empty (the extra item OP_CHECKMULTISIG pops)');
+    }
+}
+
+// Infer the type of a coinbase input: BIP34 puts the block height first in
+// its scriptSig, and a segwit block puts its witness reserved value in the
+// witness
+function analyzeCoinbase(input) {
+    const items = [];
+    try {
+        const op = readScriptOp(input.script, 0);
+        const height = op.data ? decodeScriptNum(op.data, false, 5)
+            : op.opcode >= OPS.OP_1 && op.opcode <= OPS.OP_16 ? op.opcode - (OPS.OP_1 - 1) : null;
+        if (height !== null) {
+            items.push({ location: 'scriptSig', index: 0, data: op.data, role: 'height', label: 'height', description: `block height ${height} (BIP34)` });
+        }
+    } catch (error) {
+        // Free-form coinbase data
+    }
+    input.witness.forEach((data, index) => items.push({
+        location: 'witness',
+        index,
+        data,
+        role: 'reserved',
+        label: 'reservedValue',
+        description: 'witness reserved value (BIP141 block commitment)'
+    }));
+    return { type: 'coinbase', name: INPUT_TYPES.coinbase, items, scripts: [] };
+}
+
+// Infer a native or nested segwit input from its witness. `program` is the
+// witness program a nested input's redeem script holds, if any.
+function analyzeWitness(witness, program) {
+    const result = (type, items, scripts = []) => ({ type, name: INPUT_TYPES[type], items, scripts });
+
+    if (program) {
+        const items = describeItems(witness, 'witness');
+        if (program.version === 0 && program.program.length === 20) return result('p2wpkh', items);
+        if (program.version === 0 && program.program.length === 32 && witness.length > 0) {
+            const script = witness[witness.length - 1];
+            assignRole(items[items.length - 1], 'witnessScript', 'witnessScript', 'witness script');
+            markMultisigDummy(items, script);
+            return result('p2wsh', items, [revealedScript('witness script', script)]);
+        }
+        return result('nonstandard', items);
+    }
+
+    // P2WPKH: <signature> <compressed public key>
+    if (witness.length === 2 && isValidSignatureEncoding(witness[0]) && isCompressedPubKey(witness[1])) {
+        return result('p2wpkh', describeItems(witness, 'witness'));
+    }
+
+    // Taproot: an annex, if any, is the last item and starts with 0x50
+    const items = describeItems(witness, 'witness', { taproot: true });
+    let stack = items;
+    if (witness.length >= 2 && witness[witness.length - 1][0] === 0x50) {
+        assignRole(items[items.length - 1], 'annex', 'annex', 'annex (BIP341, reserved for future use)');
+        stack = items.slice(0, -1);
+    }
+    if (stack.length === 1 && stack[0].role === 'signature') return result('p2tr-key', items);
+    const controlBlock = stack.length >= 2 && parseControlBlock(stack[stack.length - 1].data);
+    if (controlBlock) {
+        const leaf = stack[stack.length - 2];
+        assignRole(stack[stack.length - 1], 'controlBlock', 'controlBlock',
+            `control block: leaf version 0x${controlBlock.leafVersion.toString(16)}, output key parity ${controlBlock.parity}, ` +
+            `${controlBlock.pathLength}-step merkle path, internal key ${controlBlock.internalKey.toString('hex')}`);
+        assignRole(leaf, 'leafScript', 'leafScript', 'tapleaf script');
+        return result('p2tr-script', items, [{ role: 'leaf script', script: leaf.data, classification: null }]);
+    }
+
+    // Otherwise the last item is a P2WSH witness script
+    const segwitItems = describeItems(witness, 'witness');
+    if (witness.length > 0 && looksLikeScript(witness[witness.length - 1])) {
+        const script = witness[witness.length - 1];
+        assignRole(segwitItems[segwitItems.length - 1], 'witnessScript', 'witnessScript', 'witness script');
+        markMultisigDummy(segwitItems, script);
+        return result('p2wsh', segwitItems, [revealedScript('witness script', script)]);
+    }
+    return result('nonstandard', segwitItems);
+}
+
+// Infer what kind of output `input` spends and label its scriptSig and
+// witness items: { type, name, items, scripts }
+function analyzeInput(input) {
+    const result = (type, items, scripts = []) => ({ type, name: INPUT_TYPES[type], items, scripts });
+
+    if (input.index === 0xffffffff && input.hash.equals(Buffer.alloc(32))) return analyzeCoinbase(input);
+    if (!isPushOnly(input.script)) return result('nonstandard', []);
+
+    // OP_1NEGATE and OP_1..OP_16 push the script number they stand for
+    const pushes = parseScript(input.script).map(op => op.data ||
+        Buffer.from([op.opcode === OPS.OP_1NEGATE ? 0x81 : op.opcode - (OPS.OP_1 - 1)]));
+    const scriptSigItems = describeItems(pushes, 'scriptSig');
+    const roles = scriptSigItems.map(item => item.role);
+
+    if (input.witness.length > 0) {
+        // Nested segwit: the scriptSig only pushes the redeem script, which
+        // is a witness program
+        if (pushes.length === 1 && getWitnessProgram(pushes[0])) {
+            const nested = analyzeWitness(input.witness, getWitnessProgram(pushes[0]));
+            assignRole(scriptSigItems[0], 'redeemScript', 'redeemScript', 'redeem script (a witness program)');
+            const type = nested.type === 'nonstandard' ? 'nonstandard' : `p2sh-${nested.type}`;
+            return result(type, [...scriptSigItems, ...nested.items], [revealedScript('redeem script', pushes[0]), ...nested.scripts]);
+        }
+        if (pushes.length === 0) return analyzeWitness(input.witness, null);
+        return result('nonstandard', [...scriptSigItems, ...describeItems(input.witness, 'witness')]);
+    }
+
+    if (pushes.length === 1 && roles[0] === 'signature') return result('p2pk', scriptSigItems);
+    if (pushes.length === 2 && roles[0] === 'signature' && roles[1] === 'pubkey') return result('p2pkh', scriptSigItems);
+    if (pushes.length >= 2 && roles[0] === 'empty' && roles.slice(1).every(role => role === 'signature')) {
+        assignRole(scriptSigItems[0], 'dummy', '', 'empty (the extra item OP_CHECKMULTISIG pops)');
+        return result('multisig', scriptSigItems);
+    }
+    if (pushes.length >= 1 && looksLikeScript(pushes[pushes.length - 1])) {
+        const script = pushes[pushes.length - 1];
+        assignRole(scriptSigItems[scriptSigItems.length - 1], 'redeemScript', 'redeemScript', 'redeem script');
+        markMultisigDummy(scriptSigItems, script);
+        return result('p2sh', scriptSigItems, [revealedScript('redeem script', script)]);
+    }
+    return result('nonstandard', scriptSigItems);
+}
+
+// -------------------------------------------------
+// Transactions
+// -------------------------------------------------
+
+// Transaction bytes from a Buffer or hex text (whitespace is ignored)
+function transactionBytes(raw) {
+    if (Buffer.isBuffer(raw)) return raw;
+    const hex = String(raw).replace(/\s+/g, '');
+    if (!HEX_PATTERN.test(hex)) throw new Error('A raw transaction must be an even number of hex digits');
+    return Buffer.from(hex, 'hex');
+}
+
+// Decode a raw transaction (hex or Buffer) into its fields, with each input
+// analyzed and each output classified; output addresses use `network`
+function decodeTransaction(raw, { network = bitcoin.networks.bitcoin } = {}) {
+    const bytes = transactionBytes(raw);
+    let tx;
+    try {
+        tx = bitcoin.Transaction.fromBuffer(bytes);
+    } catch (error) {
+        throw new Error(`Not a valid transaction: ${error.message}`);
+    }
+
+    const segwit = tx.hasWitnesses();
+    return {
+        tx,
+        txid: tx.getId(),
+        wtxid: segwit ? Buffer.from(tx.getHash(true)).reverse().toString('hex') : tx.getId(),
+        version: tx.version,
+        // BIP144: a 0x00 marker and 0x01 flag after the version announce witnesses
+        marker: segwit ? bytes[4] : null,
+        flag: segwit ? bytes[5] : null,
+        inputs: tx.ins.map((input, index) => ({
+            index,
+            txid: Buffer.from(input.hash).reverse().toString('hex'),
+            vout: input.index,
+            sequence: input.sequence,
+            scriptSig: input.script,
+            witness: input.witness,
+            analysis: analyzeInput(input)
+        })),
+        outputs: tx.outs.map((output, index) => ({
+            index,
+            value: output.value,
+            scriptPubKey: output.script,
+            classification: classifyOutputScript(output.script),
+            address: outputAddress(output.script, network)
+        })),
+        locktime: tx.locktime,
+        sizes: transactionSizes(tx)
+    };
+}
+
+module.exports = {
+    INPUT_TYPES,
+    OUTPUT_TYPES,
+    analyzeInput,
+    classifyOutputScript,
+    decodeTransaction,
+    describeStackItem,
+    parseControlBlock,
+    transactionBytes
+};
@@ -8,11 +8,36 @@
  */
 
 const bitcoin = require('bitcoinjs-lib');
-const { ECPairFactory } = require('ecpair');
 const tinysecp = require('tiny-secp256k1');
+const { STANDARD_SCRIPT_VERIFY_FLAGS } = require('./policy');
+const { verifyTransactionInput } = require('./signature-checker');
+const { LEAF_VERSION_TAPSCRIPT } = require('./taproot');
+const { buildTapTree, computeTaprootOutput, findLeaf, toScriptTree } = require('./taptree');
+const { serializeWitness } = require('./byte-writer');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const {
+    analyzeMiniscript,
+    compilePolicy,
+    finalizeMiniscriptInput,
+    miniscriptToScript,
+    miniscriptToString
+} = require('./miniscript');
+const {
+    SimulatedChain,
+    checkFinality,
+    checkSequenceLocks,
+    describeLockTime,
+    describeSequence,
+    encodeSequence
+} = require('./timelocks');
+const { labWallet, participantKey, participantPath } = require('./wallet');
+const { measureTransaction, transactionSizes } = require('./transaction-size');
 
-const ECPair = ECPairFactory(tinysecp);
 const network = bitcoin.networks.testnet;
+const OPS = bitcoin.opcodes;
+
+// Taproot payments need the library's elliptic curve operations
+bitcoin.initEccLib(tinysecp);
 
 // Function to create a fake transaction for legacy inputs
 function createFakePrevTx(output, value) {
@@ -30,22 +55,95 @@ function createFakePrevTx(output, value) {
     return tx;
 }
 
-// Create key pairs for our examples
-const alice = ECPair.makeRandom({ network });
-const bob = ECPair.makeRandom({ network });
-const charlie = ECPair.makeRandom({ network });
+// Print the interpreter's verdict for an input
+function printVerification(label, result) {
+    if (result.valid) {
+        console.log(label, 'VALID');
+    } else {
+        console.log(label, `INVALID (${result.error.fullCode}: ${result.error.message})`);
+    }
+}
+
+// Print one interpreter step of a verification, tagged with its phase
+function printTraceStep(step, interpreter) {
+    const shortHex = (item) => {
+        const hex = item.toString('hex');
+        return hex.length <= 12 ? (hex || "''") : `${hex.slice(0, 8)}..`;
+    };
+    const operation = step.data ? `push ${step.data.length} bytes` : step.name;
+    const stack = interpreter.stack.map(shortHex).join(' ');
+    console.log(`  ${step.phase.padEnd(13)} ${operation.padEnd(22)} [${stack}]`);
+    
+    // Show which signature OP_CHECKMULTISIG matched with which public key
+    const multisig = step.details && step.details.multisig;
+    for (const attempt of multisig || []) {
+        const result = attempt.valid ? 'match' : 'no match';
+        console.log(`${''.padEnd(16)}sig #${attempt.signatureIndex + 1} ${shortHex(attempt.signature)} vs pubkey #${attempt.keyIndex + 1} ${shortHex(attempt.publicKey)}: ${result}`);
+    }
+}
+
+// Key pairs for our examples, derived from the lab wallet along the
+// standard path of each script type: BIP44 for legacy outputs, BIP49 for
+// nested segwit, BIP84 for native segwit and BIP86 for taproot
+const wallet = labWallet();
+const KEY_TYPES = {
+    legacy: { scriptType: 'p2pkh', spends: 'P2PKH, P2SH' },
+    nested: { scriptType: 'p2sh-p2wpkh', spends: 'P2SH-P2WPKH, P2SH-P2WSH' },
+    segwit: { scriptType: 'p2wpkh', spends: 'P2WPKH, P2WSH, timelocks' },
+    taproot: { scriptType: 'p2tr', spends: 'P2TR' }
+};
+const keys = Object.fromEntries(Object.entries(KEY_TYPES).map(([kind, { scriptType }]) => [kind, {
+    alice: participantKey(wallet, 'Alice', scriptType),
+    bob: participantKey(wallet, 'Bob', scriptType),
+    charlie: participantKey(wallet, 'Charlie', scriptType)
+}]));
+
+// Keys and hashes that scripts are printed with by name
+const labels = Object.assign({}, ...Object.values(keys).map(({ alice, bob, charlie }) => labelsFor({
+    'Alice': alice.publicKey,
+    'Bob': bob.publicKey,
+    'Charlie': charlie.publicKey,
+    'Alice-x': alice.publicKey.slice(1, 33),
+    'Bob-x': bob.publicKey.slice(1, 33),
+    'Alice-PKH': bitcoin.crypto.hash160(alice.publicKey),
+    'Bob-PKH': bitcoin.crypto.hash160(bob.publicKey),
+    'Charlie-PKH': bitcoin.crypto.hash160(charlie.publicKey)
+})));
+
+// Print a script disassembled from its bytes, then the bytes themselves;
+// `extraLabels` names further values such as redeem scripts
+function printScript(label, script, extraLabels = {}) {
+    const asm = formatScript(script, { labels: { ...labels, ...extraLabels }, numbers: true });
+    console.log(label, asm || '(empty)');
+    if (script.length > 0) console.log(`${''.padEnd(label.trimStart().length)} (hex: ${script.toString('hex')})`);
+}
+
+function printWitness(label, witness, extraLabels = {}) {
+    console.log(label, formatWitness(witness, { ...labels, ...extraLabels }));
+}
+
+// Print the size of a transaction as raw bytes and as fees count it (BIP141)
+function printSize(tx) {
+    const { baseSize, witnessSize, totalSize, weight, vsize } = transactionSizes(tx);
+    console.log(`Transaction Size: ${totalSize} bytes (${baseSize} base + ${witnessSize} witness), ${weight} WU, ${vsize} vbytes`);
+}
 
 console.log('\n===== Bitcoin Transaction Examples =====');
 console.log('\nKey Information:');
-console.log('Alice Private Key (WIF):', alice.toWIF());
-console.log('Bob Private Key (WIF):', bob.toWIF());
-console.log('Charlie Private Key (WIF):', charlie.toWIF());
+for (const [kind, { scriptType, spends }] of Object.entries(KEY_TYPES)) {
+    console.log(`\nKeys for ${spends}:`);
+    for (const name of ['Alice', 'Bob', 'Charlie']) {
+        const keyPair = keys[kind][name.toLowerCase()];
+        console.log(`${name} Private Key (WIF):`.padEnd(27), keyPair.toWIF(), `(${participantPath(wallet, name, scriptType)})`);
+    }
+}
 
 // --------------------------------------------------
 // 1. Legacy P2PKH Transaction Example
 // --------------------------------------------------
 function createP2PKHTransaction() {
     console.log('\n----- Legacy P2PKH Transaction Example -----');
+    const { alice, bob } = keys.legacy;
     
     // Create Alice's P2PKH address and payment object
     const aliceP2pkh = bitcoin.payments.p2pkh({
@@ -63,7 +161,7 @@ function createP2PKHTransaction() {
     
     // Add the input with the nonWitnessUtxo (for legacy transactions)
     txb.addInput({
-        hash: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+        hash: prevTx.getId(),
         index: 0,
         nonWitnessUtxo: prevTx.toBuffer() // Provide the complete previous transaction
     });
@@ -93,15 +191,23 @@ function createP2PKHTransaction() {
         
         console.log('\nTransaction Details:');
         console.log('Transaction ID:', tx.getId());
-        console.log('Transaction Size:', tx.byteLength(), 'bytes');
-        console.log('ScriptSig for Input 0:', tx.ins[0].script.toString('hex'));
-        console.log('ScriptPubKey for Output 0:', tx.outs[0].script.toString('hex'));
+        printSize(tx);
+        printScript('ScriptSig for Input 0:', tx.ins[0].script);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
+        
+        // Run scriptSig + the previous output's scriptPubKey through the interpreter
+        printVerification('Script verification (input 0):', verifyTransactionInput(tx, 0, prevTx.outs[0]));
         
-        return tx;
+        // Changing anything the signature covers breaks it
+        const tampered = tx.clone();
+        tampered.outs[0].value -= 1000;
+        printVerification('After changing output 0 value:', verifyTransactionInput(tampered, 0, prevTx.outs[0]));
+        
+        return { tx, prevOutputs: [prevTx.outs[0]] };
     } catch (error) {
         console.log('Error creating P2PKH transaction:', error.message);
-        // Return a minimal transaction for size comparison
-        return { byteLength: () => 226 }; // Approximate P2PKH tx size
+        // Left out of the size comparison rather than guessed at
+        return null;
     }
 }
 
@@ -110,6 +216,7 @@ function createP2PKHTransaction() {
 // --------------------------------------------------
 function createP2SHTransaction() {
     console.log('\n----- Legacy P2SH Multisig Transaction Example -----');
+    const { alice, bob, charlie } = keys.legacy;
     
     // Create a 2-of-3 multisig redeem script
     const p2ms = bitcoin.payments.p2ms({
@@ -125,7 +232,8 @@ function createP2SHTransaction() {
     });
     
     console.log('2-of-3 Multisig P2SH Address:', p2sh.address);
-    console.log('Redeem Script:', p2sh.redeem.output.toString('hex'));
+    const redeemScriptLabels = labelsFor({ redeemScript: p2ms.output });
+    printScript('Redeem Script:', p2ms.output);
     
     // Create a fake previous transaction for nonWitnessUtxo
     const prevTx = createFakePrevTx(p2sh.output, 200000);
@@ -135,7 +243,7 @@ function createP2SHTransaction() {
     
     // Add the input with nonWitnessUtxo
     txb.addInput({
-        hash: 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb',
+        hash: prevTx.getId(),
         index: 0,
         nonWitnessUtxo: prevTx.toBuffer(),
         redeemScript: p2ms.output
@@ -155,7 +263,8 @@ function createP2SHTransaction() {
     });
     
     try {
-        // Sign with Alice and Bob (2 of 3)
+        // Sign with Alice and Bob (2 of 3). Both keys are in this one process
+        // here; psbt-examples.js passes the PSBT between separate signers
         txb.signInput(0, alice);
         txb.signInput(0, bob);
         
@@ -167,15 +276,21 @@ function createP2SHTransaction() {
         
         console.log('\nTransaction Details:');
         console.log('Transaction ID:', tx.getId());
-        console.log('Transaction Size:', tx.byteLength(), 'bytes');
-        console.log('ScriptSig for Input 0:', tx.ins[0].script.toString('hex'));
-        console.log('ScriptPubKey for Output 0:', tx.outs[0].script.toString('hex'));
+        printSize(tx);
+        printScript('ScriptSig for Input 0:', tx.ins[0].script, redeemScriptLabels);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
+        
+        // BIP16: the scriptPubKey only checks the redeem script hash, then the
+        // redeem script runs against the rest of the scriptSig stack
+        console.log('\nP2SH verification trace (phase, operation, stack bottom to top):');
+        const result = verifyTransactionInput(tx, 0, prevTx.outs[0], { onStep: printTraceStep });
+        printVerification('Script verification (input 0):', result);
         
-        return tx;
+        return { tx, prevOutputs: [prevTx.outs[0]] };
     } catch (error) {
         console.log('Error creating P2SH transaction:', error.message);
-        // Return a minimal transaction for size comparison
-        return { byteLength: () => 370 }; // Approximate P2SH multisig tx size
+        // Left out of the size comparison rather than guessed at
+        return null;
     }
 }
 
@@ -184,6 +299,7 @@ function createP2SHTransaction() {
 // --------------------------------------------------
 function createP2WPKHTransaction() {
     console.log('\n----- Segwit P2WPKH Transaction Example -----');
+    const { alice, bob } = keys.segwit;
     
     // Create Alice's P2WPKH address
     const aliceP2wpkh = bitcoin.payments.p2wpkh({
@@ -231,16 +347,24 @@ function createP2WPKHTransaction() {
         
         console.log('\nTransaction Details:');
         console.log('Transaction ID:', tx.getId());
-        console.log('Transaction Size:', tx.byteLength(), 'bytes');
-        console.log('ScriptSig for Input 0 (should be empty):', tx.ins[0].script.toString('hex'));
-        console.log('Witness data for Input 0:', tx.ins[0].witness.map(w => w.toString('hex')));
-        console.log('ScriptPubKey for Output 0:', tx.outs[0].script.toString('hex'));
+        printSize(tx);
+        printScript('ScriptSig for Input 0 (should be empty):', tx.ins[0].script);
+        printWitness('Witness data for Input 0:', tx.ins[0].witness);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
         
-        return tx;
+        // The BIP143 digest commits to the value of the output being spent
+        const prevOutput = { script: aliceP2wpkh.output, value: 300000 };
+        printVerification('Script verification (input 0):', verifyTransactionInput(tx, 0, prevOutput));
+        printVerification(
+            'With a prevout amount of 299999:',
+            verifyTransactionInput(tx, 0, { ...prevOutput, value: 299999 })
+        );
+        
+        return { tx, prevOutputs: [prevOutput] };
     } catch (error) {
         console.log('Error creating P2WPKH transaction:', error.message);
-        // Return a minimal transaction for size comparison
-        return { byteLength: () => 141 }; // Approximate P2WPKH tx size
+        // Left out of the size comparison rather than guessed at
+        return null;
     }
 }
 
@@ -249,22 +373,28 @@ function createP2WPKHTransaction() {
 // --------------------------------------------------
 function createP2WSHTransaction() {
     console.log('\n----- Segwit P2WSH Multisig Transaction Example -----');
+    const { alice, bob, charlie } = keys.segwit;
     
-    // Create a 2-of-3 multisig witness script
-    const p2ms = bitcoin.payments.p2ms({
-        m: 2,
-        pubkeys: [alice.publicKey, bob.publicKey, charlie.publicKey],
-        network
+    // Compile the 2-of-3 spending policy to Miniscript, then to the witness script
+    const policy = 'thresh(2,pk(Alice),pk(Bob),pk(Charlie))';
+    const miniscript = compilePolicy(policy, {
+        keys: { Alice: alice.publicKey, Bob: bob.publicKey, Charlie: charlie.publicKey }
     });
+    const analysis = analyzeMiniscript(miniscript);
+    const witnessScript = miniscriptToScript(miniscript);
+    console.log('Policy:', policy);
+    console.log('Miniscript:', miniscriptToString(miniscript));
+    console.log(`Type: ${analysis.properties}, script ${analysis.scriptSize} bytes, witness at most ${analysis.maxWitnessSize} bytes`);
     
     // Wrap it in P2WSH
     const p2wsh = bitcoin.payments.p2wsh({
-        redeem: p2ms,
+        redeem: { output: witnessScript, network },
         network
     });
     
     console.log('2-of-3 Multisig P2WSH Address:', p2wsh.address);
-    console.log('Witness Script:', p2ms.output.toString('hex'));
+    const witnessScriptLabels = labelsFor({ witnessScript });
+    printScript('Witness Script:', witnessScript);
     
     // Create a simple transaction
     const txb = new bitcoin.Psbt({ network });
@@ -277,6 +407,196 @@ function createP2WSHTransaction() {
             script: p2wsh.output,
             value: 400000, // 0.004 BTC
         },
+        witnessScript,
+    });
+    
+    // Add an output to Charlie's Segwit address
+    const charlieP2wpkh = bitcoin.payments.p2wpkh({
+        pubkey: charlie.publicKey,
+        network
+    });
+    
+    console.log('Charlie P2WPKH Address (recipient):', charlieP2wpkh.address);
+    
+    txb.addOutput({
+        address: charlieP2wpkh.address,
+        value: 390000, // 0.0039 BTC (leaving 0.0001 for fee)
+    });
+    
+    try {
+        // Sign with Alice and Bob (2 of 3). Both keys are in this one process
+        // here; psbt-examples.js passes the PSBT between separate signers
+        txb.signInput(0, alice);
+        txb.signInput(0, bob);
+        
+        // The Miniscript satisfier builds the witness from the collected signatures
+        finalizeMiniscriptInput(txb, 0, miniscript);
+        
+        // Extract the transaction
+        const tx = txb.extractTransaction();
+        
+        console.log('\nTransaction Details:');
+        console.log('Transaction ID:', tx.getId());
+        printSize(tx);
+        printScript('ScriptSig for Input 0 (should be empty):', tx.ins[0].script);
+        printWitness('Witness data for Input 0:', tx.ins[0].witness, witnessScriptLabels);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
+        
+        const prevOutput = { script: p2wsh.output, value: 400000 };
+        printVerification('Script verification (input 0):', verifyTransactionInput(tx, 0, prevOutput));
+        
+        // The witness script must hash (SHA256) to the 32-byte witness program
+        const witnessScript = tx.ins[0].witness[tx.ins[0].witness.length - 1];
+        console.log('SHA256(witnessScript):', bitcoin.crypto.sha256(witnessScript).toString('hex'));
+        console.log('Witness program:      ', p2wsh.hash.toString('hex'));
+        
+        const swapped = tx.clone();
+        swapped.ins[0].witness = [
+            ...tx.ins[0].witness.slice(0, -1),
+            bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey], network }).output
+        ];
+        printVerification(
+            'With a different witness script:',
+            verifyTransactionInput(swapped, 0, prevOutput)
+        );
+        
+        return { tx, prevOutputs: [prevOutput] };
+    } catch (error) {
+        console.log('Error creating P2WSH transaction:', error.message);
+        // Left out of the size comparison rather than guessed at
+        return null;
+    }
+}
+
+// --------------------------------------------------
+// 5. Nested Segwit P2SH-P2WPKH Transaction Example
+// --------------------------------------------------
+function createP2SHP2WPKHTransaction() {
+    console.log('\n----- Nested Segwit P2SH-P2WPKH Transaction Example -----');
+    const { alice, bob } = keys.nested;
+    
+    // Wrap Alice's P2WPKH witness program in P2SH, for wallets that can
+    // only pay to legacy addresses
+    const aliceP2wpkh = bitcoin.payments.p2wpkh({
+        pubkey: alice.publicKey,
+        network
+    });
+    const p2sh = bitcoin.payments.p2sh({
+        redeem: aliceP2wpkh,
+        network
+    });
+    
+    console.log('Alice P2SH-P2WPKH Address:', p2sh.address);
+    const redeemScriptLabels = labelsFor({ redeemScript: aliceP2wpkh.output });
+    printScript('Redeem Script (the witness program):', aliceP2wpkh.output);
+    
+    // Create a simple transaction
+    const txb = new bitcoin.Psbt({ network });
+    
+    // Add a fake input
+    txb.addInput({
+        hash: '2222222222222222222222222222222222222222222222222222222222222222',
+        index: 0,
+        witnessUtxo: {
+            script: p2sh.output,
+            value: 300000, // 0.003 BTC
+        },
+        redeemScript: aliceP2wpkh.output,
+    });
+    
+    // Add an output to Bob's Segwit address
+    const bobP2wpkh = bitcoin.payments.p2wpkh({
+        pubkey: bob.publicKey,
+        network
+    });
+    
+    console.log('Bob P2WPKH Address (recipient):', bobP2wpkh.address);
+    
+    txb.addOutput({
+        address: bobP2wpkh.address,
+        value: 290000, // 0.0029 BTC (leaving 0.0001 for fee)
+    });
+    
+    try {
+        // Sign with Alice's key
+        txb.signInput(0, alice);
+        
+        // Finalize the input
+        txb.finalizeInput(0);
+        
+        // Extract the transaction
+        const tx = txb.extractTransaction();
+        
+        console.log('\nTransaction Details:');
+        console.log('Transaction ID:', tx.getId());
+        printSize(tx);
+        printScript('ScriptSig for Input 0 (one push of the redeem script):', tx.ins[0].script, redeemScriptLabels);
+        printWitness('Witness data for Input 0:', tx.ins[0].witness);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
+        
+        // The scriptPubKey checks the redeem script hash, then the redeem
+        // script is run as a witness program against the witness
+        const prevOutput = { script: p2sh.output, value: 300000 };
+        console.log('\nP2SH-P2WPKH verification trace (phase, operation, stack bottom to top):');
+        const result = verifyTransactionInput(tx, 0, prevOutput, { onStep: printTraceStep });
+        printVerification('Script verification (input 0):', result);
+        
+        // Anything besides the single push would make the txid malleable again
+        const padded = tx.clone();
+        padded.ins[0].script = Buffer.concat([Buffer.from([OPS.OP_0]), tx.ins[0].script]);
+        printVerification(
+            'With an extra OP_0 in the scriptSig:',
+            verifyTransactionInput(padded, 0, prevOutput)
+        );
+        
+        return { tx, prevOutputs: [prevOutput] };
+    } catch (error) {
+        console.log('Error creating P2SH-P2WPKH transaction:', error.message);
+        // Left out of the size comparison rather than guessed at
+        return null;
+    }
+}
+
+// --------------------------------------------------
+// 6. Nested Segwit P2SH-P2WSH Transaction Example (2-of-3 Multisig)
+// --------------------------------------------------
+function createP2SHP2WSHTransaction() {
+    console.log('\n----- Nested Segwit P2SH-P2WSH Multisig Transaction Example -----');
+    const { alice, bob, charlie } = keys.nested;
+    
+    // The 2-of-3 multisig is the witness script, its P2WSH program the
+    // redeem script, and the redeem script's hash the P2SH output
+    const p2ms = bitcoin.payments.p2ms({
+        m: 2,
+        pubkeys: [alice.publicKey, bob.publicKey, charlie.publicKey],
+        network
+    });
+    const p2wsh = bitcoin.payments.p2wsh({
+        redeem: p2ms,
+        network
+    });
+    const p2sh = bitcoin.payments.p2sh({
+        redeem: p2wsh,
+        network
+    });
+    
+    console.log('2-of-3 Multisig P2SH-P2WSH Address:', p2sh.address);
+    const scriptLabels = labelsFor({ redeemScript: p2wsh.output, witnessScript: p2ms.output });
+    printScript('Witness Script:', p2ms.output);
+    printScript('Redeem Script (the witness program):', p2wsh.output);
+    
+    // Create a simple transaction
+    const txb = new bitcoin.Psbt({ network });
+    
+    // Add a fake input
+    txb.addInput({
+        hash: '3333333333333333333333333333333333333333333333333333333333333333',
+        index: 0,
+        witnessUtxo: {
+            script: p2sh.output,
+            value: 400000, // 0.004 BTC
+        },
+        redeemScript: p2wsh.output,
         witnessScript: p2ms.output,
     });
     
@@ -306,42 +626,485 @@ function createP2WSHTransaction() {
         
         console.log('\nTransaction Details:');
         console.log('Transaction ID:', tx.getId());
-        console.log('Transaction Size:', tx.byteLength(), 'bytes');
-        console.log('ScriptSig for Input 0 (should be empty):', tx.ins[0].script.toString('hex'));
-        console.log('Witness data for Input 0:', tx.ins[0].witness.map(w => w.toString('hex')));
-        console.log('ScriptPubKey for Output 0:', tx.outs[0].script.toString('hex'));
+        printSize(tx);
+        printScript('ScriptSig for Input 0 (one push of the redeem script):', tx.ins[0].script, scriptLabels);
+        printWitness('Witness data for Input 0:', tx.ins[0].witness, scriptLabels);
+        printScript('ScriptPubKey for Output 0:', tx.outs[0].script);
+        
+        const prevOutput = { script: p2sh.output, value: 400000 };
+        printVerification('Script verification (input 0):', verifyTransactionInput(tx, 0, prevOutput));
         
-        return tx;
+        // Two hashes link the output to the multisig script
+        console.log('HASH160(redeemScript): ', bitcoin.crypto.hash160(p2wsh.output).toString('hex'));
+        console.log('P2SH script hash:      ', p2sh.hash.toString('hex'));
+        console.log('SHA256(witnessScript): ', bitcoin.crypto.sha256(p2ms.output).toString('hex'));
+        console.log('Witness program:       ', p2wsh.hash.toString('hex'));
+        
+        // The redeem script must be pushed minimally, as Core serializes it
+        const reencoded = tx.clone();
+        reencoded.ins[0].script = Buffer.concat([
+            Buffer.from([OPS.OP_PUSHDATA1, p2wsh.output.length]),
+            p2wsh.output
+        ]);
+        printVerification(
+            'With the redeem script pushed by OP_PUSHDATA1:',
+            verifyTransactionInput(reencoded, 0, prevOutput)
+        );
+        
+        return { tx, prevOutputs: [prevOutput] };
     } catch (error) {
-        console.log('Error creating P2WSH transaction:', error.message);
-        // Return a minimal transaction for size comparison
-        return { byteLength: () => 215 }; // Approximate P2WSH multisig tx size
+        console.log('Error creating P2SH-P2WSH transaction:', error.message);
+        // Left out of the size comparison rather than guessed at
+        return null;
+    }
+}
+
+// --------------------------------------------------
+// 7. P2TR (Taproot) Transaction Example
+// --------------------------------------------------
+function createP2TRTransaction() {
+    console.log('\n----- Taproot P2TR Transaction Example -----');
+    const { alice, bob } = keys.taproot;
+    
+    // Taproot keys are x-only: the 32-byte X coordinate of the public key
+    const toXOnly = (publicKey) => publicKey.slice(1, 33);
+    const internalPubkey = toXOnly(alice.publicKey);
+    
+    // Script tree with three leaves:
+    // - a 2-of-2 between Alice and Bob written with OP_CHECKSIGADD
+    // - the same 2-of-2 with OP_CHECKMULTISIG, which tapscript forbids
+    // - OP_SUCCESS80, which makes any spend succeed (never use this with real funds)
+    const checksigAddLeaf = bitcoin.script.compile([
+        toXOnly(alice.publicKey), OPS.OP_CHECKSIG,
+        toXOnly(bob.publicKey), OPS.OP_CHECKSIGADD,
+        OPS.OP_2, OPS.OP_NUMEQUAL
+    ]);
+    const multisigLeaf = bitcoin.script.compile([
+        OPS.OP_2, toXOnly(alice.publicKey), toXOnly(bob.publicKey), OPS.OP_2, OPS.OP_CHECKMULTISIG
+    ]);
+    const successLeaf = Buffer.from([0x50]);
+    const tree = buildTapTree([
+        { script: checksigAddLeaf, name: 'checksigadd' },
+        [{ script: multisigLeaf, name: 'checkmultisig' }, { script: successLeaf, name: 'op_success' }]
+    ]);
+    const taproot = computeTaprootOutput(internalPubkey, tree);
+    const controlBlockFor = (leaf) => findLeaf(taproot, leaf).controlBlock;
+    
+    const p2tr = bitcoin.payments.p2tr({ internalPubkey, scriptTree: toScriptTree(tree), network });
+    if (!p2tr.output.equals(taproot.output)) {
+        console.log('Warning: the taptree builder and bitcoinjs disagree on the output key');
+    }
+    
+    console.log('Taproot P2TR Address:', p2tr.address);
+    console.log('Internal Key (Alice):', internalPubkey.toString('hex'));
+    console.log('Merkle Root of the Script Tree:', taproot.merkleRoot.toString('hex'));
+    console.log('Output Key (tweaked):', taproot.outputKey.toString('hex'), `(parity ${taproot.parity})`);
+    const leafLabels = labelsFor({ 'checksigadd-leaf': checksigAddLeaf, 'control-block': controlBlockFor(checksigAddLeaf) });
+    for (const { leaf } of taproot.leaves) {
+        printScript(`Leaf ${leaf.name}:`, leaf.script);
+    }
+    
+    const prevOutput = { script: taproot.output, value: 500000 }; // 0.005 BTC
+    const bobP2wpkh = bitcoin.payments.p2wpkh({
+        pubkey: bob.publicKey,
+        network
+    });
+    
+    try {
+        // Key path: Alice alone signs with her key tweaked by the merkle root,
+        // and the spend reveals nothing about the scripts
+        const keyPath = new bitcoin.Psbt({ network });
+        keyPath.addInput({
+            hash: 'eeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+            index: 0,
+            witnessUtxo: prevOutput,
+            tapInternalKey: internalPubkey,
+            tapMerkleRoot: taproot.merkleRoot
+        });
+        keyPath.addOutput({
+            address: bobP2wpkh.address,
+            value: 490000, // 0.0049 BTC (leaving 0.0001 for fee)
+        });
+        
+        keyPath.signInput(0, alice.tweak(taproot.tweak));
+        keyPath.finalizeInput(0);
+        const tx = keyPath.extractTransaction();
+        
+        console.log('\nKey Path Spend:');
+        console.log('Transaction ID:', tx.getId());
+        printSize(tx);
+        printWitness('Witness data for Input 0 (one Schnorr signature):', tx.ins[0].witness);
+        printVerification('Script verification (input 0):', verifyTransactionInput(tx, 0, prevOutput));
+        
+        // BIP341 signatures commit to the amount and scriptPubKey of every spent output
+        printVerification(
+            'With a prevout amount of 499999:',
+            verifyTransactionInput(tx, 0, { ...prevOutput, value: 499999 })
+        );
+        
+        // Script path: reveal the CHECKSIGADD leaf and its control block
+        const scriptPath = new bitcoin.Psbt({ network });
+        scriptPath.addInput({
+            hash: 'eeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+            index: 0,
+            witnessUtxo: prevOutput,
+            tapLeafScript: [{
+                leafVersion: LEAF_VERSION_TAPSCRIPT,
+                script: checksigAddLeaf,
+                controlBlock: controlBlockFor(checksigAddLeaf)
+            }]
+        });
+        scriptPath.addOutput({
+            address: bobP2wpkh.address,
+            value: 490000,
+        });
+        scriptPath.signInput(0, alice);
+        scriptPath.signInput(0, bob);
+        scriptPath.finalizeInput(0);
+        const scriptTx = scriptPath.extractTransaction();
+        
+        console.log('\nScript Path Spend (2-of-2 with OP_CHECKSIGADD):');
+        printSize(scriptTx);
+        printWitness('Witness data for Input 0 (signatures, leaf script, control block):',
+            scriptTx.ins[0].witness, leafLabels);
+        console.log('\nExecution Trace:');
+        printVerification(
+            'Script verification (input 0):',
+            verifyTransactionInput(scriptTx, 0, prevOutput, { onStep: printTraceStep })
+        );
+        
+        // The other leaves, revealed with their own control blocks
+        const multisigSpend = scriptTx.clone();
+        multisigSpend.ins[0].witness = [
+            Buffer.alloc(0), ...scriptTx.ins[0].witness.slice(0, 2).reverse(),
+            multisigLeaf, controlBlockFor(multisigLeaf)
+        ];
+        printVerification(
+            '\nSpending the OP_CHECKMULTISIG leaf:',
+            verifyTransactionInput(multisigSpend, 0, prevOutput)
+        );
+        
+        const successSpend = scriptTx.clone();
+        successSpend.ins[0].witness = [successLeaf, controlBlockFor(successLeaf)];
+        printVerification(
+            'Spending the OP_SUCCESS80 leaf (consensus):',
+            verifyTransactionInput(successSpend, 0, prevOutput)
+        );
+        printVerification(
+            'Spending the OP_SUCCESS80 leaf (policy):',
+            verifyTransactionInput(successSpend, 0, prevOutput, { flags: STANDARD_SCRIPT_VERIFY_FLAGS })
+        );
+        
+        return { tx, prevOutputs: [prevOutput] };
+    } catch (error) {
+        console.log('Error creating P2TR transaction:', error.message);
+        // Left out of the size comparison rather than guessed at
+        return null;
     }
 }
 
 // --------------------------------------------------
-// 5. Transaction Size Comparison
+// 8. Timelocked Transactions (CLTV and CSV)
 // --------------------------------------------------
-function compareTransactionSizes(txP2PKH, txP2SH, txP2WPKH, txP2WSH) {
+
+// Spend a P2WSH output locked by `witnessScript` (<lock> <CLTV/CSV> OP_DROP
+// <pubkey> OP_CHECKSIG) with `keyPair`, setting the transaction's nLockTime,
+// version and the input's nSequence
+function spendTimelockedOutput(witnessScript, keyPair, { locktime = 0, sequence, version = 2 }) {
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript }, network });
+    const prevOutput = { script: p2wsh.output, value: 200000 };
+    
+    const psbt = new bitcoin.Psbt({ network });
+    psbt.setVersion(version);
+    psbt.setLocktime(locktime);
+    psbt.addInput({
+        hash: '1111111111111111111111111111111111111111111111111111111111111111',
+        index: 0,
+        sequence,
+        witnessUtxo: prevOutput,
+        witnessScript
+    });
+    psbt.addOutput({
+        address: bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address,
+        value: 190000,
+    });
+    psbt.signInput(0, keyPair);
+    
+    // bitcoinjs only finalizes scripts it knows: the witness is <sig> <witnessScript>
+    psbt.finalizeInput(0, (inputIndex, input, script) => ({
+        finalScriptSig: undefined,
+        finalScriptWitness: serializeWitness([input.partialSig[0].signature, script])
+    }));
+    return { tx: psbt.extractTransaction(), prevOutput };
+}
+
+// The script decides whether the transaction's fields satisfy the lock;
+// the chain decides whether the transaction can be mined yet
+function printTimelockStatus(label, { tx, prevOutput }, chain, coinHeight) {
+    const finality = checkFinality(tx, chain);
+    const sequenceLocks = checkSequenceLocks(tx, chain, [coinHeight]);
+    console.log(`\n${label}`);
+    console.log(`  nLockTime: ${describeLockTime(tx.locktime)}, nSequence: ${describeSequence(tx.ins[0].sequence)}, version ${tx.version}`);
+    const verification = verifyTransactionInput(tx, 0, prevOutput);
+    printVerification('  Script:', verification);
+    console.log(`  Final (nLockTime):    ${finality.final ? 'yes' : 'no'} - ${finality.reason}`);
+    console.log(`  BIP68 (nSequence):    ${sequenceLocks.satisfied ? 'yes' : 'no'} - ${sequenceLocks.reason}`);
+    const minable = verification.valid && finality.final && sequenceLocks.satisfied;
+    console.log(`  Can be mined in block ${chain.height + 1}: ${minable ? 'YES' : 'NO'}`);
+}
+
+function createTimelockTransactions() {
+    console.log('\n----- Timelocked Transactions (CLTV and CSV) -----');
+    const { alice, bob } = keys.segwit;
+    
+    const chain = new SimulatedChain();
+    const coinHeight = chain.height; // the timelocked outputs confirm in the tip block
+    console.log(`Simulated chain tip: block ${chain.height}, median time past ${chain.medianTimePast()}`);
+    
+    // Absolute lock: Alice can spend from block tip + 6
+    const lockHeight = chain.height + 6;
+    const cltvScript = bitcoin.script.compile([
+        bitcoin.script.number.encode(lockHeight), OPS.OP_CHECKLOCKTIMEVERIFY, OPS.OP_DROP,
+        alice.publicKey, OPS.OP_CHECKSIG
+    ]);
+    printScript('\nAbsolute lock:', cltvScript);
+    
+    // A non-final nSequence is required for nLockTime to be enforced
+    const cltvSpend = spendTimelockedOutput(cltvScript, alice, { locktime: lockHeight, sequence: 0xfffffffe });
+    printTimelockStatus('Spend with nLockTime = lock height, before maturity:', cltvSpend, chain, coinHeight);
+    printTimelockStatus(
+        'Spend with an earlier nLockTime to get around the lock:',
+        spendTimelockedOutput(cltvScript, alice, { locktime: chain.height, sequence: 0xfffffffe }),
+        chain, coinHeight
+    );
+    printTimelockStatus(
+        'Spend with a timestamp nLockTime (a height lock only accepts heights):',
+        spendTimelockedOutput(cltvScript, alice, { locktime: chain.medianTimePast() - 600, sequence: 0xfffffffe }),
+        chain, coinHeight
+    );
+    chain.mine(6);
+    printTimelockStatus(`Same spend after mining to block ${chain.height}:`, cltvSpend, chain, coinHeight);
+    
+    // Relative lock in blocks: Bob can spend 10 blocks after the output confirmed
+    const relativeBlocks = encodeSequence({ blocks: 10 });
+    const csvScript = bitcoin.script.compile([
+        bitcoin.script.number.encode(relativeBlocks), OPS.OP_CHECKSEQUENCEVERIFY, OPS.OP_DROP,
+        bob.publicKey, OPS.OP_CHECKSIG
+    ]);
+    printScript('\nRelative lock:', csvScript);
+    console.log(`(the lock value ${relativeBlocks} is the nSequence encoding of ${describeSequence(relativeBlocks)})`);
+    console.log(`(output confirmed in block ${coinHeight}, tip is now ${chain.height})`);
+    
+    const csvSpend = spendTimelockedOutput(csvScript, bob, { sequence: relativeBlocks });
+    printTimelockStatus('Spend with nSequence = 10 blocks, before maturity:', csvSpend, chain, coinHeight);
+    printTimelockStatus(
+        'Same spend as a version 1 transaction (BIP68 does not apply):',
+        spendTimelockedOutput(csvScript, bob, { sequence: relativeBlocks, version: 1 }),
+        chain, coinHeight
+    );
+    chain.mine(coinHeight + 9 - chain.height);
+    printTimelockStatus(`Same spend after mining to block ${chain.height}:`, csvSpend, chain, coinHeight);
+    
+    // Relative lock in time: measured with the median time past, not block timestamps
+    const relativeTime = encodeSequence({ seconds: 3600 });
+    const csvTimeScript = bitcoin.script.compile([
+        bitcoin.script.number.encode(relativeTime), OPS.OP_CHECKSEQUENCEVERIFY, OPS.OP_DROP,
+        bob.publicKey, OPS.OP_CHECKSIG
+    ]);
+    const timeCoinHeight = chain.height;
+    printScript('\nRelative time lock:', csvTimeScript);
+    console.log(`(the lock value ${relativeTime} is the nSequence encoding of ${describeSequence(relativeTime)})`);
+    console.log(`(output confirmed in block ${timeCoinHeight}; 3600 seconds round up to whole 512-second units)`);
+    
+    const csvTimeSpend = spendTimelockedOutput(csvTimeScript, bob, { sequence: relativeTime });
+    printTimelockStatus('Spend right after confirmation:', csvTimeSpend, chain, timeCoinHeight);
+    let mined = 0;
+    while (!checkSequenceLocks(csvTimeSpend.tx, chain, [timeCoinHeight]).satisfied) {
+        chain.mine(1);
+        mined++;
+    }
+    printTimelockStatus(`After ${mined} more blocks, 600 seconds apart:`, csvTimeSpend, chain, timeCoinHeight);
+}
+
+// --------------------------------------------------
+// 9. Transaction Size Comparison
+// --------------------------------------------------
+
+// `part` as a percentage saved over `whole`
+const percentSaved = (part, whole) => `${((1 - part / whole) * 100).toFixed(2)}%`;
+const percentAdded = (part, whole) => `${((part / whole - 1) * 100).toFixed(2)}%`;
+
+// `examples` is a list of { name, spend } where `spend` is the { tx,
+// prevOutputs } an example returned, or null if it failed
+function compareTransactionSizes(examples) {
     console.log('\n----- Transaction Size Comparison -----');
-    console.log('Legacy P2PKH Transaction Size:', txP2PKH.byteLength(), 'bytes');
-    console.log('Legacy P2SH Multisig Transaction Size:', txP2SH.byteLength(), 'bytes');
-    console.log('Segwit P2WPKH Transaction Size:', txP2WPKH.byteLength(), 'bytes');
-    console.log('Segwit P2WSH Multisig Transaction Size:', txP2WSH.byteLength(), 'bytes');
+    console.log('Fees are paid per virtual byte: weight = 3 x base size + total size, vbytes = weight / 4.');
+    console.log('Witness bytes (signatures, witness scripts) cost a quarter of the other bytes;');
+    console.log('the scriptSig bytes of nested segwit (the pushed redeem script) cost full price.\n');
     
+    const measured = {};
+    console.log(`${'Example'.padEnd(27)} ${'Base'.padStart(5)} ${'ScriptSig'.padStart(9)} ${'Witness'.padStart(8)} ${'Total'.padStart(6)} ${'Weight'.padStart(7)} ${'vbytes'.padStart(7)} ${'Fee'.padStart(6)} ${'sat/vB'.padStart(7)}`);
+    for (const { name, spend } of examples) {
+        if (!spend) {
+            console.log(`${name.padEnd(27)} (not built, see the error above)`);
+            continue;
+        }
+        const size = measureTransaction(spend.tx, spend.prevOutputs);
+        measured[name] = size;
+        const scriptSigSize = spend.tx.ins.reduce((sum, input) => sum + input.script.length, 0);
+        console.log([
+            name.padEnd(27),
+            String(size.baseSize).padStart(5),
+            String(scriptSigSize).padStart(9),
+            String(size.witnessSize).padStart(8),
+            String(size.totalSize).padStart(6),
+            String(size.weight).padStart(7),
+            String(size.vsize).padStart(7),
+            String(size.fee).padStart(6),
+            size.feeRate.toFixed(2).padStart(7)
+        ].join(' '));
+    }
+    
+    // Raw bytes understate what segwit saves: count what fees are paid on
+    const compare = (label, smaller, larger) => {
+        const a = measured[smaller];
+        const b = measured[larger];
+        if (!a || !b) return;
+        // Nested segwit saves vbytes while adding raw bytes
+        const rawBytes = a.totalSize <= b.totalSize
+            ? `${percentSaved(a.totalSize, b.totalSize)} fewer raw bytes`
+            : `${percentAdded(a.totalSize, b.totalSize)} more raw bytes`;
+        console.log(`${label}: ${percentSaved(a.vsize, b.vsize)} fewer vbytes (${a.vsize} vs ${b.vsize}), ${rawBytes}`);
+    };
     console.log('\nSegwit Savings:');
-    const p2pkhVsP2wpkh = (1 - (txP2WPKH.byteLength() / txP2PKH.byteLength())) * 100;
-    console.log(`P2WPKH is ${p2pkhVsP2wpkh.toFixed(2)}% smaller than P2PKH`);
+    compare('P2WPKH vs P2PKH', 'Segwit P2WPKH', 'Legacy P2PKH');
+    compare('P2WSH vs P2SH multisig', 'Segwit P2WSH multisig', 'Legacy P2SH multisig');
+    compare('P2SH-P2WPKH vs P2PKH', 'Nested P2SH-P2WPKH', 'Legacy P2PKH');
+    compare('P2SH-P2WSH vs P2SH multisig', 'Nested P2SH-P2WSH multisig', 'Legacy P2SH multisig');
+    console.log('\nThe Cost of Nesting:');
+    compare('P2WPKH vs P2SH-P2WPKH', 'Segwit P2WPKH', 'Nested P2SH-P2WPKH');
+    compare('P2WSH vs P2SH-P2WSH multisig', 'Segwit P2WSH multisig', 'Nested P2SH-P2WSH multisig');
+    console.log('\nTaproot Savings:');
+    compare('P2TR key path vs P2WSH multisig', 'Taproot P2TR key path', 'Segwit P2WSH multisig');
+    compare('P2TR key path vs P2WPKH', 'Taproot P2TR key path', 'Segwit P2WPKH');
+}
+
+// How each script type is paid to and spent in the projection: the output
+// script, the PSBT fields of an input spending it, and the signers (with
+// the keys of the script type's own derivation path)
+function projectionTypes() {
+    const toXOnly = (publicKey) => publicKey.slice(1, 33);
+    const multisig = ({ alice, bob, charlie }) =>
+        bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey, charlie.publicKey], network });
+    const legacyP2ms = multisig(keys.legacy);
+    const segwitP2ms = multisig(keys.segwit);
+    const nestedP2ms = multisig(keys.nested);
+    const nestedP2wpkh = bitcoin.payments.p2wpkh({ pubkey: keys.nested.alice.publicKey, network });
+    const nestedP2wsh = bitcoin.payments.p2wsh({ redeem: nestedP2ms, network });
+    const internalPubkey = toXOnly(keys.taproot.alice.publicKey);
+    return {
+        'P2PKH': {
+            output: bitcoin.payments.p2pkh({ pubkey: keys.legacy.alice.publicKey, network }).output,
+            legacy: true,
+            signers: [keys.legacy.alice]
+        },
+        'P2SH 2-of-3': {
+            output: bitcoin.payments.p2sh({ redeem: legacyP2ms, network }).output,
+            legacy: true,
+            fields: { redeemScript: legacyP2ms.output },
+            signers: [keys.legacy.alice, keys.legacy.bob]
+        },
+        'P2WPKH': {
+            output: bitcoin.payments.p2wpkh({ pubkey: keys.segwit.alice.publicKey, network }).output,
+            signers: [keys.segwit.alice]
+        },
+        'P2WSH 2-of-3': {
+            output: bitcoin.payments.p2wsh({ redeem: segwitP2ms, network }).output,
+            fields: { witnessScript: segwitP2ms.output },
+            signers: [keys.segwit.alice, keys.segwit.bob]
+        },
+        'P2SH-P2WPKH': {
+            output: bitcoin.payments.p2sh({ redeem: nestedP2wpkh, network }).output,
+            fields: { redeemScript: nestedP2wpkh.output },
+            signers: [keys.nested.alice]
+        },
+        'P2SH-P2WSH 2-of-3': {
+            output: bitcoin.payments.p2sh({ redeem: nestedP2wsh, network }).output,
+            fields: { redeemScript: nestedP2wsh.output, witnessScript: nestedP2ms.output },
+            signers: [keys.nested.alice, keys.nested.bob]
+        },
+        'P2TR key path': {
+            output: bitcoin.payments.p2tr({ internalPubkey, network }).output,
+            fields: { tapInternalKey: internalPubkey },
+            // BIP86: a key path only output is tweaked by the internal key alone
+            signers: [keys.taproot.alice.tweak(bitcoin.crypto.taggedHash('TapTweak', internalPubkey))]
+        }
+    };
+}
+
+// A signed transaction spending `inputCount` outputs of `type` to
+// `outputCount` P2WPKH outputs
+function buildProjectionSpend(type, inputCount, outputCount) {
+    const prevTx = new bitcoin.Transaction();
+    prevTx.addInput(Buffer.alloc(32), 0);
+    for (let i = 0; i < inputCount; i++) prevTx.addOutput(type.output, 100000);
+    
+    const psbt = new bitcoin.Psbt({ network });
+    for (let i = 0; i < inputCount; i++) {
+        const utxo = type.legacy
+            ? { nonWitnessUtxo: prevTx.toBuffer() }
+            : { witnessUtxo: { script: type.output, value: 100000 } };
+        psbt.addInput({ hash: prevTx.getId(), index: i, ...utxo, ...type.fields });
+    }
+    const bobP2wpkh = bitcoin.payments.p2wpkh({ pubkey: keys.segwit.bob.publicKey, network });
+    const value = Math.floor((inputCount * 100000 - 10000) / outputCount);
+    for (let i = 0; i < outputCount; i++) psbt.addOutput({ address: bobP2wpkh.address, value });
     
-    const p2shVsP2wsh = (1 - (txP2WSH.byteLength() / txP2SH.byteLength())) * 100;
-    console.log(`P2WSH is ${p2shVsP2wsh.toFixed(2)}% smaller than P2SH`);
+    for (const signer of type.signers) psbt.signAllInputs(signer);
+    psbt.finalizeAllInputs();
+    return { tx: psbt.extractTransaction(), prevOutputs: prevTx.outs };
+}
+
+// Virtual sizes of real signed transactions with N inputs and M outputs of
+// each script type, and what one more input or output adds
+function projectTransactionSizes(inputCounts = [1, 2, 5], outputCounts = [1, 2]) {
+    console.log('\n----- Size Projection: N Inputs x M Outputs (vbytes) -----');
+    console.log('Each cell is a transaction built and signed for that shape, paying to P2WPKH outputs.\n');
+    
+    const shapes = [];
+    for (const inputs of inputCounts) {
+        for (const outputs of outputCounts) shapes.push({ inputs, outputs });
+    }
+    const header = shapes.map(({ inputs, outputs }) => `${inputs}x${outputs}`.padStart(6)).join(' ');
+    console.log(`${'Script type'.padEnd(18)} ${header} ${'+input'.padStart(7)} ${'+output'.padStart(8)}`);
+    
+    for (const [name, type] of Object.entries(projectionTypes())) {
+        try {
+            const vsize = (inputs, outputs) => transactionSizes(buildProjectionSpend(type, inputs, outputs).tx).vsize;
+            const cells = shapes.map(({ inputs, outputs }) => String(vsize(inputs, outputs)).padStart(6));
+            const base = vsize(1, 1);
+            const perInput = vsize(2, 1) - base;
+            const perOutput = vsize(1, 2) - base;
+            console.log(`${name.padEnd(18)} ${cells.join(' ')} ${String(perInput).padStart(7)} ${String(perOutput).padStart(8)}`);
+        } catch (error) {
+            console.log(`${name.padEnd(18)} Error building the projection: ${error.message}`);
+        }
+    }
+    console.log('\nA transaction\'s fee is its vbytes times the fee rate in sat/vB.');
 }
 
 // Execute all example transactions
-const txP2PKH = createP2PKHTransaction();
-const txP2SH = createP2SHTransaction();
-const txP2WPKH = createP2WPKHTransaction();
-const txP2WSH = createP2WSHTransaction();
+const examples = [
+    { name: 'Legacy P2PKH', spend: createP2PKHTransaction() },
+    { name: 'Legacy P2SH multisig', spend: createP2SHTransaction() },
+    { name: 'Segwit P2WPKH', spend: createP2WPKHTransaction() },
+    { name: 'Segwit P2WSH multisig', spend: createP2WSHTransaction() },
+    { name: 'Nested P2SH-P2WPKH', spend: createP2SHP2WPKHTransaction() },
+    { name: 'Nested P2SH-P2WSH multisig', spend: createP2SHP2WSHTransaction() },
+    { name: 'Taproot P2TR key path', spend: createP2TRTransaction() }
+];
+createTimelockTransactions();
 
 // Compare transaction sizes
-compareTransactionSizes(txP2PKH, txP2SH, txP2WPKH, txP2WSH); 
\ No newline at end of file
+compareTransactionSizes(examples);
+projectTransactionSizes();
@@ -0,0 +1,53 @@
+/**
+ * Transaction Size and Fees
+ *
+ * Measures a transaction the way fees are charged (BIP141): bytes outside
+ * the witness count four weight units each, witness bytes one. A
+ * transaction's virtual size is its weight divided by four, rounded up,
+ * and fee rates are quoted in satoshis per virtual byte (sat/vB). Raw
+ * byte counts overstate segwit transactions, whose signatures sit in the
+ * discounted witness.
+ */
+
+const WITNESS_SCALE_FACTOR = 4;
+
+// Base size (without witnesses), witness size (the witness stacks plus the
+// 2-byte marker and flag), total size, weight and virtual size of `tx`
+function transactionSizes(tx) {
+    const baseSize = tx.byteLength(false);
+    const totalSize = tx.byteLength();
+    const weight = baseSize * (WITNESS_SCALE_FACTOR - 1) + totalSize;
+    return {
+        baseSize,
+        witnessSize: totalSize - baseSize,
+        totalSize,
+        weight,
+        vsize: Math.ceil(weight / WITNESS_SCALE_FACTOR)
+    };
+}
+
+// The fee `tx` pays: the value of the outputs it spends (`prevOutputs`,
+// one per input, in order) minus the value of the outputs it creates
+function transactionFee(tx, prevOutputs) {
+    if (prevOutputs.length !== tx.ins.length) {
+        throw new Error(`Need the spent output of each of the ${tx.ins.length} inputs, got ${prevOutputs.length}`);
+    }
+    const spent = prevOutputs.reduce((sum, output) => sum + output.value, 0);
+    const created = tx.outs.reduce((sum, output) => sum + output.value, 0);
+    if (created > spent) throw new Error(`Outputs (${created} sats) exceed the spent outputs (${spent} sats)`);
+    return spent - created;
+}
+
+// Sizes, fee and fee rate (sat/vB) of `tx`
+function measureTransaction(tx, prevOutputs) {
+    const sizes = transactionSizes(tx);
+    const fee = transactionFee(tx, prevOutputs);
+    return { ...sizes, fee, feeRate: fee / sizes.vsize };
+}
+
+module.exports = {
+    WITNESS_SCALE_FACTOR,
+    measureTransaction,
+    transactionFee,
+    transactionSizes
+};
@@ -3,43 +3,100 @@
  * 
  * This file creates ASCII art visualization of the stack operations
  * during Bitcoin script execution, making it easier to understand
- * how scripts work.
+ * how scripts work. Every table is rendered from the trace the
+ * interpreter records while verifying a real spend, including the nested
+ * segwit forms where a witness program is the P2SH redeem script.
+ *
+ * Run with --json to print the traces as JSON instead of the tables, or
+ * with --html [directory] to also write an HTML report of each execution
+ * (trace-report.js) into that directory (default: reports).
  */
 
-// Basic stack implementation with visualization
+const fs = require('fs');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { SCRIPT_VERIFY, evalScript } = require('./script-interpreter');
+const { MessageSignatureChecker, signMessage } = require('./message-checker');
+const { legacySignatureHash } = require('./sighash');
+const { TransactionSignatureChecker } = require('./signature-checker');
+const { formatScript, formatWitness, labelsFor } = require('./script-asm');
+const { recordTrace, traceToJSON } = require('./script-trace');
+const {
+    buildHuffmanTapTree,
+    buildTapTree,
+    computeTaprootOutput,
+    controlBlockSize,
+    expectedControlBlockSize
+} = require('./taptree');
+const { writeTraceReport } = require('./trace-report');
+const { labWallet, participantKey } = require('./wallet');
+
+const wallet = labWallet();
+
+// With --json the traces are collected and printed at the end instead
+const JSON_OUTPUT = process.argv.includes('--json');
+const jsonTraces = [];
+
+// With --html each traced execution is also written as an HTML report
+const htmlIndex = process.argv.indexOf('--html');
+const HTML_DIRECTORY = htmlIndex === -1 ? null
+    : (process.argv[htmlIndex + 1] && !process.argv[htmlIndex + 1].startsWith('--') ? process.argv[htmlIndex + 1] : 'reports');
+
+function print(...args) {
+    if (!JSON_OUTPUT) console.log(...args);
+}
+
+// The stack history of a script execution, rendered as a table
 class VisualStack {
     constructor(name) {
-        this.items = [];
         this.name = name;
         this.history = [];
         this.operations = [];
+        this.conditions = [];
     }
     
-    push(item) {
-        this.items.push(item);
-        this.recordState(`Push: ${item}`);
-        return this.items.length;
+    recordState(operation, items, conditions = null) {
+        this.operations.push(operation);
+        this.history.push(items);
+        this.conditions.push(conditions);
     }
     
-    pop() {
-        if (this.items.length === 0) return null;
-        const item = this.items.pop();
-        this.recordState(`Pop: ${item}`);
-        return item;
+    // A row with a heading only, e.g. where a new script starts executing
+    recordNote(note) {
+        this.operations.push(note);
+        this.history.push(null);
+        this.conditions.push(null);
     }
     
-    recordState(operation) {
-        this.operations.push(operation);
-        this.history.push([...this.items]);
+    // Add every step of a trace (from recordTrace): a heading where each
+    // phase (scriptSig, scriptPubKey, redeemScript...) starts, then one row
+    // per executed or skipped operation with the stack after it
+    addTrace(trace, labels = {}) {
+        let phase = null;
+        for (const step of trace.steps) {
+            if (step.phase !== phase) {
+                phase = step.phase;
+                this.recordNote(`-- ${phase} --`);
+            }
+            const operation = step.error ? `FAILED: ${step.error.code}` : describeStep(step, labels);
+            this.recordState(operation, step.stackAfter.map(item => labelItem(item, labels)), step.execStack);
+        }
+        
+        // Failures after execution (e.g. a false result) have no step of their own
+        const last = trace.steps[trace.steps.length - 1];
+        if (trace.error && (!last || !last.error)) {
+            const items = last ? last.stackAfter.map(item => labelItem(item, labels)) : [];
+            this.recordState(`FAILED: ${trace.error.code}`, items);
+        }
     }
     
     renderHistory() {
-        console.log(`\n===== ${this.name} Stack Execution =====`);
+        print(`\n===== ${this.name} Stack Execution =====`);
         
         // Find maximum item length for formatting
         let maxLength = 0;
         for (const state of this.history) {
-            for (const item of state) {
+            for (const item of state || []) {
                 if (String(item).length > maxLength) {
                     maxLength = String(item).length;
                 }
@@ -49,17 +106,28 @@ class VisualStack {
         // Add padding
         maxLength += 2;
         
+        // The exec column only appears when conditionals were recorded:
+        // one T/F flag per open OP_IF, innermost last
+        const showConditions = this.conditions.some(c => c !== null && c.length > 0);
+        const execColumn = (text) => showConditions ? `${text.padEnd(8)} ` : '';
+        
         // Print header
-        console.log(`\nOperation${''.padEnd(20)} Stack (bottom to top)`);
-        console.log('-'.repeat(30 + maxLength));
+        print(`\nOperation${''.padEnd(20)} ${execColumn('Exec')}Stack (bottom to top)`);
+        print('-'.repeat(30 + maxLength));
         
         // Print initial empty state
-        console.log(`Initial${''.padEnd(23)} |`);
+        print(`Initial${''.padEnd(23)} ${execColumn('')}|`);
         
         // Print each state with its operation
         for (let i = 0; i < this.operations.length; i++) {
             const state = this.history[i];
             const operation = this.operations[i];
+            const conditions = this.conditions[i] || [];
+            
+            if (state === null) {
+                print(operation);
+                continue;
+            }
             
             let stackVisual = '|';
             if (state.length > 0) {
@@ -68,11 +136,51 @@ class VisualStack {
                 }
             }
             
-            console.log(`${operation.padEnd(30)} ${stackVisual}`);
+            const exec = conditions.map(c => (c ? 'T' : 'F')).join(' ');
+            print(`${operation.padEnd(30)} ${execColumn(exec)}${stackVisual}`);
         }
         
-        console.log('-'.repeat(30 + maxLength));
+        print('-'.repeat(30 + maxLength));
+    }
+}
+
+// Show known demo values by name so the table stays readable
+function labelItem(item, labels) {
+    const hex = item.toString('hex');
+    if (labels[hex]) return labels[hex];
+    if (hex.length === 0) return "''";
+    return hex.length <= 8 ? hex : `${hex.slice(0, 8)}..`;
+}
+
+function describeStep(op, labels) {
+    const opcodes = bitcoin.opcodes;
+    // OP_0 pushes an empty item, but reads better by its name
+    const name = op.data && op.opcode !== opcodes.OP_0 ? `<${labelItem(op.data, labels)}>` : op.name;
+    
+    if (op.opcode === opcodes.OP_IF || op.opcode === opcodes.OP_NOTIF) {
+        if (!op.executed) return `  skip ${name}`;
+        return `${name} -> ${op.execStack[op.execStack.length - 1] ? 'run IF branch' : 'run ELSE branch'}`;
+    }
+    if (op.opcode === opcodes.OP_ELSE || op.opcode === opcodes.OP_ENDIF) {
+        return name;
     }
+    return op.executed ? name : `  skip ${name}`;
+}
+
+// Verify a spend with the interpreter and add its trace to `visualStack`;
+// with --json the trace is kept for printing at the end instead, and with
+// --html it is written as a report named after the visualization
+function traceVerification(visualStack, scriptSig, scriptPubKey, options, labels) {
+    const trace = recordTrace(scriptSig, scriptPubKey, options);
+    visualStack.addTrace(trace, labels);
+    jsonTraces.push({ name: visualStack.name, ...traceToJSON(trace, labels) });
+    if (HTML_DIRECTORY) {
+        fs.mkdirSync(HTML_DIRECTORY, { recursive: true });
+        const fileName = `${visualStack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.html`;
+        const file = writeTraceReport(trace, path.join(HTML_DIRECTORY, fileName), { title: visualStack.name, labels });
+        print(`HTML report: ${file}`);
+    }
+    return trace;
 }
 
 // -------------------------------------------------
@@ -81,44 +189,27 @@ class VisualStack {
 function visualizeP2PKH() {
     const stack = new VisualStack('P2PKH (Pay to Public Key Hash)');
     
-    // Mock data
-    const signature = "Sig-Alice";
-    const publicKey = "PubKey-Alice";
-    const publicKeyHash = "PKHash-Alice";
-    
-    console.log("\n=========== P2PKH Script Visualization ===========");
-    console.log("\nLocking script:    OP_DUP OP_HASH160 <PKHash-Alice> OP_EQUALVERIFY OP_CHECKSIG");
-    console.log("Unlocking script:  <Sig-Alice> <PubKey-Alice>\n");
-    
-    // Step 1: Add the unlocking script items
-    stack.push(signature);
-    stack.push(publicKey);
+    // The signature signs the demo message
+    const alice = participantKey(wallet, 'Alice');
+    const checker = new MessageSignatureChecker();
+    const signature = signMessage(alice);
+    const labels = labelsFor({
+        'Sig-Alice': signature,
+        'PubKey-Alice': alice.publicKey,
+        'PKHash-Alice': bitcoin.crypto.hash160(alice.publicKey)
+    });
+    const scriptPubKey = bitcoin.payments.p2pkh({ pubkey: alice.publicKey }).output;
+    const scriptSig = bitcoin.script.compile([signature, alice.publicKey]);
     
-    // Step 2: Execute OP_DUP
-    const dupItem = stack.items[stack.items.length - 1];
-    stack.push(dupItem);
+    print("\n=========== P2PKH Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(scriptPubKey, { labels })}`);
+    print(`Unlocking script:  ${formatScript(scriptSig, { labels })}\n`);
     
-    // Step 3: Execute OP_HASH160
-    stack.pop(); // Remove the top item
-    stack.push(publicKeyHash.substring(0, 6)); // Push the hashed version
-    
-    // Step 4: Push the hash from the locking script
-    stack.push(publicKeyHash);
-    
-    // Step 5: Execute OP_EQUALVERIFY
-    const hash1 = stack.pop();
-    const hash2 = stack.pop();
-    // In real execution, this would compare and fail if not equal
-    stack.recordState(`OP_EQUALVERIFY: ${hash1 === hash2 ? "Equal, continue" : "Not equal, fail"}`);
-    
-    // Step 6: Execute OP_CHECKSIG
-    const pk = stack.pop();
-    const sig = stack.pop();
-    // In real execution, this would verify the signature
-    stack.push(1); // Assume success (1=true)
+    const trace = traceVerification(stack, scriptSig, scriptPubKey, { checker }, labels);
     
     // Render the visualization
     stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
 }
 
 // -------------------------------------------------
@@ -127,54 +218,39 @@ function visualizeP2PKH() {
 function visualizeP2SH() {
     const stack = new VisualStack('P2SH (Pay to Script Hash)');
     
-    // Mock data for a simple 2-of-2 multisig
-    const sig1 = "Sig-Alice";
-    const sig2 = "Sig-Bob";
-    const redeemScript = "2-of-2 MultiSig Script";
-    const redeemScriptHash = "RSHash";
-    
-    console.log("\n=========== P2SH Script Visualization ===========");
-    console.log("\nLocking script:    OP_HASH160 <RSHash> OP_EQUAL");
-    console.log("Unlocking script:  <Sig-Alice> <Sig-Bob> <2-of-2 MultiSig Script>\n");
-    
-    // Step 1: Add the unlocking script items
-    stack.push(sig1);
-    stack.push(sig2);
-    stack.push(redeemScript);
-    
-    // Step 2: Execute OP_HASH160
-    const script = stack.pop();
-    stack.push("RSHash"); // Hash of the redeem script
-    
-    // Step 3: Push the hash from the locking script
-    stack.push(redeemScriptHash);
-    
-    // Step 4: Execute OP_EQUAL
-    const hash1 = stack.pop();
-    const hash2 = stack.pop();
-    stack.push(hash1 === hash2 ? 1 : 0);
-    
-    // Step 5: Check result and execute redeem script if successful
-    if (stack.items[stack.items.length - 1] === 1) {
-        stack.recordState("OP_EQUAL: Success, now execute redeem script");
-        stack.pop(); // Remove the result
-        
-        // Now would execute the redeem script (multisig)
-        stack.recordState("Execute redeem script (2-of-2 multisig)");
-        
-        // Simple simulation of multisig verification
-        const s2 = stack.pop();
-        const s1 = stack.pop();
-        
-        // In a real implementation, this would verify both signatures
-        // against the public keys in the redeem script
-        stack.push(1); // Assume success
-    } else {
-        stack.recordState("OP_EQUAL: Failed, script invalid");
-    }
+    // A 2-of-2 multisig redeem script; the signatures sign the demo message
+    const alice = participantKey(wallet, 'Alice');
+    const bob = participantKey(wallet, 'Bob');
+    const checker = new MessageSignatureChecker();
+    const sig1 = signMessage(alice);
+    const sig2 = signMessage(bob);
+    const redeemScript = bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey] }).output;
+    const redeemScriptHash = bitcoin.crypto.hash160(redeemScript);
+    
+    const labels = labelsFor({
+        'Sig-Alice': sig1,
+        'Sig-Bob': sig2,
+        'PubKey-Alice': alice.publicKey,
+        'PubKey-Bob': bob.publicKey,
+        'RedeemScript': redeemScript,
+        'RSHash': redeemScriptHash
+    });
+    
+    const scriptSig = bitcoin.script.compile([bitcoin.opcodes.OP_0, sig1, sig2, redeemScript]);
+    const scriptPubKey = bitcoin.payments.p2sh({ redeem: { output: redeemScript } }).output;
+    
+    print("\n=========== P2SH Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(scriptPubKey, { labels })}`);
+    print(`Unlocking script:  ${formatScript(scriptSig, { labels })}`);
+    print(`Redeem script:     ${formatScript(redeemScript, { labels })}\n`);
+    print("After OP_EQUAL succeeds, the stack left by the unlocking script is restored,");
+    print("the redeem script is popped from it and executed against the remaining items.");
+    
+    const trace = traceVerification(stack, scriptSig, scriptPubKey, { checker, flags: SCRIPT_VERIFY.P2SH }, labels);
     
     // Render the visualization
     stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
 }
 
 // -------------------------------------------------
@@ -183,96 +259,409 @@ function visualizeP2SH() {
 function visualizeP2WPKH() {
     const stack = new VisualStack('P2WPKH (Pay to Witness Public Key Hash)');
     
-    // Mock data
-    const signature = "Sig-Alice";
-    const publicKey = "PubKey-Alice";
-    const publicKeyHash = "PKHash-Alice";
-    
-    console.log("\n=========== P2WPKH (Segwit) Script Visualization ===========");
-    console.log("\nLocking script:    OP_0 <PKHash-Alice>");
-    console.log("Witness data:      <Sig-Alice> <PubKey-Alice>");
-    console.log("\nNote: The witness data is not in scriptSig but in a separate witness field.");
-    console.log("      The signature includes the previous output value (fixing malleability).\n");
-    
-    // Step 1: After validation of the witness program version
-    stack.recordState("Execute witness program (validation of version 0)");
-    
-    // Step 2: Witnessdata is used to construct the script
-    stack.push(signature);
-    stack.push(publicKey);
+    // The signature signs the demo message
+    const alice = participantKey(wallet, 'Alice');
+    const checker = new MessageSignatureChecker();
+    const witness = [signMessage(alice), alice.publicKey];
+    const labels = labelsFor({
+        'Sig-Alice': witness[0],
+        'PubKey-Alice': alice.publicKey,
+        'PKHash-Alice': bitcoin.crypto.hash160(alice.publicKey)
+    });
+    const scriptPubKey = bitcoin.payments.p2wpkh({ pubkey: alice.publicKey }).output;
+    
+    print("\n=========== P2WPKH (Segwit) Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(scriptPubKey, { labels })}`);
+    print(`Witness data:      ${formatWitness(witness, labels)}`);
+    print("\nNote: The witness data is not in scriptSig but in a separate witness field.");
+    print("      The txid leaves out the witness, so relaying nodes cannot change it.");
+    print("      The signature also commits to the previous output value (BIP143).");
+    print("      Version 0 with a 20-byte program runs OP_DUP OP_HASH160 <program>");
+    print("      OP_EQUALVERIFY OP_CHECKSIG on the witness items, as P2PKH would.\n");
+    
+    const trace = traceVerification(stack, Buffer.alloc(0), scriptPubKey, {
+        checker,
+        flags: SCRIPT_VERIFY.WITNESS,
+        witness
+    }, labels);
     
-    // Steps 3-7: The exact same procedure as P2PKH
-    // Step 3: Execute OP_DUP
-    const dupItem = stack.items[stack.items.length - 1];
-    stack.push(dupItem);
-    
-    // Step 4: Execute OP_HASH160
-    stack.pop(); // Remove the top item
-    stack.push(publicKeyHash.substring(0, 6)); // Push the hashed version
+    // Render the visualization
+    stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
+}
+
+// -------------------------------------------------
+// P2WSH Visualization (Segwit)
+// -------------------------------------------------
+function visualizeP2WSH() {
+    const stack = new VisualStack('P2WSH (Pay to Witness Script Hash)');
     
-    // Step 5: Push the hash from the witness program
-    stack.push(publicKeyHash);
+    // A 2-of-2 multisig witness script; the signatures sign the demo message
+    const alice = participantKey(wallet, 'Alice');
+    const bob = participantKey(wallet, 'Bob');
+    const checker = new MessageSignatureChecker();
+    const sig1 = signMessage(alice);
+    const sig2 = signMessage(bob);
+    const witnessScript = bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey] }).output;
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript } });
+    
+    const labels = labelsFor({
+        'Sig-Alice': sig1,
+        'Sig-Bob': sig2,
+        'PubKey-Alice': alice.publicKey,
+        'PubKey-Bob': bob.publicKey,
+        'WSHash': p2wsh.hash,
+        'WitnessScript': witnessScript
+    });
+    const witness = [Buffer.alloc(0), sig1, sig2, witnessScript];
+    
+    print("\n=========== P2WSH (Segwit) Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(p2wsh.output, { labels })}`);
+    print(`Witness data:      ${formatWitness(witness, labels)}`);
+    print(`Witness script:    ${formatScript(witnessScript, { labels })}`);
+    print("\nNote: The witness data is in a separate field.");
+    print("      The hash is SHA256 (not HASH160).");
+    print("      Signatures cover the previous output value.");
+    print("      The empty first item is the dummy OP_CHECKMULTISIG pops.\n");
+    
+    // Version 0 with a 32-byte program: SHA256(witnessScript) must match,
+    // then the witness script runs on the remaining witness items
+    const trace = traceVerification(stack, Buffer.alloc(0), p2wsh.output, {
+        checker,
+        flags: SCRIPT_VERIFY.WITNESS,
+        witness
+    }, labels);
     
-    // Step 6: Execute OP_EQUALVERIFY
-    const hash1 = stack.pop();
-    const hash2 = stack.pop();
-    stack.recordState(`OP_EQUALVERIFY: ${hash1 === hash2 ? "Equal, continue" : "Not equal, fail"}`);
+    // Render the visualization
+    stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
+    
+    const multisigStep = trace.steps.find(step => step.details && step.details.multisig);
+    print('\nOP_CHECKMULTISIG signature matching (last signature and last key first):');
+    for (const attempt of multisigStep ? multisigStep.details.multisig : []) {
+        const signature = labelItem(attempt.signature, labels);
+        const publicKey = labelItem(attempt.publicKey, labels);
+        print(`  ${signature.padEnd(10)} vs ${publicKey.padEnd(13)} ${attempt.valid ? 'match' : 'no match'}`);
+    }
+}
+
+// -------------------------------------------------
+// P2SH-P2WPKH Visualization (Nested Segwit)
+// -------------------------------------------------
+function visualizeP2SHP2WPKH() {
+    const stack = new VisualStack('P2SH-P2WPKH (Nested Segwit)');
+    
+    // The P2WPKH program is the redeem script; the signature signs the demo message
+    const alice = participantKey(wallet, 'Alice');
+    const checker = new MessageSignatureChecker();
+    const witness = [signMessage(alice), alice.publicKey];
+    const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: alice.publicKey });
+    const p2sh = bitcoin.payments.p2sh({ redeem: p2wpkh });
+    const labels = labelsFor({
+        'Sig-Alice': witness[0],
+        'PubKey-Alice': alice.publicKey,
+        'PKHash-Alice': p2wpkh.hash,
+        'RedeemScript': p2wpkh.output,
+        'RSHash': p2sh.hash
+    });
+    const scriptSig = bitcoin.script.compile([p2wpkh.output]);
+    
+    print("\n=========== P2SH-P2WPKH (Nested Segwit) Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(p2sh.output, { labels })}`);
+    print(`Unlocking script:  ${formatScript(scriptSig, { labels })}`);
+    print(`Redeem script:     ${formatScript(p2wpkh.output, { labels })}`);
+    print(`Witness data:      ${formatWitness(witness, labels)}`);
+    print("\nNote: The scriptSig only pushes the redeem script, which is a P2WPKH program.");
+    print("      Once its hash matches, the program runs with the witness items exactly");
+    print("      as native P2WPKH does. Any other scriptSig fails (WITNESS_MALLEATED_P2SH).\n");
+    
+    const trace = traceVerification(stack, scriptSig, p2sh.output, {
+        checker,
+        flags: SCRIPT_VERIFY.P2SH | SCRIPT_VERIFY.WITNESS,
+        witness
+    }, labels);
     
-    // Step 7: Execute OP_CHECKSIG
-    const pk = stack.pop();
-    const sig = stack.pop();
-    stack.push(1); // Assume success (1=true)
+    // Render the visualization
+    stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
+}
+
+// -------------------------------------------------
+// P2SH-P2WSH Visualization (Nested Segwit)
+// -------------------------------------------------
+function visualizeP2SHP2WSH() {
+    const stack = new VisualStack('P2SH-P2WSH (Nested Segwit)');
+    
+    // A 2-of-2 multisig witness script inside P2WSH inside P2SH
+    const alice = participantKey(wallet, 'Alice');
+    const bob = participantKey(wallet, 'Bob');
+    const checker = new MessageSignatureChecker();
+    const sig1 = signMessage(alice);
+    const sig2 = signMessage(bob);
+    const witnessScript = bitcoin.payments.p2ms({ m: 2, pubkeys: [alice.publicKey, bob.publicKey] }).output;
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: witnessScript } });
+    const p2sh = bitcoin.payments.p2sh({ redeem: p2wsh });
+    
+    const labels = labelsFor({
+        'Sig-Alice': sig1,
+        'Sig-Bob': sig2,
+        'PubKey-Alice': alice.publicKey,
+        'PubKey-Bob': bob.publicKey,
+        'WSHash': p2wsh.hash,
+        'WitnessScript': witnessScript,
+        'RedeemScript': p2wsh.output,
+        'RSHash': p2sh.hash
+    });
+    const scriptSig = bitcoin.script.compile([p2wsh.output]);
+    const witness = [Buffer.alloc(0), sig1, sig2, witnessScript];
+    
+    print("\n=========== P2SH-P2WSH (Nested Segwit) Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(p2sh.output, { labels })}`);
+    print(`Unlocking script:  ${formatScript(scriptSig, { labels })}`);
+    print(`Redeem script:     ${formatScript(p2wsh.output, { labels })}`);
+    print(`Witness data:      ${formatWitness(witness, labels)}`);
+    print(`Witness script:    ${formatScript(witnessScript, { labels })}`);
+    print("\nNote: HASH160(RedeemScript) must match RSHash, then SHA256(WitnessScript)");
+    print("      must match WSHash, the program inside the redeem script.\n");
+    
+    const trace = traceVerification(stack, scriptSig, p2sh.output, {
+        checker,
+        flags: SCRIPT_VERIFY.P2SH | SCRIPT_VERIFY.WITNESS,
+        witness
+    }, labels);
     
     // Render the visualization
     stack.renderHistory();
+    print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
 }
 
 // -------------------------------------------------
-// P2WSH Visualization (Segwit)
+// Conditional Execution Visualization (OP_IF / OP_ELSE)
 // -------------------------------------------------
-function visualizeP2WSH() {
-    const stack = new VisualStack('P2WSH (Pay to Witness Script Hash)');
+function visualizeConditional() {
+    const alice = participantKey(wallet, 'Alice');
+    const bob = participantKey(wallet, 'Bob');
+    
+    const secret = Buffer.from('open sesame');
+    const secretHash = bitcoin.crypto.sha256(secret);
+    
+    const labels = labelsFor({
+        'PubKey-Alice': alice.publicKey,
+        'PubKey-Bob': bob.publicKey,
+        'Secret': secret,
+        'SecretHash': secretHash,
+        'WrongSecret': Buffer.from('guess')
+    });
+    
+    // Bob can claim with the secret; Alice can take the coins back once
+    // they are 144 blocks old
+    const lockingScript = bitcoin.script.compile([
+        bitcoin.opcodes.OP_IF,
+            bitcoin.opcodes.OP_SHA256, secretHash, bitcoin.opcodes.OP_EQUALVERIFY,
+            bob.publicKey,
+        bitcoin.opcodes.OP_ELSE,
+            bitcoin.script.number.encode(144), bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY, bitcoin.opcodes.OP_DROP,
+            alice.publicKey,
+        bitcoin.opcodes.OP_ENDIF,
+        bitcoin.opcodes.OP_CHECKSIG
+    ]);
+    
+    print("\n=========== Conditional (OP_IF / OP_ELSE) Script Visualization ===========");
+    print(`\nLocking script:    ${formatScript(lockingScript, { labels, numbers: true })}`);
+    print("\nThe Exec column shows the condition stack: T = branch running, F = branch skipped.");
+    print("Each spend is a version 2 transaction signed by the spender. OP_CHECKSEQUENCEVERIFY");
+    print("compares the input's nSequence with 144; BIP68 then keeps the transaction out of");
+    print("blocks until the coin is as many blocks old as its nSequence says.");
+    
+    const spends = [
+        {
+            name: 'Bob claims with the secret',
+            signer: bob,
+            sequence: 0xffffffff,
+            items: (signature) => [signature, secret, bitcoin.opcodes.OP_1]
+        },
+        {
+            name: 'Alice refunds after the timeout',
+            signer: alice,
+            sequence: 144,
+            items: (signature) => [signature, bitcoin.opcodes.OP_0]
+        },
+        {
+            name: 'Alice refunds before the timeout',
+            signer: alice,
+            sequence: 100,
+            items: (signature) => [signature, bitcoin.opcodes.OP_0]
+        },
+        {
+            name: 'Bob claims with a wrong secret',
+            signer: bob,
+            sequence: 0xffffffff,
+            items: (signature) => [signature, Buffer.from('guess'), bitcoin.opcodes.OP_1]
+        }
+    ];
+    
+    for (const spend of spends) {
+        const tx = new bitcoin.Transaction();
+        tx.version = 2;
+        tx.addInput(Buffer.alloc(32, 0xc5), 0, spend.sequence);
+        tx.addOutput(bitcoin.payments.p2wpkh({ pubkey: spend.signer.publicKey }).output, 90000);
+        const hash = legacySignatureHash(tx, 0, lockingScript, bitcoin.Transaction.SIGHASH_ALL);
+        const signature = bitcoin.script.signature.encode(spend.signer.sign(hash), bitcoin.Transaction.SIGHASH_ALL);
+        const scriptSig = bitcoin.script.compile(spend.items(signature));
+        const spendLabels = { ...labels, ...labelsFor({ [spend.signer === alice ? 'Sig-Alice' : 'Sig-Bob']: signature }) };
+        
+        const stack = new VisualStack(`Conditional - ${spend.name}`);
+        print(`\nUnlocking script:  ${formatScript(scriptSig, { labels: spendLabels })}`);
+        print(`nSequence:         ${spend.sequence === 0xffffffff ? '0xffffffff (no relative lock)' : spend.sequence}`);
+        const trace = traceVerification(stack, scriptSig, lockingScript, {
+            checker: new TransactionSignatureChecker(tx, 0, 100000),
+            flags: SCRIPT_VERIFY.CHECKSEQUENCEVERIFY
+        }, spendLabels);
+        stack.renderHistory();
+        print(`Result: ${trace.valid ? 'VALID' : 'INVALID'}`);
+    }
+    
+    // A conditional without OP_ENDIF is rejected by the interpreter
+    const unbalanced = bitcoin.script.compile([bitcoin.opcodes.OP_1, bitcoin.opcodes.OP_IF, bitcoin.opcodes.OP_1]);
+    try {
+        evalScript(unbalanced);
+    } catch (error) {
+        print(`\n${formatScript(unbalanced)} (no OP_ENDIF): ${error.fullCode} - ${error.message}`);
+    }
+}
+
+// -------------------------------------------------
+// Taptree Visualization
+// -------------------------------------------------
+
+// Render a taproot script tree (from computeTaprootOutput) as ASCII: one row
+// per node with its depth, weight and hash, then the control block of every
+// leaf. Deeper leaves need one more 32-byte hash in their control block.
+function renderTapTree(name, taproot) {
+    const shortHash = (hash) => `${hash.toString('hex').slice(0, 16)}..`;
+    const rows = [];
+    
+    const walk = (node, prefix, childPrefix, depth) => {
+        const label = node.type === 'leaf' ? `Leaf: ${node.name || shortHash(node.hash)}` : 'Branch';
+        rows.push({ tree: `${prefix}${label}`, depth, weight: node.weight, hash: node.hash });
+        if (node.type === 'branch') {
+            walk(node.left, `${childPrefix}├── `, `${childPrefix}│   `, depth + 1);
+            walk(node.right, `${childPrefix}└── `, `${childPrefix}    `, depth + 1);
+        }
+    };
+    if (taproot.tree) walk(taproot.tree, '', '', 0);
     
-    // Mock data for a simple 2-of-2 multisig
-    const sig1 = "Sig-Alice";
-    const sig2 = "Sig-Bob";
-    const witnessScript = "2-of-2 MultiSig Script";
-    const witnessScriptHash = "WSHash";
+    const treeWidth = Math.max(30, ...rows.map(row => row.tree.length + 2));
     
-    console.log("\n=========== P2WSH (Segwit) Script Visualization ===========");
-    console.log("\nLocking script:    OP_0 <WSHash>");
-    console.log("Witness data:      <Sig-Alice> <Sig-Bob> <2-of-2 MultiSig Script>");
-    console.log("\nNote: The witness data is in a separate field.");
-    console.log("      The hash is SHA256 (not HASH160).");
-    console.log("      Signatures cover the previous output value.\n");
+    print(`\n===== ${name} Taptree =====`);
+    print(`\nInternal key:  ${taproot.internalKey.toString('hex')}`);
+    print(`Merkle root:   ${taproot.merkleRoot ? taproot.merkleRoot.toString('hex') : '(none: key path only)'}`);
+    print(`Tweak:         ${taproot.tweak.toString('hex')}`);
+    print(`Output key:    ${taproot.outputKey.toString('hex')} (parity ${taproot.parity})`);
     
-    // Step 1: After validation of the witness program version
-    stack.recordState("Execute witness program (validation of version 0)");
+    // Print header
+    print(`\n${'Node'.padEnd(treeWidth)} Depth  Weight  Hash`);
+    print('-'.repeat(treeWidth + 34));
     
-    // Step 2: Validate that the witness script matches the hash
-    stack.recordState("Validate: SHA256(witnessScript) == witnessScriptHash");
+    // The root is the merkle root itself
+    rows[0].tree = rows[0].tree === 'Branch' ? 'Root' : `Root = ${rows[0].tree}`;
+    for (const row of rows) {
+        print(`${row.tree.padEnd(treeWidth)} ${String(row.depth).padEnd(6)} ${String(row.weight).padEnd(7)} ${shortHash(row.hash)}`);
+    }
+    print('-'.repeat(treeWidth + 34));
     
-    // Step 3: If valid, execute the witness script with witness data
-    stack.push(sig1);
-    stack.push(sig2);
+    print('\nControl blocks: <leaf version | parity> <internal key> <one hash per level>');
+    for (const { leaf, depth, path, controlBlock } of taproot.leaves) {
+        const nodes = path.map(shortHash).join(' ');
+        print(`${(leaf.name || shortHash(leaf.hash)).padEnd(16)} ${String(controlBlockSize(depth)).padStart(4)} bytes  ` +
+            `${controlBlock.slice(0, 1).toString('hex')} ${shortHash(taproot.internalKey)} ${nodes}`);
+    }
+    print(`Expected control block size: ${expectedControlBlockSize(taproot).toFixed(1)} bytes`);
+}
+
+function visualizeTaptree() {
+    const owner = participantKey(wallet, 'Alice');
+    const cold = participantKey(wallet, 'Cold');
+    const heir = participantKey(wallet, 'Heir');
+    const arbiter = participantKey(wallet, 'Arbiter');
+    const xOnly = (keyPair) => keyPair.publicKey.slice(1, 33);
+    const opcodes = bitcoin.opcodes;
+    
+    // Spending conditions of a wallet, weighted by how often each is expected to be used
+    const leaves = [
+        {
+            name: 'daily',
+            weight: 60,
+            script: bitcoin.script.compile([xOnly(owner), opcodes.OP_CHECKSIG])
+        },
+        {
+            name: 'cold-storage',
+            weight: 25,
+            script: bitcoin.script.compile([xOnly(cold), opcodes.OP_CHECKSIG])
+        },
+        {
+            name: 'arbitration',
+            weight: 10,
+            script: bitcoin.script.compile([
+                xOnly(owner), opcodes.OP_CHECKSIG, xOnly(arbiter), opcodes.OP_CHECKSIGADD, opcodes.OP_2, opcodes.OP_NUMEQUAL
+            ])
+        },
+        {
+            name: 'inheritance',
+            weight: 4,
+            script: bitcoin.script.compile([
+                bitcoin.script.number.encode(52560), opcodes.OP_CHECKSEQUENCEVERIFY, opcodes.OP_DROP,
+                xOnly(heir), opcodes.OP_CHECKSIG
+            ])
+        },
+        {
+            name: 'lost-keys',
+            weight: 1,
+            script: bitcoin.script.compile([
+                xOnly(cold), opcodes.OP_CHECKSIGVERIFY, xOnly(heir), opcodes.OP_CHECKSIG
+            ])
+        }
+    ];
+    
+    print("\n=========== Taptree Visualization ===========");
+    print("\nA script path spend reveals one leaf and the hashes needed to rebuild the merkle root.");
+    print("Placing likely leaves near the root keeps their control blocks, and fees, small.");
+    
+    const labels = labelsFor({
+        'Owner': xOnly(owner),
+        'Cold': xOnly(cold),
+        'Heir': xOnly(heir),
+        'Arbiter': xOnly(arbiter)
+    });
+    print('\nLeaves (weight: script):');
+    for (const leaf of leaves) {
+        print(`  ${leaf.name.padEnd(14)} ${String(leaf.weight).padStart(3)}: ${formatScript(leaf.script, { labels, numbers: true })}`);
+    }
     
-    // Step 4: Execute witness script (multisig in this case)
-    stack.recordState("Execute witness script (2-of-2 multisig)");
+    // With the owner's key as internal key, the daily spend could also use the key path;
+    // a NUMS point would be used when no single key should be able to spend
+    const internalKey = xOnly(owner);
     
-    // Step 5: Simple simulation of multisig verification
-    const s2 = stack.pop();
-    const s1 = stack.pop();
+    const balanced = computeTaprootOutput(internalKey, buildTapTree([[leaves[0], leaves[1]], [leaves[2], [leaves[3], leaves[4]]]]));
+    renderTapTree('Explicit Shape', balanced);
     
-    // In a real implementation, this would verify both signatures
-    // against the public keys in the witness script
-    stack.push(1); // Assume success
+    const huffman = computeTaprootOutput(internalKey, buildHuffmanTapTree(leaves));
+    renderTapTree('Huffman (by weight)', huffman);
     
-    // Render the visualization
-    stack.renderHistory();
+    print('\nThe Huffman tree puts the rarely used leaves deepest: its expected control block is ' +
+        `${(expectedControlBlockSize(balanced) - expectedControlBlockSize(huffman)).toFixed(1)} bytes smaller.`);
 }
 
 // Run the visualizations
 visualizeP2PKH();
 visualizeP2SH();
 visualizeP2WPKH();
-visualizeP2WSH(); 
\ No newline at end of file
+visualizeP2WSH();
+visualizeP2SHP2WPKH();
+visualizeP2SHP2WSH();
+visualizeConditional();
+visualizeTaptree();
+
+if (JSON_OUTPUT) {
+    console.log(JSON.stringify(jsonTraces, null, 2));
+} 
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * HD Wallet Examples
+ *
+ * Shows the lab wallet (wallet.js) that every demo derives its keys from:
+ * the mnemonic and seed, the account of each script type with its xpub
+ * and descriptors, the first addresses of each account, and the keys of
+ * the demo participants. Run any demo with --mnemonic "<words>" (and
+ * --passphrase) or --seed <hex> to use a different wallet:
+ *
+ *   node wallet-examples.js --mnemonic "<12 or 24 words>"
+ *
+ * Note: The default wallet is the public BIP39 test mnemonic. Never send
+ * real coins to its addresses.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const tinysecp = require('tiny-secp256k1');
+const { expandDescriptor, parseDescriptor } = require('./descriptors');
+const {
+    PARTICIPANTS,
+    SCRIPT_TYPES,
+    TEST_MNEMONIC,
+    createWallet,
+    deriveKeyPair,
+    exportAccount,
+    keyPath,
+    labWallet,
+    participantKey,
+    participantPath
+} = require('./wallet');
+
+// Taproot payments need the library's elliptic curve operations
+bitcoin.initEccLib(tinysecp);
+
+const wallet = labWallet();
+
+// The address of a key pair as `scriptType` pays to it
+function addressOf(keyPair, scriptType) {
+    const { network } = wallet;
+    const pubkey = keyPair.publicKey;
+    switch (scriptType) {
+        case 'p2pkh':
+            return bitcoin.payments.p2pkh({ pubkey, network }).address;
+        case 'p2sh-p2wpkh':
+            return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network }), network }).address;
+        case 'p2wpkh':
+            return bitcoin.payments.p2wpkh({ pubkey, network }).address;
+        case 'p2tr':
+            return bitcoin.payments.p2tr({ internalPubkey: pubkey.slice(1, 33), network }).address;
+        default:
+            throw new Error(`Unknown script type ${scriptType}`);
+    }
+}
+
+function seedExamples() {
+    console.log('\n----- Mnemonic and Seed -----');
+    console.log(`Mnemonic: ${wallet.mnemonic || '(none: the seed was given with --seed)'}`);
+    if (wallet.mnemonic === TEST_MNEMONIC) console.log('          (the public BIP39 test mnemonic)');
+    console.log(`Seed:     ${wallet.seed.toString('hex')}`);
+    console.log(`Root key: ${wallet.root.toBase58()}`);
+    console.log(`Master fingerprint: ${wallet.fingerprint.toString('hex')}`);
+
+    if (wallet.mnemonic) {
+        // The passphrase is salted into the seed: a different passphrase
+        // opens a different, equally valid wallet
+        const withPassphrase = createWallet({ mnemonic: wallet.mnemonic, passphrase: 'TREZOR', network: wallet.network });
+        console.log(`\nThe same words with the passphrase "TREZOR": fingerprint ${withPassphrase.fingerprint.toString('hex')}`);
+    }
+}
+
+function accountExamples() {
+    console.log('\n----- Accounts by Script Type -----');
+    for (const scriptType of Object.keys(SCRIPT_TYPES)) {
+        const account = exportAccount(wallet, scriptType);
+        console.log(`\n${scriptType} (BIP ${SCRIPT_TYPES[scriptType].purpose}), account ${account.path}`);
+        console.log(`  xpub:    ${account.xpub}`);
+        console.log(`  receive: ${account.descriptors.receive}`);
+        console.log(`  change:  ${account.descriptors.change}`);
+
+        // The addresses a watch-only wallet derives from the descriptor
+        // alone must be the ones of the private keys
+        const fromDescriptor = expandDescriptor(parseDescriptor(account.descriptors.receive, { network: wallet.network }), 0, 2);
+        for (const { index, address } of fromDescriptor) {
+            const keyPair = deriveKeyPair(wallet, scriptType, { index });
+            const matches = addressOf(keyPair, scriptType) === address ? 'matches the descriptor' : 'DIFFERS from the descriptor';
+            console.log(`  ${keyPath(wallet, scriptType, { index }).padEnd(18)} ${address} (${matches})`);
+        }
+    }
+}
+
+function participantExamples() {
+    console.log('\n----- Demo Participants -----');
+    console.log('Each participant owns one account; a demo signs with its first receiving key');
+    console.log('on the path of the script type it spends.');
+    for (const name of PARTICIPANTS) {
+        console.log(`  ${name}`);
+        for (const scriptType of Object.keys(SCRIPT_TYPES)) {
+            const keyPair = participantKey(wallet, name, scriptType);
+            console.log(`    ${scriptType.padEnd(12)} ${participantPath(wallet, name, scriptType).padEnd(17)} ${keyPair.publicKey.toString('hex')}`);
+        }
+    }
+}
+
+console.log('\n===== HD Wallet =====');
+seedExamples();
+accountExamples();
+participantExamples();
@@ -0,0 +1,183 @@
+/**
+ * HD Wallet
+ *
+ * Deterministic keys for the lab. A BIP39 mnemonic (or a raw seed) gives a
+ * BIP32 root key, and every key is derived along the standard path of its
+ * script type:
+ *
+ *   p2pkh         m/44'/coin'/account'/change/index   (BIP 44)
+ *   p2sh-p2wpkh   m/49'/coin'/account'/change/index   (BIP 49)
+ *   p2wpkh        m/84'/coin'/account'/change/index   (BIP 84)
+ *   p2tr          m/86'/coin'/account'/change/index   (BIP 86)
+ *
+ * coin is 0' on mainnet and 1' on testnet and regtest. Each demo
+ * participant (Alice, Bob, ...) owns one account of the lab wallet, so the
+ * demos print the same keys, addresses and txids on every run.
+ *
+ * The lab wallet is chosen on the command line of any demo:
+ *
+ *   --mnemonic "<words>"   a BIP39 mnemonic, with an optional
+ *                          --passphrase "<text>"
+ *   --seed <hex>           a BIP32 seed of 16 to 64 bytes
+ *
+ * and otherwise uses the public BIP39 test mnemonic "abandon ... about".
+ * Never send real coins to keys derived from it.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const bip39 = require('bip39');
+const { BIP32Factory } = require('bip32');
+const { ECPairFactory } = require('ecpair');
+const tinysecp = require('tiny-secp256k1');
+const { addChecksum } = require('./descriptors');
+
+const bip32 = BIP32Factory(tinysecp);
+const ECPair = ECPairFactory(tinysecp);
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+// Purpose (first path level) and output descriptor of each script type
+const SCRIPT_TYPES = {
+    'p2pkh': { purpose: 44, descriptor: (key) => `pkh(${key})` },
+    'p2sh-p2wpkh': { purpose: 49, descriptor: (key) => `sh(wpkh(${key}))` },
+    'p2wpkh': { purpose: 84, descriptor: (key) => `wpkh(${key})` },
+    'p2tr': { purpose: 86, descriptor: (key) => `tr(${key})` }
+};
+
+// The account each demo participant owns, by position
+const PARTICIPANTS = ['Alice', 'Bob', 'Charlie', 'Heir', 'Arbiter', 'Cold'];
+
+// A wallet from a BIP39 `mnemonic` (and `passphrase`) or a raw `seed`
+// (Buffer or hex). Keys and extended keys use `network`.
+function createWallet({ mnemonic, passphrase = '', seed, network = bitcoin.networks.testnet } = {}) {
+    if (mnemonic !== undefined && seed !== undefined) throw new Error('Give a mnemonic or a seed, not both');
+    if (seed !== undefined && passphrase !== '') throw new Error('A passphrase goes with a mnemonic, not a seed');
+    let seedBytes;
+    if (mnemonic !== undefined) {
+        mnemonic = mnemonic.trim().split(/\s+/).join(' ');
+        if (!bip39.validateMnemonic(mnemonic)) {
+            throw new Error('Invalid mnemonic: the words must come from the BIP39 English list and end in a valid checksum');
+        }
+        seedBytes = bip39.mnemonicToSeedSync(mnemonic, passphrase);
+    } else if (seed !== undefined) {
+        seedBytes = Buffer.isBuffer(seed) ? seed : Buffer.from(/^([0-9a-fA-F]{2})+$/.test(seed) ? seed : '', 'hex');
+        if (seedBytes.length < 16 || seedBytes.length > 64) {
+            throw new Error('A seed must be 16 to 64 bytes of hex');
+        }
+    } else {
+        throw new Error('A wallet needs a mnemonic or a seed');
+    }
+
+    const root = bip32.fromSeed(seedBytes, network);
+    return {
+        mnemonic: mnemonic !== undefined ? mnemonic : null,
+        seed: seedBytes,
+        network,
+        root,
+        fingerprint: root.fingerprint
+    };
+}
+
+function scriptTypeOf(name) {
+    const scriptType = SCRIPT_TYPES[name];
+    if (!scriptType) throw new Error(`Unknown script type ${name} (use ${Object.keys(SCRIPT_TYPES).join(', ')})`);
+    return scriptType;
+}
+
+// m/purpose'/coin'/account' for `scriptType`
+function accountPath(wallet, scriptType, account = 0) {
+    const coin = wallet.network === bitcoin.networks.bitcoin ? 0 : 1;
+    return `m/${scriptTypeOf(scriptType).purpose}'/${coin}'/${account}'`;
+}
+
+// The full path of a key: `change` is 0 for receiving addresses, 1 for change
+function keyPath(wallet, scriptType, { account = 0, change = 0, index = 0 } = {}) {
+    return `${accountPath(wallet, scriptType, account)}/${change}/${index}`;
+}
+
+// The key pair at keyPath(), as an ECPair the Psbt signers accept
+function deriveKeyPair(wallet, scriptType, options = {}) {
+    const node = wallet.root.derivePath(keyPath(wallet, scriptType, options));
+    return ECPair.fromPrivateKey(node.privateKey, { network: wallet.network });
+}
+
+// The account's extended keys and its receive and change descriptors, as a
+// wallet exports them to a watch-only wallet or a multisig coordinator
+function exportAccount(wallet, scriptType, account = 0) {
+    const path = accountPath(wallet, scriptType, account);
+    const node = wallet.root.derivePath(path);
+    const xpub = node.neutered().toBase58();
+    const key = `[${wallet.fingerprint.toString('hex')}${path.slice(1)}]${xpub}`;
+    return {
+        scriptType,
+        path,
+        xpub,
+        xprv: node.toBase58(),
+        descriptors: {
+            receive: addChecksum(scriptTypeOf(scriptType).descriptor(`${key}/0/*`)),
+            change: addChecksum(scriptTypeOf(scriptType).descriptor(`${key}/1/*`))
+        }
+    };
+}
+
+function participantAccount(name) {
+    const account = PARTICIPANTS.indexOf(name);
+    if (account === -1) throw new Error(`Unknown participant ${name} (use ${PARTICIPANTS.join(', ')})`);
+    return account;
+}
+
+// The first receiving key of `name`'s account
+function participantKey(wallet, name, scriptType = 'p2wpkh') {
+    return deriveKeyPair(wallet, scriptType, { account: participantAccount(name) });
+}
+
+function participantPath(wallet, name, scriptType = 'p2wpkh') {
+    return keyPath(wallet, scriptType, { account: participantAccount(name) });
+}
+
+// The value following `flag` on the command line, if any
+function argumentValue(flag) {
+    const index = process.argv.indexOf(flag);
+    if (index === -1) return undefined;
+    const value = process.argv[index + 1];
+    if (value === undefined || value.startsWith('--')) throw new Error(`${flag} needs a value`);
+    return value;
+}
+
+let labWalletCache = null;
+
+// The wallet of --mnemonic, --passphrase and --seed, or of the test mnemonic.
+// createWallet() rejects a --seed given with either of the others.
+//
+// The demos call this when they are loaded, before any code of their own
+// runs, so a bad option ends the program here with its message.
+function labWallet() {
+    if (!labWalletCache) {
+        try {
+            const seed = argumentValue('--seed');
+            const mnemonic = argumentValue('--mnemonic');
+            const passphrase = argumentValue('--passphrase');
+            labWalletCache = createWallet(seed !== undefined
+                ? { seed, mnemonic, passphrase }
+                : { mnemonic: mnemonic !== undefined ? mnemonic : TEST_MNEMONIC, passphrase });
+        } catch (error) {
+            console.log(`Rejected: ${error.message}`);
+            process.exit(1);
+        }
+    }
+    return labWalletCache;
+}
+
+module.exports = {
+    PARTICIPANTS,
+    SCRIPT_TYPES,
+    TEST_MNEMONIC,
+    accountPath,
+    createWallet,
+    deriveKeyPair,
+    exportAccount,
+    keyPath,
+    labWallet,
+    participantKey,
+    participantPath
+};